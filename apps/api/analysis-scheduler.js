@@ -0,0 +1,135 @@
+import { EventEmitter } from "events";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("AnalysisScheduler");
+
+/**
+ * Analysis Scheduler
+ * Runs sentiment, analytics and coaching for customer utterances, one pass per
+ * burst per session instead of three requests per utterance:
+ * - utterances arriving within `debounceMs` of each other are coalesced
+ * - a new pass aborts the one still in flight (its utterances are carried over)
+ * - every pass gets a sequence number and only the newest result is emitted,
+ *   so a slow, stale analysis can never overwrite a newer one
+ *
+ * Emits "result" { sessionId, seq, message, sentiment, analytics, coaching|null }
+ */
+export class AnalysisScheduler extends EventEmitter {
+  /**
+   * @param {Object} textApi - Text client (see providers/index.js)
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs=800] - Quiet time before analyzing a burst
+   * @param {boolean} [options.combined=true] - One combined prompt (analyzeTurn)
+   *   instead of separate sentiment/analytics/coaching requests
+   */
+  constructor(textApi, options = {}) {
+    super();
+    this.textApi = textApi;
+    this.debounceMs = options.debounceMs ?? 800;
+    this.combined = options.combined ?? true;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Queue analysis of a customer utterance
+   * @param {string} sessionId
+   * @param {Array} transcript - Session transcript (read when the pass runs)
+   * @param {string} message - The customer's utterance
+   * @param {Object} [options]
+   * @param {boolean} [options.coaching=true] - Include supervisor coaching
+   */
+  schedule(sessionId, transcript, message, { coaching = true } = {}) {
+    if (!message || !message.trim()) return;
+
+    let state = this.sessions.get(sessionId);
+    if (!state) {
+      state = {
+        seq: 0,
+        timer: null,
+        transcript,
+        messages: [],
+        coaching: false,
+        inFlight: null,
+      };
+      this.sessions.set(sessionId, state);
+    }
+
+    state.transcript = transcript;
+    state.messages.push(message.trim());
+    state.coaching = state.coaching || coaching;
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.run(sessionId), this.debounceMs);
+  }
+
+  /**
+   * Analyze everything queued for a session, superseding any pass in flight
+   */
+  async run(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+    state.timer = null;
+
+    // Carry over the utterances of a pass we are about to abort
+    const superseded = state.inFlight;
+    const messages = [...(superseded?.messages || []), ...state.messages];
+    const includeCoaching = state.coaching || Boolean(superseded?.includeCoaching);
+    state.messages = [];
+    state.coaching = false;
+
+    if (superseded) {
+      superseded.controller.abort();
+      logger.info(`[${sessionId}] Analysis #${superseded.seq} superseded`);
+    }
+
+    const seq = ++state.seq;
+    const controller = new AbortController();
+    const pass = { seq, messages, includeCoaching, controller };
+    state.inFlight = pass;
+
+    const message = messages.join(" ");
+    try {
+      const result = this.combined
+        ? await this.textApi.analyzeTurn(state.transcript, message, {
+            includeCoaching,
+            signal: controller.signal,
+            sessionId,
+          })
+        : await this.runSeparately(sessionId, state.transcript, message, includeCoaching);
+
+      if (controller.signal.aborted || seq !== state.seq) return;
+      this.emit("result", { sessionId, seq, message, ...result });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      logger.error(`[${sessionId}] Analysis #${seq} failed:`, error.message);
+    } finally {
+      if (state.inFlight === pass) state.inFlight = null;
+    }
+  }
+
+  /**
+   * Separate sentiment/analytics/coaching requests, still as one pass
+   */
+  async runSeparately(sessionId, transcript, message, includeCoaching) {
+    const [sentiment, analytics, coaching] = await Promise.all([
+      this.textApi.analyzeSentiment(message, transcript.slice(-5), { sessionId }),
+      this.textApi.analyzeConversation(transcript, { sessionId }),
+      includeCoaching
+        ? this.textApi.getSupervisorCoaching(transcript, message, { sessionId })
+        : null,
+    ]);
+    return { sentiment, analytics, coaching };
+  }
+
+  /**
+   * Drop pending work for a session (call ended)
+   */
+  cancel(sessionId) {
+    const state = this.sessions.get(sessionId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    state.inFlight?.controller.abort();
+    this.sessions.delete(sessionId);
+  }
+}
@@ -0,0 +1,88 @@
+import crypto from "crypto";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Audit");
+
+// Payload fields replaced before hashing (a hash of a short secret can be brute-forced)
+const REDACTED_FIELDS = ["password", "apiToken", "token"];
+
+/**
+ * SHA-256 of a request payload: keys sorted at every level, so the same
+ * content always gives the same hash, and secrets redacted
+ */
+export function hashPayload(payload) {
+  if (payload === undefined || payload === null) return null;
+  return crypto.createHash("sha256").update(canonicalJson(payload)).digest("hex");
+}
+
+/**
+ * Audit Log
+ * Durable trail of what dashboard users did: every supervisor command on a
+ * call (takeovers, messages, handbacks, ending calls...) and every REST change
+ * (summary edits, personas, users, prompts). Each event stores who, their role,
+ * the call, the action, its outcome and a hash of the payload, so a disputed
+ * action can be matched to its exact content without copying message text or
+ * secrets into the log
+ */
+export class AuditLog {
+  /**
+   * @param {Object} database - DatabaseManager (saveAuditEvent, getAuditEvents)
+   */
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * @param {Object} event
+   * @param {Object} event.actor - User or supervisor profile ({ id, role })
+   * @param {string} event.action - Supervisor message type (e.g. "takeover") or
+   *   REST action (e.g. "summary_edit")
+   * @param {string} [event.sessionId] - Call the action was on
+   * @param {string} [event.target] - Persona or user the action changed
+   * @param {Object} [event.payload] - Message or request body (hashed, not stored)
+   * @param {string} [event.outcome="ok"] - "ok", "denied" (role or call ownership) or "failed"
+   * @returns {Object} The stored entry
+   */
+  async record({ actor, action, sessionId, target, payload, outcome = "ok" }) {
+    const entry = {
+      actorId: actor?.id || "unknown",
+      actorRole: actor?.role || null,
+      sessionId: sessionId || null,
+      action,
+      target: target || null,
+      outcome,
+      payloadHash: hashPayload(payload),
+      createdAt: Date.now(),
+    };
+
+    try {
+      await this.database.saveAuditEvent(entry);
+    } catch (error) {
+      logger.error(`Failed to save audit event ${action} by ${entry.actorId}:`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Events, newest first
+   * @param {Object} [filters] - Any of { sessionId, actorId, action, outcome,
+   *   since, until (ms timestamps), limit, offset }
+   */
+  async query(filters = {}) {
+    return await this.database.getAuditEvents(filters);
+  }
+}
+
+function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      .map((key) => [key, REDACTED_FIELDS.includes(key) ? "[redacted]" : canonicalize(value[key])]),
+  );
+}
@@ -0,0 +1,393 @@
+/**
+ * Auth Manager
+ * Dashboard and REST API users (stored in SQLite, cached in memory), password
+ * and API token login, signed session tokens, and what each role may do. Also
+ * signs the join tokens customers connect with.
+ *
+ * Tokens are `<payload>.<signature>` (base64url JSON claims and their
+ * HMAC-SHA256 with AUTH_SECRET); `typ` keeps session and customer tokens apart.
+ * The user's role is looked up on every check, so role changes and deletions
+ * apply to session tokens already handed out. Session tokens also carry the
+ * user's token version (`ver`), bumped on a password change, which invalidates
+ * the sessions issued before it.
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Auth");
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ["agent", "supervisor", "admin", "analyst"];
+
+// Roles allowed each permission
+const PERMISSIONS = {
+  // Dashboard: live calls, their streams and the persona list
+  "calls:view": ["agent", "supervisor", "admin"],
+  // Taking calls: takeovers, escalations, messages, transfers, AI assists
+  "calls:handle": ["agent", "supervisor", "admin"],
+  // Overriding others: barge-in, forced takeovers, ending calls
+  "calls:supervise": ["supervisor", "admin"],
+  // Saved summaries, usage, experiment reports and metrics
+  "reports:view": ["supervisor", "admin", "analyst"],
+  "summaries:edit": ["supervisor", "admin"],
+  // Who took over, messaged, ended or edited what (/api/audit)
+  "audit:view": ["supervisor", "admin"],
+  // Personas, prompts and users
+  admin: ["admin"],
+};
+
+/**
+ * Permission each supervisor WebSocket message needs; unlisted types are refused
+ */
+export const SUPERVISOR_MESSAGE_PERMISSIONS = {
+  subscribe: "calls:view",
+  unsubscribe: "calls:view",
+  monitor: "calls:view",
+  takeover: "calls:handle",
+  escalation_accept: "calls:handle",
+  escalation_decline: "calls:handle",
+  transfer: "calls:handle",
+  transfer_request: "calls:handle",
+  transfer_response: "calls:handle",
+  handback: "calls:handle",
+  supervisor_audio: "calls:handle",
+  supervisor_speech: "calls:handle",
+  supervisor_message: "calls:handle",
+  inject_context: "calls:handle",
+  barge: "calls:supervise",
+  force_takeover: "calls:supervise",
+  end_call: "calls:supervise",
+};
+
+export class AuthManager {
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Signs session tokens; shared by every API node
+   * @param {number} [options.tokenTtlMs=43200000] - Session token lifetime (12 hours)
+   * @param {number} [options.customerTokenTtlMs=1800000] - How long a customer join
+   *   token can start or resume its call (30 minutes)
+   */
+  constructor(databaseManager, { secret, tokenTtlMs, customerTokenTtlMs } = {}) {
+    this.db = databaseManager;
+    this.tokenTtlMs = tokenTtlMs ?? 12 * 60 * 60 * 1000;
+    this.customerTokenTtlMs = customerTokenTtlMs ?? 30 * 60 * 1000;
+    this.users = new Map();
+
+    if (secret) {
+      this.secret = secret;
+    } else {
+      this.secret = crypto.randomBytes(32).toString("hex");
+      logger.warn(
+        "AUTH_SECRET not set: sign-ins and customer join tokens stop working when the server restarts, and only work on this node",
+      );
+    }
+  }
+
+  /**
+   * Load users from the database. With none yet, seeds an admin user
+   * @param {Object} [options]
+   * @param {string} [options.adminPassword] - Password of the seeded admin (random and logged if not given)
+   */
+  async load({ adminPassword } = {}) {
+    const rows = await this.db.getUsers();
+    this.users.clear();
+    rows.forEach((row) => this.users.set(row.id, row));
+
+    if (this.users.size === 0) {
+      const password = adminPassword || crypto.randomBytes(9).toString("base64url");
+      await this.create({ id: "admin", name: "Administrator", role: "admin", password });
+      if (!adminPassword) {
+        logger.warn(`Created user "admin" with password ${password} (set ADMIN_PASSWORD to choose it)`);
+      }
+    }
+
+    logger.info(`Loaded ${this.users.size} user(s)`);
+  }
+
+  /**
+   * Whether a role has a permission
+   */
+  can(role, permission) {
+    return Boolean(PERMISSIONS[permission]?.includes(role));
+  }
+
+  /**
+   * @returns {string[]} Every permission the role has
+   */
+  permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter((permission) => this.can(role, permission));
+  }
+
+  /**
+   * Check a user's password
+   * @returns {Object|null} Session { token, expiresAt, user } or null
+   */
+  async login(userId, password) {
+    const user = this.users.get(userId);
+    if (!user?.password_hash || typeof password !== "string") return null;
+    if (!(await verifyPassword(password, user.password_hash))) return null;
+    return this.issueSession(user);
+  }
+
+  /**
+   * Exchange an API token (for scripts and integrations) for a session
+   * @returns {Object|null} Session { token, expiresAt, user } or null
+   */
+  loginWithApiToken(apiToken) {
+    if (typeof apiToken !== "string" || !apiToken) return null;
+    const hash = sha256(apiToken);
+    const user = Array.from(this.users.values()).find(
+      (candidate) => candidate.api_token_hash && safeEqual(candidate.api_token_hash, hash),
+    );
+    return user ? this.issueSession(user) : null;
+  }
+
+  issueSession(user) {
+    const expiresAt = Date.now() + this.tokenTtlMs;
+    return {
+      token: this.encode({ typ: "session", sub: user.id, ver: user.token_version || 0, exp: expiresAt }),
+      expiresAt,
+      user: toPublicUser(user),
+    };
+  }
+
+  /**
+   * Verify a session token
+   * @returns {Object|null} The token's user (id, name, role) or null if the
+   *   token is malformed, tampered with, expired, its user is gone or their
+   *   password changed since it was issued
+   */
+  authenticate(token) {
+    const claims = this.decode(token, "session");
+    const user = claims && this.users.get(claims.sub);
+    if (!user || claims.ver !== (user.token_version || 0)) return null;
+    return toPublicUser(user);
+  }
+
+  /**
+   * Join token for one customer call: a new session ID bound to a persona.
+   * The customer presents it to connect and again to resume after a drop
+   * @param {Object} [options]
+   * @param {string} [options.personaId] - Persona the call runs with
+   * @returns {Object} { token, sessionId, personaId, expiresAt }
+   */
+  issueCustomerToken({ personaId = null } = {}) {
+    const sessionId = crypto.randomUUID();
+    const expiresAt = Date.now() + this.customerTokenTtlMs;
+    return {
+      token: this.encode({ typ: "customer", sid: sessionId, persona: personaId, exp: expiresAt }),
+      sessionId,
+      personaId,
+      expiresAt,
+    };
+  }
+
+  /**
+   * @returns {Object|null} { sessionId, personaId } or null if the token is
+   *   malformed, tampered with or expired
+   */
+  verifyCustomerToken(token) {
+    const claims = this.decode(token, "customer");
+    return claims ? { sessionId: claims.sid, personaId: claims.persona } : null;
+  }
+
+  encode(claims) {
+    const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * @returns {Object|null} The claims of a valid, unexpired token of this type
+   */
+  decode(token, type) {
+    const [payload, signature, extra] = String(token || "").split(".");
+    if (!payload || !signature || extra !== undefined) return null;
+    if (!safeEqual(signature, this.sign(payload))) return null;
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    } catch {
+      return null;
+    }
+    if (claims.typ !== type || !(claims.exp > Date.now())) return null;
+    return claims;
+  }
+
+  sign(payload) {
+    return crypto.createHmac("sha256", this.secret).update(payload).digest("base64url");
+  }
+
+  list() {
+    return Array.from(this.users.values(), toPublicUser);
+  }
+
+  get(userId) {
+    const user = this.users.get(userId);
+    return user ? toPublicUser(user) : null;
+  }
+
+  /**
+   * @param {Object} data - { id, name, role, password }
+   */
+  async create(data) {
+    const error = validateUser(data, { requireId: true });
+    if (error) throw new AuthValidationError(error);
+    if (this.users.has(data.id)) {
+      throw new AuthValidationError(`User already exists: ${data.id}`);
+    }
+
+    const saved = await this.db.createUser({
+      id: data.id,
+      name: data.name,
+      role: data.role,
+      password_hash: data.password ? await hashPassword(data.password) : null,
+    });
+    this.users.set(saved.id, saved);
+    logger.info(`Created user: ${saved.id} (${saved.role})`);
+    return toPublicUser(saved);
+  }
+
+  /**
+   * @param {Object} data - Any of { name, role, password }
+   */
+  async update(userId, data) {
+    const existing = this.users.get(userId);
+    if (!existing) return null;
+
+    const user = {
+      ...existing,
+      name: data.name !== undefined ? data.name : existing.name,
+      role: data.role !== undefined ? data.role : existing.role,
+    };
+    const error = validateUser({ ...user, password: data.password });
+    if (error) throw new AuthValidationError(error);
+    if (user.role !== "admin" && this.isLastAdmin(userId)) {
+      throw new AuthValidationError("The last admin cannot lose the admin role");
+    }
+    if (data.password) {
+      user.password_hash = await hashPassword(data.password);
+      user.token_version = (existing.token_version || 0) + 1;
+    }
+
+    const saved = await this.db.updateUser(userId, user);
+    this.users.set(userId, saved);
+    logger.info(`Updated user: ${userId}`);
+    return toPublicUser(saved);
+  }
+
+  async delete(userId) {
+    if (this.isLastAdmin(userId)) {
+      throw new AuthValidationError("The last admin cannot be deleted");
+    }
+
+    const deleted = await this.db.deleteUser(userId);
+    if (deleted) {
+      this.users.delete(userId);
+      logger.info(`Deleted user: ${userId}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Re-read a user from the database after another API node changed them
+   * @returns {boolean} Whether their open sessions are affected: the user was
+   *   deleted, or their role or token version changed
+   */
+  async reload(userId) {
+    const before = this.users.get(userId);
+    const row = await this.db.getUser(userId);
+    if (row) this.users.set(userId, row);
+    else this.users.delete(userId);
+    if (!before) return false;
+    return !row || row.role !== before.role || row.token_version !== before.token_version;
+  }
+
+  isLastAdmin(userId) {
+    const admins = Array.from(this.users.values()).filter((user) => user.role === "admin");
+    return admins.length === 1 && admins[0].id === userId;
+  }
+
+  /**
+   * Issue a new API token for a user, replacing any previous one. Only its
+   * hash is stored, so it is returned this once
+   * @returns {string|null} The token, null if there is no such user
+   */
+  async issueApiToken(userId) {
+    const existing = this.users.get(userId);
+    if (!existing) return null;
+
+    const apiToken = `cpk_${crypto.randomBytes(24).toString("base64url")}`;
+    const saved = await this.db.updateUser(userId, {
+      ...existing,
+      api_token_hash: sha256(apiToken),
+    });
+    this.users.set(userId, saved);
+    logger.info(`Issued API token for user: ${userId}`);
+    return apiToken;
+  }
+}
+
+/**
+ * Thrown for invalid user input (mapped to HTTP 400)
+ */
+export class AuthValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthValidationError";
+  }
+}
+
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    name: user.name || user.id,
+    role: user.role,
+    hasApiToken: Boolean(user.api_token_hash),
+  };
+}
+
+function validateUser(user, { requireId = false } = {}) {
+  if (requireId && !/^[a-z0-9][a-z0-9._-]{0,49}$/.test(String(user.id || ""))) {
+    return "id must be lowercase letters, numbers, dots, dashes and underscores (max 50 chars)";
+  }
+  if (!ROLES.includes(user.role)) {
+    return `role must be one of: ${ROLES.join(", ")}`;
+  }
+  if (user.name != null && typeof user.name !== "string") {
+    return "name must be a string";
+  }
+  if (user.password !== undefined && (typeof user.password !== "string" || user.password.length < 8)) {
+    return "password must be at least 8 characters";
+  }
+  return null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const candidate = await scrypt(password, salt, 64);
+  return safeEqual(candidate.toString("hex"), hash);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,335 @@
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Cluster");
+
+const SUPERVISORS_CHANNEL = "copilot:supervisors";
+const nodeChannel = (nodeId) => `copilot:node:${nodeId}`;
+const nodeKey = (nodeId) => `copilot:node-alive:${nodeId}`;
+const sessionKey = (sessionId) => `copilot:session:${sessionId}`;
+
+/**
+ * Stand-in, on the node running a call, for a WebSocket connected to another
+ * node. Handlers use it like a ws (send, close, readyState, "message" and
+ * "close" events); everything goes over the bus to the real socket.
+ */
+export class RemoteSocket extends EventEmitter {
+  constructor(hub, nodeId, connectionId) {
+    super();
+    this.hub = hub;
+    this.nodeId = nodeId;
+    this.connectionId = connectionId;
+    this.readyState = 1; // WebSocket.OPEN
+  }
+
+  send(payload) {
+    if (this.readyState !== 1) return;
+    this.hub.sendToNode(this.nodeId, {
+      kind: "send",
+      connectionId: this.connectionId,
+      payload: String(payload),
+    });
+  }
+
+  close(code, reason) {
+    if (this.readyState !== 1) return;
+    this.hub.sendToNode(this.nodeId, {
+      kind: "end",
+      connectionId: this.connectionId,
+      code,
+      reason,
+    });
+    this.drop(code);
+  }
+
+  /**
+   * The real socket is gone: run the close handlers once
+   * @param {number} [code] - Its close code (none if its node went away)
+   */
+  drop(code) {
+    if (this.readyState === 3) return;
+    this.readyState = 3; // WebSocket.CLOSED
+    this.hub.remoteSockets.delete(`${this.nodeId}:${this.connectionId}`);
+    this.emit("close", code);
+  }
+}
+
+/**
+ * Cluster Hub
+ * Runs several API instances as one WebSocket hub over a message bus. Each call
+ * is pinned to the node that first claimed it (a lease renewed while the node
+ * is up) and lives only there. Other nodes reach it through RemoteSockets:
+ *   - a customer reconnecting to another node is relayed to the call's node
+ *   - every supervisor is announced to every node, which sees them as a
+ *     connected supervisor (escalation offers, transfers, audio), and their
+ *     commands for a call are forwarded to the call's node
+ *   - dashboard broadcasts are published once and sent by every node to its
+ *     own dashboards
+ * With the in-process bus it is a single node and nothing leaves the process.
+ *
+ * Emits "broadcast" (payload) for every node's dashboard broadcasts,
+ * "connection" (socket, { role, sessionId, params }) when another node links
+ * a customer or supervisor here, and "lease_lost" ({ sessionId }).
+ */
+export class ClusterHub extends EventEmitter {
+  /**
+   * @param {Object} bus - Message bus (see message-bus.js)
+   * @param {Object} [options]
+   * @param {string} [options.nodeId] - This instance's ID (random if not given)
+   * @param {number} [options.leaseMs=15000] - A dead node's calls and links are dropped after this long
+   */
+  constructor(bus, options = {}) {
+    super();
+    this.bus = bus;
+    this.nodeId = options.nodeId || `node-${crypto.randomUUID().substring(0, 8)}`;
+    this.leaseMs = options.leaseMs ?? 15 * 1000;
+    this.sessions = new Set(); // Session IDs leased by this node
+    this.localSockets = new Map(); // connectionId -> ws on this node linked elsewhere
+    this.supervisors = new Map(); // connectionId -> profile of a supervisor on this node
+    this.remoteSockets = new Map(); // "nodeId:connectionId" -> RemoteSocket
+    this.unsubscribes = [];
+    this.heartbeatTimer = null;
+  }
+
+  async start() {
+    // Other nodes drop our links once this stops being renewed
+    await this.bus.claim(nodeKey(this.nodeId), this.nodeId, this.leaseMs);
+
+    this.unsubscribes = await Promise.all([
+      this.bus.subscribe(SUPERVISORS_CHANNEL, (envelope) => this.receive(envelope)),
+      this.bus.subscribe(nodeChannel(this.nodeId), (envelope) => this.receive(envelope)),
+    ]);
+
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.leaseMs / 3);
+    this.heartbeatTimer.unref();
+
+    // Nodes already running announce their supervisors to us
+    await this.bus.publish(SUPERVISORS_CHANNEL, { kind: "hello", from: this.nodeId });
+    logger.info(`Node ${this.nodeId} joined the cluster`);
+  }
+
+  /**
+   * Leave the cluster: other nodes drop our links, our calls can be claimed
+   */
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    await this.bus.publish(SUPERVISORS_CHANNEL, { kind: "bye", from: this.nodeId });
+    await Promise.all([
+      ...Array.from(this.sessions, (sessionId) => this.releaseSession(sessionId)),
+      this.bus.release(nodeKey(this.nodeId), this.nodeId),
+    ]);
+    await Promise.all(this.unsubscribes.map((unsubscribe) => unsubscribe()));
+  }
+
+  /**
+   * Pin a call to this node unless another node runs it
+   * @returns {string} ID of the node running the call
+   */
+  async claimSession(sessionId) {
+    const holder = await this.bus.claim(sessionKey(sessionId), this.nodeId, this.leaseMs);
+    if (holder === this.nodeId) this.sessions.add(sessionId);
+    return holder;
+  }
+
+  /**
+   * @returns {string|null} ID of the node running the call, null if none does
+   */
+  async getSessionNode(sessionId) {
+    if (this.sessions.has(sessionId)) return this.nodeId;
+    return this.bus.get(sessionKey(sessionId));
+  }
+
+  async releaseSession(sessionId) {
+    if (!this.sessions.delete(sessionId)) return;
+    await this.bus.release(sessionKey(sessionId), this.nodeId);
+  }
+
+  /**
+   * Send a dashboard message to every supervisor on every node
+   * @param {string} payload - Serialized message
+   */
+  broadcast(payload) {
+    this.publish(SUPERVISORS_CHANNEL, { kind: "broadcast", payload });
+  }
+
+  /**
+   * A user was created, changed or deleted here: every other node reloads them
+   */
+  announceUserChange(userId) {
+    this.publish(SUPERVISORS_CHANNEL, { kind: "user_changed", from: this.nodeId, userId });
+  }
+
+  /**
+   * A supervisor connected here: every other node sees them as connected
+   */
+  announceSupervisor(ws, profile) {
+    this.link(ws);
+    this.supervisors.set(ws.connectionId, profile);
+    ws.once("close", () => {
+      this.supervisors.delete(ws.connectionId);
+      this.publish(SUPERVISORS_CHANNEL, {
+        kind: "close",
+        from: this.nodeId,
+        connectionId: ws.connectionId,
+      });
+    });
+    this.publish(SUPERVISORS_CHANNEL, this.joinEnvelope(ws.connectionId, profile));
+  }
+
+  /**
+   * Customer connected here for a call running on another node: relay the
+   * socket to that node, which handles it as if the customer were connected there
+   */
+  relayCustomer(ws, nodeId, { sessionId, params }) {
+    this.link(ws);
+    this.sendToNode(nodeId, {
+      kind: "open",
+      from: this.nodeId,
+      connectionId: ws.connectionId,
+      role: "customer",
+      sessionId,
+      params,
+    });
+    ws.on("message", (data) => this.forward(ws, nodeId, data.toString()));
+    ws.once("close", (code) =>
+      this.sendToNode(nodeId, {
+        kind: "close",
+        from: this.nodeId,
+        connectionId: ws.connectionId,
+        code,
+      }),
+    );
+  }
+
+  /**
+   * Pass a message from a socket on this node to its stand-in on another node
+   * @param {string} data - Raw WebSocket message
+   */
+  forward(ws, nodeId, data) {
+    this.sendToNode(nodeId, {
+      kind: "message",
+      from: this.nodeId,
+      connectionId: ws.connectionId,
+      data,
+    });
+  }
+
+  link(ws) {
+    ws.connectionId = crypto.randomUUID();
+    this.localSockets.set(ws.connectionId, ws);
+    ws.once("close", () => this.localSockets.delete(ws.connectionId));
+  }
+
+  joinEnvelope(connectionId, profile) {
+    return {
+      kind: "open",
+      from: this.nodeId,
+      connectionId,
+      role: "supervisor",
+      sessionId: null,
+      params: profile,
+    };
+  }
+
+  sendToNode(nodeId, envelope) {
+    this.publish(nodeChannel(nodeId), envelope);
+  }
+
+  publish(channel, envelope) {
+    this.bus.publish(channel, envelope).catch((error) => {
+      logger.error(`Failed to publish ${envelope.kind} on ${channel}:`, error.message);
+    });
+  }
+
+  receive(envelope) {
+    // Our own announcements come back on the shared channel
+    if (envelope.from === this.nodeId && envelope.kind !== "broadcast") return;
+
+    const key = `${envelope.from}:${envelope.connectionId}`;
+    switch (envelope.kind) {
+      case "broadcast":
+        this.emit("broadcast", envelope.payload);
+        break;
+
+      case "user_changed":
+        this.emit("user_changed", { userId: envelope.userId });
+        break;
+
+      case "hello":
+        this.supervisors.forEach((profile, connectionId) =>
+          this.sendToNode(envelope.from, this.joinEnvelope(connectionId, profile)),
+        );
+        break;
+
+      case "bye":
+        this.dropNode(envelope.from);
+        break;
+
+      case "open": {
+        if (this.remoteSockets.has(key)) break;
+        const socket = new RemoteSocket(this, envelope.from, envelope.connectionId);
+        this.remoteSockets.set(key, socket);
+        this.emit("connection", socket, {
+          role: envelope.role,
+          sessionId: envelope.sessionId,
+          params: envelope.params,
+        });
+        break;
+      }
+
+      case "message":
+        this.remoteSockets.get(key)?.emit("message", envelope.data);
+        break;
+
+      case "close":
+        this.remoteSockets.get(key)?.drop(envelope.code);
+        break;
+
+      case "send": {
+        const ws = this.localSockets.get(envelope.connectionId);
+        if (ws?.readyState === 1) ws.send(envelope.payload);
+        break;
+      }
+
+      case "end":
+        this.localSockets.get(envelope.connectionId)?.close(envelope.code, envelope.reason);
+        break;
+    }
+  }
+
+  dropNode(nodeId) {
+    this.remoteSockets.forEach((socket) => {
+      if (socket.nodeId === nodeId) socket.drop();
+    });
+  }
+
+  /**
+   * Keep our leases, and drop the links of nodes that stopped renewing theirs
+   */
+  async heartbeat() {
+    try {
+      await this.bus.renew(nodeKey(this.nodeId), this.nodeId, this.leaseMs);
+      for (const sessionId of this.sessions) {
+        if (!(await this.bus.renew(sessionKey(sessionId), this.nodeId, this.leaseMs))) {
+          // Expired while we stalled, but nobody else took it: keep running it
+          if ((await this.claimSession(sessionId)) === this.nodeId) continue;
+          this.sessions.delete(sessionId);
+          logger.warn(`Lost the lease on session ${sessionId}`);
+          this.emit("lease_lost", { sessionId });
+        }
+      }
+
+      const nodes = new Set(Array.from(this.remoteSockets.values(), (socket) => socket.nodeId));
+      for (const nodeId of nodes) {
+        if ((await this.bus.get(nodeKey(nodeId))) === null) {
+          logger.warn(`Node ${nodeId} stopped responding, dropping its connections`);
+          this.dropNode(nodeId);
+        }
+      }
+    } catch (error) {
+      logger.error("Cluster heartbeat failed:", error.message);
+    }
+  }
+}
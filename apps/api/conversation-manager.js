@@ -1,16 +1,117 @@
 /**
  * Conversation Manager
- * Manages active customer support sessions
+ * Manages active customer support sessions. With a database, session state and
+ * transcripts are written through (live_sessions) so calls survive a restart.
  */
 
+import { EventEmitter } from "events";
+import crypto from "crypto";
 import { Logger } from "@gemini-copilot/shared";
+import { EscalationQueue } from "./escalation-queue.js";
 
 const logger = new Logger("ConversationManager");
 
-export class ConversationManager {
-  constructor() {
+// Live objects that can't be persisted; they are recreated when a call reconnects
+const RUNTIME_FIELDS = [
+  "customerWs",
+  "supervisorWs",
+  "geminiSession",
+  "monitors",
+  "subscribers",
+];
+
+/**
+ * Session lifecycle: a call is waiting until the customer connects, active
+ * while they're on it, ended once it's over (hung up, ended by a supervisor or
+ * abandoned after a restart) and completed when its summary has been saved
+ */
+export const STATUS_TRANSITIONS = {
+  waiting: ["active", "ended"],
+  active: ["ended"],
+  ended: ["completed"],
+  completed: [],
+};
+
+// Takeover (human, AI paused), barge-in (human and AI both speak) and
+// handback, only while the call is waiting or active
+export const MODE_TRANSITIONS = {
+  ai: ["human", "barge"],
+  human: ["ai", "barge"],
+  barge: ["ai", "human"],
+};
+
+/**
+ * Thrown when a status or mode change isn't allowed from the current state
+ */
+export class InvalidTransitionError extends Error {
+  constructor(sessionId, field, from, to) {
+    super(`Session ${sessionId}: cannot change ${field} from ${from} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.field = field;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Thrown when a supervisor acts on a call another supervisor has taken over
+ */
+export class SessionOwnedError extends Error {
+  constructor(sessionId, ownerId) {
+    super(`Session ${sessionId} is being handled by ${ownerId}`);
+    this.name = "SessionOwnedError";
+    this.sessionId = sessionId;
+    this.ownerId = ownerId;
+  }
+}
+
+/**
+ * Status and mode only change through transition() and setMode(). Each change
+ * emits "transition" and a typed event ("status:ended", "mode:human", ...) with
+ * { sessionId, field, from, to, session }. Finished calls are evicted after
+ * retentionMs, emitting "evicted" with { sessionId }; calls another node took
+ * over emit "handed_off" with { sessionId }.
+ */
+export class ConversationManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.database] - DatabaseManager to persist sessions to
+   * @param {number} [options.persistDelayMs=250] - Changes within this window are written once
+   * @param {number} [options.retentionMs=0] - Keep finished calls in memory this long (0 = forever)
+   * @param {number} [options.sweepIntervalMs=60000] - How often startRetention() looks for expired calls
+   * @param {number} [options.supervisorCapacity=2] - Calls a supervisor handles at once unless they set their own
+   * @param {number} [options.escalationOfferTimeoutMs=30000] - See EscalationQueue
+   * @param {number} [options.escalationDeclineCooldownMs=120000] - See EscalationQueue
+   * @param {string} [options.nodeId] - API instance running these calls (see ClusterHub)
+   */
+  constructor(options = {}) {
+    super();
     this.sessions = new Map();
     this.supervisors = new Set();
+    this.nodeId = options.nodeId || null;
+    this.database = options.database || null;
+    this.persistDelayMs = options.persistDelayMs ?? 250;
+    this.pendingWrites = new Map(); // sessionId -> timer
+    this.retentionMs = options.retentionMs ?? 0;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? 60 * 1000;
+    this.sweepTimer = null;
+
+    // Supervisor WebSocket -> { id, name, skills, capacity }
+    this.supervisorProfiles = new Map();
+    this.supervisorCapacity = options.supervisorCapacity ?? 2;
+
+    // Calls waiting for a human; taking a call over or ending it leaves the
+    // queue, and a supervisor finishing a call may be able to take the next
+    this.escalations = new EscalationQueue(this, {
+      offerTimeoutMs: options.escalationOfferTimeoutMs,
+      declineCooldownMs: options.escalationDeclineCooldownMs,
+    });
+    this.on("mode:human", ({ sessionId }) => this.escalations.remove(sessionId));
+    this.on("mode:barge", ({ sessionId }) => this.escalations.remove(sessionId));
+    this.on("status:ended", ({ sessionId }) => this.escalations.remove(sessionId));
+    this.on("mode:ai", () => this.escalations.route());
+    this.on("status:completed", () => this.escalations.route());
+    this.on("ownership", () => this.escalations.route());
   }
 
   /**
@@ -23,9 +124,11 @@ export class ConversationManager {
       createdAt: now,
       startedAt: now,
       status: "waiting",
-      mode: "ai", // 'ai' or 'human'
+      mode: "ai", // 'ai', 'human' or 'barge'
       customerWs: null,
       supervisorWs: null,
+      monitors: new Set(), // Supervisor WebSockets listening in silently
+      subscribers: new Set(), // Supervisor WebSockets receiving the call's live streams
       geminiSession: null,
       transcript: [],
       customerConnected: false,
@@ -35,9 +138,18 @@ export class ConversationManager {
       metadata: {},
       frustrationLevel: 0,
       sentimentScore: 0,
+      aiStatus: "connected", // 'connected', 'reconnecting' or 'disconnected'
+      personaId: null,
+      personaName: null,
+      language: null, // Customer's detected language (ISO 639-1)
+      supervisorLanguage: null, // Language call summaries are written in
+      interruptionCount: 0, // Times the customer talked over the AI
+      coachingSuggestionsUsed: 0, // Supervisor messages started from a coaching suggestion
+      ownershipHistory: [], // Transfers and forced overrides between supervisors
     };
 
     this.sessions.set(sessionId, session);
+    this.markChanged(sessionId);
     logger.info(`Created session: ${sessionId} at ${new Date(now).toISOString()}`);
     return session;
   }
@@ -50,17 +162,194 @@ export class ConversationManager {
   }
 
   /**
-   * Update session properties
+   * Update session properties (except status and mode, see transition() and setMode())
    */
   updateSession(sessionId, updates) {
+    if ("status" in updates || "mode" in updates) {
+      throw new Error("Session status and mode change through transition()/setMode()");
+    }
+
     const session = this.sessions.get(sessionId);
     if (session) {
       Object.assign(session, updates);
+      this.markChanged(sessionId);
       return session;
     }
     return null;
   }
 
+  /**
+   * Move a session to another lifecycle status
+   * @param {Object} [updates] - Fields set on the session with the change (e.g. endedBy)
+   * @returns {Object|null} The session, null if it doesn't exist
+   * @throws {InvalidTransitionError} If STATUS_TRANSITIONS doesn't allow the move
+   */
+  transition(sessionId, status, updates = {}) {
+    return this.change(sessionId, "status", status, updates, STATUS_TRANSITIONS);
+  }
+
+  /**
+   * Whether transition(sessionId, status) would be allowed
+   */
+  canTransition(sessionId, status) {
+    const session = this.sessions.get(sessionId);
+    return Boolean(session && STATUS_TRANSITIONS[session.status]?.includes(status));
+  }
+
+  /**
+   * Switch between AI and human handling (takeover/handback)
+   * @param {Object} [updates] - Fields set on the session with the change (e.g. takenOverBy)
+   * @throws {InvalidTransitionError} If the mode is already set or the call is over
+   */
+  setMode(sessionId, mode, updates = {}) {
+    const session = this.sessions.get(sessionId);
+    if (session && !["waiting", "active"].includes(session.status)) {
+      throw new InvalidTransitionError(sessionId, "mode", session.mode, mode);
+    }
+    return this.change(sessionId, "mode", mode, updates, MODE_TRANSITIONS);
+  }
+
+  /**
+   * Supervisor on the call (taken over or barged in), null while the AI has it alone
+   */
+  getOwner(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.mode !== "ai" ? session.takenOverBy : null;
+  }
+
+  /**
+   * Human takeover or barge-in. The check and the mode change happen together,
+   * so of two supervisors joining the same call only the first gets it; the
+   * owner can switch between takeover and barge-in
+   * @param {string} [mode="human"] - "human" or "barge"
+   * @returns {Object|null} The session (unchanged if it's already in that mode)
+   * @throws {SessionOwnedError} If another supervisor owns the call
+   */
+  takeOver(sessionId, supervisorId, mode = "human") {
+    const ownerId = this.getOwner(sessionId);
+    if (ownerId && ownerId !== supervisorId) {
+      throw new SessionOwnedError(sessionId, ownerId);
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (ownerId && session.mode === mode) return session;
+    return this.setMode(
+      sessionId,
+      mode,
+      ownerId
+        ? {}
+        : {
+            supervisorId: supervisorId,
+            takenOverBy: supervisorId,
+            takenOverAt: Date.now(),
+          },
+    );
+  }
+
+  /**
+   * Silent monitoring: the supervisor hears the customer and the AI
+   */
+  addMonitor(sessionId, ws) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    session.monitors.add(ws);
+    return session;
+  }
+
+  removeMonitor(sessionId, ws) {
+    const session = this.sessions.get(sessionId);
+    return Boolean(session?.monitors.delete(ws));
+  }
+
+  /**
+   * Per-session streams: transcript, coaching and analytics go only to
+   * dashboards subscribed to the call (everyone gets the session list)
+   */
+  subscribe(sessionId, ws) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    session.subscribers.add(ws);
+    return session;
+  }
+
+  unsubscribe(sessionId, ws) {
+    const session = this.sessions.get(sessionId);
+    return Boolean(session?.subscribers.delete(ws));
+  }
+
+  /**
+   * @throws {SessionOwnedError} If the call is taken over by another supervisor
+   */
+  assertOwner(sessionId, supervisorId) {
+    const ownerId = this.getOwner(sessionId);
+    if (ownerId && ownerId !== supervisorId) {
+      throw new SessionOwnedError(sessionId, ownerId);
+    }
+  }
+
+  /**
+   * Hand a taken-over call to another supervisor, either agreed with the owner
+   * or forced (overrides are recorded with their reason). Emits "ownership"
+   * @param {Object} [options]
+   * @param {boolean} [options.forced=false] - Taken without the owner's agreement
+   * @param {string} [options.reason] - Why the override was needed
+   * @param {Object} [options.handoff] - Warm transfer { note, brief } for the new owner
+   * @returns {Object|null} The session, null if nobody owns the call
+   */
+  transferOwnership(
+    sessionId,
+    supervisorId,
+    { forced = false, reason = null, handoff = null } = {},
+  ) {
+    const session = this.sessions.get(sessionId);
+    const from = this.getOwner(sessionId);
+    if (!from || from === supervisorId) return null;
+
+    const change = {
+      type: forced ? "override" : "transfer",
+      from,
+      to: supervisorId,
+      reason,
+      handoff,
+      at: Date.now(),
+    };
+    Object.assign(session, {
+      supervisorId: supervisorId,
+      takenOverBy: supervisorId,
+      ownershipHistory: [...(session.ownershipHistory || []), change],
+    });
+    this.markChanged(sessionId);
+
+    const message = `Session ${sessionId}: ${change.type} from ${from} to ${supervisorId}`;
+    if (forced) {
+      logger.warn(`${message} (${reason || "no reason given"})`);
+    } else {
+      logger.info(message);
+    }
+
+    this.emit("ownership", { sessionId, ...change, session });
+    return session;
+  }
+
+  change(sessionId, field, to, updates, transitions) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    const from = session[field];
+    if (!transitions[from]?.includes(to)) {
+      throw new InvalidTransitionError(sessionId, field, from, to);
+    }
+
+    Object.assign(session, updates, { [field]: to });
+    this.markChanged(sessionId);
+    logger.info(`Session ${sessionId}: ${field} ${from} -> ${to}`);
+
+    const event = { sessionId, field, from, to, session };
+    this.emit("transition", event);
+    this.emit(`${field}:${to}`, event);
+    return session;
+  }
+
   /**
    * Delete a session
    */
@@ -72,12 +361,99 @@ export class ConversationManager {
         session.geminiSession.close();
       }
       this.sessions.delete(sessionId);
+      clearTimeout(this.pendingWrites.get(sessionId));
+      this.pendingWrites.delete(sessionId);
+      this.database?.deleteLiveSession(sessionId).catch((error) => {
+        logger.error(`Failed to delete persisted session ${sessionId}:`, error.message);
+      });
       logger.info(`Deleted session: ${sessionId}`);
       return true;
     }
     return false;
   }
 
+  /**
+   * Another node runs this call now (see ClusterHub "lease_lost"): stop its
+   * Live session, close the sockets on it so they reconnect to that node, and
+   * forget it here without ending it or deleting what was persisted
+   * @returns {boolean} Whether the call was running here
+   */
+  handOff(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return false;
+
+    const sockets = new Set([
+      session.customerWs,
+      session.supervisorWs,
+      ...session.subscribers,
+      ...session.monitors,
+    ]);
+    // Detached first, so the customer's socket closing isn't taken for a hang-up
+    session.customerWs = null;
+    session.supervisorWs = null;
+    if (session.geminiSession) {
+      session.geminiSession.close();
+      session.geminiSession = null;
+    }
+
+    this.sessions.delete(sessionId);
+    clearTimeout(this.pendingWrites.get(sessionId));
+    this.pendingWrites.delete(sessionId);
+    this.escalations.remove(sessionId);
+    sockets.forEach((ws) => ws?.close(1012, "Call moved to another server"));
+
+    logger.warn(`Session ${sessionId} handed off to another node`);
+    this.emit("handed_off", { sessionId });
+    return true;
+  }
+
+  /**
+   * Remove ended/completed calls that finished more than retentionMs ago. Only
+   * calls whose summary was saved (summarySaved) or that had nothing to
+   * summarize are evicted, so no transcript is lost; the dashboard reads
+   * evicted calls from /api/summary/:sessionId.
+   * @returns {string[]} Evicted session IDs
+   */
+  evictExpired(now = Date.now()) {
+    if (!this.retentionMs) return [];
+
+    const evicted = [];
+    for (const session of this.sessions.values()) {
+      const finishedAt = session.completedAt || session.endedAt;
+      if (
+        ["ended", "completed"].includes(session.status) &&
+        (session.summarySaved || session.transcript.length === 0) &&
+        finishedAt &&
+        now - finishedAt >= this.retentionMs
+      ) {
+        evicted.push(session.id);
+      }
+    }
+
+    evicted.forEach((sessionId) => {
+      this.deleteSession(sessionId);
+      this.emit("evicted", { sessionId });
+    });
+    if (evicted.length > 0) {
+      logger.info(`Evicted ${evicted.length} finished session(s)`);
+    }
+    return evicted;
+  }
+
+  /**
+   * Run evictExpired() every sweepIntervalMs (doesn't keep the process alive)
+   */
+  startRetention() {
+    if (this.sweepTimer || !this.retentionMs) return;
+    this.sweepTimer = setInterval(() => this.evictExpired(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stopRetention() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
   /**
    * Get all sessions (serializable format for API)
    */
@@ -95,6 +471,7 @@ export class ConversationManager {
   serializeSession(session) {
     return {
       id: session.id,
+      nodeId: this.nodeId,
       createdAt: session.createdAt,
       status: session.status,
       mode: session.mode,
@@ -110,6 +487,16 @@ export class ConversationManager {
       metadata: session.metadata,
       frustrationLevel: session.frustrationLevel || 0,
       sentimentScore: session.sentimentScore || 0,
+      aiStatus: session.aiStatus || "connected",
+      personaId: session.personaId,
+      personaName: session.personaName,
+      language: session.language,
+      interruptionCount: session.interruptionCount || 0,
+      recoveredAt: session.recoveredAt || null,
+      // Supervisors listening in (monitor mode)
+      monitoredBy: Array.from(
+        new Set(Array.from(session.monitors, (ws) => this.supervisorProfiles.get(ws)?.id)),
+      ).filter(Boolean),
     };
   }
 
@@ -124,20 +511,96 @@ export class ConversationManager {
     return count;
   }
 
+  /**
+   * Calls not yet ended (waiting for their customer or active)
+   */
+  getOpenSessionCount() {
+    let count = 0;
+    this.sessions.forEach((session) => {
+      if (["waiting", "active"].includes(session.status)) count++;
+    });
+    return count;
+  }
+
   /**
    * Add a supervisor WebSocket
+   * @param {Object} [profile] - { id, name, role, skills, capacity } used to route escalations and check permissions
+   * @returns {Object} The normalized profile
    */
-  addSupervisor(ws) {
+  addSupervisor(ws, profile = {}) {
+    const capacity = parseInt(profile.capacity, 10);
+    const normalized = {
+      id: profile.id || `supervisor-${crypto.randomUUID()}`,
+      name: profile.name || null,
+      role: profile.role || null,
+      skills: (profile.skills || []).map((skill) => skill.trim().toLowerCase()).filter(Boolean),
+      capacity: capacity >= 0 ? capacity : this.supervisorCapacity,
+    };
+
     this.supervisors.add(ws);
-    logger.info(`Supervisor added (total: ${this.supervisors.size})`);
+    this.supervisorProfiles.set(ws, normalized);
+    logger.info(`Supervisor added: ${normalized.id} (total: ${this.supervisors.size})`);
+    this.escalations.route();
+    return normalized;
   }
 
   /**
    * Remove a supervisor WebSocket
    */
   removeSupervisor(ws) {
+    const profile = this.supervisorProfiles.get(ws);
     this.supervisors.delete(ws);
+    this.supervisorProfiles.delete(ws);
+    this.sessions.forEach((session) => {
+      session.monitors.delete(ws);
+      session.subscribers.delete(ws);
+    });
     logger.info(`Supervisor removed (total: ${this.supervisors.size})`);
+
+    // Still connected in another tab: keep their offers
+    if (profile && !this.getSupervisorSockets(profile.id).length) {
+      this.escalations.releaseSupervisor(profile.id);
+    }
+  }
+
+  getSupervisorProfile(ws) {
+    return this.supervisorProfiles.get(ws) || null;
+  }
+
+  /**
+   * Connected supervisors, one entry per supervisor ID
+   */
+  getSupervisorProfiles() {
+    const profiles = new Map();
+    this.supervisorProfiles.forEach((profile) => profiles.set(profile.id, profile));
+    return Array.from(profiles.values());
+  }
+
+  /**
+   * Sockets of a supervisor (one per open dashboard)
+   */
+  getSupervisorSockets(supervisorId) {
+    const sockets = [];
+    this.supervisorProfiles.forEach((profile, ws) => {
+      if (profile.id === supervisorId) sockets.push(ws);
+    });
+    return sockets;
+  }
+
+  /**
+   * Calls a supervisor has taken over and not yet handed back or finished
+   */
+  getSupervisorLoad(supervisorId) {
+    let load = 0;
+    this.sessions.forEach((session) => {
+      if (
+        session.takenOverBy === supervisorId &&
+        ["waiting", "active"].includes(session.status)
+      ) {
+        load++;
+      }
+    });
+    return load;
   }
 
   /**
@@ -157,16 +620,143 @@ export class ConversationManager {
 
   /**
    * Add message to transcript
+   * @returns {Object|null} The stored entry (mutate it, then call markChanged)
    */
   addToTranscript(sessionId, message) {
     const session = this.sessions.get(sessionId);
     if (session) {
-      session.transcript.push({
-        ...message,
-        timestamp: message.timestamp || Date.now(),
+      const entry = { ...message, timestamp: message.timestamp || Date.now() };
+      session.transcript.push(entry);
+      this.markChanged(sessionId);
+      return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Schedule a write of the session (call after changing it in place)
+   */
+  markChanged(sessionId) {
+    if (!this.database || this.pendingWrites.has(sessionId)) return;
+
+    const timer = setTimeout(() => this.persist(sessionId), this.persistDelayMs);
+    this.pendingWrites.set(sessionId, timer);
+  }
+
+  /**
+   * Write a session to the database now
+   */
+  async persist(sessionId) {
+    clearTimeout(this.pendingWrites.get(sessionId));
+    this.pendingWrites.delete(sessionId);
+
+    const session = this.sessions.get(sessionId);
+    if (!session || !this.database) return;
+
+    const state = {};
+    for (const [key, value] of Object.entries(session)) {
+      if (key !== "transcript" && !RUNTIME_FIELDS.includes(key)) {
+        state[key] = value;
+      }
+    }
+
+    try {
+      await this.database.saveLiveSession({
+        sessionId,
+        status: session.status,
+        state,
+        transcript: session.transcript,
+        createdAt: session.createdAt,
       });
-      return true;
+    } catch (error) {
+      logger.error(`Failed to persist session ${sessionId}:`, error.message);
     }
-    return false;
+  }
+
+  /**
+   * Write all pending changes (before shutdown)
+   */
+  async flush() {
+    await Promise.all(
+      Array.from(this.pendingWrites.keys()).map((id) => this.persist(id)),
+    );
+  }
+
+  /**
+   * Rehydrate calls persisted before a restart. Completed calls (already in
+   * call_summaries) are dropped. The rest come back without sockets or an AI
+   * session, waiting for the customer to reconnect, and in AI mode: a
+   * supervisor who had taken over has to take over again.
+   * @param {Object} [options]
+   * @param {Function} [options.accept] - async (sessionId) => whether this node
+   *   takes the call (in a cluster, another node may already run it)
+   * @returns {Array} Restored sessions
+   */
+  async restore({ accept } = {}) {
+    if (!this.database) return [];
+
+    const restored = [];
+    for (const record of await this.database.getLiveSessions()) {
+      if (record.status === "completed") {
+        await this.database.deleteLiveSession(record.sessionId);
+        continue;
+      }
+      if (this.sessions.has(record.sessionId)) continue;
+      if (accept && !(await accept(record.sessionId))) continue;
+
+      const session = {
+        ...record.state,
+        id: record.sessionId,
+        transcript: record.transcript,
+        customerWs: null,
+        supervisorWs: null,
+        geminiSession: null,
+        monitors: new Set(),
+        subscribers: new Set(),
+        status: record.status === "ended" ? "ended" : "waiting",
+        mode: "ai",
+        customerConnected: false,
+        supervisorId: null,
+        takenOverBy: null,
+        aiStatus: "disconnected",
+        recoveredAt: Date.now(),
+      };
+      this.sessions.set(session.id, session);
+      this.markChanged(session.id);
+      restored.push(session);
+    }
+
+    if (restored.length > 0) {
+      logger.info(`Restored ${restored.length} session(s) after restart`);
+    }
+    return restored;
+  }
+
+  /**
+   * Get a condensed copy of the transcript for restoring AI context
+   * (e.g. after the Gemini Live connection drops)
+   * @param {string} sessionId
+   * @param {Object} [options]
+   * @param {number} [options.maxMessages=20] - Keep only the most recent messages
+   * @param {number} [options.maxChars=500] - Truncate each message to this length
+   * @returns {Array} [{role, content}]
+   */
+  getCondensedTranscript(sessionId, { maxMessages = 20, maxChars = 500 } = {}) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return [];
+
+    return session.transcript
+      .filter(
+        (msg) =>
+          ["customer", "ai", "supervisor"].includes(msg.role) && msg.content,
+      )
+      .slice(-maxMessages)
+      .map((msg) => ({
+        role: msg.role,
+        content:
+          msg.content.length > maxChars
+            ? msg.content.substring(0, maxChars) + "..."
+            : msg.content,
+      }));
   }
 }
@@ -18,7 +18,8 @@ class DatabaseManager {
    * Initialize database connection and create tables
    */
   async initialize() {
-    const dbPath = join(__dirname, "database", "copilot.db");
+    const dbPath =
+      process.env.DATABASE_PATH || join(__dirname, "database", "copilot.db");
 
     // Ensure directory exists
     await fs.mkdir(dirname(dbPath), { recursive: true });
@@ -33,10 +34,43 @@ class DatabaseManager {
     const schemaPath = join(__dirname, "database", "schema.sql");
     const schema = await fs.readFile(schemaPath, "utf-8");
     await this.db.exec(schema);
+    await this.migrate();
 
     logger.info("Database initialized successfully");
   }
 
+  /**
+   * Add columns introduced after a table was first created
+   * (CREATE TABLE IF NOT EXISTS leaves existing tables untouched)
+   */
+  async migrate() {
+    const columns = [
+      ["personas", "allowed_languages", "TEXT NOT NULL DEFAULT '[]'"],
+      ["call_summaries", "summary_language", "TEXT NOT NULL DEFAULT 'en'"],
+      ["call_summaries", "interruption_count", "INTEGER DEFAULT 0"],
+      ["call_summaries", "prompt_version", "TEXT"],
+      ["analytics_cache", "prompt_version", "TEXT"],
+      ["coaching_cache", "prompt_version", "TEXT"],
+      ["call_summaries", "prompt_variant", "TEXT"],
+      ["call_summaries", "summary_edit_count", "INTEGER DEFAULT 0"],
+      ["call_summaries", "summary_edited_at", "INTEGER"],
+      ["call_summaries", "coaching_suggestions_used", "INTEGER DEFAULT 0"],
+      ["coaching_cache", "prompt_variant", "TEXT"],
+      ["call_summaries", "ownership_changes", "TEXT"],
+      ["users", "token_version", "INTEGER DEFAULT 0"],
+    ];
+
+    for (const [table, column, definition] of columns) {
+      const existing = await this.db.all(`PRAGMA table_info(${table})`);
+      if (!existing.some((c) => c.name === column)) {
+        await this.db.exec(
+          `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`,
+        );
+        logger.info(`Added column ${table}.${column}`);
+      }
+    }
+  }
+
   /**
    * Save call summary
    */
@@ -54,10 +88,11 @@ class DatabaseManager {
         frustration_avg, frustration_max, frustration_trend,
         escalation_count, escalation_alerts,
         supervisor_interventions, supervisor_id, supervisor_takeover_duration,
-        full_summary, insights,
+        ownership_changes, interruption_count, coaching_suggestions_used,
+        full_summary, insights, summary_language, prompt_version, prompt_variant,
         transcript,
         first_message_at, last_message_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `,
       [
         sessionId,
@@ -78,8 +113,14 @@ class DatabaseManager {
         sessionData.supervisorInterventions || 0,
         sessionData.supervisorId || null,
         sessionData.supervisorTakeoverDuration || 0,
+        JSON.stringify(sessionData.ownershipHistory || []),
+        sessionData.interruptionCount || 0,
+        sessionData.coachingSuggestionsUsed || 0,
         summary.fullText || "",
         summary.insights || "",
+        summary.language || "en",
+        summary.promptVersion || null,
+        summary.promptVariant || null,
         JSON.stringify(transcript),
         firstMessage?.timestamp || firstMessage?.createdAt || null,
         lastMessage?.timestamp || lastMessage?.createdAt || null,
@@ -137,6 +178,69 @@ class DatabaseManager {
     );
   }
 
+  /**
+   * Apply a supervisor's corrections to a saved summary
+   * @param {string} sessionId
+   * @param {Object} changes - Any of { fullText, insights, keyTopics, actionItems, resolutionStatus }
+   * @returns {Object|null} The updated row, null if there is no summary
+   */
+  async updateSummary(sessionId, changes) {
+    const fields = {
+      fullText: ["full_summary", (v) => v],
+      insights: ["insights", (v) => v],
+      keyTopics: ["key_topics", (v) => JSON.stringify(v)],
+      actionItems: ["action_items", (v) => JSON.stringify(v)],
+      resolutionStatus: ["resolution_status", (v) => v],
+    };
+    const sets = [];
+    const params = [];
+    for (const [key, [column, toValue]] of Object.entries(fields)) {
+      if (changes[key] === undefined) continue;
+      sets.push(`${column} = ?`);
+      params.push(toValue(changes[key]));
+    }
+
+    sets.push("summary_edit_count = summary_edit_count + 1", "summary_edited_at = ?");
+    params.push(Date.now(), sessionId);
+
+    const result = await this.db.run(
+      `UPDATE call_summaries SET ${sets.join(", ")} WHERE session_id = ?`,
+      params,
+    );
+    if (result.changes === 0) return null;
+
+    logger.info(`Call summary edited: ${sessionId}`);
+    return await this.getSummary(sessionId);
+  }
+
+  /**
+   * Outcomes per variant of a prompt experiment
+   * @param {string} experiment - "summary" (call_summaries.prompt_variant) or
+   *   "coaching" (coaching_cache.prompt_variant)
+   */
+  async getExperimentStats(experiment) {
+    const variant =
+      experiment === "coaching" ? "c.prompt_variant" : "s.prompt_variant";
+    const promptVersion =
+      experiment === "coaching" ? "c.prompt_version" : "s.prompt_version";
+
+    return await this.db.all(`
+      SELECT
+        ${variant} as variant,
+        GROUP_CONCAT(DISTINCT ${promptVersion}) as prompt_versions,
+        COUNT(*) as calls,
+        COUNT(CASE WHEN s.resolution_status = 'resolved' THEN 1 END) as resolved_count,
+        COUNT(CASE WHEN s.summary_edit_count > 0 THEN 1 END) as edited_count,
+        COUNT(CASE WHEN s.coaching_suggestions_used > 0 THEN 1 END) as coaching_used_count,
+        SUM(s.coaching_suggestions_used) as suggestions_used
+      FROM call_summaries s
+      LEFT JOIN coaching_cache c ON c.session_id = s.session_id
+      WHERE ${variant} IS NOT NULL
+      GROUP BY ${variant}
+      ORDER BY ${variant}
+    `);
+  }
+
   /**
    * Get summary statistics
    */
@@ -147,6 +251,7 @@ class DatabaseManager {
         AVG(duration) as avg_duration,
         AVG(frustration_avg) as avg_frustration,
         SUM(supervisor_interventions) as total_interventions,
+        SUM(interruption_count) as total_interruptions,
         COUNT(CASE WHEN resolution_status = 'resolved' THEN 1 END) as resolved_count,
         COUNT(CASE WHEN overall_sentiment = 'frustrated' THEN 1 END) as frustrated_count
       FROM call_summaries
@@ -165,8 +270,8 @@ class DatabaseManager {
       `
       INSERT OR REPLACE INTO analytics_cache (
         session_id, last_updated, intent, sentiment, 
-        sentiment_score, escalation_risk, key_issues
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        sentiment_score, escalation_risk, key_issues, prompt_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `,
       [
         sessionId,
@@ -176,6 +281,7 @@ class DatabaseManager {
         analytics.sentimentScore,
         analytics.escalationRisk,
         JSON.stringify(analytics.keyIssues || []),
+        analytics.promptVersion || null,
       ],
     );
   }
@@ -190,8 +296,8 @@ class DatabaseManager {
       `
       INSERT OR REPLACE INTO coaching_cache (
         session_id, last_updated, tone, priority,
-        coaching_tip, suggested_responses
-      ) VALUES (?, ?, ?, ?, ?, ?)
+        coaching_tip, suggested_responses, prompt_version, prompt_variant
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `,
       [
         sessionId,
@@ -200,9 +306,368 @@ class DatabaseManager {
         coaching.priority,
         coaching.coachingTip,
         JSON.stringify(coaching.suggestedResponses || []),
+        coaching.promptVersion || null,
+        coaching.promptVariant || null,
       ],
     );
   }
+
+  /**
+   * Write the state of a live call (insert or replace)
+   * @param {Object} record - { sessionId, status, state, transcript, createdAt }
+   */
+  async saveLiveSession(record) {
+    await this.db.run(
+      `
+      INSERT OR REPLACE INTO live_sessions (
+        session_id, status, state, transcript, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [
+        record.sessionId,
+        record.status,
+        JSON.stringify(record.state),
+        JSON.stringify(record.transcript || []),
+        record.createdAt || Date.now(),
+        Date.now(),
+      ],
+    );
+  }
+
+  /**
+   * All persisted live calls, oldest first, with state/transcript parsed
+   */
+  async getLiveSessions() {
+    const rows = await this.db.all(
+      "SELECT * FROM live_sessions ORDER BY created_at ASC",
+    );
+    return rows.map((row) => ({
+      sessionId: row.session_id,
+      status: row.status,
+      state: JSON.parse(row.state),
+      transcript: JSON.parse(row.transcript),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    }));
+  }
+
+  async deleteLiveSession(sessionId) {
+    await this.db.run("DELETE FROM live_sessions WHERE session_id = ?", [
+      sessionId,
+    ]);
+  }
+
+  /**
+   * Record token usage of one model request
+   * @param {Object} entry - { sessionId, feature, model, promptTokens, outputTokens, totalTokens, costUsd, createdAt }
+   */
+  async saveTokenUsage(entry) {
+    await this.db.run(
+      `
+      INSERT INTO token_usage (
+        session_id, feature, model, prompt_tokens,
+        output_tokens, total_tokens, cost_usd, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        entry.sessionId,
+        entry.feature,
+        entry.model,
+        entry.promptTokens,
+        entry.outputTokens,
+        entry.totalTokens,
+        entry.costUsd,
+        entry.createdAt,
+      ],
+    );
+  }
+
+  /**
+   * Token usage and cost of one call, per feature
+   */
+  async getSessionUsage(sessionId) {
+    return await this.db.all(
+      `
+      SELECT
+        feature,
+        COUNT(*) as requests,
+        SUM(prompt_tokens) as prompt_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(total_tokens) as total_tokens,
+        SUM(cost_usd) as cost_usd
+      FROM token_usage
+      WHERE session_id = ?
+      GROUP BY feature
+      ORDER BY cost_usd DESC
+    `,
+      [sessionId],
+    );
+  }
+
+  /**
+   * Daily token usage and cost per feature (UTC days), newest first
+   * @param {number} [days=30] - How many days back to include
+   */
+  async getDailyUsage(days = 30) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    return await this.db.all(
+      `
+      SELECT
+        date(created_at / 1000, 'unixepoch') as day,
+        feature,
+        COUNT(*) as requests,
+        COUNT(DISTINCT session_id) as sessions,
+        SUM(prompt_tokens) as prompt_tokens,
+        SUM(output_tokens) as output_tokens,
+        SUM(total_tokens) as total_tokens,
+        SUM(cost_usd) as cost_usd
+      FROM token_usage
+      WHERE created_at >= ?
+      GROUP BY day, feature
+      ORDER BY day DESC, cost_usd DESC
+    `,
+      [since],
+    );
+  }
+
+  /**
+   * Get all agent personas
+   */
+  async getPersonas() {
+    const rows = await this.db.all("SELECT * FROM personas ORDER BY name ASC");
+    return rows.map(parsePersona);
+  }
+
+  /**
+   * Get a single persona by ID
+   */
+  async getPersona(personaId) {
+    const row = await this.db.get("SELECT * FROM personas WHERE id = ?", [
+      personaId,
+    ]);
+    return row ? parsePersona(row) : null;
+  }
+
+  /**
+   * Create a persona
+   * @param {Object} persona - { id, name, voice, model, language, allowed_languages, instructions, greeting }
+   */
+  async createPersona(persona) {
+    const now = Date.now();
+    await this.db.run(
+      `
+      INSERT INTO personas (
+        id, name, voice, model, language, allowed_languages,
+        instructions, greeting, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        persona.id,
+        persona.name,
+        persona.voice,
+        persona.model,
+        persona.language,
+        JSON.stringify(persona.allowed_languages || []),
+        persona.instructions,
+        persona.greeting || null,
+        now,
+        now,
+      ],
+    );
+    return await this.getPersona(persona.id);
+  }
+
+  /**
+   * Update a persona
+   * @param {string} personaId - Persona ID
+   * @param {Object} persona - Full persona fields (merged by the caller)
+   */
+  async updatePersona(personaId, persona) {
+    await this.db.run(
+      `
+      UPDATE personas SET
+        name = ?, voice = ?, model = ?, language = ?, allowed_languages = ?,
+        instructions = ?, greeting = ?, updated_at = ?
+      WHERE id = ?
+    `,
+      [
+        persona.name,
+        persona.voice,
+        persona.model,
+        persona.language,
+        JSON.stringify(persona.allowed_languages || []),
+        persona.instructions,
+        persona.greeting || null,
+        Date.now(),
+        personaId,
+      ],
+    );
+    return await this.getPersona(personaId);
+  }
+
+  /**
+   * Delete a persona
+   * @returns {boolean} True if a row was deleted
+   */
+  async deletePersona(personaId) {
+    const result = await this.db.run("DELETE FROM personas WHERE id = ?", [
+      personaId,
+    ]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Get all users
+   */
+  async getUsers() {
+    return await this.db.all("SELECT * FROM users ORDER BY id");
+  }
+
+  /**
+   * Get a user
+   * @param {string} userId - User ID
+   */
+  async getUser(userId) {
+    return await this.db.get("SELECT * FROM users WHERE id = ?", [userId]);
+  }
+
+  /**
+   * Create a user
+   * @param {Object} user - { id, name, role, password_hash, api_token_hash }
+   */
+  async createUser(user) {
+    const now = Date.now();
+    await this.db.run(
+      `
+      INSERT INTO users (
+        id, name, role, password_hash, api_token_hash, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        user.id,
+        user.name || null,
+        user.role,
+        user.password_hash || null,
+        user.api_token_hash || null,
+        now,
+        now,
+      ],
+    );
+    return await this.db.get("SELECT * FROM users WHERE id = ?", [user.id]);
+  }
+
+  /**
+   * Update a user
+   * @param {string} userId - User ID
+   * @param {Object} user - Full user fields (merged by the caller)
+   */
+  async updateUser(userId, user) {
+    await this.db.run(
+      `
+      UPDATE users SET
+        name = ?, role = ?, password_hash = ?, api_token_hash = ?, token_version = ?,
+        updated_at = ?
+      WHERE id = ?
+    `,
+      [
+        user.name || null,
+        user.role,
+        user.password_hash || null,
+        user.api_token_hash || null,
+        user.token_version || 0,
+        Date.now(),
+        userId,
+      ],
+    );
+    return await this.db.get("SELECT * FROM users WHERE id = ?", [userId]);
+  }
+
+  /**
+   * Delete a user
+   * @returns {boolean} True if a row was deleted
+   */
+  async deleteUser(userId) {
+    const result = await this.db.run("DELETE FROM users WHERE id = ?", [userId]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Record one audit event
+   * @param {Object} entry - { actorId, actorRole, sessionId, action, target, outcome, payloadHash, createdAt }
+   */
+  async saveAuditEvent(entry) {
+    await this.db.run(
+      `
+      INSERT INTO audit_events (
+        created_at, actor_id, actor_role, session_id,
+        action, target, outcome, payload_hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        entry.createdAt,
+        entry.actorId,
+        entry.actorRole,
+        entry.sessionId,
+        entry.action,
+        entry.target,
+        entry.outcome,
+        entry.payloadHash,
+      ],
+    );
+  }
+
+  /**
+   * Audit events, newest first (paginated)
+   * @param {Object} [options] - Any of { sessionId, actorId, action, outcome, since, until, limit, offset }
+   */
+  async getAuditEvents(options = {}) {
+    const { sessionId, actorId, action, outcome, since, until, limit = 100, offset = 0 } = options;
+
+    let query = "SELECT * FROM audit_events WHERE 1=1";
+    const params = [];
+
+    if (sessionId) {
+      query += " AND session_id = ?";
+      params.push(sessionId);
+    }
+
+    if (actorId) {
+      query += " AND actor_id = ?";
+      params.push(actorId);
+    }
+
+    if (action) {
+      query += " AND action = ?";
+      params.push(action);
+    }
+
+    if (outcome) {
+      query += " AND outcome = ?";
+      params.push(outcome);
+    }
+
+    if (since) {
+      query += " AND created_at >= ?";
+      params.push(since);
+    }
+
+    if (until) {
+      query += " AND created_at < ?";
+      params.push(until);
+    }
+
+    query += " ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?";
+    params.push(limit, offset);
+
+    return await this.db.all(query, params);
+  }
+}
+
+function parsePersona(row) {
+  return {
+    ...row,
+    allowed_languages: JSON.parse(row.allowed_languages || "[]"),
+  };
 }
 
 export default new DatabaseManager();
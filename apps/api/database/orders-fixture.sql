@@ -0,0 +1,22 @@
+-- Sample orders used by the lookup_order tool (offline demo/test data)
+CREATE TABLE IF NOT EXISTS orders (
+  order_id TEXT PRIMARY KEY,
+  customer_name TEXT NOT NULL,
+  customer_email TEXT,
+  status TEXT NOT NULL,
+  items TEXT NOT NULL,
+  total REAL NOT NULL,
+  currency TEXT DEFAULT 'USD',
+  carrier TEXT,
+  tracking_number TEXT,
+  ordered_at TEXT NOT NULL,
+  estimated_delivery TEXT,
+  delivered_at TEXT
+);
+
+INSERT OR IGNORE INTO orders VALUES
+  ('A1001', 'Priya Shah', 'priya@example.com', 'shipped', '["Wireless Headphones"]', 89.99, 'USD', 'UPS', '1Z999AA10123456784', '2025-01-10', '2025-01-15', NULL),
+  ('A1002', 'James Miller', 'james@example.com', 'delivered', '["USB-C Charger", "Phone Case"]', 34.50, 'USD', 'FedEx', '7946 1234 5678', '2025-01-02', '2025-01-06', '2025-01-05'),
+  ('A1003', 'Aarav Patel', 'aarav@example.com', 'processing', '["Smart Watch"]', 199.00, 'USD', NULL, NULL, '2025-01-14', '2025-01-21', NULL),
+  ('A1004', 'Maria Garcia', 'maria@example.com', 'delayed', '["Bluetooth Speaker", "Charging Dock"]', 124.98, 'USD', 'DHL', 'JD014600003828', '2025-01-05', '2025-01-09', NULL),
+  ('A1005', 'Chen Wei', 'chen@example.com', 'cancelled', '["Laptop Stand"]', 45.00, 'USD', NULL, NULL, '2025-01-08', NULL, NULL);
@@ -32,10 +32,22 @@ CREATE TABLE IF NOT EXISTS call_summaries (
   supervisor_interventions INTEGER DEFAULT 0,
   supervisor_id TEXT,
   supervisor_takeover_duration INTEGER DEFAULT 0,
+  ownership_changes TEXT, -- JSON array of transfers and forced overrides between supervisors
+  
+  -- Barge-in (customer talked over the AI)
+  interruption_count INTEGER DEFAULT 0,
+
+  -- Supervisor messages started from an AI coaching suggestion
+  coaching_suggestions_used INTEGER DEFAULT 0,
   
   -- AI-generated content
   full_summary TEXT NOT NULL,
   insights TEXT,
+  summary_language TEXT NOT NULL DEFAULT 'en', -- Language the summary was written in
+  prompt_version TEXT, -- Prompt template that produced the summary (e.g. summary@v1), NULL for fallbacks
+  prompt_variant TEXT, -- Summary experiment variant (PROMPT_EXPERIMENTS), NULL outside experiments
+  summary_edit_count INTEGER DEFAULT 0, -- Times a supervisor corrected the summary
+  summary_edited_at INTEGER,
   
   -- Full conversation backup
   transcript TEXT NOT NULL,
@@ -61,6 +73,7 @@ CREATE TABLE IF NOT EXISTS analytics_cache (
   sentiment_score INTEGER,
   escalation_risk TEXT,
   key_issues TEXT,
+  prompt_version TEXT, -- e.g. analysis@v1 or turn@v1, NULL for keyword fallbacks
   FOREIGN KEY (session_id) REFERENCES call_summaries(session_id)
 );
 
@@ -72,5 +85,77 @@ CREATE TABLE IF NOT EXISTS coaching_cache (
   priority TEXT,
   coaching_tip TEXT,
   suggested_responses TEXT,
+  prompt_version TEXT, -- e.g. coaching@v1 or turn@v1, NULL for fallbacks
+  prompt_variant TEXT, -- Coaching experiment variant, NULL outside experiments
   FOREIGN KEY (session_id) REFERENCES call_summaries(session_id)
 );
+
+
+-- Agent personas (voice, model and system prompt per brand/queue)
+CREATE TABLE IF NOT EXISTS personas (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  voice TEXT NOT NULL DEFAULT 'Kore',
+  model TEXT NOT NULL DEFAULT 'gemini-2.5-flash-native-audio-latest',
+  language TEXT NOT NULL DEFAULT 'en-US',
+  allowed_languages TEXT NOT NULL DEFAULT '[]', -- JSON array of ISO 639-1 codes, empty = any
+  instructions TEXT NOT NULL,
+  greeting TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Token usage per model request (cost accounting)
+CREATE TABLE IF NOT EXISTS token_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT, -- NULL for requests not tied to a call
+  feature TEXT NOT NULL, -- sentiment, analytics, coaching, turn_analysis, summary, translation, handoff, live_audio
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_session ON token_usage(session_id);
+CREATE INDEX IF NOT EXISTS idx_usage_created_at ON token_usage(created_at);
+
+-- Live calls, written through as they change so a restart can rehydrate them
+CREATE TABLE IF NOT EXISTS live_sessions (
+  session_id TEXT PRIMARY KEY,
+  status TEXT NOT NULL,
+  state TEXT NOT NULL, -- JSON session fields (no sockets or live AI session)
+  transcript TEXT NOT NULL, -- JSON array
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- Dashboard and REST API users (see auth-manager.js)
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY, -- Login name, also the supervisor ID calls are routed by
+  name TEXT,
+  role TEXT NOT NULL, -- agent, supervisor, admin, analyst
+  password_hash TEXT, -- scrypt$<salt>$<hash>, NULL for API-token-only users
+  api_token_hash TEXT, -- SHA-256 of the user's API token, NULL if none issued
+  token_version INTEGER DEFAULT 0, -- Bumped on password change; older session tokens stop working
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+-- What dashboard users did: supervisor commands on calls and REST changes (see audit-log.js)
+CREATE TABLE IF NOT EXISTS audit_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  actor_id TEXT NOT NULL, -- User ID (same as the supervisor ID)
+  actor_role TEXT,
+  session_id TEXT, -- Call the action was on, NULL for personas, users and prompts
+  action TEXT NOT NULL, -- Supervisor message type (takeover, end_call...) or REST action (summary_edit...)
+  target TEXT, -- Persona or user changed, NULL for call actions
+  outcome TEXT NOT NULL DEFAULT 'ok', -- ok, denied (role or call ownership), failed
+  payload_hash TEXT -- SHA-256 of the message or request body (secrets redacted)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_created_at ON audit_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_session ON audit_events(session_id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_events(actor_id);
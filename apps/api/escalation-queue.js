@@ -0,0 +1,253 @@
+import { EventEmitter } from "events";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Escalations");
+
+/**
+ * Escalation Queue
+ * Calls that need a human wait here until one supervisor accepts them. The
+ * most frustrated call goes first (longest wait breaks ties) and is offered to
+ * a single available supervisor: connected, below their capacity (calls taken
+ * over plus open offers) and preferably with the call's skills (its persona
+ * and, for non-English calls, its language). A declined or unanswered offer
+ * moves on to the next supervisor. Someone who declined isn't asked again
+ * until the decline wears off; someone who let an offer lapse is only asked
+ * again once nobody else is free. A call nobody can take stays queued until
+ * someone connects, frees up or their decline wears off.
+ *
+ * Emits "queued" ({ escalation }) for a new escalation, "offered",
+ * "accepted", "declined" and "timeout" ({ escalation, supervisorId }), and
+ * "changed" (list()) whenever the queue changes
+ */
+export class EscalationQueue extends EventEmitter {
+  /**
+   * @param {import("./conversation-manager.js").ConversationManager} conversationManager
+   * @param {Object} [options]
+   * @param {number} [options.offerTimeoutMs=30000] - Re-route an offer nobody answered after this long
+   * @param {number} [options.declineCooldownMs=120000] - Offer a call again to a
+   *   supervisor who declined it after this long
+   */
+  constructor(conversationManager, options = {}) {
+    super();
+    this.conversationManager = conversationManager;
+    this.offerTimeoutMs = options.offerTimeoutMs ?? 30 * 1000;
+    this.declineCooldownMs = options.declineCooldownMs ?? 2 * 60 * 1000;
+    this.entries = new Map(); // sessionId -> escalation
+    this.offerTimers = new Map(); // sessionId -> timer
+    this.retryTimer = null; // re-routes when the next decline wears off
+  }
+
+  /**
+   * Queue a call for a supervisor (or update its priority if already queued)
+   * @returns {Object|null} The escalation, null if the call can't be escalated
+   *   (unknown, over, or a supervisor is already on it)
+   */
+  escalate(sessionId, { reason, frustrationLevel = 0 } = {}) {
+    const session = this.conversationManager.getSession(sessionId);
+    if (
+      !session ||
+      session.mode !== "ai" ||
+      !["waiting", "active"].includes(session.status)
+    ) {
+      return null;
+    }
+
+    let escalation = this.entries.get(sessionId);
+    if (escalation) {
+      escalation.reason = reason || escalation.reason;
+      escalation.frustrationLevel = Math.max(escalation.frustrationLevel, frustrationLevel);
+    } else {
+      escalation = {
+        sessionId,
+        reason: reason || "Escalation requested",
+        frustrationLevel,
+        requiredSkills: [
+          session.personaId,
+          session.language !== "en" && session.language,
+        ].filter(Boolean),
+        queuedAt: Date.now(),
+        offeredTo: null,
+        offerExpiresAt: null,
+        declinedBy: new Map(), // supervisorId -> when they declined
+        missedBy: new Set(), // supervisors whose offer timed out
+      };
+      this.entries.set(sessionId, escalation);
+      logger.info(`Session ${sessionId} escalated: ${escalation.reason}`);
+      this.emit("queued", { escalation });
+    }
+
+    this.emit("changed", this.list());
+    this.route();
+    return escalation;
+  }
+
+  /**
+   * Drop a call from the queue (taken over, ended)
+   */
+  remove(sessionId) {
+    if (!this.entries.has(sessionId)) return false;
+
+    this.clearOffer(sessionId);
+    this.entries.delete(sessionId);
+    this.emit("changed", this.list());
+    return true;
+  }
+
+  /**
+   * Queued calls, highest priority first
+   */
+  prioritized() {
+    return Array.from(this.entries.values()).sort(
+      (a, b) => b.frustrationLevel - a.frustrationLevel || a.queuedAt - b.queuedAt,
+    );
+  }
+
+  /**
+   * Offer every unoffered call, in priority order, to an available supervisor
+   */
+  route() {
+    clearTimeout(this.retryTimer);
+    let retryAt = Infinity;
+
+    for (const escalation of this.prioritized()) {
+      if (escalation.offeredTo) continue;
+
+      const supervisor = this.pickSupervisor(escalation);
+      if (!supervisor) {
+        escalation.declinedBy.forEach((declinedAt) => {
+          retryAt = Math.min(retryAt, declinedAt + this.declineCooldownMs);
+        });
+        continue;
+      }
+
+      escalation.offeredTo = supervisor.id;
+      escalation.offerExpiresAt = Date.now() + this.offerTimeoutMs;
+      const timer = setTimeout(() => this.expire(escalation.sessionId), this.offerTimeoutMs);
+      timer.unref?.();
+      this.offerTimers.set(escalation.sessionId, timer);
+
+      logger.info(`Offering session ${escalation.sessionId} to ${supervisor.id}`);
+      this.emit("offered", { escalation, supervisorId: supervisor.id });
+      this.emit("changed", this.list());
+    }
+
+    if (retryAt < Infinity) {
+      this.retryTimer = setTimeout(() => this.route(), Math.max(0, retryAt - Date.now()));
+      this.retryTimer.unref?.();
+    }
+  }
+
+  /**
+   * Least busy available supervisor, preferring those with every required skill.
+   * Supervisors who declined the call are skipped until their decline wears off,
+   * and those who let an offer lapse only get it when nobody else is free
+   */
+  pickSupervisor(escalation) {
+    const now = Date.now();
+    escalation.declinedBy.forEach((declinedAt, supervisorId) => {
+      if (now - declinedAt >= this.declineCooldownMs) escalation.declinedBy.delete(supervisorId);
+    });
+
+    const available = this.conversationManager
+      .getSupervisorProfiles()
+      .filter((supervisor) => !escalation.declinedBy.has(supervisor.id))
+      .map((supervisor) => ({ ...supervisor, load: this.getLoad(supervisor.id) }))
+      .filter((supervisor) => supervisor.load < supervisor.capacity)
+      .sort((a, b) => a.load - b.load);
+    const fresh = available.filter((supervisor) => !escalation.missedBy.has(supervisor.id));
+    const candidates = fresh.length > 0 ? fresh : available;
+
+    const skilled = candidates.find((supervisor) =>
+      escalation.requiredSkills.every((skill) => supervisor.skills.includes(skill)),
+    );
+    return skilled || candidates[0] || null;
+  }
+
+  /**
+   * Calls a supervisor has taken over plus calls currently offered to them
+   */
+  getLoad(supervisorId) {
+    let offers = 0;
+    this.entries.forEach((escalation) => {
+      if (escalation.offeredTo === supervisorId) offers++;
+    });
+    return this.conversationManager.getSupervisorLoad(supervisorId) + offers;
+  }
+
+  /**
+   * @returns {Object|null} The escalation, null if it isn't offered to this supervisor
+   */
+  accept(sessionId, supervisorId) {
+    const escalation = this.entries.get(sessionId);
+    if (!escalation || escalation.offeredTo !== supervisorId) return null;
+
+    this.remove(sessionId);
+    logger.info(`Session ${sessionId} accepted by ${supervisorId}`);
+    this.emit("accepted", { escalation, supervisorId });
+    return escalation;
+  }
+
+  /**
+   * @returns {Object|null} The escalation, null if it isn't offered to this supervisor
+   */
+  decline(sessionId, supervisorId) {
+    const escalation = this.entries.get(sessionId);
+    if (!escalation || escalation.offeredTo !== supervisorId) return null;
+
+    escalation.declinedBy.set(supervisorId, Date.now());
+    this.clearOffer(sessionId);
+    logger.info(`Session ${sessionId} declined by ${supervisorId}`);
+    this.emit("declined", { escalation, supervisorId });
+    this.emit("changed", this.list());
+    this.route();
+    return escalation;
+  }
+
+  expire(sessionId) {
+    const escalation = this.entries.get(sessionId);
+    if (!escalation?.offeredTo) return;
+
+    const supervisorId = escalation.offeredTo;
+    escalation.missedBy.add(supervisorId);
+    this.clearOffer(sessionId);
+    logger.info(`Offer of session ${sessionId} to ${supervisorId} timed out`);
+    this.emit("timeout", { escalation, supervisorId });
+    this.emit("changed", this.list());
+    this.route();
+  }
+
+  /**
+   * A supervisor disconnected: their open offers go to someone else
+   */
+  releaseSupervisor(supervisorId) {
+    this.entries.forEach((escalation) => {
+      if (escalation.offeredTo === supervisorId) {
+        this.clearOffer(escalation.sessionId);
+      }
+    });
+    this.emit("changed", this.list());
+    this.route();
+  }
+
+  clearOffer(sessionId) {
+    clearTimeout(this.offerTimers.get(sessionId));
+    this.offerTimers.delete(sessionId);
+
+    const escalation = this.entries.get(sessionId);
+    if (escalation) {
+      escalation.offeredTo = null;
+      escalation.offerExpiresAt = null;
+    }
+  }
+
+  /**
+   * Queue in priority order, for dashboards
+   */
+  list() {
+    return this.prioritized().map(({ declinedBy, missedBy, ...escalation }) => ({
+      ...escalation,
+      declinedCount: declinedBy.size,
+      missedCount: missedBy.size,
+    }));
+  }
+}
@@ -1,99 +1,159 @@
 import { WebSocket } from "ws";
 import { EventEmitter } from "events";
 import { Logger } from "@gemini-copilot/shared";
+import { detectLanguage, languageName } from "./language-detector.js";
+import promptRegistry from "./prompt-registry.js";
 
 const logger = new Logger("GeminiLive");
 
 /**
- * Check if text is English-only (Latin characters, numbers, punctuation)
- * Returns false if text contains Devanagari, Gujarati, or other non-Latin scripts
+ * Built-in persona used when none is configured (Kora)
  */
-function isEnglishText(text) {
-  if (!text) return false;
-
-  // Regex pattern for non-English scripts (Devanagari, Gujarati, etc.)
-  // This matches Hindi, Gujarati, Bengali, Tamil, Telugu, and other Indic scripts
-  const nonLatinPattern =
-    /[\u0900-\u097F\u0A80-\u0AFF\u0980-\u09FF\u0B00-\u0B7F\u0C00-\u0C7F\u0C80-\u0CFF\u0D00-\u0D7F]/;
-
-  // If text contains non-Latin characters, reject it
-  if (nonLatinPattern.test(text)) {
-    logger.debug(`Rejected non-English text: "${text.substring(0, 50)}..."`);
-    return false;
-  }
-
-  // Also check if at least 50% of the text is Latin letters
-  const latinChars = text.match(/[a-zA-Z]/g) || [];
-  const totalChars = text.replace(/\s/g, "").length;
-
-  if (totalChars > 0 && latinChars.length / totalChars < 0.3) {
-    logger.debug(`Rejected low-Latin text: "${text.substring(0, 50)}..."`);
-    return false;
-  }
+export const DEFAULT_PERSONA = {
+  id: "kora",
+  name: "Kora",
+  voice: "Kore",
+  model: "gemini-2.5-flash-native-audio-latest",
+  language: "en-US",
+  // ISO 639-1 codes the agent may converse in; empty means any language
+  allowed_languages: [],
+  greeting: null,
+  // From prompts/kora.v<N>.txt, so a prompt reload applies to new calls
+  get instructions() {
+    return promptRegistry.render("kora").text;
+  },
+};
 
-  return true;
-}
+/**
+ * Voices supported by the Live API native audio models
+ */
+export const LIVE_VOICES = [
+  "Puck",
+  "Charon",
+  "Kore",
+  "Fenrir",
+  "Aoede",
+  "Leda",
+  "Orus",
+  "Zephyr",
+];
 
 export class GeminiLiveSession extends EventEmitter {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - Gemini API key
+   * @param {Object} [options]
+   * @param {number} [options.maxReconnectAttempts=5] - Give up after this many failed reconnects
+   * @param {number} [options.reconnectBaseDelay=500] - First backoff delay in ms (doubles each attempt)
+   * @param {number} [options.reconnectMaxDelay=8000] - Upper bound for a single backoff delay in ms
+   * @param {number} [options.maxBufferedAudioChunks=250] - Audio chunks kept while reconnecting (~10s)
+   * @param {import("./tool-registry.js").ToolRegistry} [options.toolRegistry] - Tools the AI may call
+   * @param {Object} [options.toolContext] - Passed to every tool handler (e.g. { sessionId })
+   * @param {Object} [options.persona] - { voice, model, language, allowed_languages, instructions, greeting } (defaults to Kora)
+   * @param {boolean} [options.resumed=false] - Continuing a call restored after a server restart:
+   *   replay the conversation instead of greeting
+   */
+  constructor(apiKey, options = {}) {
     super();
     this.apiKey = apiKey;
     this.ws = null;
     this.isActive = false;
     this.isPaused = false;
-    this.model = "gemini-2.5-flash-native-audio-latest";
+
+    // Reconnection state
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+    this.reconnectBaseDelay = options.reconnectBaseDelay ?? 500;
+    this.reconnectMaxDelay = options.reconnectMaxDelay ?? 8000;
+    this.maxBufferedAudioChunks = options.maxBufferedAudioChunks ?? 250;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.isReconnecting = false;
+    this.isClosing = false;
+    this.isSetupComplete = false;
+    this.audioBuffer = [];
+    // Returns [{role, content}] used to restore conversation context after a reconnect
+    this.resumeContextProvider = null;
+
+    // Function calling
+    this.toolRegistry = options.toolRegistry || null;
+    this.toolContext = options.toolContext || {};
+    this.cancelledToolCalls = new Set();
+
+    // Persona: voice, model, language, system prompt and greeting
+    const persona = { ...DEFAULT_PERSONA, ...(options.persona || {}) };
+    this.persona = persona;
+    this.model = persona.model;
+    this.voice = persona.voice;
+    this.language = persona.language;
+    this.allowedLanguages = persona.allowed_languages || [];
+    // Language the customer is currently speaking (from input transcription)
+    this.customerLanguage = null;
+    this.greeting = persona.greeting;
+    this.resumed = Boolean(options.resumed);
+    this.hasGreeted = this.resumed;
     this.host = "generativelanguage.googleapis.com";
     // Switch to v1beta as v1alpha might not support output_audio_transcription for this model
     this.uri = `wss://${this.host}/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent?key=${this.apiKey}`;
 
-    this.systemInstruction = `You are Kora, a friendly and professional customer support AI assistant.
-
-IMPORTANT: You are in voice conversation mode. Speak naturally and directly to the customer.
-Do NOT include any internal thoughts, meta-commentary, or markdown formatting in your speech.
-Just speak your response naturally as if talking to a person in English.
-
-Example:
-❌ BAD: "**Addressing the greeting** I've acknowledged..."
-✅ GOOD: "Hello! How can I help you today?"
-
-Note: Always respond in English. If you detect non-English input, respond naturally in English without commenting on the language.
-`;
+    this.systemInstruction = persona.instructions;
     // Buffer for accumulating transcription chunks
     this.transcriptionBuffer = "";
+    // Echo detection: Track recent AI responses to filter out speaker echo
+    this.recentAIResponses = [];
+    // Barge-in: times the customer talked over the AI this session
+    this.interruptionCount = 0;
   }
 
   /**
    * Initialize the Gemini Live session (WebSocket connection)
    */
   async initialize() {
+    this.isClosing = false;
+    return this.connect();
+  }
+
+  /**
+   * Open the upstream WebSocket. Used for the first connection and for reconnects.
+   */
+  connect() {
     return new Promise((resolve, reject) => {
       try {
+        this.isSetupComplete = false;
         this.ws = new WebSocket(this.uri);
+        const ws = this.ws;
 
-        this.ws.on("open", () => {
+        ws.on("open", () => {
           logger.info("[Gemini Live] ✅ Connected to Live API (v1beta)");
           this.isActive = true;
           this.setupSession();
           resolve(true);
         });
 
-        this.ws.on("message", (data) => {
+        ws.on("message", (data) => {
           this.handleMessage(data);
         });
 
-        this.ws.on("error", (error) => {
+        ws.on("error", (error) => {
           logger.error(
             `[Gemini Live] WebSocket error: ${error.message || error}`,
           );
           logger.error(`[Gemini Live] Error details:`, error);
-          this.emit("error", error);
+          // During a reconnect the close handler schedules the next attempt
+          if (!this.isReconnecting) {
+            this.emit("error", error);
+          }
           reject(error);
         });
 
-        this.ws.on("close", (code, reason) => {
+        ws.on("close", (code, reason) => {
+          // Ignore late close events from a socket we already replaced
+          if (ws !== this.ws) return;
+
           logger.info(`Disconnected: ${code} - ${reason}`);
           this.isActive = false;
-          this.emit("closed");
+          this.isSetupComplete = false;
+
+          if (this.isClosing) return;
+          this.scheduleReconnect();
         });
       } catch (error) {
         logger.error("Connection failed:", error);
@@ -102,6 +162,116 @@ Note: Always respond in English. If you detect non-English input, respond natura
     });
   }
 
+  /**
+   * Register a callback returning the conversation so far ([{role, content}]).
+   * It is replayed to Gemini after a reconnect so the AI can continue mid-call.
+   * @param {Function} provider
+   */
+  setResumeContextProvider(provider) {
+    this.resumeContextProvider = provider;
+  }
+
+  /**
+   * Schedule a reconnect attempt with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error(
+        `[Gemini Live] Giving up after ${this.reconnectAttempts} reconnect attempts`,
+      );
+      this.isReconnecting = false;
+      this.reconnectAttempts = 0;
+      this.audioBuffer = [];
+      this.emit("reconnect_failed");
+      this.emit("closed");
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts),
+      this.reconnectMaxDelay,
+    );
+    this.reconnectAttempts++;
+
+    this.isReconnecting = true;
+
+    logger.warn(
+      `[Gemini Live] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`,
+    );
+    this.emit("reconnecting", { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isClosing) return;
+      // Failures surface as a close event, which schedules the next attempt
+      this.connect().catch(() => {});
+    }, delay);
+  }
+
+  /**
+   * Called once the setup handshake completes on a reconnected socket:
+   * replays the conversation so far, then flushes audio buffered during the gap.
+   */
+  completeReconnect() {
+    const attempts = this.reconnectAttempts;
+    this.isReconnecting = false;
+    this.reconnectAttempts = 0;
+
+    this.sendResumeContext();
+
+    const buffered = this.audioBuffer;
+    this.audioBuffer = [];
+    if (!this.isPaused) {
+      buffered.forEach((chunk) => this.sendAudioChunk(chunk));
+    }
+
+    logger.info(
+      `[Gemini Live] ✅ Session resumed after ${attempts} attempt(s), flushed ${buffered.length} buffered audio chunks`,
+    );
+    this.emit("reconnected", {
+      attempts,
+      bufferedChunks: buffered.length,
+    });
+  }
+
+  /**
+   * Replay a condensed transcript so the AI picks up mid-conversation.
+   * Sent without turn_complete so the model waits for the customer to speak.
+   */
+  sendResumeContext() {
+    const history = this.resumeContextProvider?.() || [];
+    if (history.length === 0) return;
+
+    const turns = history.map((msg) => ({
+      role: msg.role === "customer" ? "user" : "model",
+      parts: [
+        {
+          text:
+            msg.role === "supervisor"
+              ? `[Human agent]: ${msg.content}`
+              : msg.content,
+        },
+      ],
+    }));
+
+    turns.unshift({
+      role: "user",
+      parts: [
+        {
+          text: "[SYSTEM UPDATE - CONNECTION RESUMED] The call was briefly interrupted by a network issue. The conversation so far follows. Continue naturally from where it left off without mentioning the interruption.",
+        },
+      ],
+    });
+
+    logger.info(`[Gemini Live] Replaying ${history.length} transcript messages`);
+    this.sendJson({
+      client_content: {
+        turns,
+        turn_complete: false,
+      },
+    });
+  }
+
   /**
    * Send initial setup message (Handshake)
    */
@@ -121,13 +291,14 @@ Note: Always respond in English. If you detect non-English input, respond natura
           speech_config: {
             voice_config: {
               prebuilt_voice_config: {
-                voice_name: "Kore",
+                voice_name: this.voice,
               },
             },
+            language_code: this.language,
           },
         },
         system_instruction: {
-          parts: [{ text: this.systemInstruction }],
+          parts: [{ text: this.buildSystemInstruction() }],
         },
         // Enable transcriptions
         input_audio_transcription: {},
@@ -135,17 +306,90 @@ Note: Always respond in English. If you detect non-English input, respond natura
       },
     };
 
+    // Advertise registered tools (function calling)
+    const tools = this.toolRegistry?.getDeclarations() || [];
+    if (tools.length > 0) {
+      setupMessage.setup.tools = tools;
+    }
+
     logger.info("Sending setup message to Gemini Live API");
     this.sendJson(setupMessage);
   }
 
+  /**
+   * Persona instructions plus guidance for any registered tools
+   */
+  buildSystemInstruction() {
+    let instruction = this.systemInstruction;
+
+    if (this.allowedLanguages.length > 0) {
+      const names = this.allowedLanguages.map(languageName).join(", ");
+      instruction += `
+You can help customers in: ${names}. If the customer speaks any other language, politely tell them (in ${languageName(this.allowedLanguages[0])}) which languages you support.
+`;
+    }
+
+    if (this.toolRegistry && this.toolRegistry.size > 0) {
+      instruction += `
+When a tool can answer the customer's question (for example looking up an order), use it instead of guessing, and tell the customer what you found.
+`;
+    }
+
+    return instruction;
+  }
+
+
+  /**
+   * Ask the AI to open the call with the persona greeting (first connection only)
+   */
+  sendGreeting() {
+    if (!this.greeting || this.hasGreeted) return;
+    this.hasGreeted = true;
+
+    logger.info(`Sending persona greeting: "${this.greeting}"`);
+    this.sendJson({
+      client_content: {
+        turns: [
+          {
+            role: "user",
+            parts: [
+              {
+                text: `[SYSTEM] The customer has just joined the call. Greet them with: "${this.greeting}"`,
+              },
+            ],
+          },
+        ],
+        turn_complete: true,
+      },
+    });
+  }
+
   /**
    * Send audio chunks to Gemini (16kHz PCM)
    * @param {string} base64Audio - Base64 encoded Int16 PCM audio
    */
   async sendAudio(base64Audio) {
-    if (!this.isActive || this.isPaused || !this.ws) return;
+    if (this.isPaused) return;
+
+    // Hold audio while the upstream socket is being re-established
+    if (this.isReconnecting || (this.isActive && !this.isSetupComplete)) {
+      this.audioBuffer.push(base64Audio);
+      if (this.audioBuffer.length > this.maxBufferedAudioChunks) {
+        this.audioBuffer.shift();
+      }
+      return;
+    }
 
+    if (!this.isActive || !this.ws) return;
+
+    this.sendAudioChunk(base64Audio);
+  }
+
+  /**
+   * Send a single realtime audio chunk
+   * @param {string} base64Audio - Base64 encoded Int16 PCM audio
+   */
+  sendAudioChunk(base64Audio) {
     const audioMessage = {
       realtime_input: {
         media_chunks: [
@@ -222,8 +466,6 @@ Note: Always respond in English. If you detect non-English input, respond natura
    * Handle incoming messages from Gemini
    */
   handleMessage(data) {
-    if (this.isPaused) return;
-
     try {
       let response;
       if (data instanceof Buffer) {
@@ -232,6 +474,55 @@ Note: Always respond in English. If you detect non-English input, respond natura
         response = JSON.parse(data);
       }
 
+      // Handle setup complete
+      if (response.setupComplete) {
+        logger.info("Gemini session setup complete");
+        this.isSetupComplete = true;
+
+        if (this.isReconnecting) {
+          this.completeReconnect();
+        } else if (this.resumed) {
+          this.sendResumeContext();
+        } else {
+          this.sendGreeting();
+        }
+
+        if (this.audioBuffer.length > 0) {
+          const buffered = this.audioBuffer;
+          this.audioBuffer = [];
+          buffered.forEach((chunk) => this.sendAudioChunk(chunk));
+        }
+      }
+
+      // Token usage for cost accounting (billed even while paused)
+      if (response.usageMetadata) {
+        const usage = response.usageMetadata;
+        this.emit("usage", {
+          feature: "live_audio",
+          model: this.model,
+          promptTokens: usage.promptTokenCount || 0,
+          outputTokens: usage.responseTokenCount || 0,
+          totalTokens: usage.totalTokenCount || 0,
+        });
+      }
+
+      // Setup must be tracked even while paused; everything else is dropped
+      if (this.isPaused) return;
+
+      // Handle function calls requested by the model
+      if (response.toolCall) {
+        this.handleToolCall(response.toolCall);
+      }
+
+      if (response.toolCallCancellation) {
+        for (const id of response.toolCallCancellation.ids || []) {
+          this.cancelledToolCalls.add(id);
+        }
+        logger.info(
+          `Tool calls cancelled: ${(response.toolCallCancellation.ids || []).join(", ")}`,
+        );
+      }
+
       // Handle ServerContent (Audio/Text)
       if (response.serverContent) {
         const content = response.serverContent;
@@ -330,16 +621,16 @@ Note: Always respond in English. If you detect non-English input, respond natura
           }
         }
 
-        // ... (Input transcription handling remains same) ...
+        // Customer talked over the AI (barge-in): the rest of this turn is discarded
+        if (content.interrupted) {
+          this.handleInterruption();
+        }
+
         if (content.inputTranscription) {
           const customerText = content.inputTranscription.text;
           logger.info(`[TRANSCRIPTION] Received: "${customerText}"`);
 
-          // Only process English text - reject Hindi/Gujarati/etc.
-          if (customerText && isEnglishText(customerText)) {
-            logger.info(
-              `[TRANSCRIPTION] Passed English check: "${customerText}"`,
-            );
+          if (customerText) {
             // Append to pending transcription buffer
             if (this.pendingInputTranscription) {
               this.pendingInputTranscription += " " + customerText;
@@ -355,42 +646,12 @@ Note: Always respond in English. If you detect non-English input, respond natura
             // Set a debounce timeout - emit after 400ms of no new words (faster feedback)
             this.transcriptionTimeout = setTimeout(() => {
               if (this.pendingInputTranscription) {
-                const completeText = this.pendingInputTranscription.trim();
-                // Final English check before emitting
-                if (isEnglishText(completeText)) {
-                  // Echo detection: Check if this matches any recent AI response
-                  const normalizedInput = completeText
-                    .toLowerCase()
-                    .replace(/[.,!?;:'"()-]/g, "")
-                    .trim();
-                  const isEcho = this.recentAIResponses.some((aiResp) => {
-                    // Check if customer input contains AI response or vice versa (partial match)
-                    return (
-                      normalizedInput.includes(aiResp.text) ||
-                      aiResp.text.includes(normalizedInput)
-                    );
-                  });
-
-                  if (isEcho) {
-                    logger.info(
-                      `[ECHO DETECTED] Skipping AI echo from customer input: "${completeText.substring(0, 50)}..."`,
-                    );
-                  } else {
-                    logger.info(`Customer (English): "${completeText}"`);
-                    this.emit("input_transcription", { text: completeText });
-                  }
-                } else {
-                  logger.debug(
-                    `Rejected non-English sentence: "${completeText.substring(0, 50)}..."`,
-                  );
-                }
+                this.emitInputTranscription(
+                  this.pendingInputTranscription.trim(),
+                );
                 this.pendingInputTranscription = "";
               }
             }, 400);
-          } else {
-            logger.warn(
-              `[TRANSCRIPTION] Failed English check: "${customerText}"`,
-            );
           }
         }
 
@@ -401,15 +662,135 @@ Note: Always respond in English. If you detect non-English input, respond natura
         }
       }
 
-      // Handle setup complete
-      if (response.setupComplete) {
-        logger.info("Gemini session setup complete");
-      }
     } catch (error) {
       logger.error("Error parsing message:", error);
     }
   }
 
+  /**
+   * Drop the unfinished AI sentence and tell listeners to stop playback
+   * partialText is what the AI had said of its current sentence when it was cut off
+   */
+  handleInterruption() {
+    const partialText = this.cleanTranscript(this.transcriptionBuffer.trim());
+    this.transcriptionBuffer = "";
+    this.interruptionCount++;
+
+    logger.info(
+      `AI interrupted by customer (#${this.interruptionCount})${partialText ? `: "${partialText}"` : ""}`,
+    );
+    this.emit("interrupted", {
+      partialText: partialText || null,
+      count: this.interruptionCount,
+    });
+  }
+
+  /**
+   * Emit a finished customer sentence tagged with its detected language
+   * Drops AI echo and languages the persona does not allow
+   */
+  emitInputTranscription(text) {
+    const language = detectLanguage(text);
+
+    if (!this.isLanguageAllowed(language)) {
+      logger.warn(
+        `Rejected ${languageName(language)} input (not allowed for persona): "${text.substring(0, 50)}..."`,
+      );
+      this.emit("language_rejected", { text, language });
+      return;
+    }
+
+    // Echo detection: Check if this matches any recent AI response
+    const normalizedInput = text
+      .toLowerCase()
+      .replace(/[.,!?;:'"()-]/g, "")
+      .trim();
+    const isEcho = this.recentAIResponses.some((aiResp) => {
+      // Check if customer input contains AI response or vice versa (partial match)
+      return (
+        normalizedInput.includes(aiResp.text) ||
+        aiResp.text.includes(normalizedInput)
+      );
+    });
+
+    if (isEcho) {
+      logger.info(
+        `[ECHO DETECTED] Skipping AI echo from customer input: "${text.substring(0, 50)}..."`,
+      );
+      return;
+    }
+
+    if (language !== "und" && language !== this.customerLanguage) {
+      const previous = this.customerLanguage;
+      this.customerLanguage = language;
+      logger.info(`Customer language: ${languageName(language)}`);
+      this.emit("language_detected", { language, previous });
+    }
+
+    logger.info(`Customer (${language}): "${text}"`);
+    this.emit("input_transcription", { text, language });
+  }
+
+  /**
+   * Whether the persona allows conversing in a language
+   * Undetermined text (numbers, "ok") is always let through
+   */
+  isLanguageAllowed(language) {
+    return (
+      this.allowedLanguages.length === 0 ||
+      language === "und" ||
+      this.allowedLanguages.includes(language)
+    );
+  }
+
+  /**
+   * Execute the model's function calls and send back a tool_response
+   * @param {Object} toolCall - { functionCalls: [{ id, name, args }] }
+   */
+  async handleToolCall(toolCall) {
+    const functionCalls = toolCall.functionCalls || [];
+    if (functionCalls.length === 0) return;
+
+    if (!this.toolRegistry) {
+      logger.warn("Received toolCall but no tool registry is configured");
+      return;
+    }
+
+    const functionResponses = await Promise.all(
+      functionCalls.map(async (call) => {
+        logger.info(`[Tool] ${call.name}(${JSON.stringify(call.args || {})})`);
+        this.emit("tool_call", {
+          id: call.id,
+          name: call.name,
+          args: call.args || {},
+        });
+
+        const startedAt = Date.now();
+        const result = await this.toolRegistry.execute(call, this.toolContext);
+
+        this.emit("tool_result", {
+          id: call.id,
+          name: call.name,
+          response: result.response,
+          durationMs: Date.now() - startedAt,
+        });
+        return result;
+      }),
+    );
+
+    // Drop results the model no longer wants (e.g. customer interrupted)
+    const pending = functionResponses.filter(
+      (r) => !this.cancelledToolCalls.delete(r.id),
+    );
+    if (pending.length === 0) return;
+
+    this.sendJson({
+      tool_response: {
+        function_responses: pending,
+      },
+    });
+  }
+
   sendJson(object) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(object));
@@ -431,6 +812,32 @@ Note: Always respond in English. If you detect non-English input, respond natura
     await this.sendText(contextPrompt);
   }
 
+  /**
+   * Private supervisor guidance (whisper): added to the conversation without
+   * asking for a reply, so the AI uses it from its next turn on and the
+   * customer never hears it
+   */
+  async whisper(note) {
+    if (!this.isActive || this.isPaused || !this.ws) return;
+
+    logger.info("Supervisor whisper:", note);
+    this.sendJson({
+      client_content: {
+        turns: [
+          {
+            role: "user",
+            parts: [
+              {
+                text: `[PRIVATE SUPERVISOR GUIDANCE - follow it, never read it out or mention it]\n${note}`,
+              },
+            ],
+          },
+        ],
+        turn_complete: false,
+      },
+    });
+  }
+
   async pause() {
     this.isPaused = true;
     // Potentially send a "stop generation" signal if API supports it
@@ -442,7 +849,14 @@ Note: Always respond in English. If you detect non-English input, respond natura
   }
 
   async close() {
+    this.isClosing = true;
     this.isActive = false;
+    this.isReconnecting = false;
+    this.audioBuffer = [];
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.ws) {
       this.ws.close();
     }
@@ -1,21 +1,100 @@
+import { EventEmitter } from "events";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Logger } from "@gemini-copilot/shared";
+import { baseLanguage, languageName } from "./language-detector.js";
+import { PromptExperiments } from "./prompt-experiments.js";
+import promptRegistry from "./prompt-registry.js";
+import { SentimentAnalyzer } from "./sentiment-analyzer.js";
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  isRetryableError,
+  retryDelay,
+  withTimeout,
+} from "./request-policy.js";
+import {
+  RESPONSE_SCHEMAS,
+  StructuredOutputMetrics,
+  parseJsonResponse,
+  toResponseSchema,
+  validateResponse,
+} from "./structured-output.js";
 
 const logger = new Logger("Gemini3");
 
+const MODEL_NAME = "gemini-3-flash-preview";
+
+// Per-feature request timeouts in ms (override with options.timeouts)
+export const DEFAULT_TIMEOUTS = {
+  sentiment: 5000,
+  analytics: 8000,
+  coaching: 8000,
+  turn_analysis: 10000,
+  summary: 20000,
+  translation: 5000,
+  handoff: 10000,
+};
+
+const keywordAnalyzer = new SentimentAnalyzer();
+
+// Token usage is reported per feature (see UsageTracker)
+const SCHEMA_FEATURES = {
+  analysis: "analytics",
+  sentiment: "sentiment",
+  coaching: "coaching",
+  summary: "summary",
+  turn: "turn_analysis",
+};
+
 /**
  * Gemini 3 Text API client for enhanced conversation analysis
  * Uses gemini-3-flash-preview for intelligent coaching, analytics, and summarization
+ * Emits "usage" { sessionId, feature, model, promptTokens, outputTokens, totalTokens }
+ * for every request; pass { sessionId } to attribute it to a call.
+ * Requests have per-feature timeouts and jittered retries on 429/5xx. A shared
+ * circuit breaker skips Gemini entirely during an outage (keyword fallbacks are
+ * used instead) and emits "degraded" when it opens or closes.
+ * Prompts come from the prompt registry; results carry the promptVersion that
+ * produced them (null for fallbacks). Summaries and coaching also carry the
+ * promptVariant of the session's prompt experiment, if one is running.
  */
-export class GeminiTextAPI {
-  constructor(apiKey) {
+export class GeminiTextAPI extends EventEmitter {
+  /**
+   * @param {string} apiKey
+   * @param {Object} [options]
+   * @param {Object} [options.timeouts] - Per-feature timeouts in ms (see DEFAULT_TIMEOUTS)
+   * @param {Object} [options.retry] - { retries=2, baseDelayMs=250, maxDelayMs=4000 }
+   * @param {Object} [options.circuitBreaker] - { failureThreshold=5, resetTimeoutMs=30000 }
+   * @param {PromptExperiments} [options.experiments] - Defaults to PROMPT_EXPERIMENTS
+   */
+  constructor(apiKey, options = {}) {
+    super();
     this.genAI = new GoogleGenerativeAI(apiKey);
+    this.generationConfig = {
+      temperature: 0.7,
+      maxOutputTokens: 1024,
+    };
     this.model = this.genAI.getGenerativeModel({
-      model: "gemini-3-flash-preview",
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 1024,
-      },
+      model: MODEL_NAME,
+      generationConfig: this.generationConfig,
+    });
+    this.structuredOutputMetrics = new StructuredOutputMetrics();
+
+    this.timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+    this.retry = { retries: 2, baseDelayMs: 250, maxDelayMs: 4000, ...options.retry };
+    this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+    this.experiments = options.experiments || new PromptExperiments();
+    this.circuitBreaker.on("state_change", ({ state, previous }) => {
+      if (state === "open") {
+        logger.warn(
+          `Circuit breaker open after ${this.circuitBreaker.failures} failures; using fallbacks for ${this.circuitBreaker.resetTimeoutMs}ms`,
+        );
+      } else if (state === "closed") {
+        logger.info(`Circuit breaker closed (was ${previous}); Gemini text API recovered`);
+      }
+      if (state !== "half_open") {
+        this.emit("degraded", this.getDegradedStatus());
+      }
     });
     logger.info(
       "Gemini 3 Flash API initialized (model: gemini-3-flash-preview)",
@@ -25,9 +104,11 @@ export class GeminiTextAPI {
   /**
    * Analyze conversation for sentiment, intent, and key issues
    * @param {Array} transcript - Array of {role, content} messages
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
    * @returns {Object} Analysis results
    */
-  async analyzeConversation(transcript) {
+  async analyzeConversation(transcript, { sessionId } = {}) {
     if (!transcript || transcript.length === 0) {
       return {
         sentiment: "neutral",
@@ -42,195 +123,55 @@ export class GeminiTextAPI {
       .map((m) => `${m.role}: ${m.content}`)
       .join("\n");
 
-    const prompt = `Analyze this customer service conversation and respond in JSON format only:
-
-CONVERSATION:
-${conversationText}
-
-Respond with ONLY this JSON structure (no markdown, no explanation):
-{
-  "sentiment": "positive" | "neutral" | "negative" | "frustrated",
-  "sentimentScore": 0-100 (0=very negative, 100=very positive),
-  "intent": "complaint" | "inquiry" | "support" | "purchase" | "cancellation" | "feedback" | "other",
-  "keyIssues": ["issue1", "issue2"],
-  "escalationRisk": "low" | "medium" | "high",
-  "summary": "One sentence summary of the issue"
-}`;
+    const prompt = this.renderPrompt(
+      "analysis",
+      { conversation: conversationText },
+      sessionId,
+    );
 
     try {
-      const result = await this.model.generateContent(prompt);
-      let responseText = result.response.text();
-
-      logger.info(
-        `Analytics raw response: ${responseText.substring(0, 500)}...`,
-      );
-
-      // Remove markdown code blocks if present
-      responseText = responseText
-        .replace(/```json\s*/g, "")
-        .replace(/```\s*/g, "")
-        .trim();
-
-      // Try to parse JSON from response
-      let parsed;
-      try {
-        // First try: parse the entire response as-is
-        parsed = JSON.parse(responseText);
-      } catch (directParseError) {
-        // Second try: extract JSON object with regex
-        let jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            parsed = JSON.parse(jsonMatch[0]);
-          } catch (regexParseError) {
-            logger.error("JSON parse error:", regexParseError.message);
-            logger.error(
-              "Failed to parse JSON:",
-              jsonMatch[0].substring(0, 500),
-            );
-          }
-        }
-      }
+      const parsed = await this.generateStructured("analysis", prompt.text, {
+        sessionId,
+      });
 
       if (parsed) {
         logger.info(
           `Analytics parsed: intent=${parsed.intent}, sentiment=${parsed.sentiment}`,
         );
-        return parsed;
+        return { ...parsed, promptVersion: prompt.version };
       }
 
       logger.warn(
-        "Could not parse analysis response, falling back to keywords.",
+        "Could not get a valid analysis response, falling back to keywords.",
       );
-
-      // Fallback: keyword-based intent detection
-      const fallbackIntent = this.detectIntentFromKeywords(conversationText);
-      return {
-        sentiment: "neutral",
-        sentimentScore: 50,
-        intent: fallbackIntent,
-        keyIssues: [],
-        escalationRisk: "low",
-      };
+      return this.fallbackAnalysis(transcript);
     } catch (error) {
-      logger.error("Error analyzing conversation:", error.message);
-      // Fallback: keyword-based intent detection
-      const fallbackIntent = this.detectIntentFromKeywords(
-        transcript.map((m) => m.content).join(" "),
-      );
-      return {
-        sentiment: "neutral",
-        sentimentScore: 50,
-        intent: fallbackIntent,
-        keyIssues: [],
-        escalationRisk: "low",
-      };
+      logFailure("Error analyzing conversation", error);
+      return this.fallbackAnalysis(transcript);
     }
   }
 
+  /**
+   * Keyword-based analytics, used when Gemini fails or returns invalid output
+   */
+  fallbackAnalysis(transcript) {
+    return {
+      sentiment: "neutral",
+      sentimentScore: 50,
+      intent: this.detectIntentFromKeywords(
+        transcript.map((m) => m.content).join(" "),
+      ),
+      keyIssues: [],
+      escalationRisk: "low",
+    };
+  }
+
   /**
    * Keyword-based fallback intent detection
    * Used when Gemini API fails or returns unparseable response
    */
   detectIntentFromKeywords(text) {
-    const lowerText = text.toLowerCase();
-
-    // Intent patterns with priority order
-    const intentPatterns = [
-      {
-        intent: "complaint",
-        keywords: [
-          "complain",
-          "terrible",
-          "worst",
-          "awful",
-          "unacceptable",
-          "disappointed",
-          "angry",
-          "furious",
-          "hate",
-          "never work",
-        ],
-      },
-      {
-        intent: "cancellation",
-        keywords: [
-          "cancel",
-          "unsubscribe",
-          "terminate",
-          "end my",
-          "stop my",
-          "close my account",
-        ],
-      },
-      {
-        intent: "purchase",
-        keywords: [
-          "buy",
-          "purchase",
-          "order",
-          "pricing",
-          "cost",
-          "how much",
-          "subscribe",
-          "sign up",
-        ],
-      },
-      {
-        intent: "support",
-        keywords: [
-          "help",
-          "issue",
-          "problem",
-          "not working",
-          "broken",
-          "fix",
-          "trouble",
-          "error",
-          "stuck",
-        ],
-      },
-      {
-        intent: "inquiry",
-        keywords: [
-          "what is",
-          "how do",
-          "where can",
-          "when will",
-          "tell me about",
-          "information",
-          "question",
-          "wondering",
-        ],
-      },
-      {
-        intent: "feedback",
-        keywords: [
-          "suggestion",
-          "feedback",
-          "improve",
-          "recommend",
-          "better if",
-          "would be nice",
-        ],
-      },
-    ];
-
-    for (const pattern of intentPatterns) {
-      if (pattern.keywords.some((keyword) => lowerText.includes(keyword))) {
-        logger.info(
-          `[Fallback] Detected intent '${pattern.intent}' from keywords`,
-        );
-        return pattern.intent;
-      }
-    }
-
-    // If conversation has content but no clear intent, default to inquiry
-    if (text.length > 20) {
-      return "inquiry";
-    }
-
-    return "unknown";
+    return detectIntentFromKeywords(text);
   }
 
   /**
@@ -238,9 +179,11 @@ Respond with ONLY this JSON structure (no markdown, no explanation):
    * Much more accurate than keyword-based detection
    * @param {string} text - Latest customer message
    * @param {Array} recentMessages - Recent messages for context
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
    * @returns {Object} { frustrationLevel: 0-100, sentiment, shouldEscalate }
    */
-  async analyzeSentiment(text, recentMessages = []) {
+  async analyzeSentiment(text, recentMessages = [], { sessionId } = {}) {
     if (!text || text.trim().length === 0) {
       return {
         frustrationLevel: 0,
@@ -254,49 +197,27 @@ Respond with ONLY this JSON structure (no markdown, no explanation):
       .map((m) => `${m.role}: ${m.content}`)
       .join("\n");
 
-    const prompt = `Analyze the customer's emotional state in this message. Consider tone, word choice, and context.
-
-${context ? `RECENT CONTEXT:\n${context}\n\n` : ""}CURRENT MESSAGE: "${text}"
-
-IMPORTANT: Detect frustration even from subtle cues like:
-- Complaints about speed, waiting, delays
-- Expressions like "slow", "frustrating", "annoyed", "ridiculous"
-- Repeated issues or follow-ups
-- Capitalization or exclamation marks
-
-Respond with ONLY this JSON (no markdown):
-{
-  "frustrationLevel": 0-100 (0=calm, 50=slightly annoyed, 75=frustrated, 100=very angry),
-  "sentiment": "positive" | "neutral" | "frustrated" | "angry",
-  "shouldEscalate": true if frustration >= 70 or customer requests manager,
-  "reason": "Brief explanation of detected emotion"
-}`;
+    const prompt = this.renderPrompt(
+      "sentiment",
+      { context, message: text },
+      sessionId,
+    );
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const responseText = result.response.text();
-
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
+      const parsed = await this.generateStructured("sentiment", prompt.text, {
+        sessionId,
+      });
+      if (parsed) {
         logger.info(
           `Sentiment: ${parsed.sentiment}, Frustration: ${parsed.frustrationLevel}%`,
         );
-        return parsed;
+        return { ...parsed, promptVersion: prompt.version };
       }
 
-      return {
-        frustrationLevel: 0,
-        sentiment: "neutral",
-        shouldEscalate: false,
-      };
+      return estimateSentimentFromKeywords(text);
     } catch (error) {
-      logger.error("Error analyzing sentiment:", error.message);
-      return {
-        frustrationLevel: 0,
-        sentiment: "neutral",
-        shouldEscalate: false,
-      };
+      logFailure("Error analyzing sentiment", error);
+      return estimateSentimentFromKeywords(text);
     }
   }
 
@@ -304,74 +225,122 @@ Respond with ONLY this JSON (no markdown):
    * Get real-time coaching suggestions for supervisor during takeover
    * @param {Array} transcript - Conversation transcript
    * @param {string} customerMessage - Latest customer message
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
    * @returns {Object} Coaching suggestions
    */
-  async getSupervisorCoaching(transcript, customerMessage) {
+  async getSupervisorCoaching(transcript, customerMessage, { sessionId } = {}) {
     const conversationContext = transcript
       .slice(-5) // Last 5 messages for context
       .map((m) => `${m.role}: ${m.content}`)
       .join("\n");
 
-    const prompt = `You are a customer service coach. Based on this conversation, suggest 3 appropriate responses for the supervisor.
+    const prompt = this.renderPrompt(
+      "coaching",
+      { conversation: conversationContext, message: customerMessage },
+      sessionId,
+    );
+    const promptVariant = prompt.variant;
+
+    try {
+      const parsed = await this.generateStructured("coaching", prompt.text, {
+        sessionId,
+      });
+      if (parsed && parsed.suggestedResponses.length > 0) {
+        return { ...parsed, promptVersion: prompt.version, promptVariant };
+      }
 
-RECENT CONVERSATION:
-${conversationContext}
+      return { ...fallbackCoaching(), promptVariant };
+    } catch (error) {
+      logFailure("Error getting coaching", error);
+      return { ...fallbackCoaching(), promptVariant };
+    }
+  }
 
-CUSTOMER JUST SAID:
-"${customerMessage}"
+  /**
+   * Translate a transcript line for supervisors who don't speak the customer's language
+   * @param {string} text - Text to translate
+   * @param {string} [targetLanguage="en"] - Target language code
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
+   * @returns {string|null} Translation, or null if it failed
+   */
+  async translate(text, targetLanguage = "en", { sessionId } = {}) {
+    if (!text || text.trim().length === 0) return null;
 
-Respond with ONLY this JSON structure (no markdown):
-{
-  "coachingTip": "Brief tip for handling this situation",
-  "suggestedResponses": [
-    "Response option 1",
-    "Response option 2", 
-    "Response option 3"
-  ],
-  "tone": "empathetic" | "professional" | "apologetic" | "solution-focused",
-  "priority": "low" | "medium" | "high"
-}`;
+    const prompt = this.renderPrompt(
+      "translation",
+      { language: languageName(targetLanguage), text },
+      sessionId,
+    );
 
     try {
-      const result = await this.model.generateContent(prompt);
-      const responseText = result.response.text();
+      const result = await this.callModel("translation", prompt.text);
+      this.reportUsage(result.response, "translation", sessionId);
+      const translation = result.response.text().trim();
+      return translation || null;
+    } catch (error) {
+      logFailure("Error translating text", error);
+      return null;
+    }
+  }
 
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
+  /**
+   * Brief a supervisor receiving a warm transfer on the call so far
+   * @param {Array} transcript - Conversation transcript up to the transfer
+   * @param {Object} [options]
+   * @param {string} [options.note] - Handoff note from the supervisor transferring the call
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
+   * @returns {string} Brief (the last few lines of the call if Gemini fails)
+   */
+  async generateHandoffBrief(transcript, { note, sessionId } = {}) {
+    if (!transcript || transcript.length === 0) {
+      return "No conversation recorded yet.";
+    }
 
-      return {
-        coachingTip: "Listen actively and show empathy",
-        suggestedResponses: [
-          "I understand your concern...",
-          "Let me help you with that...",
-          "I apologize for the inconvenience...",
-        ],
-        tone: "empathetic",
-        priority: "medium",
-      };
+    const prompt = this.renderPrompt(
+      "handoff",
+      {
+        conversation: transcript.map((m) => `${m.role}: ${m.content}`).join("\n"),
+        note: note || "",
+      },
+      sessionId,
+    );
+
+    try {
+      const result = await this.callModel("handoff", prompt.text);
+      this.reportUsage(result.response, "handoff", sessionId);
+      return result.response.text().trim() || this.fallbackHandoffBrief(transcript);
     } catch (error) {
-      logger.error("Error getting coaching:", error.message);
-      return {
-        coachingTip: "Listen actively and show empathy",
-        suggestedResponses: [
-          "I understand...",
-          "Let me help...",
-          "I apologize...",
-        ],
-        tone: "empathetic",
-        priority: "medium",
-      };
+      logFailure("Error generating handoff brief", error);
+      return this.fallbackHandoffBrief(transcript);
     }
   }
 
+  /**
+   * Intent and the last few lines of the call, for when Gemini is unavailable
+   */
+  fallbackHandoffBrief(transcript) {
+    const intent = this.detectIntentFromKeywords(
+      transcript.map((m) => m.content).join(" "),
+    );
+    const lastLines = transcript
+      .slice(-3)
+      .map((m) => `${m.role}: ${m.content}`);
+    return [`Intent: ${intent}`, ...lastLines].join("\n");
+  }
+
   /**
    * Generate call summary when session ends
    * @param {Array} transcript - Full conversation transcript
+   * @param {Object} [options]
+   * @param {string} [options.language="en"] - Language to write the summary in (e.g. the supervisor's)
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
    * @returns {Object} Call summary
    */
-  async generateSummary(transcript) {
+  async generateSummary(transcript, { language = "en", sessionId } = {}) {
+    const summaryLanguage = baseLanguage(language);
+
     if (!transcript || transcript.length === 0) {
       return {
         sentiment: "neutral",
@@ -382,6 +351,7 @@ Respond with ONLY this JSON structure (no markdown):
         frustrationTrend: "stable",
         fullText: "No conversation recorded",
         insights: "",
+        language: "en",
       };
     }
 
@@ -389,141 +359,509 @@ Respond with ONLY this JSON structure (no markdown):
       .map((m) => `${m.role}: ${m.content}`)
       .join("\n");
 
-    const prompt = `Generate a comprehensive call summary for this customer service conversation.
+    // Summaries in English need no language instruction
+    const prompt = this.renderPrompt(
+      "summary",
+      {
+        conversation: conversationText,
+        language: summaryLanguage !== "en" ? languageName(summaryLanguage) : "",
+      },
+      sessionId,
+    );
+    const promptVariant = prompt.variant;
 
-CONVERSATION:
-${conversationText}
+    try {
+      const parsed = await this.generateStructured("summary", prompt.text, {
+        sessionId,
+      });
 
-Respond with ONLY this JSON structure (no markdown, no explanation):
-{
-  "sentiment": "positive" | "neutral" | "negative" | "frustrated",
-  "intent": "complaint" | "inquiry" | "support" | "purchase" | "cancellation" | "feedback" | "other",
-  "resolutionStatus": "resolved" | "partially_resolved" | "unresolved" | "escalated",
-  "keyTopics": ["topic1", "topic2", "topic3"],
-  "actionItems": ["action1", "action2"],
-  "frustrationTrend": "increasing" | "stable" | "decreasing",
-  "fullText": "2-3 sentence comprehensive summary of the entire call",
-  "insights": "Key observation or recommendation for future interactions"
-}`;
+      if (parsed) {
+        logger.info(
+          `[Summary] ✅ Generated: intent="${parsed.intent}", sentiment="${parsed.sentiment}"`,
+        );
+        return {
+          ...parsed,
+          language: summaryLanguage,
+          promptVersion: prompt.version,
+          promptVariant,
+        };
+      }
 
-    try {
-      const result = await this.model.generateContent(prompt);
-      let responseText = result.response.text();
+      logger.warn(
+        "[Summary] ⚠️ No valid summary after repair retry, using basic metrics",
+      );
+      return { ...this.fallbackSummary(transcript), promptVariant };
+    } catch (error) {
+      logFailure("[Summary] ❌ Error generating summary", error);
+      return { ...this.fallbackSummary(transcript), promptVariant };
+    }
+  }
+
+  /**
+   * Sentiment, analytics and (optionally) coaching for the latest customer turn
+   * in a single request. A valid response without coaching suggestions is
+   * requested once more; an invalid one (after generateStructured's repair
+   * retry) falls back to keyword estimates.
+   * @param {Array} transcript - Conversation transcript
+   * @param {string} customerMessage - Latest customer message(s)
+   * @param {Object} [options]
+   * @param {boolean} [options.includeCoaching=true]
+   * @param {AbortSignal} [options.signal] - Aborts the request (call ended)
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
+   * @returns {Object} { sentiment, analytics, coaching|null }
+   */
+  async analyzeTurn(
+    transcript,
+    customerMessage,
+    { includeCoaching = true, signal, sessionId } = {},
+  ) {
+    const conversationText = transcript
+      .slice(-10)
+      .map((m) => `${m.role}: ${m.content}`)
+      .join("\n");
 
-      // Log the raw response for debugging
+    const prompt = this.renderPrompt(
+      "turn",
+      {
+        conversation: conversationText,
+        message: customerMessage,
+        includeCoaching,
+      },
+      sessionId,
+    );
+    const promptVariant = prompt.variant;
+
+    const usable = (result) =>
+      result && (!includeCoaching || result.coaching?.suggestedResponses.length > 0);
+
+    let parsed = null;
+    try {
+      parsed = await this.generateStructured("turn", prompt.text, { signal, sessionId });
+      if (parsed && !usable(parsed)) {
+        logger.warn("Combined turn analysis without coaching suggestions, retrying");
+        parsed = await this.generateStructured("turn", prompt.text, { signal, sessionId });
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      logFailure("Error analyzing turn", error);
+    }
+    if (usable(parsed)) {
       logger.info(
-        `[Summary] Raw Gemini response (first 300 chars): ${responseText.substring(0, 300)}`,
+        `Turn analysis: ${parsed.analytics.intent}, frustration ${parsed.sentiment.frustrationLevel}%`,
       );
+      const promptVersion = prompt.version;
+      return {
+        sentiment: { ...parsed.sentiment, promptVersion },
+        analytics: { ...parsed.analytics, promptVersion },
+        coaching: includeCoaching
+          ? { ...parsed.coaching, promptVersion, promptVariant }
+          : null,
+      };
+    }
+
+    logger.warn("Combined turn analysis unusable, using keyword estimates");
+    return {
+      sentiment: estimateSentimentFromKeywords(customerMessage),
+      analytics: this.fallbackAnalysis(transcript),
+      coaching: includeCoaching
+        ? { ...fallbackCoaching(), promptVariant }
+        : null,
+    };
+  }
+
+  /**
+   * Basic summary from keywords, used when Gemini fails or returns invalid output
+   */
+  fallbackSummary(transcript) {
+    const fullText = transcript.map((m) => m.content).join(" ");
+    const fallbackIntent = this.detectIntentFromKeywords(fullText);
+
+    // Determine basic sentiment from keywords
+    let fallbackSentiment = "neutral";
+    const lowerText = fullText.toLowerCase();
+    if (
+      lowerText.includes("thank") ||
+      lowerText.includes("great") ||
+      lowerText.includes("help")
+    ) {
+      fallbackSentiment = "positive";
+    } else if (
+      lowerText.includes("bad") ||
+      lowerText.includes("terrible") ||
+      lowerText.includes("angry") ||
+      lowerText.includes("slow")
+    ) {
+      fallbackSentiment = "frustrated";
+    }
 
-      // Remove markdown code blocks if present
-      responseText = responseText
-        .replace(/```json\s*/g, "")
-        .replace(/```\s*/g, "")
-        .trim();
+    return {
+      sentiment: fallbackSentiment,
+      intent: fallbackIntent,
+      resolutionStatus: "unresolved", // Safe default
+      keyTopics: [],
+      actionItems: [],
+      frustrationTrend:
+        fallbackSentiment === "frustrated" ? "increasing" : "stable",
+      fullText:
+        "Summary unavailable due to temporary API issue. Basic metrics extracted from transcript.",
+      insights: "Review transcript for details.",
+      language: "en",
+    };
+  }
 
-      let parsed;
+  /**
+   * Render a prompt in the version of the session's experiment variant, or the
+   * active version. A variant whose version no longer exists falls back to the
+   * active one (and isn't reported as a variant).
+   * @returns {Object} { text, version, variant }
+   */
+  renderPrompt(name, vars, sessionId) {
+    const { version, variant } = this.experiments.resolve(name, sessionId);
+    if (version !== undefined) {
       try {
-        parsed = JSON.parse(responseText);
-        logger.info(
-          `[Summary] Successfully parsed JSON. Intent: "${parsed.intent}", Sentiment: "${parsed.sentiment}"`,
-        );
-      } catch (e) {
-        logger.warn(
-          `[Summary] Direct JSON parse failed, trying regex extraction: ${e.message}`,
-        );
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            parsed = JSON.parse(jsonMatch[0]);
-            logger.info(
-              `[Summary] Regex parse succeeded. Intent: "${parsed.intent}", Sentiment: "${parsed.sentiment}"`,
-            );
-          } catch (regexError) {
-            logger.error(
-              `[Summary] Regex JSON parse also failed: ${regexError.message}`,
-            );
-          }
-        } else {
-          logger.error(`[Summary] No JSON object found in response`);
-        }
+        return { ...promptRegistry.render(name, vars, { version }), variant };
+      } catch (error) {
+        logger.warn(`[${name}] Experiment variant "${variant}": ${error.message}`);
       }
+    }
+    return { ...promptRegistry.render(name, vars), variant: null };
+  }
 
-      if (parsed && parsed.intent) {
-        logger.info(
-          `[Summary] ✅ Generated: intent="${parsed.intent}", sentiment="${parsed.sentiment}"`,
-        );
-        return {
-          sentiment: parsed.sentiment || "neutral",
-          intent: parsed.intent || "unknown",
-          resolutionStatus: parsed.resolutionStatus || "unresolved",
-          keyTopics: parsed.keyTopics || [],
-          actionItems: parsed.actionItems || [],
-          frustrationTrend: parsed.frustrationTrend || "stable",
-          fullText: parsed.fullText || "Call completed",
-          insights: parsed.insights || "",
-        };
+  /**
+   * Request JSON for one of RESPONSE_SCHEMAS, validate/coerce it, and retry
+   * once with a repair prompt if it doesn't validate
+   * @param {string} schemaName - "analysis", "sentiment", "coaching", "summary" or "turn"
+   * @param {string} prompt
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request (not counted as an error)
+   * @param {string} [options.sessionId] - Session the token usage is attributed to
+   * @returns {Object|null} Validated result, or null so the caller can fall back
+   */
+  async generateStructured(schemaName, prompt, { signal, sessionId } = {}) {
+    const schema = RESPONSE_SCHEMAS[schemaName];
+    const generationConfig = {
+      ...this.generationConfig,
+      responseMimeType: "application/json",
+      responseSchema: toResponseSchema(schema),
+    };
+    const feature = SCHEMA_FEATURES[schemaName];
+    const request = async (text) => {
+      const result = await this.callModel(
+        feature,
+        {
+          contents: [{ role: "user", parts: [{ text }] }],
+          generationConfig,
+        },
+        { signal },
+      );
+      this.reportUsage(result.response, feature, sessionId);
+      return result.response.text();
+    };
+
+    let responseText;
+    try {
+      responseText = await request(prompt);
+    } catch (error) {
+      if (!signal?.aborted && !(error instanceof CircuitOpenError)) {
+        this.structuredOutputMetrics.record(schemaName, "error");
       }
+      throw error;
+    }
+
+    const first = checkResponse(responseText, schema);
+    if (first.errors.length === 0) {
+      this.structuredOutputMetrics.record(schemaName, "valid");
+      return first.value;
+    }
 
+    logger.warn(
+      `[${schemaName}] Invalid structured output, retrying: ${first.errors.join("; ")}`,
+    );
+
+    const repairPrompt = `${prompt}
+
+Your previous response did not match the required JSON schema:
+${first.errors.map((e) => `- ${e}`).join("\n")}
+
+PREVIOUS RESPONSE:
+${responseText.substring(0, 2000)}
+
+Respond again with corrected JSON only.`;
+
+    try {
+      const second = checkResponse(await request(repairPrompt), schema);
+      if (second.errors.length === 0) {
+        this.structuredOutputMetrics.record(schemaName, "repaired", first.errors);
+        logger.info(`[${schemaName}] Repair retry succeeded`);
+        return second.value;
+      }
+      this.structuredOutputMetrics.record(schemaName, "fallback", [
+        ...first.errors,
+        ...second.errors,
+      ]);
       logger.warn(
-        "[Summary] ⚠️ Parsed object missing intent field or invalid structure",
+        `[${schemaName}] Repair retry still invalid: ${second.errors.join("; ")}`,
       );
-      return {
-        sentiment: "neutral",
-        intent: "unknown",
-        resolutionStatus: "unresolved",
-        keyTopics: [],
-        actionItems: [],
-        frustrationTrend: "stable",
-        fullText: responseText.substring(0, 200) || "Call completed",
-        insights: "",
-      };
-      return {
-        sentiment: "neutral",
-        intent: "unknown",
-        resolutionStatus: "unresolved",
-        keyTopics: [],
-        actionItems: [],
-        frustrationTrend: "stable",
-        fullText: "Call completed - summary unavailable due to API error",
-        insights: "",
-      };
     } catch (error) {
-      logger.error(`[Summary] ❌ Error generating summary: ${error.message}`);
-
-      // Basic fallback analysis
-      const fullText = transcript.map((m) => m.content).join(" ");
-      const fallbackIntent = this.detectIntentFromKeywords(fullText);
-
-      // Determine basic sentiment from keywords
-      let fallbackSentiment = "neutral";
-      const lowerText = fullText.toLowerCase();
-      if (
-        lowerText.includes("thank") ||
-        lowerText.includes("great") ||
-        lowerText.includes("help")
-      ) {
-        fallbackSentiment = "positive";
-      } else if (
-        lowerText.includes("bad") ||
-        lowerText.includes("terrible") ||
-        lowerText.includes("angry") ||
-        lowerText.includes("slow")
-      ) {
-        fallbackSentiment = "frustrated";
+      if (signal?.aborted) throw error;
+      this.structuredOutputMetrics.record(schemaName, "fallback", first.errors);
+      logFailure(`[${schemaName}] Repair retry failed`, error);
+    }
+
+    return null;
+  }
+
+  /**
+   * One generateContent request under the retry/timeout/circuit breaker policy
+   * @param {string} feature - Key of the timeouts table
+   * @param {Object|string} request - generateContent request
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Caller cancellation (not a failure)
+   * @throws {CircuitOpenError} Without calling Gemini while the breaker is open
+   */
+  async callModel(feature, request, { signal } = {}) {
+    const timeoutMs = this.timeouts[feature] ?? DEFAULT_TIMEOUTS.analytics;
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.circuitBreaker.canRequest()) {
+        throw new CircuitOpenError(this.circuitBreaker.retryAt);
       }
 
-      return {
-        sentiment: fallbackSentiment,
-        intent: fallbackIntent,
-        resolutionStatus: "unresolved", // Safe default
-        keyTopics: [],
-        actionItems: [],
-        frustrationTrend:
-          fallbackSentiment === "frustrated" ? "increasing" : "stable",
-        fullText:
-          "Summary unavailable due to temporary API issue. Basic metrics extracted from transcript.",
-        insights: "Review transcript for details.",
-      };
+      try {
+        const result = await withTimeout(
+          (requestSignal) =>
+            this.model.generateContent(request, { signal: requestSignal }),
+          timeoutMs,
+          signal,
+        );
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const retryable = isRetryableError(error);
+        if (retryable || error.name === "TimeoutError") {
+          this.circuitBreaker.recordFailure();
+        } else {
+          // Gemini answered (e.g. 400); the upstream itself is healthy
+          this.circuitBreaker.recordSuccess();
+        }
+
+        if (!retryable || attempt >= this.retry.retries) throw error;
+
+        const delay = retryDelay(attempt, this.retry);
+        logger.warn(
+          `[${feature}] ${error.message}; retry ${attempt + 1}/${this.retry.retries} in ${delay}ms`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
     }
   }
+
+  /**
+   * Whether the circuit breaker is skipping Gemini (keyword fallbacks in use)
+   * @returns {Object} { degraded, state, since, retryAt }
+   */
+  getDegradedStatus() {
+    const { state, since, retryAt } = this.circuitBreaker.toJSON();
+    return { degraded: state !== "closed", state, since, retryAt };
+  }
+
+  /**
+   * Emit the token usage of a response (usageMetadata) for cost accounting
+   */
+  reportUsage(response, feature, sessionId = null) {
+    const usage = response.usageMetadata;
+    if (!usage) return;
+
+    this.emit("usage", {
+      sessionId,
+      feature,
+      model: MODEL_NAME,
+      promptTokens: usage.promptTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0,
+    });
+  }
+
+  /**
+   * Running prompt experiments and their variants
+   */
+  getExperiments() {
+    return this.experiments.list();
+  }
+
+  /**
+   * Structured output counters per schema (valid / repaired / fallback / error)
+   */
+  getStructuredOutputMetrics() {
+    return this.structuredOutputMetrics.toJSON();
+  }
+}
+
+/**
+ * Log a failed request; skipped requests while the breaker is open are expected
+ * and only logged at debug level so an outage doesn't flood the logs
+ */
+function logFailure(message, error) {
+  if (error instanceof CircuitOpenError) {
+    logger.debug(`${message}: circuit open`);
+  } else {
+    logger.error(`${message}:`, error.message);
+  }
+}
+
+/**
+ * Generic coaching, used when Gemini fails or returns invalid output
+ */
+function fallbackCoaching() {
+  return {
+    coachingTip: "Listen actively and show empathy",
+    suggestedResponses: [
+      "I understand your concern...",
+      "Let me help you with that...",
+      "I apologize for the inconvenience...",
+    ],
+    tone: "empathetic",
+    priority: "medium",
+  };
+}
+
+/**
+ * Keyword-based sentiment (SentimentAnalyzer) on the dashboard's 0-100 frustration scale
+ * Fallback for GeminiTextAPI and the sentiment source for the offline mock provider
+ */
+export function estimateSentimentFromKeywords(text) {
+  const { score } = keywordAnalyzer.analyze(text || "");
+  const frustrationLevel = keywordAnalyzer.calculateFrustration(score);
+
+  return {
+    frustrationLevel,
+    sentiment:
+      frustrationLevel >= 80
+        ? "angry"
+        : frustrationLevel >= 40
+          ? "frustrated"
+          : score > 0
+            ? "positive"
+            : "neutral",
+    shouldEscalate: frustrationLevel >= 70,
+    reason: "Keyword-based estimate",
+  };
+}
+
+/**
+ * Parse and validate a raw model response against a schema
+ */
+function checkResponse(responseText, schema) {
+  const parsed = parseJsonResponse(responseText);
+  if (parsed === null) {
+    return { value: null, errors: ["response is not valid JSON"] };
+  }
+  return validateResponse(parsed, schema);
+}
+
+/**
+ * Keyword-based intent detection
+ * Fallback for GeminiTextAPI and the intent source for the offline mock provider
+ */
+export function detectIntentFromKeywords(text) {
+  const lowerText = text.toLowerCase();
+
+  // Intent patterns with priority order
+  const intentPatterns = [
+    {
+      intent: "complaint",
+      keywords: [
+        "complain",
+        "terrible",
+        "worst",
+        "awful",
+        "unacceptable",
+        "disappointed",
+        "angry",
+        "furious",
+        "hate",
+        "never work",
+      ],
+    },
+    {
+      intent: "cancellation",
+      keywords: [
+        "cancel",
+        "unsubscribe",
+        "terminate",
+        "end my",
+        "stop my",
+        "close my account",
+      ],
+    },
+    {
+      intent: "purchase",
+      keywords: [
+        "buy",
+        "purchase",
+        "order",
+        "pricing",
+        "cost",
+        "how much",
+        "subscribe",
+        "sign up",
+      ],
+    },
+    {
+      intent: "support",
+      keywords: [
+        "help",
+        "issue",
+        "problem",
+        "not working",
+        "broken",
+        "fix",
+        "trouble",
+        "error",
+        "stuck",
+      ],
+    },
+    {
+      intent: "inquiry",
+      keywords: [
+        "what is",
+        "how do",
+        "where can",
+        "when will",
+        "tell me about",
+        "information",
+        "question",
+        "wondering",
+      ],
+    },
+    {
+      intent: "feedback",
+      keywords: [
+        "suggestion",
+        "feedback",
+        "improve",
+        "recommend",
+        "better if",
+        "would be nice",
+      ],
+    },
+  ];
+
+  for (const pattern of intentPatterns) {
+    if (pattern.keywords.some((keyword) => lowerText.includes(keyword))) {
+      logger.info(
+        `[Fallback] Detected intent '${pattern.intent}' from keywords`,
+      );
+      return pattern.intent;
+    }
+  }
+
+  // If conversation has content but no clear intent, default to inquiry
+  if (text.length > 20) {
+    return "inquiry";
+  }
+
+  return "unknown";
 }
@@ -4,12 +4,31 @@ import { WebSocketServer } from "ws";
 import { config } from "dotenv";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
-import crypto from "crypto";
-import { GeminiLiveSession } from "./gemini-live.js";
-import { GeminiTextAPI } from "./gemini-text.js";
-import { ConversationManager } from "./conversation-manager.js";
+import { createLLMProvider } from "./providers/index.js";
+import { detectLanguage } from "./language-detector.js";
+import { ConversationManager, SessionOwnedError } from "./conversation-manager.js";
+import { createMessageBus } from "./message-bus.js";
+import { ClusterHub, RemoteSocket } from "./cluster-hub.js";
+import { AnalysisScheduler } from "./analysis-scheduler.js";
+import { UsageTracker } from "./usage-tracker.js";
+import { AuditLog } from "./audit-log.js";
+import { RateLimiter } from "./rate-limiter.js";
+import { ToolRegistry } from "./tool-registry.js";
+import { createOrderLookupTool } from "./tools/order-lookup.js";
+import {
+  PersonaManager,
+  PersonaValidationError,
+} from "./persona-manager.js";
+import {
+  AuthManager,
+  AuthValidationError,
+  SUPERVISOR_MESSAGE_PERMISSIONS,
+} from "./auth-manager.js";
 import { Logger } from "@gemini-copilot/shared";
 import databaseManager from "./database-manager.js";
+import promptRegistry from "./prompt-registry.js";
+import { EXPERIMENT_NAMES } from "./prompt-experiments.js";
+import { RESOLUTION_STATUSES } from "./structured-output.js";
 
 // Load environment variables
 config();
@@ -20,22 +39,251 @@ const __dirname = dirname(__filename);
 const logger = new Logger("Server");
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({ server, verifyClient: verifyWebSocketClient });
+
+// Conversation manager for handling active sessions (written through to SQLite).
+// Finished calls stay in memory for SESSION_RETENTION_MINUTES (0 = until restart)
+const SESSION_RETENTION_MINUTES = Number(process.env.SESSION_RETENTION_MINUTES ?? 30);
+// Escalations are offered to one supervisor at a time, who has this long to answer
+const ESCALATION_OFFER_TIMEOUT_MS = Number(process.env.ESCALATION_OFFER_TIMEOUT_MS ?? 30000);
+// ...and isn't offered a call they declined again until this long has passed
+const ESCALATION_DECLINE_COOLDOWN_MS = Number(process.env.ESCALATION_DECLINE_COOLDOWN_MS ?? 120000);
+const SUPERVISOR_CAPACITY = Number(process.env.SUPERVISOR_CAPACITY ?? 2);
+
+// Instances behind a load balancer share a Redis message bus (REDIS_URL); each
+// call runs on the node that claimed it and the others forward to it
+const cluster = new ClusterHub(
+  await createMessageBus({ redisUrl: process.env.REDIS_URL }),
+  {
+    nodeId: process.env.NODE_ID,
+    leaseMs: Number(process.env.CLUSTER_LEASE_MS ?? 15000),
+  },
+);
+// Every node's dashboard broadcasts go to the dashboards connected here
+cluster.on("broadcast", (payload) => {
+  conversationManager.getSupervisors().forEach((ws) => {
+    if (!(ws instanceof RemoteSocket) && ws.readyState === 1) ws.send(payload);
+  });
+});
+// A customer or supervisor connected to another node, linked to this one
+cluster.on("connection", (socket, { role, sessionId, params }) => {
+  if (role === "customer") {
+    handleCustomerConnection(socket, sessionId, params.personaId);
+  } else {
+    attachSupervisor(socket, params);
+  }
+});
+// We failed to renew a call's lease and another node may run it now: stop
+// running it here so the call has one owner (its sockets reconnect there)
+cluster.on("lease_lost", ({ sessionId }) => conversationManager.handOff(sessionId));
+// A user was changed on another node: reload them, and close their dashboards
+// here if they lost access or their password changed
+cluster.on("user_changed", async ({ userId }) => {
+  try {
+    if (await authManager.reload(userId)) closeUserDashboards(userId, "User changed");
+  } catch (error) {
+    logger.error(`Failed to reload user ${userId}:`, error);
+  }
+});
+
+const conversationManager = new ConversationManager({
+  database: databaseManager,
+  retentionMs: SESSION_RETENTION_MINUTES * 60 * 1000,
+  // Look for expired calls at least as often as they expire
+  sweepIntervalMs: Math.min(60 * 1000, SESSION_RETENTION_MINUTES * 60 * 1000 || Infinity),
+  supervisorCapacity: SUPERVISOR_CAPACITY,
+  escalationOfferTimeoutMs: ESCALATION_OFFER_TIMEOUT_MS,
+  escalationDeclineCooldownMs: ESCALATION_DECLINE_COOLDOWN_MS,
+  nodeId: cluster.nodeId,
+});
+
+// Recovered sessions are finalized if the customer doesn't reconnect within this window
+const SESSION_RECOVERY_GRACE_MS =
+  parseInt(process.env.SESSION_RECOVERY_GRACE_MS, 10) || 2 * 60 * 1000;
+const recoveryTimers = new Map(); // sessionId -> timer
+
+// A customer whose connection drops (rather than hanging up) has this long to
+// reconnect with their join token before the call ends
+const CUSTOMER_RECONNECT_GRACE_MS =
+  parseInt(process.env.CUSTOMER_RECONNECT_GRACE_MS, 10) || 45 * 1000;
+// Close codes of a deliberate hang-up: normal closure, page left, no status
+const HANG_UP_CLOSE_CODES = [1000, 1001, 1005];
+
+// A supervisor asking the owner of a taken-over call to hand it to them
+const transferRequests = new Map(); // sessionId -> { supervisorId, language }
+
+// Every status/mode change reaches the dashboards once, and every ended call
+// is summarized once, whichever path (hang-up, end_call, recovery) ended it
+const broadcastSessionUpdate = ({ sessionId }) => {
+  broadcastToSupervisors({
+    type: "session_update",
+    sessionId: sessionId,
+    data: conversationManager.serializeSession(
+      conversationManager.getSession(sessionId),
+    ),
+  });
+};
+conversationManager.on("transition", broadcastSessionUpdate);
+// Every dashboard shows who owns each call, including after transfers/overrides
+conversationManager.on("ownership", broadcastSessionUpdate);
+// A pending transfer request is moot once the call is back with the AI or over
+conversationManager.on("mode:ai", ({ sessionId }) => transferRequests.delete(sessionId));
+conversationManager.on("status:ended", ({ sessionId }) => transferRequests.delete(sessionId));
+conversationManager.on("status:ended", ({ sessionId }) => {
+  finalizeSession(sessionId).catch((error) => {
+    logger.error(`Failed to finalize session ${sessionId}:`, error);
+  });
+});
+// Nothing of a handed-off call keeps running here
+conversationManager.on("handed_off", ({ sessionId }) => {
+  analysisScheduler.cancel(sessionId);
+  transferRequests.delete(sessionId);
+  clearTimeout(recoveryTimers.get(sessionId));
+  recoveryTimers.delete(sessionId);
+});
+// Dashboards load evicted calls from /api/summary/:sessionId from now on
+conversationManager.on("evicted", ({ sessionId }) => {
+  cluster.releaseSession(sessionId);
+  broadcastToSupervisors({ type: "session_evicted", sessionId: sessionId });
+});
+
+// Escalations go to one supervisor at a time; everyone sees the queue
+const escalations = conversationManager.escalations;
+escalations.on("queued", ({ escalation }) => {
+  const session = conversationManager.getSession(escalation.sessionId);
+  conversationManager.updateSession(escalation.sessionId, {
+    escalationCount: (session.escalationCount || 0) + 1,
+    escalationAlerts: [
+      ...(session.escalationAlerts || []),
+      {
+        reason: escalation.reason,
+        frustrationLevel: escalation.frustrationLevel,
+        timestamp: escalation.queuedAt,
+      },
+    ],
+  });
+});
+escalations.on("offered", ({ escalation, supervisorId }) => {
+  sendToSupervisor(supervisorId, {
+    type: "escalation_offer",
+    sessionId: escalation.sessionId,
+    reason: escalation.reason,
+    frustrationLevel: escalation.frustrationLevel,
+    queuedAt: escalation.queuedAt,
+    expiresAt: escalation.offerExpiresAt,
+  });
+});
+escalations.on("timeout", ({ escalation, supervisorId }) => {
+  sendToSupervisor(supervisorId, {
+    type: "escalation_offer_expired",
+    sessionId: escalation.sessionId,
+  });
+});
+// Each node queues its own calls; dashboards merge the queues by nodeId
+escalations.on("changed", (queue) => {
+  broadcastToSupervisors({
+    type: "escalation_queue",
+    nodeId: cluster.nodeId,
+    queue: queue,
+  });
+});
 
-// Conversation manager for handling active sessions
-const conversationManager = new ConversationManager();
+// LLM provider (LLM_PROVIDER=gemini|mock) for live voice sessions and text analysis
+const llmProvider = createLLMProvider();
 
 // Gemini 3 API for enhanced analysis (coaching, analytics, summarization)
-const gemini3Api = new GeminiTextAPI(process.env.GEMINI_API_KEY);
+const gemini3Api = llmProvider.createTextClient();
+
+// Token usage and cost per session and feature
+const usageTracker = new UsageTracker(databaseManager);
+gemini3Api.on("usage", (usage) => usageTracker.record(usage));
+
+// Who took over, messaged, ended or edited what (supervisor commands and REST changes)
+const auditLog = new AuditLog(databaseManager);
+
+// Circuit breaker opened/closed: tell supervisors that analysis is keyword-only
+gemini3Api.on("degraded", (status) => {
+  broadcastToSupervisors({ type: "degraded_mode", ...status });
+});
+
+// Debounced, coalesced sentiment/analytics/coaching per session
+// (ANALYSIS_MODE=separate sends three requests per pass instead of one combined prompt)
+const analysisScheduler = new AnalysisScheduler(gemini3Api, {
+  debounceMs: parseInt(process.env.ANALYSIS_DEBOUNCE_MS || "800", 10),
+  combined: process.env.ANALYSIS_MODE !== "separate",
+});
+analysisScheduler.on("result", (result) => applyAnalysis(result));
+
+// Tools the live voice agent can call (function calling)
+const toolRegistry = new ToolRegistry();
+toolRegistry.register(createOrderLookupTool());
+
+// Agent personas (voice, model, system prompt) selectable per customer call
+const personaManager = new PersonaManager(databaseManager);
+
+// Prompt templates (prompts/<name>.v<N>.txt) are hot-reloaded; new calls pick
+// up an updated kora prompt unless the persona was edited
+promptRegistry.on("reload", () => {
+  personaManager.syncDefaultInstructions().catch((error) => {
+    logger.error("Failed to sync persona instructions:", error.message);
+  });
+});
+
+// Dashboard/API users and roles, and customer join tokens (signed with AUTH_SECRET)
+const authManager = new AuthManager(databaseManager, {
+  secret: process.env.AUTH_SECRET,
+  tokenTtlMs: Number(process.env.AUTH_TOKEN_TTL_HOURS ?? 12) * 60 * 60 * 1000,
+  customerTokenTtlMs: Number(process.env.CUSTOMER_TOKEN_TTL_MINUTES ?? 30) * 60 * 1000,
+});
+
+// Abuse protection: token buckets per IP, user and call (0 disables a limit).
+// Coaching, analysis and summaries each cost a Gemini request
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY ?? 0);
+const rateLimits = {
+  apiPerIp: RateLimiter.perMinute(Number(process.env.RATE_LIMIT_API_PER_MINUTE ?? 300)),
+  loginPerIp: RateLimiter.perMinute(Number(process.env.RATE_LIMIT_LOGIN_PER_MINUTE ?? 10)),
+  aiPerUser: RateLimiter.perMinute(Number(process.env.RATE_LIMIT_AI_PER_MINUTE ?? 30)),
+  aiPerSession: RateLimiter.perMinute(Number(process.env.RATE_LIMIT_AI_SESSION_PER_MINUTE ?? 10)),
+  customerConnectionsPerIp: RateLimiter.perMinute(
+    Number(process.env.RATE_LIMIT_CUSTOMER_CONNECTIONS_PER_MINUTE ?? 20),
+  ),
+  wsMessages: RateLimiter.perSecond(Number(process.env.RATE_LIMIT_WS_MESSAGES_PER_SECOND ?? 50)),
+};
+
+// Each request for coaching, analysis or a summary is a Gemini call about one
+// call: limited per user and per call (mount after the /api authentication
+// middleware). Without a sessionId there is no call to count it against
+const aiRateLimits = [
+  rateLimit(rateLimits.aiPerUser, (req) => `user:${req.user.id}`),
+  (req, res, next) => {
+    if (typeof req.body?.sessionId === "string" && req.body.sessionId) return next();
+    res.status(400).json({ error: "sessionId is required" });
+  },
+  rateLimit(rateLimits.aiPerSession, (req) => `session:${req.body.sessionId}`),
+];
+
+// New calls each node takes at once (0 = no cap); customers over it are told all agents are busy
+const MAX_CONCURRENT_SESSIONS = Number(process.env.MAX_CONCURRENT_SESSIONS ?? 50);
+const ALL_AGENTS_BUSY_MESSAGE =
+  "All of our agents are busy right now. Please try again in a few minutes.";
 
 // Middleware
 app.use(express.json());
 
-// CORS Middleware
+// CORS Middleware: only origins listed in CORS_ORIGIN (comma-separated) may
+// call the API from another site; the bundled pages are same-origin
+const CORS_ORIGINS = (process.env.CORS_ORIGIN || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS, PUT, DELETE");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  const origin = req.get("Origin");
+  if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header("Access-Control-Allow-Origin", origin);
+    res.header("Vary", "Origin");
+    res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS, PUT, DELETE");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  }
   if (req.method === "OPTIONS") {
     return res.sendStatus(200);
   }
@@ -47,18 +295,88 @@ app.use(express.static(join(__dirname, "../web")));
 
 // API Routes
 app.get("/api/health", (req, res) => {
+  const textApi = gemini3Api.getDegradedStatus();
   res.json({
-    status: "healthy",
+    status: textApi.degraded ? "degraded" : "healthy",
     timestamp: new Date().toISOString(),
     activeSessions: conversationManager.getActiveSessionCount(),
+    textApi,
+  });
+});
+
+// Every other /api route is limited per client IP
+app.use("/api", rateLimitPerIp(rateLimits.apiPerIp));
+
+// POST /api/auth/login - { username, password } or { apiToken } -> session token
+app.post("/api/auth/login", rateLimitPerIp(rateLimits.loginPerIp), async (req, res) => {
+  try {
+    const { username, password, apiToken } = req.body || {};
+    const session = apiToken
+      ? authManager.loginWithApiToken(apiToken)
+      : await authManager.login(String(username || "").toLowerCase(), password);
+    if (!session) {
+      logger.warn(`Failed login for ${apiToken ? "API token" : username}`);
+      return res.status(401).json({ error: "Invalid credentials" });
+    }
+    res.json({ ...session, user: withPermissions(session.user) });
+  } catch (error) {
+    logger.error("Login error:", error);
+    res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+// POST /api/customer/token - { personaId } -> join token for a new customer call
+// (503 with a message for the customer while this node is at MAX_CONCURRENT_SESSIONS)
+app.post("/api/customer/token", rateLimitPerIp(rateLimits.customerConnectionsPerIp), (req, res) => {
+  if (atSessionCapacity()) {
+    res.set("Retry-After", "60");
+    return res.status(503).json({ error: ALL_AGENTS_BUSY_MESSAGE, code: "all_agents_busy" });
+  }
+  const persona = personaManager.resolve(req.body?.personaId);
+  res.status(201).json(authManager.issueCustomerToken({ personaId: persona.id }));
+});
+
+// Every other /api route needs a session token (Authorization: Bearer <token>)
+app.use("/api", (req, res, next) => {
+  const token = req.get("Authorization")?.match(/^Bearer (.+)$/)?.[1];
+  req.user = authManager.authenticate(token);
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  next();
+});
+
+// GET /api/auth/me - The signed-in user and what their role allows
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: withPermissions(req.user) });
+});
+
+app.get("/api/metrics", requirePermission("reports:view"), (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    structuredOutput: gemini3Api.getStructuredOutputMetrics(),
   });
 });
 
-app.get("/api/sessions", (req, res) => {
+// Prompt templates with their active and available versions
+app.get("/api/prompts", requirePermission("reports:view"), (req, res) => {
+  res.json({ prompts: promptRegistry.list() });
+});
+
+app.post("/api/prompts/reload", audited("prompts_reload"), requirePermission("admin"), (req, res) => {
+  try {
+    res.json({ prompts: promptRegistry.reload() });
+  } catch (error) {
+    logger.error("Error reloading prompts:", error);
+    res.status(500).json({ error: "Failed to reload prompts" });
+  }
+});
+
+app.get("/api/sessions", requirePermission("calls:view"), (req, res) => {
   res.json(conversationManager.getAllSessions());
 });
 
-app.get("/api/sessions/:id", (req, res) => {
+app.get("/api/sessions/:id", requirePermission("calls:view"), (req, res) => {
   const session = conversationManager.getSession(req.params.id);
   if (!session) {
     return res.status(404).json({ error: "Session not found" });
@@ -79,7 +397,7 @@ app.get("/api/sessions/:id", (req, res) => {
 });
 
 // GET /api/summaries - Get all call summaries with pagination and filters
-app.get("/api/summaries", async (req, res) => {
+app.get("/api/summaries", requirePermission("reports:view"), async (req, res) => {
   try {
     const options = {
       limit: parseInt(req.query.limit) || 50,
@@ -110,19 +428,328 @@ app.get("/api/summaries", async (req, res) => {
 });
 
 // GET /api/summary/:sessionId - Get single summary by ID
-app.get("/api/summary/:sessionId", async (req, res) => {
+app.get("/api/summary/:sessionId", requirePermission("reports:view", "calls:view"), async (req, res) => {
   try {
     const summary = await databaseManager.getSummary(req.params.sessionId);
     if (!summary) {
       return res.status(404).json({ error: "Summary not found" });
     }
-    res.json(summary);
+    const usage = await databaseManager.getSessionUsage(req.params.sessionId);
+    res.json({ ...summary, usage });
   } catch (error) {
     logger.error("Error fetching summary:", error);
     res.status(500).json({ error: "Failed to fetch summary" });
   }
 });
 
+// PUT /api/summary/:sessionId - Supervisor corrections to a saved summary
+app.put("/api/summary/:sessionId", audited("summary_edit"), requirePermission("summaries:edit"), async (req, res) => {
+  try {
+    const { fullText, insights, keyTopics, actionItems, resolutionStatus } =
+      req.body || {};
+    const isStringList = (value) =>
+      Array.isArray(value) && value.every((item) => typeof item === "string");
+
+    if (
+      (fullText !== undefined && typeof fullText !== "string") ||
+      (insights !== undefined && typeof insights !== "string") ||
+      (keyTopics !== undefined && !isStringList(keyTopics)) ||
+      (actionItems !== undefined && !isStringList(actionItems)) ||
+      (resolutionStatus !== undefined &&
+        !RESOLUTION_STATUSES.includes(resolutionStatus))
+    ) {
+      return res.status(400).json({ error: "Invalid summary fields" });
+    }
+    if (
+      [fullText, insights, keyTopics, actionItems, resolutionStatus].every(
+        (value) => value === undefined,
+      )
+    ) {
+      return res.status(400).json({ error: "No summary fields to update" });
+    }
+
+    const summary = await databaseManager.updateSummary(req.params.sessionId, {
+      fullText,
+      insights,
+      keyTopics,
+      actionItems,
+      resolutionStatus,
+    });
+    if (!summary) {
+      return res.status(404).json({ error: "Summary not found" });
+    }
+    res.json(summary);
+  } catch (error) {
+    logger.error("Error updating summary:", error);
+    res.status(500).json({ error: "Failed to update summary" });
+  }
+});
+
+// GET /api/usage - Daily token usage and cost rollups (?days=30)
+app.get("/api/usage", requirePermission("reports:view"), async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const rows = await databaseManager.getDailyUsage(days);
+
+    const daily = new Map();
+    for (const row of rows) {
+      const day = daily.get(row.day) || {
+        date: row.day,
+        requests: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        features: {},
+      };
+      day.requests += row.requests;
+      day.totalTokens += row.total_tokens;
+      day.costUsd += row.cost_usd;
+      day.features[row.feature] = {
+        requests: row.requests,
+        sessions: row.sessions,
+        promptTokens: row.prompt_tokens,
+        outputTokens: row.output_tokens,
+        totalTokens: row.total_tokens,
+        costUsd: row.cost_usd,
+      };
+      daily.set(row.day, day);
+    }
+
+    const rollups = [...daily.values()];
+    res.json({
+      days: rollups,
+      totals: {
+        requests: rollups.reduce((sum, d) => sum + d.requests, 0),
+        totalTokens: rollups.reduce((sum, d) => sum + d.totalTokens, 0),
+        costUsd: rollups.reduce((sum, d) => sum + d.costUsd, 0),
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching usage:", error);
+    res.status(500).json({ error: "Failed to fetch usage" });
+  }
+});
+
+// GET /api/experiments/report - Outcomes per prompt experiment variant
+app.get("/api/experiments/report", requirePermission("reports:view"), async (req, res) => {
+  try {
+    const running = gemini3Api.getExperiments();
+    const rate = (count, total) =>
+      total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+
+    const experiments = [];
+    for (const name of EXPERIMENT_NAMES) {
+      const rows = await databaseManager.getExperimentStats(name);
+      experiments.push({
+        name,
+        running: running.some((experiment) => experiment.name === name),
+        variants: rows.map((row) => ({
+          variant: row.variant,
+          promptVersions: row.prompt_versions ? row.prompt_versions.split(",") : [],
+          calls: row.calls,
+          resolutionRate: rate(row.resolved_count, row.calls),
+          summaryEditRate: rate(row.edited_count, row.calls),
+          coachingUsageRate: rate(row.coaching_used_count, row.calls),
+          suggestionsUsed: row.suggestions_used || 0,
+        })),
+      });
+    }
+
+    res.json({ timestamp: new Date().toISOString(), experiments });
+  } catch (error) {
+    logger.error("Error building experiment report:", error);
+    res.status(500).json({ error: "Failed to build experiment report" });
+  }
+});
+
+// GET /api/audit - Audit events, newest first
+// (?sessionId, ?actor, ?action, ?outcome, ?since, ?until as ISO dates or ms, ?limit, ?offset)
+app.get("/api/audit", requirePermission("audit:view"), async (req, res) => {
+  try {
+    const toTime = (value) => {
+      if (!value) return undefined;
+      const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+      return Number.isNaN(time) ? null : time;
+    };
+    const since = toTime(req.query.since);
+    const until = toTime(req.query.until);
+    if (since === null || until === null) {
+      return res.status(400).json({ error: "since and until must be dates or timestamps" });
+    }
+
+    const options = {
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0,
+      sessionId: req.query.sessionId,
+      actorId: req.query.actor,
+      action: req.query.action,
+      outcome: req.query.outcome,
+      since,
+      until,
+    };
+    const events = await auditLog.query(options);
+
+    res.json({
+      events,
+      pagination: {
+        limit: options.limit,
+        offset: options.offset,
+        hasMore: events.length === options.limit,
+      },
+    });
+  } catch (error) {
+    logger.error("Error fetching audit events:", error);
+    res.status(500).json({ error: "Failed to fetch audit events" });
+  }
+});
+
+// ========================================
+// Persona Management API Endpoints
+// ========================================
+
+// GET /api/personas - List all personas
+app.get("/api/personas", requirePermission("calls:view"), (req, res) => {
+  res.json({
+    personas: personaManager.list(),
+    defaultPersonaId: personaManager.defaultPersonaId,
+  });
+});
+
+// GET /api/personas/:id - Get single persona
+app.get("/api/personas/:id", requirePermission("calls:view"), (req, res) => {
+  const persona = personaManager.get(req.params.id);
+  if (!persona) {
+    return res.status(404).json({ error: "Persona not found" });
+  }
+  res.json(persona);
+});
+
+// POST /api/personas - Create persona
+app.post("/api/personas", audited("persona_create"), requirePermission("admin"), async (req, res) => {
+  try {
+    const persona = await personaManager.create(req.body || {});
+    res.status(201).json(persona);
+  } catch (error) {
+    if (error instanceof PersonaValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error creating persona:", error);
+    res.status(500).json({ error: "Failed to create persona" });
+  }
+});
+
+// PUT /api/personas/:id - Update persona (applies to new calls only)
+app.put("/api/personas/:id", audited("persona_update"), requirePermission("admin"), async (req, res) => {
+  try {
+    const persona = await personaManager.update(req.params.id, req.body || {});
+    if (!persona) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    res.json(persona);
+  } catch (error) {
+    if (error instanceof PersonaValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error updating persona:", error);
+    res.status(500).json({ error: "Failed to update persona" });
+  }
+});
+
+// DELETE /api/personas/:id - Delete persona
+app.delete("/api/personas/:id", audited("persona_delete"), requirePermission("admin"), async (req, res) => {
+  try {
+    const deleted = await personaManager.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof PersonaValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error deleting persona:", error);
+    res.status(500).json({ error: "Failed to delete persona" });
+  }
+});
+
+// ========================================
+// User Management API Endpoints
+// ========================================
+
+// GET /api/users - List users
+app.get("/api/users", requirePermission("admin"), (req, res) => {
+  res.json({ users: authManager.list() });
+});
+
+// POST /api/users - Create user ({ id, name, role, password })
+app.post("/api/users", audited("user_create"), requirePermission("admin"), async (req, res) => {
+  try {
+    const user = await authManager.create(req.body || {});
+    cluster.announceUserChange(user.id);
+    res.status(201).json(user);
+  } catch (error) {
+    if (error instanceof AuthValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error creating user:", error);
+    res.status(500).json({ error: "Failed to create user" });
+  }
+});
+
+// PUT /api/users/:id - Update name, role or password
+app.put("/api/users/:id", audited("user_update"), requirePermission("admin"), async (req, res) => {
+  try {
+    const previous = authManager.get(req.params.id);
+    const user = await authManager.update(req.params.id, req.body || {});
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    cluster.announceUserChange(user.id);
+    if (user.role !== previous.role) closeUserDashboards(user.id, "Role changed");
+    else if (req.body?.password) closeUserDashboards(user.id, "Password changed");
+    res.json(user);
+  } catch (error) {
+    if (error instanceof AuthValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error updating user:", error);
+    res.status(500).json({ error: "Failed to update user" });
+  }
+});
+
+// DELETE /api/users/:id - Delete user (their sessions stop working)
+app.delete("/api/users/:id", audited("user_delete"), requirePermission("admin"), async (req, res) => {
+  try {
+    const deleted = await authManager.delete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    cluster.announceUserChange(req.params.id);
+    closeUserDashboards(req.params.id, "User deleted");
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof AuthValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error("Error deleting user:", error);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
+
+// POST /api/users/:id/api-token - Issue a new API token (shown only once)
+app.post("/api/users/:id/api-token", audited("api_token_issue"), requirePermission("admin"), async (req, res) => {
+  try {
+    const apiToken = await authManager.issueApiToken(req.params.id);
+    if (!apiToken) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    cluster.announceUserChange(req.params.id);
+    res.status(201).json({ apiToken });
+  } catch (error) {
+    logger.error("Error issuing API token:", error);
+    res.status(500).json({ error: "Failed to issue API token" });
+  }
+});
+
 // ========================================
 // Gemini 3 Enhanced Features API Endpoints
 // ========================================
@@ -130,7 +757,7 @@ app.get("/api/summary/:sessionId", async (req, res) => {
 /**
  * Get AI coaching suggestions for supervisor
  */
-app.post("/api/coaching", async (req, res) => {
+app.post("/api/coaching", requirePermission("calls:handle"), aiRateLimits, async (req, res) => {
   try {
     const { sessionId, customerMessage } = req.body;
     const session = conversationManager.getSession(sessionId);
@@ -142,6 +769,7 @@ app.post("/api/coaching", async (req, res) => {
     const coaching = await gemini3Api.getSupervisorCoaching(
       session.transcript,
       customerMessage,
+      { sessionId },
     );
 
     res.json(coaching);
@@ -154,7 +782,7 @@ app.post("/api/coaching", async (req, res) => {
 /**
  * Analyze conversation for insights (powered by Gemini 3)
  */
-app.post("/api/analyze", async (req, res) => {
+app.post("/api/analyze", requirePermission("calls:handle"), aiRateLimits, async (req, res) => {
   try {
     const { sessionId } = req.body;
     const session = conversationManager.getSession(sessionId);
@@ -163,7 +791,9 @@ app.post("/api/analyze", async (req, res) => {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    const analysis = await gemini3Api.analyzeConversation(session.transcript);
+    const analysis = await gemini3Api.analyzeConversation(session.transcript, {
+      sessionId,
+    });
     res.json(analysis);
   } catch (error) {
     logger.error("Analysis API error:", error);
@@ -174,16 +804,19 @@ app.post("/api/analyze", async (req, res) => {
 /**
  * Generate call summary (powered by Gemini 3)
  */
-app.post("/api/summary", async (req, res) => {
+app.post("/api/summary", requirePermission("calls:handle"), aiRateLimits, async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId, language } = req.body;
     const session = conversationManager.getSession(sessionId);
 
     if (!session) {
       return res.status(404).json({ error: "Session not found" });
     }
 
-    const summary = await gemini3Api.generateSummary(session.transcript);
+    const summary = await gemini3Api.generateSummary(session.transcript, {
+      language: language || getSummaryLanguage(session),
+      sessionId,
+    });
     res.json(summary);
   } catch (error) {
     logger.error("Summary API error:", error);
@@ -191,12 +824,169 @@ app.post("/api/summary", async (req, res) => {
   }
 });
 
+/**
+ * Refuse requests over the limit with 429 and Retry-After
+ * @param {RateLimiter} limiter
+ * @param {Function} keyOf - (req) => bucket key, e.g. "ip:10.0.0.1"
+ */
+function rateLimit(limiter, keyOf) {
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = limiter.take(keyOf(req));
+    if (allowed) return next();
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    logger.warn(`Rate limited ${req.method} ${req.originalUrl} (${keyOf(req)})`);
+    res.set("Retry-After", String(retryAfterSeconds));
+    res.status(429).json({ error: "Too many requests, please slow down", retryAfterSeconds });
+  };
+}
+
+function rateLimitPerIp(limiter) {
+  return rateLimit(limiter, (req) => `ip:${clientIp(req)}`);
+}
+
+/**
+ * Caller's address for per-IP limits. Behind TRUST_PROXY proxies (e.g. the load
+ * balancer in front of a cluster) it is taken from X-Forwarded-For
+ */
+function clientIp(req) {
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+  const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+  return chain[Math.min(TRUST_PROXY_HOPS, chain.length - 1)];
+}
+
+/**
+ * Whether this node is running as many calls as MAX_CONCURRENT_SESSIONS allows
+ */
+function atSessionCapacity() {
+  return (
+    MAX_CONCURRENT_SESSIONS > 0 &&
+    conversationManager.getOpenSessionCount() >= MAX_CONCURRENT_SESSIONS
+  );
+}
+
+/**
+ * Take one message from the sender's bucket. Messages over the limit are
+ * dropped, and the sender is told once until they slow down
+ * @returns {boolean} True if the message should be dropped
+ */
+function overMessageLimit(ws, key) {
+  const { allowed, retryAfterMs } = rateLimits.wsMessages.take(key);
+  if (allowed) {
+    ws.rateLimited = false;
+    return false;
+  }
+  if (!ws.rateLimited) {
+    ws.rateLimited = true;
+    logger.warn(`Dropping WebSocket messages over the rate limit (${key})`);
+    ws.send(
+      JSON.stringify({
+        type: "rate_limited",
+        message: "Too many messages, some were dropped",
+        retryAfterMs,
+      }),
+    );
+  }
+  return true;
+}
+
+/**
+ * Only refuse requests whose user's role lacks one of the permissions
+ * (mount after the /api authentication middleware)
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (permissions.some((permission) => authManager.can(req.user?.role, permission))) {
+      return next();
+    }
+    res.status(403).json({ error: "Your role is not allowed to do this" });
+  };
+}
+
+/**
+ * Record a REST change in the audit log once it has been answered: "ok",
+ * "denied" (403) or "failed" (any other error). Mount before requirePermission
+ * so refused attempts are kept too
+ */
+function audited(action) {
+  return (req, res, next) => {
+    res.on("finish", () => {
+      auditLog.record({
+        actor: req.user,
+        action,
+        sessionId: req.params.sessionId,
+        target: req.params.id || req.body?.id,
+        payload: req.body,
+        outcome: res.statusCode === 403 ? "denied" : res.statusCode >= 400 ? "failed" : "ok",
+      });
+    });
+    next();
+  };
+}
+
+/**
+ * Close a user's dashboards connected to this node after their role or password
+ * changed or they were deleted (every other node closes its own on the
+ * user_changed announcement); dashboards reconnect with what the user may do
+ * now, if anything
+ */
+function closeUserDashboards(userId, reason) {
+  conversationManager.getSupervisorSockets(userId).forEach((ws) => {
+    if (!(ws instanceof RemoteSocket)) ws.close(1008, reason);
+  });
+}
+
+function withPermissions(user) {
+  return { ...user, permissions: authManager.permissionsFor(user.role) };
+}
+
+/**
+ * Customers must present a join token from /api/customer/token (?token=), which
+ * decides their call and persona; supervisor dashboards a session token whose
+ * user can view calls
+ */
+function verifyWebSocketClient({ req }, done) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const role = url.searchParams.get("role") || "customer";
+  const token = url.searchParams.get("token");
+
+  if (role === "customer") {
+    // Issuing the join token was already counted; only failed attempts (e.g.
+    // guessed tokens) count against the same per-IP limit
+    req.customer = authManager.verifyCustomerToken(token);
+    if (req.customer) return done(true);
+    if (!rateLimits.customerConnectionsPerIp.take(`ip:${clientIp(req)}`).allowed) {
+      logger.warn(`[Connection] Rejected customer over the connection rate limit (${clientIp(req)})`);
+      return done(false, 429, "Too Many Requests");
+    }
+    logger.warn("[Connection] Rejected customer without a valid join token");
+    return done(false, 401, "Unauthorized");
+  }
+  // Other roles are closed once connected
+  if (role !== "supervisor") return done(true);
+
+  const user = authManager.authenticate(token);
+  if (!user) {
+    logger.warn("[Connection] Rejected supervisor without a valid session token");
+    return done(false, 401, "Unauthorized");
+  }
+  if (!authManager.can(user.role, "calls:view")) {
+    logger.warn(`[Connection] Rejected ${user.id}: role ${user.role} can't view calls`);
+    return done(false, 403, "Forbidden");
+  }
+  req.user = user;
+  done(true);
+}
+
 // WebSocket handling
 wss.on("connection", (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const role = url.searchParams.get("role") || "customer";
-  // Generate a new session ID if one isn't provided (new customer call)
-  const sessionId = url.searchParams.get("session") || crypto.randomUUID();
+  // Customers' calls come from their join token; reconnecting with it resumes the call
+  const sessionId =
+    role === "customer" ? req.customer.sessionId : url.searchParams.get("session");
 
   logger.info(
     `[Connection] New WebSocket connection: role=${role}, session=${sessionId}`,
@@ -204,9 +994,17 @@ wss.on("connection", (ws, req) => {
 
   // Handle different connection types based on role
   if (role === "customer") {
-    handleCustomerConnection(ws, sessionId);
+    connectCustomer(ws, sessionId, req.customer.personaId);
   } else if (role === "supervisor") {
-    handleSupervisorConnection(ws, sessionId);
+    // Supervisors connect to the session list, optionally subscribed to one
+    // call; they're routed escalations as their signed-in user
+    handleSupervisorConnection(ws, url.searchParams.get("session"), {
+      id: req.user.id,
+      name: req.user.name,
+      role: req.user.role,
+      skills: url.searchParams.get("skills")?.split(",") || [],
+      capacity: url.searchParams.get("capacity"),
+    });
   } else {
     logger.warn(`[Connection] Rejected connection with invalid role: ${role}`);
     ws.close(1008, "Invalid role");
@@ -221,343 +1019,114 @@ const sentimentAnalyzer = new SentimentAnalyzer();
 // ... (existing imports/setup)
 
 /**
- * Handle customer WebSocket connection
+ * Run the call here if this node can claim it, otherwise relay the customer to
+ * the node running it. Messages sent while the claim is pending are replayed.
  */
-function handleCustomerConnection(ws, sessionId) {
-  // Create or get existing session
-  let session = conversationManager.getSession(sessionId);
-
-  if (!session) {
-    session = conversationManager.createSession(sessionId);
-
-    // Initialize Gemini Live session
-    const geminiSession = new GeminiLiveSession(process.env.GEMINI_API_KEY);
-    session.geminiSession = geminiSession;
-
-    // Initialize session
-    geminiSession.initialize().catch((err) => {
-      logger.error("Failed to initialize Gemini session", err);
-    });
-
-    // Set up Gemini event handlers
-    geminiSession.on("response", (data) => {
-      // Forward AI response to customer
-      if (session.customerWs?.readyState === 1 && data.type === "text") {
-        session.customerWs.send(
-          JSON.stringify({
-            type: "ai_response",
-            data: { type: "text", content: data.content },
-          }),
-        );
-      }
+async function connectCustomer(ws, sessionId, personaId) {
+  const early = [];
+  const hold = (message) => early.push(message);
+  ws.on("message", hold);
 
-      // Broadcast to ALL supervisors (not just session.supervisorWs)
-      if (data.type === "text") {
-        broadcastToSupervisors({
-          type: "ai_response",
-          sessionId: sessionId,
-          data: { type: "text", content: data.content },
-        });
-      }
-
-      // Store in transcript
-      if (data.type === "text") {
-        session.transcript.push({
-          role: "ai",
-          content: data.content,
-          timestamp: Date.now(),
-        });
-      }
-    });
-
-    geminiSession.on("audio", (audioData) => {
-      // Forward audio to customer
-      if (session.customerWs?.readyState === 1) {
-        session.customerWs.send(
-          JSON.stringify({
-            type: "audio",
-            data: audioData,
-          }),
-        );
-      }
-    });
-
-    // Handle customer speech transcribed by Gemini
-    geminiSession.on("input_transcription", (data) => {
-      const customerText = data.text;
-
-      // Helper function to normalize text for duplicate detection
-      const normalizeText = (text) => {
-        return text
-          .toLowerCase()
-          .replace(/[.,!?;:'"()-]/g, "") // Remove common punctuation
-          .replace(/\s+/g, " ") // Normalize whitespace
-          .trim();
-      };
-
-      // Deduplication Logic:
-      // We receive transcriptions from two sources:
-      // 1. Web Speech API (running in customer's browser) - faster, used for immediate feedback
-      // 2. Gemini Live API (server-side) - more accurate, but slightly delayed
-      // We need to prevent showing the same message twice.
-
-      // Check if this message was recently added (within last 3 seconds)
-      const now = Date.now();
-      const recentMessages = session.transcript.filter(
-        (msg) => msg.role === "customer" && now - msg.timestamp < 3000,
-      );
-
-      const normalizedCustomerText = normalizeText(customerText);
-      const customerWords = normalizedCustomerText
-        .split(" ")
-        .filter((w) => w.length > 2);
-
-      const isDuplicate = recentMessages.some((msg) => {
-        // Normalize both texts and compare with fuzzy matching
-        const normalizedExisting = normalizeText(msg.content);
-        const existingWords = normalizedExisting
-          .split(" ")
-          .filter((w) => w.length > 2);
-
-        // 1. Exact match check
-        if (normalizedExisting === normalizedCustomerText) return true;
-
-        // 2. Fuzzy match: if 60% of words overlap, consider it duplicate
-        if (customerWords.length >= 3 && existingWords.length >= 3) {
-          const commonWords = customerWords.filter((w) =>
-            existingWords.includes(w),
-          );
-          const overlapRatio =
-            commonWords.length /
-            Math.max(customerWords.length, existingWords.length);
-          if (overlapRatio >= 0.6) return true;
-        }
-
-        // 3. Substring match for shorter phrases
-        if (
-          normalizedExisting.includes(normalizedCustomerText) ||
-          normalizedCustomerText.includes(normalizedExisting)
-        ) {
-          return true;
-        }
-
-        return false;
-      });
-
-      if (isDuplicate) {
-        logger.debug(
-          `[Deduplication] Skipped duplicate input transcription: "${customerText}"`,
-        );
-        return; // Skip processing duplicate
-      }
-
-      // Echo Detection Logic:
-      // When the user is on speakerphone, the microphone might pick up the AI's response.
-      // We need to detect if the "user input" is actually just the AI's previous response.
-
-      const recentAIMessages = session.transcript.filter(
-        (msg) => msg.role === "ai" && Date.now() - msg.timestamp < 10000,
-      );
-
-      const isAIEcho = recentAIMessages.some((msg) => {
-        const normalizedAI = normalizeText(msg.content);
-        const aiWords = normalizedAI.split(" ").filter((w) => w.length > 2);
-
-        // 1. Exact match
-        if (normalizedAI === normalizedCustomerText) return true;
-
-        // 2. Fuzzy match: if 60% of words overlap
-        if (customerWords.length >= 3 && aiWords.length >= 3) {
-          const commonWords = customerWords.filter((w) => aiWords.includes(w));
-          const overlapRatio =
-            commonWords.length / Math.max(customerWords.length, aiWords.length);
-          if (overlapRatio >= 0.6) return true;
-        }
-
-        // 3. Substring match
-        if (
-          normalizedAI.includes(normalizedCustomerText) ||
-          normalizedCustomerText.includes(normalizedAI)
-        ) {
-          return true;
-        }
-
-        return false;
-      });
+  try {
+    // A join token outlives its call: once the call's summary is saved, it
+    // can't start a new call under the same session ID (the finished call may
+    // have left memory, been evicted or not been restored after a restart)
+    if (!conversationManager.getSession(sessionId) && (await databaseManager.getSummary(sessionId))) {
+      ws.off("message", hold);
+      refuseEndedCall(ws);
+      return;
+    }
 
-      if (isAIEcho) {
-        logger.info(
-          `[Echo Detection] Skipping AI echo from customer input: "${customerText.substring(0, 50)}..."`,
-        );
-        return; // Skip - this is the AI's own voice being picked up
+    const nodeId = await cluster.claimSession(sessionId);
+    ws.off("message", hold);
+    if (ws.readyState !== 1) {
+      if (!conversationManager.getSession(sessionId)) {
+        await cluster.releaseSession(sessionId);
       }
+      return;
+    }
 
-      // Forward to customer so they see their own speech
-      if (session.customerWs?.readyState === 1) {
-        session.customerWs.send(
-          JSON.stringify({
-            type: "customer_transcription",
-            content: customerText,
-          }),
-        );
+    if (nodeId === cluster.nodeId) {
+      // A new call needs capacity; customers resuming theirs are let back in
+      if (!conversationManager.getSession(sessionId) && atSessionCapacity()) {
+        logger.warn(`Turned away session ${sessionId}: ${MAX_CONCURRENT_SESSIONS} calls already running`);
+        await cluster.releaseSession(sessionId);
+        ws.send(JSON.stringify({ type: "all_agents_busy", message: ALL_AGENTS_BUSY_MESSAGE }));
+        ws.close(1013, "All agents busy");
+        return;
       }
+      handleCustomerConnection(ws, sessionId, personaId);
+    } else {
+      logger.info(`Session ${sessionId} runs on ${nodeId}, relaying the customer`);
+      cluster.relayCustomer(ws, nodeId, { sessionId, params: { personaId } });
+    }
+    early.forEach((message) => ws.emit("message", message));
+  } catch (error) {
+    logger.error(`Failed to connect customer to session ${sessionId}:`, error);
+    ws.close(1011, "Server error");
+  }
+}
 
-      // Broadcast to supervisors
-      broadcastToSupervisors({
-        type: "customer_message",
-        sessionId: sessionId,
-        content: customerText,
-      });
-
-      // Store in transcript
-      session.transcript.push({
-        role: "customer",
-        content: customerText,
-        timestamp: Date.now(),
-      });
-
-      // TRIGGER SENTIMENT ANALYSIS (Gemini 3 Powered)
-      gemini3Api
-        .analyzeSentiment(data.text, session.transcript.slice(-5))
-        .then((sentimentResult) => {
-          conversationManager.updateSession(sessionId, {
-            sentimentScore: sentimentResult.frustrationLevel,
-            frustrationLevel: sentimentResult.frustrationLevel,
-          });
-
-          // Broadcast frustration update to supervisors
-          broadcastToSupervisors({
-            type: "frustration_update",
-            sessionId: sessionId,
-            frustrationLevel: sentimentResult.frustrationLevel,
-            sentiment: sentimentResult.sentiment,
-            reason: sentimentResult.reason,
-          });
-
-          if (sentimentResult.shouldEscalate) {
-            broadcastToSupervisors({
-              type: "escalation_alert",
-              sessionId: sessionId,
-              reason: sentimentResult.reason || "High frustration detected",
-              frustrationLevel: sentimentResult.frustrationLevel,
-            });
-          }
-
-          broadcastToSupervisors({
-            type: "session_update",
-            sessionId: sessionId,
-            data: conversationManager.serializeSession(
-              conversationManager.getSession(sessionId),
-            ),
-          });
-        })
-        .catch((err) => {
-          logger.error("Sentiment analysis error:", err.message);
-        });
-
-      // ===== AUTO-UPDATE ANALYTICS (EVERY MESSAGE) =====
-      gemini3Api
-        .analyzeConversation(session.transcript)
-        .then(async (analytics) => {
-          // Cache in database
-          try {
-            await databaseManager.cacheAnalytics(sessionId, analytics);
-          } catch (dbErr) {
-            logger.error("Analytics cache error:", dbErr.message);
-          }
-
-          // Broadcast to supervisors
-          broadcastToSupervisors({
-            type: "analytics_update",
-            sessionId: sessionId,
-            data: analytics,
-          });
-
-          logger.info(
-            `[Auto-Analytics] ${sessionId}: ${analytics.intent}, ${analytics.sentiment}`,
-          );
-        })
-        .catch((err) => {
-          logger.error("Analytics auto-update error:", err.message);
-        });
+function refuseEndedCall(ws) {
+  ws.send(JSON.stringify({ type: "session_ended", message: "This call has ended." }));
+  ws.close(1000, "Session completed");
+}
 
-      // ===== AUTO-UPDATE AI COACHING (EVERY MESSAGE) =====
-      gemini3Api
-        .getSupervisorCoaching(session.transcript, data.text)
-        .then(async (coaching) => {
-          // Cache in database
-          try {
-            await databaseManager.cacheCoaching(sessionId, coaching);
-          } catch (dbErr) {
-            logger.error("Coaching cache error:", dbErr.message);
-          }
+/**
+ * Handle customer WebSocket connection
+ * @param {string} personaId - Requested persona (falls back to the default persona)
+ */
+function handleCustomerConnection(ws, sessionId, personaId) {
+  // Create or get existing session
+  let session = conversationManager.getSession(sessionId);
 
-          // Broadcast to supervisors
-          broadcastToSupervisors({
-            type: "coaching_update",
-            sessionId: sessionId,
-            data: coaching,
-          });
+  if (!session) {
+    session = conversationManager.createSession(sessionId);
 
-          logger.info(
-            `[Auto-Coaching] ${sessionId}: ${coaching.tone}, ${coaching.priority}`,
-          );
-        })
-        .catch((err) => {
-          logger.error("Coaching auto-update error:", err.message);
-        });
+    const persona = personaManager.resolve(personaId);
+    conversationManager.updateSession(sessionId, {
+      personaId: persona.id,
+      personaName: persona.name,
     });
-
-    geminiSession.on("error", (error) => {
-      logger.error(`Error in session ${sessionId}:`, error);
-      // Notify supervisor
-      if (session.supervisorWs?.readyState === 1) {
-        session.supervisorWs.send(
-          JSON.stringify({
-            type: "error",
-            sessionId: sessionId,
-            message: error.message,
-          }),
-        );
-      }
+    logger.info(`Session ${sessionId} using persona: ${persona.id}`);
+    startLiveSession(session, persona);
+  } else if (session.status === "ended" || session.status === "completed") {
+    refuseEndedCall(ws);
+    return;
+  } else if (!session.geminiSession) {
+    // Restored after a server restart: pick the conversation up where it stopped
+    logger.info(`Customer reconnected to recovered session ${sessionId}`);
+    startLiveSession(session, personaManager.resolve(session.personaId), {
+      resumed: true,
     });
+    conversationManager.updateSession(sessionId, { aiStatus: "connected" });
   }
 
-  session.customerWs = ws;
-  conversationManager.updateSession(sessionId, {
-    status: "active",
-    customerConnected: true,
-  });
+  // Back within the grace period after a drop or a restart
+  clearTimeout(recoveryTimers.get(sessionId));
+  recoveryTimers.delete(sessionId);
 
-  // Broadcast to supervisors
-  broadcastToSupervisors({
-    type: "session_update",
-    sessionId: sessionId,
-    data: conversationManager.serializeSession(
-      conversationManager.getSession(sessionId),
-    ),
-  });
+  session.customerWs = ws;
+  conversationManager.updateSession(sessionId, { customerConnected: true });
+  if (session.status === "waiting") {
+    conversationManager.transition(sessionId, "active");
+  }
 
   // Handle incoming messages from customer
   ws.on("message", async (message) => {
+    if (overMessageLimit(ws, `session:${sessionId}`)) return;
     try {
       const data = JSON.parse(message);
 
       if (data.type === "audio") {
-        // Forward audio to Gemini or human supervisor
-        if (session.mode === "human") {
-          // Forward to supervisor
-          if (session.supervisorWs?.readyState === 1) {
-            session.supervisorWs.send(
-              JSON.stringify({
-                type: "customer_audio",
-                sessionId: sessionId,
-                data: data.data,
-              }),
-            );
-          }
-        } else {
-          // Forward to Gemini
+        // The supervisor on the call and any monitoring supervisors hear the customer
+        sendToListeners(session, {
+          type: "customer_audio",
+          sessionId: sessionId,
+          data: data.data,
+        });
+        // Gemini hears them unless a supervisor took over (barge-in keeps it listening)
+        if (session.mode !== "human") {
           await session.geminiSession?.sendAudio(data.data);
         }
       } else if (data.type === "customer_speech") {
@@ -659,19 +1228,20 @@ function handleCustomerConnection(ws, sessionId) {
             );
           } else if (!isDuplicate) {
             // Add to transcript
-            session.transcript.push({
-              role: "customer",
-              content: customerText,
-              timestamp: Date.now(),
-            });
+            const entry = conversationManager.addToTranscript(
+              sessionId,
+              createTranscriptEntry("customer", customerText),
+            );
 
             // Broadcast to supervisors
-            broadcastToSupervisors({
+            sendToSubscribers({
               type: "customer_message",
               sessionId: sessionId,
               content: customerText,
-              timestamp: Date.now(),
+              language: entry.language,
+              timestamp: entry.timestamp,
             });
+            translateForSupervisors(sessionId, entry);
           } else {
             logger.debug(
               `[WebSpeech] Skipped duplicate message: "${customerText}"`,
@@ -680,11 +1250,11 @@ function handleCustomerConnection(ws, sessionId) {
         }
       } else if (data.type === "text") {
         // Handle text message
-        session.transcript.push({
-          role: "customer",
-          content: data.content,
-          timestamp: Date.now(),
-        });
+        const entry = conversationManager.addToTranscript(
+          sessionId,
+          createTranscriptEntry("customer", data.content),
+        );
+        translateForSupervisors(sessionId, entry);
 
         // ----------------------------------------------------
         // SENTIMENT ANALYSIS START
@@ -700,14 +1270,12 @@ function handleCustomerConnection(ws, sessionId) {
           frustrationLevel: escalationCheck.frustrationLevel,
         });
 
-        // If escalation needed, notify supervisor
+        // If escalation needed, queue the call for a supervisor
         if (escalationCheck.shouldEscalate) {
           logger.warn(
             `Escalation triggered for session ${sessionId}: ${escalationCheck.reason}`,
           );
-          broadcastToSupervisors({
-            type: "escalation_alert",
-            sessionId: sessionId,
+          escalations.escalate(sessionId, {
             reason: escalationCheck.reason,
             frustrationLevel: escalationCheck.frustrationLevel,
           });
@@ -744,84 +1312,20 @@ function handleCustomerConnection(ws, sessionId) {
         // Handle speech transcript (for sentiment/display only)
         // Do NOT send to Gemini as it already hears the audio
 
-        session.transcript.push({
-          role: "customer",
-          content: data.content,
-          timestamp: Date.now(),
-        });
-
-        // ----------------------------------------------------
-        // GEMINI 3 POWERED SENTIMENT ANALYSIS (TRANSCRIPT)
-        // Non-blocking to avoid delaying AI voice response
-        // ----------------------------------------------------
-
-        // Use Gemini 3 for intelligent sentiment detection (non-blocking)
-        gemini3Api
-          .analyzeSentiment(data.content, session.transcript.slice(-5))
-          .then((sentimentResult) => {
-            conversationManager.updateSession(sessionId, {
-              sentimentScore: sentimentResult.frustrationLevel,
-              frustrationLevel: sentimentResult.frustrationLevel,
-            });
-
-            // Broadcast frustration update to supervisors
-            broadcastToSupervisors({
-              type: "frustration_update",
-              sessionId: sessionId,
-              frustrationLevel: sentimentResult.frustrationLevel,
-              sentiment: sentimentResult.sentiment,
-              reason: sentimentResult.reason,
-            });
-
-            if (sentimentResult.shouldEscalate) {
-              broadcastToSupervisors({
-                type: "escalation_alert",
-                sessionId: sessionId,
-                reason: sentimentResult.reason || "High frustration detected",
-                frustrationLevel: sentimentResult.frustrationLevel,
-              });
-            }
-
-            broadcastToSupervisors({
-              type: "session_update",
-              sessionId: sessionId,
-              data: conversationManager.serializeSession(
-                conversationManager.getSession(sessionId),
-              ),
-            });
-          })
-          .catch((err) => {
-            logger.error("Sentiment analysis error:", err.message);
-          });
-
-        // Auto-trigger analytics update (non-blocking)
-        gemini3Api
-          .analyzeConversation(session.transcript)
-          .then((analytics) => {
-            broadcastToSupervisors({
-              type: "analytics_update",
-              sessionId: sessionId,
-              data: analytics,
-            });
-          })
-          .catch(() => {});
+        const entry = conversationManager.addToTranscript(
+          sessionId,
+          createTranscriptEntry("customer", data.content),
+        );
+        translateForSupervisors(sessionId, entry);
 
-        // If in human takeover mode, auto-trigger coaching suggestions
-        if (session.mode === "human") {
-          gemini3Api
-            .getSupervisorCoaching(session.transcript, data.content)
-            .then((coaching) => {
-              broadcastToSupervisors({
-                type: "coaching_update",
-                sessionId: sessionId,
-                data: coaching,
-              });
-            })
-            .catch(() => {});
-        }
+        // Sentiment and analytics (debounced per session, non-blocking so the
+        // AI voice response isn't delayed); coaching only during human takeover
+        analysisScheduler.schedule(sessionId, session.transcript, data.content, {
+          coaching: session.mode !== "ai",
+        });
 
         // Broadcast customer message to ALL supervisors
-        broadcastToSupervisors({
+        sendToSubscribers({
           type: "customer_message",
           sessionId: sessionId,
           content: data.content,
@@ -832,83 +1336,493 @@ function handleCustomerConnection(ws, sessionId) {
     }
   });
 
-  ws.on("close", async () => {
-    logger.info(`Customer disconnected from session ${sessionId}`);
+  ws.on("close", (code) => {
+    // The customer already reconnected: this is the old socket going away
+    if (session.customerWs !== ws) return;
+
+    logger.info(`Customer disconnected from session ${sessionId} (code ${code})`);
     session.customerWs = null;
     conversationManager.updateSession(sessionId, { customerConnected: false });
+    analysisScheduler.cancel(sessionId);
 
-    // ===== GENERATE & SAVE CALL SUMMARY =====
-    if (session.transcript && session.transcript.length > 0) {
-      try {
-        // Generate summary using Gemini 3
-        const summary = await gemini3Api.generateSummary(session.transcript);
-
-        // Calculate frustration metrics from transcript
-        const frustrations = session.transcript
-          .filter((m) => m.frustrationLevel !== undefined)
-          .map((m) => m.frustrationLevel);
-        const frustrationAvg =
-          frustrations.length > 0
-            ? frustrations.reduce((a, b) => a + b, 0) / frustrations.length
-            : session.frustrationLevel || 0;
-        const frustrationMax =
-          frustrations.length > 0
-            ? Math.max(...frustrations)
-            : session.frustrationLevel || 0;
-
-        // Calculate duration explicitly
-        const now = Date.now();
-        const startTime = session.createdAt || session.startedAt || now;
-        const duration = Math.max(0, now - startTime);
-
-        if (!session.createdAt && !session.startedAt) {
-          logger.warn(
-            `Session ${sessionId} missing createdAt/startedAt timestamp. Duration defaulted to 0.`,
-          );
-        } else {
-          logger.info(`Session ${sessionId} duration: ${duration}ms (${Math.round(duration/1000)}s)`);
-        }
+    // Not when a supervisor's end_call closed the socket: the call already ended
+    if (!conversationManager.canTransition(sessionId, "ended")) return;
 
-        // Prepare session data with metrics
-        const sessionData = {
-          ...session,
-          duration: duration,
-          frustrationAvg: frustrationAvg,
-          frustrationMax: frustrationMax,
-          escalationCount: session.escalationCount || 0,
-          escalationAlerts: session.escalationAlerts || [],
-          supervisorInterventions: session.supervisorInterventions || 0,
-          supervisorId: session.takenOverBy || null,
-          supervisorTakeoverDuration: session.supervisorTakeoverDuration || 0,
-        };
-
-        // Save to database
-        await databaseManager.saveCallSummary(sessionId, sessionData, summary);
-
-        logger.info(`Call summary saved: ${sessionId}`);
-
-        // Broadcast to supervisors
-        broadcastToSupervisors({
-          type: "call_ended",
-          sessionId: sessionId,
-          summary: summary,
-        });
-      } catch (error) {
-        logger.error(`Failed to save call summary for ${sessionId}:`, error);
+    const endCall = () =>
+      conversationManager.transition(sessionId, "ended", {
+        endedAt: Date.now(),
+        endedBy: "customer",
+      });
+    if (HANG_UP_CLOSE_CODES.includes(code)) {
+      endCall();
+      return;
+    }
+
+    // Dropped connection: the customer page reconnects with the same join token
+    const timer = setTimeout(() => {
+      recoveryTimers.delete(sessionId);
+      if (session.customerWs || !conversationManager.canTransition(sessionId, "ended")) return;
+      logger.info(`Customer did not reconnect to session ${sessionId}, ending it`);
+      endCall();
+    }, CUSTOMER_RECONNECT_GRACE_MS);
+    recoveryTimers.set(sessionId, timer);
+  });
+
+  // Send session info to customer
+  ws.send(
+    JSON.stringify({
+      type: "session_init",
+      sessionId: sessionId,
+      mode: session.mode,
+      persona: { id: session.personaId, name: session.personaName },
+    }),
+  );
+}
+
+/**
+ * Summarize and save an ended call, then mark it completed (runs on the
+ * "status:ended" transition, and for ended calls restored after a restart).
+ * A call whose summary couldn't be saved stays ended
+ */
+async function finalizeSession(sessionId) {
+  const session = conversationManager.getSession(sessionId);
+  if (session?.status !== "ended") return;
+
+  // ===== GENERATE & SAVE CALL SUMMARY =====
+  if (session.transcript && session.transcript.length > 0) {
+    try {
+      // Generate summary using Gemini 3, in the supervisor's language
+      const summary = await gemini3Api.generateSummary(session.transcript, {
+        language: getSummaryLanguage(session),
+        sessionId,
+      });
+
+      // Calculate frustration metrics from transcript
+      const frustrations = session.transcript
+        .filter((m) => m.frustrationLevel !== undefined)
+        .map((m) => m.frustrationLevel);
+      const frustrationAvg =
+        frustrations.length > 0
+          ? frustrations.reduce((a, b) => a + b, 0) / frustrations.length
+          : session.frustrationLevel || 0;
+      const frustrationMax =
+        frustrations.length > 0
+          ? Math.max(...frustrations)
+          : session.frustrationLevel || 0;
+
+      // Calculate duration explicitly
+      const now = Date.now();
+      const startTime = session.createdAt || session.startedAt || now;
+      const duration = Math.max(0, now - startTime);
+
+      if (!session.createdAt && !session.startedAt) {
+        logger.warn(
+          `Session ${sessionId} missing createdAt/startedAt timestamp. Duration defaulted to 0.`,
+        );
+      } else {
+        logger.info(`Session ${sessionId} duration: ${duration}ms (${Math.round(duration/1000)}s)`);
       }
+
+      // Prepare session data with metrics
+      const sessionData = {
+        ...session,
+        duration: duration,
+        frustrationAvg: frustrationAvg,
+        frustrationMax: frustrationMax,
+        escalationCount: session.escalationCount || 0,
+        escalationAlerts: session.escalationAlerts || [],
+        supervisorInterventions: session.supervisorInterventions || 0,
+        interruptionCount: session.interruptionCount || 0,
+        coachingSuggestionsUsed: session.coachingSuggestionsUsed || 0,
+        supervisorId: session.takenOverBy || null,
+        supervisorTakeoverDuration: session.supervisorTakeoverDuration || 0,
+      };
+
+      // Save to database
+      await databaseManager.saveCallSummary(sessionId, sessionData, summary);
+      conversationManager.updateSession(sessionId, { summarySaved: true });
+
+      logger.info(`Call summary saved: ${sessionId}`);
+
+      // Broadcast to supervisors
+      broadcastToSupervisors({
+        type: "call_ended",
+        sessionId: sessionId,
+        summary: summary,
+      });
+    } catch (error) {
+      logger.error(`Failed to save call summary for ${sessionId}:`, error);
     }
+  }
 
-    // ===== CLOSE SESSION =====
-    // Mark session as completed and close Gemini session
-    conversationManager.updateSession(sessionId, { status: "completed" });
+  // ===== CLOSE SESSION =====
+  // Close Gemini session if active
+  if (session.geminiSession) {
+    session.geminiSession.close();
+    session.geminiSession = null;
+  }
+
+  // Without a saved summary the call stays ended: it is kept in memory and in
+  // live_sessions, and finalized again after the next restart
+  if (session.transcript?.length > 0 && !session.summarySaved) {
+    logger.warn(`Session ${sessionId} left ended until its summary is saved`);
+    return;
+  }
+
+  // Mark session as completed (broadcast by the transition listener); it is
+  // evicted from memory SESSION_RETENTION_MINUTES later
+  conversationManager.transition(sessionId, "completed", { completedAt: Date.now() });
+}
+
+/**
+ * Start the live voice session (Gemini or mock provider) for a call and relay its events
+ * @param {Object} [options]
+ * @param {boolean} [options.resumed=false] - Continuing a recovered call (no greeting)
+ */
+function startLiveSession(session, persona, { resumed = false } = {}) {
+  const sessionId = session.id;
+
+  // Initialize the live voice session (Gemini or mock provider)
+  const geminiSession = llmProvider.createLiveSession({
+    toolRegistry,
+    toolContext: { sessionId },
+    persona,
+    resumed,
+  });
+  session.geminiSession = geminiSession;
+
+  // Replay the conversation so far if the Live connection has to be re-established
+  geminiSession.setResumeContextProvider(() =>
+    conversationManager.getCondensedTranscript(sessionId),
+  );
+
+  // Initialize session
+  geminiSession.initialize().catch((err) => {
+    logger.error("Failed to initialize Gemini session", err);
+  });
+
+  // Set up Gemini event handlers
+  geminiSession.on("response", (data) => {
+    if (data.type !== "text") return;
+
+    // Forward AI response to customer
+    if (session.customerWs?.readyState === 1) {
+      session.customerWs.send(
+        JSON.stringify({
+          type: "ai_response",
+          data: { type: "text", content: data.content },
+        }),
+      );
+    }
+
+    // Store in transcript
+    const entry = conversationManager.addToTranscript(
+      sessionId,
+      createTranscriptEntry("ai", data.content),
+    );
+
+    // Broadcast to ALL supervisors (not just session.supervisorWs)
+    sendToSubscribers({
+      type: "ai_response",
+      sessionId: sessionId,
+      data: { type: "text", content: data.content },
+      language: entry.language,
+      timestamp: entry.timestamp,
+    });
+    translateForSupervisors(sessionId, entry);
+  });
 
-    // Close Gemini session if active
-    if (session.geminiSession) {
-      session.geminiSession.close();
-      session.geminiSession = null;
+  geminiSession.on("interrupted", ({ partialText }) => {
+    // Stop the customer's browser playing the rest of the answer
+    if (session.customerWs?.readyState === 1) {
+      session.customerWs.send(JSON.stringify({ type: "ai_interrupted" }));
     }
 
-    // Broadcast final session update with completed status
+    // Mark the truncated AI utterance: the unfinished sentence if there was
+    // one, otherwise the last AI line (if the customer hasn't spoken since)
+    let entry = null;
+    if (partialText) {
+      entry = conversationManager.addToTranscript(
+        sessionId,
+        createTranscriptEntry("ai", partialText),
+      );
+    } else if (session.transcript.at(-1)?.role === "ai") {
+      entry = session.transcript.at(-1);
+    }
+    if (entry) {
+      entry.interrupted = true;
+      conversationManager.markChanged(sessionId);
+    }
+
+    conversationManager.updateSession(sessionId, {
+      interruptionCount: (session.interruptionCount || 0) + 1,
+    });
+
+    sendToSubscribers({
+      type: "ai_interrupted",
+      sessionId: sessionId,
+      content: partialText,
+      timestamp: entry?.timestamp || null,
+      language: entry?.language,
+      interruptionCount: session.interruptionCount,
+    });
+    if (partialText) translateForSupervisors(sessionId, entry);
+  });
+
+  geminiSession.on("usage", (usage) => {
+    usageTracker.record({ ...usage, sessionId });
+  });
+
+  geminiSession.on("audio", (audioData) => {
+    // Forward audio to customer
+    if (session.customerWs?.readyState === 1) {
+      session.customerWs.send(
+        JSON.stringify({
+          type: "audio",
+          data: audioData,
+        }),
+      );
+    }
+    // Mixed with the customer's audio on monitoring/barging dashboards
+    sendToListeners(session, {
+      type: "ai_audio",
+      sessionId: sessionId,
+      data: audioData,
+    });
+  });
+
+  // Handle customer speech transcribed by Gemini
+  geminiSession.on("input_transcription", (data) => {
+    const customerText = data.text;
+
+    // Helper function to normalize text for duplicate detection
+    const normalizeText = (text) => {
+      return text
+        .toLowerCase()
+        .replace(/[.,!?;:'"()-]/g, "") // Remove common punctuation
+        .replace(/\s+/g, " ") // Normalize whitespace
+        .trim();
+    };
+
+    // Deduplication Logic:
+    // We receive transcriptions from two sources:
+    // 1. Web Speech API (running in customer's browser) - faster, used for immediate feedback
+    // 2. Gemini Live API (server-side) - more accurate, but slightly delayed
+    // We need to prevent showing the same message twice.
+
+    // Check if this message was recently added (within last 3 seconds)
+    const now = Date.now();
+    const recentMessages = session.transcript.filter(
+      (msg) => msg.role === "customer" && now - msg.timestamp < 3000,
+    );
+
+    const normalizedCustomerText = normalizeText(customerText);
+    const customerWords = normalizedCustomerText
+      .split(" ")
+      .filter((w) => w.length > 2);
+
+    const isDuplicate = recentMessages.some((msg) => {
+      // Normalize both texts and compare with fuzzy matching
+      const normalizedExisting = normalizeText(msg.content);
+      const existingWords = normalizedExisting
+        .split(" ")
+        .filter((w) => w.length > 2);
+
+      // 1. Exact match check
+      if (normalizedExisting === normalizedCustomerText) return true;
+
+      // 2. Fuzzy match: if 60% of words overlap, consider it duplicate
+      if (customerWords.length >= 3 && existingWords.length >= 3) {
+        const commonWords = customerWords.filter((w) =>
+          existingWords.includes(w),
+        );
+        const overlapRatio =
+          commonWords.length /
+          Math.max(customerWords.length, existingWords.length);
+        if (overlapRatio >= 0.6) return true;
+      }
+
+      // 3. Substring match for shorter phrases
+      if (
+        normalizedExisting.includes(normalizedCustomerText) ||
+        normalizedCustomerText.includes(normalizedExisting)
+      ) {
+        return true;
+      }
+
+      return false;
+    });
+
+    if (isDuplicate) {
+      logger.debug(
+        `[Deduplication] Skipped duplicate input transcription: "${customerText}"`,
+      );
+      return; // Skip processing duplicate
+    }
+
+    // Echo Detection Logic:
+    // When the user is on speakerphone, the microphone might pick up the AI's response.
+    // We need to detect if the "user input" is actually just the AI's previous response.
+
+    const recentAIMessages = session.transcript.filter(
+      (msg) => msg.role === "ai" && Date.now() - msg.timestamp < 10000,
+    );
+
+    const isAIEcho = recentAIMessages.some((msg) => {
+      const normalizedAI = normalizeText(msg.content);
+      const aiWords = normalizedAI.split(" ").filter((w) => w.length > 2);
+
+      // 1. Exact match
+      if (normalizedAI === normalizedCustomerText) return true;
+
+      // 2. Fuzzy match: if 60% of words overlap
+      if (customerWords.length >= 3 && aiWords.length >= 3) {
+        const commonWords = customerWords.filter((w) => aiWords.includes(w));
+        const overlapRatio =
+          commonWords.length / Math.max(customerWords.length, aiWords.length);
+        if (overlapRatio >= 0.6) return true;
+      }
+
+      // 3. Substring match
+      if (
+        normalizedAI.includes(normalizedCustomerText) ||
+        normalizedCustomerText.includes(normalizedAI)
+      ) {
+        return true;
+      }
+
+      return false;
+    });
+
+    if (isAIEcho) {
+      logger.info(
+        `[Echo Detection] Skipping AI echo from customer input: "${customerText.substring(0, 50)}..."`,
+      );
+      return; // Skip - this is the AI's own voice being picked up
+    }
+
+    // Forward to customer so they see their own speech
+    if (session.customerWs?.readyState === 1) {
+      session.customerWs.send(
+        JSON.stringify({
+          type: "customer_transcription",
+          content: customerText,
+        }),
+      );
+    }
+
+    // Store in transcript
+    const entry = conversationManager.addToTranscript(
+      sessionId,
+      createTranscriptEntry("customer", customerText, data.language),
+    );
+
+    // Broadcast to supervisors
+    sendToSubscribers({
+      type: "customer_message",
+      sessionId: sessionId,
+      content: customerText,
+      language: entry.language,
+      timestamp: entry.timestamp,
+    });
+    translateForSupervisors(sessionId, entry);
+
+    // Sentiment, analytics and coaching (debounced per session)
+    analysisScheduler.schedule(sessionId, session.transcript, customerText);
+  });
+
+  geminiSession.on("error", (error) => {
+    logger.error(`Error in session ${sessionId}:`, error);
+    // Notify supervisor
+    if (session.supervisorWs?.readyState === 1) {
+      session.supervisorWs.send(
+        JSON.stringify({
+          type: "error",
+          sessionId: sessionId,
+          message: error.message,
+        }),
+      );
+    }
+  });
+
+  // Tool invocations are shown in the supervisor transcript
+  geminiSession.on("tool_call", ({ id, name, args }) => {
+    const content = `Calling ${name}(${JSON.stringify(args)})`;
+    conversationManager.addToTranscript(sessionId, {
+      role: "tool",
+      content: content,
+      toolCallId: id,
+      toolName: name,
+      args: args,
+      timestamp: Date.now(),
+    });
+
+    sendToSubscribers({
+      type: "tool_call",
+      sessionId: sessionId,
+      id: id,
+      name: name,
+      args: args,
+      content: content,
+    });
+  });
+
+  geminiSession.on("tool_result", ({ id, name, response, durationMs }) => {
+    const content = `${name} → ${JSON.stringify(response)}`;
+    conversationManager.addToTranscript(sessionId, {
+      role: "tool",
+      content: content,
+      toolCallId: id,
+      toolName: name,
+      result: response,
+      durationMs: durationMs,
+      timestamp: Date.now(),
+    });
+
+    sendToSubscribers({
+      type: "tool_result",
+      sessionId: sessionId,
+      id: id,
+      name: name,
+      response: response,
+      durationMs: durationMs,
+      content: content,
+    });
+  });
+
+  // Upstream Live connection dropped - audio is buffered while it reconnects
+  geminiSession.on("reconnecting", ({ attempt, delay }) => {
+    logger.warn(
+      `[Reconnect] Session ${sessionId}: Gemini reconnecting (attempt ${attempt}, ${delay}ms)`,
+    );
+    conversationManager.updateSession(sessionId, { aiStatus: "reconnecting" });
+
+    sendToSubscribers({
+      type: "ai_reconnecting",
+      sessionId: sessionId,
+      attempt: attempt,
+      delay: delay,
+    });
+    broadcastToSupervisors({
+      type: "session_update",
+      sessionId: sessionId,
+      data: conversationManager.serializeSession(
+        conversationManager.getSession(sessionId),
+      ),
+    });
+  });
+
+  geminiSession.on("reconnected", ({ attempts }) => {
+    logger.info(
+      `[Reconnect] Session ${sessionId}: Gemini resumed after ${attempts} attempt(s)`,
+    );
+    conversationManager.updateSession(sessionId, { aiStatus: "connected" });
+
+    sendToSubscribers({
+      type: "ai_reconnected",
+      sessionId: sessionId,
+      attempts: attempts,
+    });
     broadcastToSupervisors({
       type: "session_update",
       sessionId: sessionId,
@@ -916,49 +1830,143 @@ function handleCustomerConnection(ws, sessionId) {
         conversationManager.getSession(sessionId),
       ),
     });
+  });
+
+  geminiSession.on("reconnect_failed", () => {
+    logger.error(
+      `[Reconnect] Session ${sessionId}: Gemini could not be reconnected`,
+    );
+    conversationManager.updateSession(sessionId, { aiStatus: "disconnected" });
 
-    // Optional: Delete session after 5 minutes to clean up memory
-    // (commented out so supervisors can still see recent calls)
-    // setTimeout(() => {
-    //   conversationManager.deleteSession(sessionId);
-    // }, 5 * 60 * 1000);
+    sendToSubscribers({
+      type: "error",
+      sessionId: sessionId,
+      message: `AI connection lost for session ${sessionId.substring(0, 8)}. Please take over the call.`,
+    });
+    broadcastToSupervisors({
+      type: "session_update",
+      sessionId: sessionId,
+      data: conversationManager.serializeSession(
+        conversationManager.getSession(sessionId),
+      ),
+    });
   });
 
-  // Send session info to customer
-  ws.send(
-    JSON.stringify({
-      type: "session_init",
+  geminiSession.on("language_detected", ({ language, previous }) => {
+    logger.info(
+      `Session ${sessionId}: customer language ${previous || "none"} -> ${language}`,
+    );
+    conversationManager.updateSession(sessionId, { language });
+
+    broadcastToSupervisors({
+      type: "session_update",
       sessionId: sessionId,
-      mode: session.mode,
-    }),
-  );
+      data: conversationManager.serializeSession(
+        conversationManager.getSession(sessionId),
+      ),
+    });
+  });
+
+  geminiSession.on("language_rejected", ({ language }) => {
+    sendToSubscribers({
+      type: "language_rejected",
+      sessionId: sessionId,
+      language: language,
+    });
+  });
 }
 
 /**
  * Handle supervisor WebSocket connection
+ * @param {Object} profile - { id, name, role, skills, capacity } for escalation routing
  */
-function handleSupervisorConnection(ws, targetSessionId) {
+function handleSupervisorConnection(ws, targetSessionId, profile) {
   logger.info(
     `Supervisor connected, targeting session: ${targetSessionId || "all"}`,
   );
-
-  // Add to supervisor list
-  conversationManager.addSupervisor(ws);
-
-  // Send current sessions list
+
+  // Add to supervisor list; other nodes see them too
+  const supervisor = attachSupervisor(ws, profile);
+  ws.send(JSON.stringify({ type: "supervisor_profile", profile: supervisor }));
+  cluster.announceSupervisor(ws, supervisor);
+
+  // Show the degraded-mode banner to supervisors who connect mid-outage
+  const textApiStatus = gemini3Api.getDegradedStatus();
+  if (textApiStatus.degraded) {
+    ws.send(JSON.stringify({ type: "degraded_mode", ...textApiStatus }));
+  }
+
+  // Same as the dashboard subscribing (on whichever node runs the call)
+  if (targetSessionId) {
+    ws.emit(
+      "message",
+      JSON.stringify({ type: "subscribe", sessionId: targetSessionId }),
+    );
+  }
+}
+
+/**
+ * Register a supervisor and handle their dashboard commands. Also used for the
+ * stand-ins of supervisors connected to other nodes (see ClusterHub)
+ * @returns {Object} The supervisor's profile
+ */
+function attachSupervisor(ws, profile) {
+  const supervisor = conversationManager.addSupervisor(ws, profile);
+
+  // This node's calls and queue (summaries only; subscribe for a call's streams)
+  ws.send(
+    JSON.stringify({
+      type: "escalation_queue",
+      nodeId: cluster.nodeId,
+      queue: escalations.list(),
+    }),
+  );
   ws.send(
     JSON.stringify({
       type: "sessions_list",
+      nodeId: cluster.nodeId,
       sessions: conversationManager.getAllSessions(),
     }),
   );
 
   ws.on("message", async (message) => {
+    if (overMessageLimit(ws, `user:${supervisor.id}`)) return;
+    // Set once the command runs on this node, for its audit event
+    let command = null;
     try {
       const data = JSON.parse(message);
+      const permission = SUPERVISOR_MESSAGE_PERMISSIONS[data.type];
+      // Checked against the user as they are now: an admin may have changed
+      // their role or deleted them since the dashboard connected
+      const user = authManager.get(supervisor.id);
+      if (user) supervisor.role = user.role;
+      if (!user || !permission || !authManager.can(user.role, permission)) {
+        logger.warn(`Refused ${data.type} from ${supervisor.id} (${user?.role ?? "deleted"})`);
+        auditCommand(supervisor, data, "denied");
+        ws.send(
+          JSON.stringify({
+            type: "error",
+            message: `Your role is not allowed to ${data.type}`,
+            sessionId: data.sessionId,
+          }),
+        );
+        return;
+      }
+
       const session = conversationManager.getSession(data.sessionId);
 
       if (!session) {
+        // Calls running on another node get the command there
+        const nodeId =
+          data.sessionId && !(ws instanceof RemoteSocket)
+            ? await cluster.getSessionNode(data.sessionId)
+            : null;
+        if (nodeId && nodeId !== cluster.nodeId) {
+          cluster.forward(ws, nodeId, message.toString());
+          return;
+        }
+        // Nothing to stop streaming once a call has been evicted
+        if (data.type === "unsubscribe") return;
         ws.send(
           JSON.stringify({
             type: "error",
@@ -968,49 +1976,219 @@ function handleSupervisorConnection(ws, targetSessionId) {
         return;
       }
 
+      command = data;
       switch (data.type) {
+        case "subscribe":
+          // Live streams of this call (the dashboard's selected session),
+          // starting from its transcript so far
+          conversationManager.subscribe(data.sessionId, ws);
+          ws.send(
+            JSON.stringify({
+              type: "subscribed",
+              sessionId: data.sessionId,
+              transcript: session.transcript,
+            }),
+          );
+          break;
+
+        case "unsubscribe":
+          conversationManager.unsubscribe(data.sessionId, ws);
+          break;
+
         case "takeover":
-          // Human takeover
-          logger.info(`Taking over session ${data.sessionId}`);
-          session.mode = "human";
-          session.supervisorWs = ws;
-          session.supervisorId = data.supervisorId;
+          await takeOverSession(ws, session, supervisor.id, data.language);
+          break;
+
+        case "escalation_accept":
+          // Only the supervisor the escalation is offered to can accept it
+          if (!escalations.accept(data.sessionId, supervisor.id)) {
+            ws.send(
+              JSON.stringify({
+                type: "error",
+                message: "This escalation is no longer offered to you",
+              }),
+            );
+            break;
+          }
+          await takeOverSession(ws, session, supervisor.id, data.language);
+          break;
 
-          // Pause Gemini
-          await session.geminiSession?.pause();
+        case "monitor":
+          // Silent monitoring: customer and AI audio, nobody hears the supervisor
+          if (data.enabled === false) {
+            conversationManager.removeMonitor(data.sessionId, ws);
+          } else {
+            conversationManager.addMonitor(data.sessionId, ws);
+          }
+          broadcastSessionUpdate({ sessionId: data.sessionId });
+          break;
 
-          // Notify customer
-          if (session.customerWs?.readyState === 1) {
-            session.customerWs.send(
+        case "barge":
+          // Three-way call: the supervisor joins and the AI keeps talking
+          await takeOverSession(ws, session, supervisor.id, data.language, "barge");
+          break;
+
+        case "escalation_decline":
+          // Offered to the next available supervisor
+          escalations.decline(data.sessionId, supervisor.id);
+          break;
+
+        case "transfer": {
+          // Warm transfer: the owner hands the call to a colleague with a note
+          // and a brief of the call so far; the customer stays on the line
+          if (conversationManager.getOwner(data.sessionId) !== supervisor.id) {
+            conversationManager.assertOwner(data.sessionId, supervisor.id);
+            ws.send(
               JSON.stringify({
-                type: "mode_change",
-                mode: "human",
-                message: "A human agent has joined the conversation.",
+                type: "error",
+                message: "Take the call over before transferring it",
+              }),
+            );
+            break;
+          }
+          const [targetWs] = conversationManager.getSupervisorSockets(
+            data.toSupervisorId,
+          );
+          if (!targetWs || data.toSupervisorId === supervisor.id) {
+            ws.send(
+              JSON.stringify({
+                type: "error",
+                message: `Supervisor ${data.toSupervisorId} isn't available`,
+              }),
+            );
+            break;
+          }
+
+          const note = data.note?.trim() || null;
+          const brief = await gemini3Api.generateHandoffBrief(session.transcript, {
+            note,
+            sessionId: data.sessionId,
+          });
+          // The call may have been overridden while the brief was written
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
+          conversationManager.transferOwnership(data.sessionId, data.toSupervisorId, {
+            handoff: { note, brief },
+          });
+          session.supervisorWs = targetWs;
+          transferRequests.delete(data.sessionId);
+
+          sendToSupervisor(data.toSupervisorId, {
+            type: "transfer_received",
+            sessionId: data.sessionId,
+            from: supervisor.id,
+            note,
+            brief,
+          });
+          ws.send(
+            JSON.stringify({
+              type: "transfer_complete",
+              sessionId: data.sessionId,
+              to: data.toSupervisorId,
+            }),
+          );
+          break;
+        }
+
+        case "transfer_request": {
+          // Ask the supervisor who has the call to hand it over
+          const ownerId = conversationManager.getOwner(data.sessionId);
+          if (!ownerId || ownerId === supervisor.id) {
+            ws.send(
+              JSON.stringify({
+                type: "error",
+                message: ownerId
+                  ? "You already own this call"
+                  : "Nobody owns this call, take it over instead",
+              }),
+            );
+            break;
+          }
+          transferRequests.set(data.sessionId, {
+            supervisorId: supervisor.id,
+            language: data.language,
+          });
+          sendToSupervisor(ownerId, {
+            type: "transfer_requested",
+            sessionId: data.sessionId,
+            requestedBy: supervisor.id,
+          });
+          break;
+        }
+
+        case "transfer_response": {
+          // Owner agrees to (or refuses) the pending transfer request
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
+          const request = transferRequests.get(data.sessionId);
+          if (!request) {
+            ws.send(
+              JSON.stringify({
+                type: "error",
+                message: "No transfer was requested for this call",
               }),
             );
+            break;
           }
+          transferRequests.delete(data.sessionId);
 
-          conversationManager.updateSession(data.sessionId, {
-            mode: "human",
-            takenOverBy: data.supervisorId,
-            takenOverAt: Date.now(),
+          const [requesterWs] = conversationManager.getSupervisorSockets(
+            request.supervisorId,
+          );
+          const accepted = Boolean(data.accepted && requesterWs);
+          if (accepted) {
+            conversationManager.transferOwnership(
+              data.sessionId,
+              request.supervisorId,
+            );
+            session.supervisorWs = requesterWs;
+            if (request.language) {
+              session.supervisorLanguage = request.language;
+            }
+          }
+          sendToSupervisor(request.supervisorId, {
+            type: "transfer_response",
+            sessionId: data.sessionId,
+            accepted: accepted,
+            ownerId: supervisor.id,
           });
+          break;
+        }
+
+        case "force_takeover": {
+          // Take the call from its owner without asking (recorded with the reason)
+          const previousOwnerId = conversationManager.getOwner(data.sessionId);
+          if (!previousOwnerId) {
+            await takeOverSession(ws, session, supervisor.id, data.language);
+            break;
+          }
+          if (previousOwnerId === supervisor.id) break;
 
-          broadcastToSupervisors({
-            type: "session_update",
+          conversationManager.transferOwnership(data.sessionId, supervisor.id, {
+            forced: true,
+            reason: data.reason,
+          });
+          session.supervisorWs = ws;
+          if (data.language) {
+            session.supervisorLanguage = data.language;
+          }
+          sendToSupervisor(previousOwnerId, {
+            type: "takeover_overridden",
             sessionId: data.sessionId,
-            data: conversationManager.serializeSession(
-              conversationManager.getSession(data.sessionId),
-            ),
+            by: supervisor.id,
+            reason: data.reason || null,
           });
           break;
+        }
 
         case "handback":
           // Hand back to AI
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
           logger.info(`Handing back session ${data.sessionId} to AI`);
-          session.mode = "ai";
+          conversationManager.setMode(data.sessionId, "ai", {
+            supervisorId: null,
+            takenOverBy: null,
+            handbackAt: Date.now(),
+          });
           session.supervisorWs = null;
-          session.supervisorId = null;
 
           // Resume Gemini
           await session.geminiSession?.resume();
@@ -1030,24 +2208,11 @@ function handleSupervisorConnection(ws, targetSessionId) {
               }),
             );
           }
-
-          conversationManager.updateSession(data.sessionId, {
-            mode: "ai",
-            takenOverBy: null,
-            handbackAt: Date.now(),
-          });
-
-          broadcastToSupervisors({
-            type: "session_update",
-            sessionId: data.sessionId,
-            data: conversationManager.serializeSession(
-              conversationManager.getSession(data.sessionId),
-            ),
-          });
           break;
 
         case "supervisor_audio":
           // Forward supervisor audio to customer
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
           if (session.customerWs?.readyState === 1) {
             session.customerWs.send(
               JSON.stringify({
@@ -1060,6 +2225,7 @@ function handleSupervisorConnection(ws, targetSessionId) {
 
         case "supervisor_speech":
           // Supervisor's speech transcribed by browser Web Speech API
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
           const spokenText = data.text;
 
           if (spokenText && spokenText.trim()) {
@@ -1068,14 +2234,15 @@ function handleSupervisorConnection(ws, targetSessionId) {
             );
 
             // Add to transcript
-            session.transcript.push({
+            conversationManager.addToTranscript(data.sessionId, {
               role: "supervisor",
               content: spokenText,
               timestamp: Date.now(),
             });
+            await noteSupervisorTurn(session, spokenText);
 
             // Broadcast to all supervisors (so other supervisors see the message)
-            broadcastToSupervisors({
+            sendToSubscribers({
               type: "supervisor_message",
               sessionId: data.sessionId,
               content: spokenText,
@@ -1096,11 +2263,19 @@ function handleSupervisorConnection(ws, targetSessionId) {
 
         case "supervisor_message":
           // Forward supervisor text to customer
-          session.transcript.push({
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
+          conversationManager.addToTranscript(data.sessionId, {
             role: "supervisor",
             content: data.content,
             timestamp: Date.now(),
+            ...(data.fromSuggestion && { fromSuggestion: true }),
           });
+          await noteSupervisorTurn(session, data.content);
+          if (data.fromSuggestion) {
+            conversationManager.updateSession(data.sessionId, {
+              coachingSuggestionsUsed: (session.coachingSuggestionsUsed || 0) + 1,
+            });
+          }
 
           if (session.customerWs?.readyState === 1) {
             session.customerWs.send(
@@ -1126,11 +2301,14 @@ function handleSupervisorConnection(ws, targetSessionId) {
             break;
           }
 
-          if (targetSession.mode !== "ai") {
+          // The AI must be live to take context; while barging only the
+          // supervisor on the call can whisper to it
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
+          if (targetSession.mode === "human") {
             ws.send(
               JSON.stringify({
                 type: "error",
-                message: `Cannot inject context: session is in ${targetSession.mode} mode. Context injection only works in AI mode.`,
+                message: `Cannot inject context: session is in ${targetSession.mode} mode. Context injection only works while the AI is speaking.`,
               }),
             );
             break;
@@ -1149,112 +2327,37 @@ function handleSupervisorConnection(ws, targetSessionId) {
 
           // All checks passed - inject context
           try {
+            if (data.whisper) {
+              // Private guidance: the AI adjusts, the customer never hears it
+              await targetSession.geminiSession.whisper(data.context);
+              sendToSubscribers({
+                type: "supervisor_whisper",
+                sessionId: data.sessionId,
+                supervisorId: supervisor.id,
+                content: data.context,
+                timestamp: Date.now(),
+              });
+              break;
+            }
+
             await targetSession.geminiSession.injectContext(data.context);
 
             // Store in transcript
-            targetSession.transcript.push({
+            conversationManager.addToTranscript(data.sessionId, {
               role: "customer",
               content: data.context[0],
               timestamp: Date.now(),
             });
 
-            // ===== TRIGGER AUTO-UPDATES (same as input_transcription) =====
-
-            // TRIGGER SENTIMENT ANALYSIS
-            gemini3Api
-              .analyzeSentiment(
-                data.context[0],
-                targetSession.transcript.slice(-5),
-              )
-              .then((sentimentResult) => {
-                conversationManager.updateSession(data.sessionId, {
-                  sentimentScore: sentimentResult.frustrationLevel,
-                  frustrationLevel: sentimentResult.frustrationLevel,
-                });
-
-                broadcastToSupervisors({
-                  type: "frustration_update",
-                  sessionId: data.sessionId,
-                  frustrationLevel: sentimentResult.frustrationLevel,
-                  sentiment: sentimentResult.sentiment,
-                  reason: sentimentResult.reason,
-                });
-
-                if (sentimentResult.shouldEscalate) {
-                  broadcastToSupervisors({
-                    type: "escalation_alert",
-                    sessionId: data.sessionId,
-                    reason:
-                      sentimentResult.reason || "High frustration detected",
-                    frustrationLevel: sentimentResult.frustrationLevel,
-                  });
-                }
-
-                broadcastToSupervisors({
-                  type: "session_update",
-                  sessionId: data.sessionId,
-                  data: conversationManager.serializeSession(
-                    conversationManager.getSession(data.sessionId),
-                  ),
-                });
-              })
-              .catch((err) => {
-                logger.error("Sentiment analysis error:", err.message);
-              });
-
-            // AUTO-UPDATE ANALYTICS
-            gemini3Api
-              .analyzeConversation(targetSession.transcript)
-              .then(async (analytics) => {
-                try {
-                  await databaseManager.cacheAnalytics(
-                    data.sessionId,
-                    analytics,
-                  );
-                } catch (dbErr) {
-                  logger.error("Analytics cache error:", dbErr.message);
-                }
-
-                broadcastToSupervisors({
-                  type: "analytics_update",
-                  sessionId: data.sessionId,
-                  data: analytics,
-                });
-
-                logger.info(
-                  `[Auto-Analytics] ${data.sessionId}: ${analytics.intent}, ${analytics.sentiment}`,
-                );
-              })
-              .catch((err) => {
-                logger.error("Analytics auto-update error:", err.message);
-              });
-
-            // AUTO-UPDATE AI COACHING
-            gemini3Api
-              .getSupervisorCoaching(targetSession.transcript)
-              .then(async (coaching) => {
-                try {
-                  await databaseManager.cacheCoaching(data.sessionId, coaching);
-                } catch (dbErr) {
-                  logger.error("Coaching cache error:", dbErr.message);
-                }
-
-                broadcastToSupervisors({
-                  type: "coaching_update",
-                  sessionId: data.sessionId,
-                  data: coaching,
-                });
-
-                logger.info(
-                  `[Auto-Coaching] ${data.sessionId}: ${coaching.tone}, ${coaching.priority}`,
-                );
-              })
-              .catch((err) => {
-                logger.error("Coaching auto-update error:", err.message);
-              });
+            // Sentiment, analytics and coaching (same as input_transcription)
+            analysisScheduler.schedule(
+              data.sessionId,
+              targetSession.transcript,
+              data.context[0],
+            );
 
             // Broadcast customer message to supervisors
-            broadcastToSupervisors({
+            sendToSubscribers({
               type: "customer_message",
               sessionId: data.sessionId,
               content: data.context[0],
@@ -1284,8 +2387,16 @@ function handleSupervisorConnection(ws, targetSessionId) {
 
         case "end_call":
           // End the customer call/session
+          conversationManager.assertOwner(data.sessionId, supervisor.id);
           logger.info(`Ending session ${data.sessionId} by supervisor`);
 
+          // Rejected if the call already ended; otherwise the transition
+          // listener broadcasts it and saves the summary
+          conversationManager.transition(data.sessionId, "ended", {
+            endedAt: Date.now(),
+            endedBy: "supervisor",
+          });
+
           // Notify customer that call is ending
           if (session.customerWs?.readyState === 1) {
             session.customerWs.send(
@@ -1300,16 +2411,11 @@ function handleSupervisorConnection(ws, targetSessionId) {
 
           // Close Gemini session if active
           if (session.geminiSession) {
-            await session.geminiSession.close();
+            const geminiSession = session.geminiSession;
+            session.geminiSession = null;
+            await geminiSession.close();
           }
 
-          // Update session status
-          conversationManager.updateSession(data.sessionId, {
-            status: "ended",
-            endedAt: Date.now(),
-            endedBy: "supervisor",
-          });
-
           // Notify supervisor of success
           ws.send(
             JSON.stringify({
@@ -1318,19 +2424,25 @@ function handleSupervisorConnection(ws, targetSessionId) {
               message: "Session ended successfully",
             }),
           );
-
-          // Broadcast to all supervisors
-          broadcastToSupervisors({
-            type: "session_update",
-            sessionId: data.sessionId,
-            data: {
-              ...conversationManager.getSession(data.sessionId),
-              status: "ended",
-            },
-          });
           break;
       }
+      auditCommand(supervisor, command, "ok");
     } catch (error) {
+      if (command) {
+        auditCommand(supervisor, command, error instanceof SessionOwnedError ? "denied" : "failed");
+      }
+      if (error instanceof SessionOwnedError) {
+        // The dashboard offers to request a transfer (or force an override)
+        ws.send(
+          JSON.stringify({
+            type: "takeover_denied",
+            sessionId: error.sessionId,
+            ownerId: error.ownerId,
+            message: error.message,
+          }),
+        );
+        return;
+      }
       logger.error("Error processing supervisor message:", error);
       ws.send(
         JSON.stringify({
@@ -1345,43 +2457,285 @@ function handleSupervisorConnection(ws, targetSessionId) {
     logger.info("Supervisor disconnected");
     conversationManager.removeSupervisor(ws);
   });
+
+  return supervisor;
 }
 
 /**
- * Broadcast message to all connected supervisors
+ * Audit event for a supervisor command. Audio frames are left out: the
+ * takeover or barge-in that let the supervisor speak is recorded instead
  */
-function broadcastToSupervisors(message) {
-  const supervisors = conversationManager.getSupervisors();
+function auditCommand(supervisor, data, outcome) {
+  if (data.type === "supervisor_audio") return;
+  auditLog.record({
+    actor: supervisor,
+    action: data.type || "unknown",
+    sessionId: data.sessionId,
+    payload: data,
+    outcome,
+  });
+}
+
+/**
+ * Human takeover (the AI is paused) or barge-in (the AI keeps talking)
+ * @param {string} [language] - Supervisor's language, for the call summary
+ * @param {string} [mode="human"] - "human" or "barge"
+ * @throws {SessionOwnedError} If another supervisor already owns the call
+ */
+async function takeOverSession(ws, session, supervisorId, language, mode = "human") {
+  const previousMode = session.mode;
+  conversationManager.takeOver(session.id, supervisorId, mode);
+  session.supervisorWs = ws;
+  if (language) {
+    session.supervisorLanguage = language;
+  }
+  // Same supervisor from another dashboard: the call just follows them
+  if (previousMode === mode) return;
+
+  logger.info(`${mode === "barge" ? "Barging into" : "Taking over"} session ${session.id}`);
+
+  if (mode === "barge") {
+    await session.geminiSession?.resume();
+  } else {
+    await session.geminiSession?.pause();
+  }
+
+  // Notify customer (once: switching between takeover and barge-in is silent)
+  if (previousMode === "ai" && session.customerWs?.readyState === 1) {
+    session.customerWs.send(
+      JSON.stringify({
+        type: "mode_change",
+        mode: mode,
+        message: "A human agent has joined the conversation.",
+      }),
+    );
+  }
+}
+
+/**
+ * While barging in, tell the AI what the supervisor said so it doesn't repeat
+ * or contradict them
+ */
+async function noteSupervisorTurn(session, content) {
+  if (session.mode !== "barge" || !content) return;
+  await session.geminiSession?.whisper(
+    `The supervisor just told the customer: "${content}"`,
+  );
+}
+
+/**
+ * Build a transcript entry tagged with the language it was written/spoken in
+ */
+function createTranscriptEntry(role, content, language = detectLanguage(content)) {
+  return { role, content, language, timestamp: Date.now() };
+}
+
+/**
+ * Translate a non-English transcript entry to English for supervisors
+ * The translation is stored on the entry so later renders and summaries include it
+ */
+function translateForSupervisors(sessionId, entry) {
+  if (entry.language === "en" || entry.language === "und") return;
+
+  gemini3Api
+    .translate(entry.content, "en", { sessionId })
+    .then((translation) => {
+      if (!translation) return;
+      entry.translation = translation;
+      conversationManager.markChanged(sessionId);
+      sendToSubscribers({
+        type: "transcript_translation",
+        sessionId: sessionId,
+        role: entry.role,
+        timestamp: entry.timestamp,
+        language: entry.language,
+        translation: translation,
+      });
+    })
+    .catch((err) => {
+      logger.error("Translation error:", err.message);
+    });
+}
+
+/**
+ * Language to write a call summary in: the supervisor who took the call over,
+ * otherwise SUMMARY_LANGUAGE (default English)
+ */
+function getSummaryLanguage(session) {
+  return session.supervisorLanguage || process.env.SUMMARY_LANGUAGE || "en";
+}
+
+/**
+ * Apply an analysis pass from the scheduler: update the session, cache the
+ * results and push frustration, analytics and coaching updates to supervisors
+ */
+async function applyAnalysis({ sessionId, sentiment, analytics, coaching }) {
+  if (!conversationManager.getSession(sessionId)) return;
+
+  conversationManager.updateSession(sessionId, {
+    sentimentScore: sentiment.frustrationLevel,
+    frustrationLevel: sentiment.frustrationLevel,
+  });
+
+  sendToSubscribers({
+    type: "frustration_update",
+    sessionId: sessionId,
+    frustrationLevel: sentiment.frustrationLevel,
+    sentiment: sentiment.sentiment,
+    reason: sentiment.reason,
+  });
+
+  if (sentiment.shouldEscalate) {
+    escalations.escalate(sessionId, {
+      reason: sentiment.reason || "High frustration detected",
+      frustrationLevel: sentiment.frustrationLevel,
+    });
+  }
+
+  broadcastToSupervisors({
+    type: "session_update",
+    sessionId: sessionId,
+    data: conversationManager.serializeSession(
+      conversationManager.getSession(sessionId),
+    ),
+  });
 
   try {
-    const messageStr = JSON.stringify(message);
+    await databaseManager.cacheAnalytics(sessionId, analytics);
+  } catch (dbErr) {
+    logger.error("Analytics cache error:", dbErr.message);
+  }
+  sendToSubscribers({
+    type: "analytics_update",
+    sessionId: sessionId,
+    data: analytics,
+  });
+  logger.info(
+    `[Auto-Analytics] ${sessionId}: ${analytics.intent}, ${analytics.sentiment}`,
+  );
 
-    supervisors.forEach((ws) => {
-      if (ws.readyState === 1) {
-        ws.send(messageStr);
-      }
+  if (coaching) {
+    try {
+      await databaseManager.cacheCoaching(sessionId, coaching);
+    } catch (dbErr) {
+      logger.error("Coaching cache error:", dbErr.message);
+    }
+    sendToSubscribers({
+      type: "coaching_update",
+      sessionId: sessionId,
+      data: coaching,
     });
+    logger.info(
+      `[Auto-Coaching] ${sessionId}: ${coaching.tone}, ${coaching.priority}`,
+    );
+  }
+}
+
+/**
+ * Stream call audio to the supervisors listening in: monitoring supervisors
+ * and the supervisor who took over or barged in
+ */
+function sendToListeners(session, message) {
+  const listeners = new Set(session.monitors);
+  if (session.mode !== "ai" && session.supervisorWs) {
+    listeners.add(session.supervisorWs);
+  }
+
+  const payload = JSON.stringify(message);
+  listeners.forEach((ws) => {
+    if (ws.readyState === 1) ws.send(payload);
+  });
+}
+
+/**
+ * Send a call's live stream (transcript, coaching, analytics) to the
+ * dashboards subscribed to it, and to the supervisor handling the call
+ */
+function sendToSubscribers(message) {
+  const session = conversationManager.getSession(message.sessionId);
+  if (!session) return;
+
+  const subscribers = new Set(session.subscribers);
+  if (session.mode !== "ai" && session.supervisorWs) {
+    subscribers.add(session.supervisorWs);
+  }
+
+  const payload = JSON.stringify(message);
+  subscribers.forEach((ws) => {
+    if (ws.readyState === 1) ws.send(payload);
+  });
+}
+
+/**
+ * Send a message to one supervisor (each of their open dashboards)
+ */
+function sendToSupervisor(supervisorId, message) {
+  const payload = JSON.stringify(message);
+  conversationManager.getSupervisorSockets(supervisorId).forEach((ws) => {
+    if (ws.readyState === 1) ws.send(payload);
+  });
+}
+
+/**
+ * Broadcast message to all connected supervisors, on every node
+ */
+function broadcastToSupervisors(message) {
+  let payload;
+  try {
+    payload = JSON.stringify(message);
   } catch (error) {
     logger.error("Error broadcasting to supervisors:", error.message);
-    // Attempt to send a simplified message without circular refs
-    try {
-      const simplifiedMessage = {
-        type: message.type,
-        sessionId: message.sessionId,
-        error: "Data serialization error",
-      };
-      const fallbackStr = JSON.stringify(simplifiedMessage);
-      supervisors.forEach((ws) => {
-        if (ws.readyState === 1) {
-          ws.send(fallbackStr);
-        }
-      });
-    } catch (fallbackError) {
-      logger.error("Failed to send fallback message:", fallbackError.message);
+    // Send a simplified message without circular refs instead
+    payload = JSON.stringify({
+      type: message.type,
+      sessionId: message.sessionId,
+      error: "Data serialization error",
+    });
+  }
+  cluster.broadcast(payload);
+}
+
+/**
+ * Bring back calls that were live when the server last stopped. Customers
+ * reconnect with the same session ID; calls ended by a supervisor, and calls
+ * nobody returns to within the grace period, are finalized with a summary.
+ */
+async function recoverSessions() {
+  // In a cluster, calls another node already runs stay there
+  const restored = await conversationManager.restore({
+    accept: async (sessionId) =>
+      (await cluster.claimSession(sessionId)) === cluster.nodeId,
+  });
+
+  for (const session of restored) {
+    if (session.status === "ended") {
+      await finalizeSession(session.id);
+      continue;
     }
+
+    const timer = setTimeout(() => {
+      recoveryTimers.delete(session.id);
+      if (session.status !== "waiting") return;
+      logger.info(`Recovered session ${session.id} was not resumed, ending it`);
+      conversationManager.transition(session.id, "ended", {
+        endedAt: Date.now(),
+        endedBy: "recovery",
+      });
+    }, SESSION_RECOVERY_GRACE_MS);
+    recoveryTimers.set(session.id, timer);
   }
 }
 
+// Write pending session changes before pm2 (or Ctrl+C) stops the process
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    logger.info(`${signal} received, saving sessions`);
+    await conversationManager.flush();
+    await cluster.stop();
+    process.exit(0);
+  });
+}
+
 // Start server
 async function startServer() {
   try {
@@ -1389,6 +2743,13 @@ async function startServer() {
     await databaseManager.initialize();
     logger.info("Database ready");
 
+    await personaManager.load();
+    await authManager.load({ adminPassword: process.env.ADMIN_PASSWORD });
+    promptRegistry.watch();
+    await cluster.start();
+    await recoverSessions();
+    conversationManager.startRetention();
+
     // Start HTTP server
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => {
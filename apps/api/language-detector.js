@@ -0,0 +1,80 @@
+/**
+ * Language Detector
+ * Lightweight, offline script-based language detection for transcriptions.
+ * Indic and Arabic scripts map to a single language; Latin script is
+ * reported as English since that is the only Latin-script language we serve.
+ */
+
+// Unicode ranges checked in order; first script with enough characters wins
+const SCRIPT_LANGUAGES = [
+  { language: "hi", pattern: /[\u0900-\u097F]/g }, // Devanagari (Hindi/Marathi)
+  { language: "bn", pattern: /[\u0980-\u09FF]/g }, // Bengali
+  { language: "pa", pattern: /[\u0A00-\u0A7F]/g }, // Gurmukhi (Punjabi)
+  { language: "gu", pattern: /[\u0A80-\u0AFF]/g }, // Gujarati
+  { language: "or", pattern: /[\u0B00-\u0B7F]/g }, // Odia
+  { language: "ta", pattern: /[\u0B80-\u0BFF]/g }, // Tamil
+  { language: "te", pattern: /[\u0C00-\u0C7F]/g }, // Telugu
+  { language: "kn", pattern: /[\u0C80-\u0CFF]/g }, // Kannada
+  { language: "ml", pattern: /[\u0D00-\u0D7F]/g }, // Malayalam
+  { language: "ar", pattern: /[\u0600-\u06FF]/g }, // Arabic (also Urdu)
+];
+
+export const LANGUAGE_NAMES = {
+  en: "English",
+  hi: "Hindi",
+  bn: "Bengali",
+  pa: "Punjabi",
+  gu: "Gujarati",
+  or: "Odia",
+  ta: "Tamil",
+  te: "Telugu",
+  kn: "Kannada",
+  ml: "Malayalam",
+  ar: "Arabic",
+  und: "Unknown",
+};
+
+/**
+ * Detect the language of a piece of text
+ * @param {string} text
+ * @returns {string} ISO 639-1 code, or "und" if undetermined
+ */
+export function detectLanguage(text) {
+  if (!text) return "und";
+
+  const letters = text.replace(/[\s\d.,!?;:'"()\-]/g, "");
+  if (letters.length === 0) return "und";
+
+  let best = null;
+  for (const { language, pattern } of SCRIPT_LANGUAGES) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0 && (!best || count > best.count)) {
+      best = { language, count };
+    }
+  }
+
+  // Mixed text (e.g. Hinglish with a few Devanagari words) goes to the
+  // non-Latin script once it makes up at least 30% of the letters
+  if (best && best.count / letters.length >= 0.3) {
+    return best.language;
+  }
+
+  const latin = (text.match(/[a-zA-Z]/g) || []).length;
+  if (latin / letters.length >= 0.3) return "en";
+
+  return best ? best.language : "und";
+}
+
+/**
+ * Get the base language of a locale ("en-US" -> "en")
+ */
+export function baseLanguage(locale) {
+  return (locale || "").split("-")[0].toLowerCase() || "en";
+}
+
+/**
+ * Human-readable language name for prompts and UI
+ */
+export function languageName(code) {
+  return LANGUAGE_NAMES[baseLanguage(code)] || code;
+}
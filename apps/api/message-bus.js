@@ -0,0 +1,102 @@
+/**
+ * Message Bus
+ * What API instances share so that several of them behind a load balancer act
+ * as one hub: pub/sub channels for dashboard broadcasts and cross-node
+ * forwarding, and leases (keys with a TTL their holder keeps renewing) that pin
+ * each call to the node running it. Selected with REDIS_URL: unset runs a
+ * single node on the in-process bus, set shares a Redis server.
+ *
+ * Interface (InProcessMessageBus, RedisMessageBus):
+ *   publish(channel, message), subscribe(channel, handler) -> unsubscribe(),
+ *   claim(key, value, ttlMs) -> current holder, renew(key, value, ttlMs),
+ *   release(key, value), get(key), close()
+ * Messages are plain JSON; every handler gets its own copy.
+ */
+
+import { Logger } from "@gemini-copilot/shared";
+import { RedisMessageBus } from "./redis-message-bus.js";
+
+const logger = new Logger("MessageBus");
+
+/**
+ * Bus for a single API instance. Delivers synchronously, so a single node
+ * behaves exactly as it did without a bus
+ */
+export class InProcessMessageBus {
+  constructor() {
+    this.handlers = new Map(); // channel -> Set of handlers
+    this.leases = new Map(); // key -> { value, expiresAt }
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        logger.error(`Handler for ${channel} failed:`, error.message);
+      }
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) this.handlers.set(channel, new Set());
+    this.handlers.get(channel).add(handler);
+    return async () => {
+      this.handlers.get(channel)?.delete(handler);
+    };
+  }
+
+  /**
+   * Take the key unless someone else holds it
+   * @returns {string} Holder of the key afterwards (value if the claim won)
+   */
+  async claim(key, value, ttlMs) {
+    const holder = await this.get(key);
+    if (holder !== null && holder !== value) return holder;
+
+    this.leases.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  /**
+   * @returns {boolean} Whether value still held the key (and now holds it for ttlMs)
+   */
+  async renew(key, value, ttlMs) {
+    if ((await this.get(key)) !== value) return false;
+    this.leases.get(key).expiresAt = Date.now() + ttlMs;
+    return true;
+  }
+
+  async release(key, value) {
+    if ((await this.get(key)) === value) this.leases.delete(key);
+  }
+
+  async get(key) {
+    const lease = this.leases.get(key);
+    if (!lease) return null;
+    if (lease.expiresAt <= Date.now()) {
+      this.leases.delete(key);
+      return null;
+    }
+    return lease.value;
+  }
+
+  async close() {
+    this.handlers.clear();
+  }
+}
+
+/**
+ * Bus for this process: Redis when a URL is given, in-process otherwise
+ * @param {Object} [options]
+ * @param {string} [options.redisUrl] - e.g. redis://localhost:6379
+ */
+export async function createMessageBus({ redisUrl } = {}) {
+  if (!redisUrl) return new InProcessMessageBus();
+
+  const bus = new RedisMessageBus(redisUrl);
+  await bus.connect();
+  logger.info(`Using Redis message bus at ${redisUrl}`);
+  return bus;
+}
@@ -0,0 +1,219 @@
+/**
+ * Persona Manager
+ * Agent personas (voice, model, languages, system prompt, greeting) stored in
+ * SQLite and cached in memory so a customer connection can resolve one synchronously
+ */
+
+import { Logger } from "@gemini-copilot/shared";
+import { DEFAULT_PERSONA, LIVE_VOICES } from "./gemini-live.js";
+import { LANGUAGE_NAMES, baseLanguage } from "./language-detector.js";
+import promptRegistry from "./prompt-registry.js";
+
+const logger = new Logger("Personas");
+
+export class PersonaManager {
+  /**
+   * @param {Object} databaseManager - DatabaseManager instance
+   * @param {Object} [options]
+   * @param {string} [options.defaultPersonaId] - Used when no/unknown persona is requested
+   */
+  constructor(databaseManager, { defaultPersonaId } = {}) {
+    this.db = databaseManager;
+    this.defaultPersonaId =
+      defaultPersonaId || process.env.DEFAULT_PERSONA || DEFAULT_PERSONA.id;
+    this.personas = new Map();
+  }
+
+  /**
+   * Load personas from the database, seeding the built-in default if missing
+   */
+  async load() {
+    if (!(await this.db.getPersona(DEFAULT_PERSONA.id))) {
+      await this.db.createPersona(DEFAULT_PERSONA);
+      logger.info(`Seeded default persona: ${DEFAULT_PERSONA.id}`);
+    }
+
+    const rows = await this.db.getPersonas();
+    this.personas.clear();
+    rows.forEach((row) => this.personas.set(row.id, row));
+
+    if (!this.personas.has(this.defaultPersonaId)) {
+      logger.warn(
+        `Default persona "${this.defaultPersonaId}" not found, using ${DEFAULT_PERSONA.id}`,
+      );
+      this.defaultPersonaId = DEFAULT_PERSONA.id;
+    }
+
+    await this.syncDefaultInstructions();
+    logger.info(`Loaded ${this.personas.size} persona(s)`);
+  }
+
+  /**
+   * Keep the built-in persona on the active kora prompt (call after a prompt
+   * reload). Its instructions are only replaced while they still match one of
+   * the kora template versions, so edits made through the API are kept.
+   */
+  async syncDefaultInstructions() {
+    const persona = this.personas.get(DEFAULT_PERSONA.id);
+    const kora = promptRegistry.list().find((p) => p.name === "kora");
+    if (!persona || !kora) return;
+
+    const instructions = DEFAULT_PERSONA.instructions;
+    const templates = kora.versions.map(
+      (version) => promptRegistry.render("kora", {}, { version }).text,
+    );
+    if (
+      persona.instructions === instructions ||
+      !templates.includes(persona.instructions)
+    ) {
+      return;
+    }
+
+    const saved = await this.db.updatePersona(persona.id, {
+      ...persona,
+      instructions,
+    });
+    this.personas.set(persona.id, saved);
+    logger.info(`Persona ${persona.id} now uses prompt kora@v${kora.version}`);
+  }
+
+  list() {
+    return Array.from(this.personas.values());
+  }
+
+  get(personaId) {
+    return this.personas.get(personaId) || null;
+  }
+
+  /**
+   * Resolve the persona for a new call, falling back to the default
+   */
+  resolve(personaId) {
+    if (personaId && this.personas.has(personaId)) {
+      return this.personas.get(personaId);
+    }
+    if (personaId) {
+      logger.warn(`Unknown persona "${personaId}", using default`);
+    }
+    return this.personas.get(this.defaultPersonaId) || DEFAULT_PERSONA;
+  }
+
+  async create(data) {
+    const persona = {
+      voice: DEFAULT_PERSONA.voice,
+      model: DEFAULT_PERSONA.model,
+      language: DEFAULT_PERSONA.language,
+      allowed_languages: [],
+      greeting: null,
+      ...pickFields(data),
+      id: data.id,
+    };
+    const error = validatePersona(persona, { requireId: true });
+    if (error) throw new PersonaValidationError(error);
+    if (this.personas.has(persona.id)) {
+      throw new PersonaValidationError(`Persona already exists: ${persona.id}`);
+    }
+
+    const saved = await this.db.createPersona(persona);
+    this.personas.set(saved.id, saved);
+    logger.info(`Created persona: ${saved.id}`);
+    return saved;
+  }
+
+  async update(personaId, data) {
+    const existing = this.personas.get(personaId);
+    if (!existing) return null;
+
+    const persona = { ...existing, ...pickFields(data) };
+    const error = validatePersona(persona);
+    if (error) throw new PersonaValidationError(error);
+
+    const saved = await this.db.updatePersona(personaId, persona);
+    this.personas.set(personaId, saved);
+    logger.info(`Updated persona: ${personaId}`);
+    return saved;
+  }
+
+  async delete(personaId) {
+    if (personaId === this.defaultPersonaId) {
+      throw new PersonaValidationError("The default persona cannot be deleted");
+    }
+
+    const deleted = await this.db.deletePersona(personaId);
+    if (deleted) {
+      this.personas.delete(personaId);
+      logger.info(`Deleted persona: ${personaId}`);
+    }
+    return deleted;
+  }
+}
+
+/**
+ * Thrown for invalid persona input (mapped to HTTP 400)
+ */
+export class PersonaValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PersonaValidationError";
+  }
+}
+
+// Languages a persona may speak: those the language detector knows ("und" is
+// its answer for text it can't place)
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_NAMES).filter((code) => code !== "und");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "voice",
+  "model",
+  "language",
+  "allowed_languages",
+  "instructions",
+  "greeting",
+];
+
+function pickFields(data = {}) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((key) => {
+    if (data[key] !== undefined) fields[key] = data[key];
+  });
+  return fields;
+}
+
+function validatePersona(persona, { requireId = false } = {}) {
+  if (requireId && !/^[a-z0-9][a-z0-9-]{0,49}$/.test(String(persona.id || ""))) {
+    return "id must be lowercase letters, numbers and dashes (max 50 chars)";
+  }
+  if (!isNonEmptyString(persona.name)) {
+    return "name is required";
+  }
+  if (!LIVE_VOICES.includes(persona.voice)) {
+    return `voice must be one of: ${LIVE_VOICES.join(", ")}`;
+  }
+  if (!isNonEmptyString(persona.model)) {
+    return "model is required";
+  }
+  if (
+    !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(String(persona.language || "")) ||
+    !SUPPORTED_LANGUAGES.includes(baseLanguage(persona.language))
+  ) {
+    return `language must be a language code like en-US, one of: ${SUPPORTED_LANGUAGES.join(", ")} (with an optional region)`;
+  }
+  if (
+    !Array.isArray(persona.allowed_languages) ||
+    !persona.allowed_languages.every((code) => SUPPORTED_LANGUAGES.includes(code))
+  ) {
+    return `allowed_languages must be an array of supported language codes: ${SUPPORTED_LANGUAGES.join(", ")}`;
+  }
+  if (!isNonEmptyString(persona.instructions)) {
+    return "instructions are required";
+  }
+  if (persona.greeting != null && typeof persona.greeting !== "string") {
+    return "greeting must be a string";
+  }
+  return null;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
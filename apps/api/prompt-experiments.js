@@ -0,0 +1,112 @@
+import crypto from "crypto";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Experiments");
+
+// Experiments whose variant is stored with their results
+// (call_summaries.prompt_variant and coaching_cache.prompt_variant)
+export const EXPERIMENT_NAMES = ["summary", "coaching"];
+
+/**
+ * Stable bucket in [0, buckets) for a session; the experiment name is part of
+ * the hash so a session's summary and coaching variants are independent
+ */
+export function hashBucket(sessionId, experiment, buckets) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${experiment}:${sessionId}`)
+    .digest();
+  return digest.readUInt32BE(0) % buckets;
+}
+
+/**
+ * Prompt Experiments
+ * A/B tests of prompt versions, configured with PROMPT_EXPERIMENTS, e.g.
+ * PROMPT_EXPERIMENTS='{"summary":{"control":1,"concise":2}}'
+ * A variant is a version of the experiment's prompt, or { prompt: version } to
+ * vary several prompts together. Coaching in combined analysis mode comes from
+ * the turn prompt, so coaching variants usually name both:
+ * {"coaching":{"a":{"coaching":1,"turn":1},"b":{"coaching":2,"turn":2}}}
+ *
+ * Sessions are split evenly by a hash of the session ID, so every request of a
+ * call (and the same call after a restart) gets the same variant.
+ */
+export class PromptExperiments {
+  /**
+   * @param {Object} [experiments] - { experiment: { variant: version | { prompt: version } } }
+   */
+  constructor(experiments = loadExperiments()) {
+    this.experiments = new Map();
+
+    for (const [name, variants] of Object.entries(experiments || {})) {
+      if (!EXPERIMENT_NAMES.includes(name)) {
+        logger.warn(
+          `Ignoring experiment "${name}" (supported: ${EXPERIMENT_NAMES.join(", ")})`,
+        );
+        continue;
+      }
+
+      const normalized = Object.entries(variants || {})
+        .map(([variant, prompts]) => ({
+          variant,
+          prompts: typeof prompts === "object" ? prompts : { [name]: prompts },
+        }))
+        .sort((a, b) => a.variant.localeCompare(b.variant));
+
+      if (normalized.length < 2) {
+        logger.warn(`Ignoring experiment "${name}": it needs at least two variants`);
+        continue;
+      }
+      this.experiments.set(name, normalized);
+    }
+  }
+
+  /**
+   * Variant of an experiment for a session
+   * @returns {Object|null} { experiment, variant, prompts }, null if not running
+   */
+  assign(experiment, sessionId) {
+    const variants = this.experiments.get(experiment);
+    if (!variants || !sessionId) return null;
+
+    const { variant, prompts } =
+      variants[hashBucket(sessionId, experiment, variants.length)];
+    return { experiment, variant, prompts };
+  }
+
+  /**
+   * Prompt version to use for a session
+   * @returns {Object} { version, variant } - version is undefined (active
+   *   version) and variant null when no experiment covers the prompt
+   */
+  resolve(promptName, sessionId) {
+    for (const experiment of this.experiments.keys()) {
+      const assigned = this.assign(experiment, sessionId);
+      const version = assigned?.prompts[promptName];
+      if (version !== undefined) {
+        return { version: Number(version), variant: assigned.variant };
+      }
+    }
+    return { version: undefined, variant: null };
+  }
+
+  /**
+   * Running experiments with their variants
+   */
+  list() {
+    return Array.from(this.experiments.entries()).map(([name, variants]) => ({
+      name,
+      variants,
+    }));
+  }
+}
+
+function loadExperiments() {
+  if (!process.env.PROMPT_EXPERIMENTS) return {};
+  try {
+    return JSON.parse(process.env.PROMPT_EXPERIMENTS);
+  } catch (error) {
+    logger.error("Invalid PROMPT_EXPERIMENTS JSON:", error.message);
+    return {};
+  }
+}
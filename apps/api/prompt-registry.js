@@ -0,0 +1,202 @@
+import { EventEmitter } from "events";
+import { readdirSync, readFileSync, watch } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { Logger } from "@gemini-copilot/shared";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = new Logger("Prompts");
+
+const PROMPTS_DIR = join(__dirname, "prompts");
+const TEMPLATE_FILE = /^([a-z0-9-]+)\.v(\d+)\.txt$/;
+
+/**
+ * Thrown when a prompt or one of its variables is missing
+ */
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromptTemplateError";
+  }
+}
+
+/**
+ * Fill a template: {{name}} is replaced by vars.name and
+ * {{#if name}}...{{/if}} is kept only when vars.name is truthy
+ * @throws {PromptTemplateError} If a {{name}} outside a dropped block has no value
+ */
+export function renderTemplate(template, vars = {}) {
+  return template
+    .replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (_, name, body) =>
+      vars[name] ? body : "",
+    )
+    .replace(/\{\{(\w+)\}\}/g, (_, name) => {
+      if (vars[name] === undefined || vars[name] === null) {
+        throw new PromptTemplateError(`Missing prompt variable: ${name}`);
+      }
+      return String(vars[name]);
+    });
+}
+
+/**
+ * Prompt Registry
+ * Prompt templates are files in prompts/ named <name>.v<N>.txt. The highest
+ * version of each prompt is active unless pinned with PROMPT_VERSIONS, e.g.
+ * PROMPT_VERSIONS='{"summary":1}'. Rendered prompts carry their version
+ * ("summary@v2") so results can be traced back to the prompt that produced them.
+ *
+ * Emits "reload" with list() after the files are re-read
+ */
+export class PromptRegistry extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Template directory (default: prompts/)
+   * @param {Object} [options.pinned] - { name: version } overrides of the active version
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory || PROMPTS_DIR;
+    this.pinned = options.pinned || loadPinnedVersions();
+    this.templates = new Map();
+    this.watcher = null;
+    this.load();
+  }
+
+  /**
+   * Read every template file (synchronously, so prompts are available at import time)
+   */
+  load() {
+    const templates = new Map();
+    for (const file of readdirSync(this.directory)) {
+      const match = file.match(TEMPLATE_FILE);
+      if (!match) continue;
+
+      const [, name, version] = match;
+      if (!templates.has(name)) templates.set(name, new Map());
+      const text = readFileSync(join(this.directory, file), "utf-8");
+      // Editors add a final newline; it isn't part of the prompt
+      templates.get(name).set(Number(version), text.replace(/\r?\n$/, ""));
+    }
+    this.templates = templates;
+  }
+
+  /**
+   * Re-read the template files; the previous set is kept if that fails
+   * @returns {Array} list()
+   */
+  reload() {
+    const previous = this.templates;
+    try {
+      this.load();
+    } catch (error) {
+      this.templates = previous;
+      logger.error("Failed to reload prompts:", error.message);
+      throw error;
+    }
+
+    const prompts = this.list();
+    logger.info(
+      `Reloaded prompts: ${prompts.map((p) => `${p.name}@v${p.version}`).join(", ")}`,
+    );
+    this.emit("reload", prompts);
+    return prompts;
+  }
+
+  /**
+   * Reload when a template file changes (debounced; doesn't keep the process alive)
+   */
+  watch({ debounceMs = 250 } = {}) {
+    if (this.watcher) return;
+
+    let timer = null;
+    this.watcher = watch(this.directory, (event, file) => {
+      if (file && !TEMPLATE_FILE.test(file)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          this.reload();
+        } catch {
+          // Logged by reload(); keep serving the previous prompts
+        }
+      }, debounceMs);
+      timer.unref();
+    });
+    this.watcher.unref();
+    logger.info(`Watching ${this.directory} for prompt changes`);
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Version that render() uses: the pinned one if it exists, else the highest
+   */
+  activeVersion(name) {
+    const versions = this.templates.get(name);
+    if (!versions) return null;
+
+    const pinned = Number(this.pinned[name]);
+    if (pinned && versions.has(pinned)) return pinned;
+    if (pinned) {
+      logger.warn(`Pinned prompt ${name}@v${pinned} not found, using the latest`);
+    }
+    return Math.max(...versions.keys());
+  }
+
+  /**
+   * @param {string} name - Prompt name (file name without .v<N>.txt)
+   * @param {number} [version] - Defaults to the active version
+   * @returns {Object} { name, version, id, template }
+   * @throws {PromptTemplateError} If the prompt or version doesn't exist
+   */
+  get(name, version) {
+    const resolved = version ?? this.activeVersion(name);
+    const template = this.templates.get(name)?.get(resolved);
+    if (template === undefined) {
+      throw new PromptTemplateError(
+        `Unknown prompt: ${name}${version ? `@v${version}` : ""}`,
+      );
+    }
+    return { name, version: resolved, id: `${name}@v${resolved}`, template };
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} [vars] - Template variables
+   * @param {Object} [options]
+   * @param {number} [options.version] - Render a specific version instead of the active one
+   * @returns {Object} { text, version } where version is e.g. "analysis@v1"
+   */
+  render(name, vars = {}, { version } = {}) {
+    const prompt = this.get(name, version);
+    return { text: renderTemplate(prompt.template, vars), version: prompt.id };
+  }
+
+  /**
+   * All prompts with their active and available versions
+   */
+  list() {
+    return Array.from(this.templates.entries())
+      .map(([name, versions]) => ({
+        name,
+        version: this.activeVersion(name),
+        versions: Array.from(versions.keys()).sort((a, b) => a - b),
+        pinned: Boolean(this.pinned[name]),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+}
+
+function loadPinnedVersions() {
+  if (!process.env.PROMPT_VERSIONS) return {};
+  try {
+    return JSON.parse(process.env.PROMPT_VERSIONS);
+  } catch (error) {
+    logger.error("Invalid PROMPT_VERSIONS JSON:", error.message);
+    return {};
+  }
+}
+
+export default new PromptRegistry();
@@ -0,0 +1,99 @@
+/**
+ * LLM Providers
+ * Every provider supplies a live (voice) session and a text analysis client
+ * with the same interface, so the server doesn't depend on a specific backend.
+ * Selected with LLM_PROVIDER: "gemini" (default) or "mock" (offline, deterministic).
+ *
+ * Live session interface (see GeminiLiveSession):
+ *   initialize(), sendAudio(base64Pcm16), sendText(text), injectContext(note),
+ *   pause(), resume(), close(), setResumeContextProvider(fn)
+ *   events: response, audio, input_transcription, turn_complete, interrupted,
+ *   tool_call, tool_result, language_detected, language_rejected, usage,
+ *   reconnecting, reconnected, reconnect_failed, error, closed
+ *
+ * Text client interface (see GeminiTextAPI):
+ *   analyzeConversation(transcript), analyzeSentiment(text, recent),
+ *   getSupervisorCoaching(transcript, message),
+ *   analyzeTurn(transcript, message, { includeCoaching, signal }),
+ *   generateSummary(transcript, { language }),
+ *   translate(text, targetLanguage), getStructuredOutputMetrics(), getDegradedStatus(),
+ *   getExperiments()
+ *   events: usage { sessionId, feature, model, promptTokens, outputTokens, totalTokens },
+ *   degraded { degraded, state, since, retryAt }
+ *   (every analysis method also accepts { sessionId } to attribute its usage)
+ */
+
+import { Logger } from "@gemini-copilot/shared";
+import { GeminiLiveSession } from "../gemini-live.js";
+import { GeminiTextAPI } from "../gemini-text.js";
+import { MockLiveSession, loadMockScript } from "./mock-live-session.js";
+import { MockTextAPI } from "./mock-text-api.js";
+
+const logger = new Logger("Providers");
+
+const PROVIDERS = {
+  gemini: () => ({
+    name: "gemini",
+    createLiveSession: (options) =>
+      new GeminiLiveSession(process.env.GEMINI_API_KEY, options),
+    createTextClient: () =>
+      new GeminiTextAPI(process.env.GEMINI_API_KEY, textClientOptions()),
+  }),
+  mock: () => {
+    const script = loadMockScript(process.env.MOCK_SCRIPT_PATH);
+    return {
+      name: "mock",
+      createLiveSession: (options) => new MockLiveSession({ ...options, script }),
+      createTextClient: () => new MockTextAPI(),
+    };
+  },
+};
+
+/**
+ * Timeout/retry/circuit breaker settings for GeminiTextAPI from the environment
+ */
+function textClientOptions() {
+  const options = { retry: {}, circuitBreaker: {} };
+
+  if (process.env.GEMINI_TEXT_TIMEOUTS) {
+    try {
+      options.timeouts = JSON.parse(process.env.GEMINI_TEXT_TIMEOUTS);
+    } catch (error) {
+      logger.error("Invalid GEMINI_TEXT_TIMEOUTS JSON:", error.message);
+    }
+  }
+  if (process.env.GEMINI_TEXT_RETRIES) {
+    options.retry.retries = parseInt(process.env.GEMINI_TEXT_RETRIES, 10);
+  }
+  if (process.env.GEMINI_BREAKER_THRESHOLD) {
+    options.circuitBreaker.failureThreshold = parseInt(
+      process.env.GEMINI_BREAKER_THRESHOLD,
+      10,
+    );
+  }
+  if (process.env.GEMINI_BREAKER_RESET_MS) {
+    options.circuitBreaker.resetTimeoutMs = parseInt(
+      process.env.GEMINI_BREAKER_RESET_MS,
+      10,
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Create the configured LLM provider
+ * @param {string} [name] - Provider name (defaults to LLM_PROVIDER, then "gemini")
+ * @returns {Object} { name, createLiveSession(options), createTextClient() }
+ */
+export function createLLMProvider(name = process.env.LLM_PROVIDER || "gemini") {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`,
+    );
+  }
+
+  logger.info(`Using LLM provider: ${name}`);
+  return factory();
+}
@@ -0,0 +1,212 @@
+import { EventEmitter } from "events";
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { Logger } from "@gemini-copilot/shared";
+import { DEFAULT_PERSONA } from "../gemini-live.js";
+import { detectLanguage } from "../language-detector.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const logger = new Logger("MockLive");
+
+const DEFAULT_SCRIPT_PATH = join(__dirname, "mock-script.json");
+const OUTPUT_SAMPLE_RATE = 24000;
+
+/**
+ * Load a mock conversation script (JSON)
+ * @param {string} [scriptPath] - Defaults to providers/mock-script.json
+ * @returns {Object} { chunksPerUtterance, utterances, rules, fallbackReply }
+ */
+export function loadMockScript(scriptPath) {
+  const path = scriptPath || DEFAULT_SCRIPT_PATH;
+  const script = JSON.parse(readFileSync(path, "utf-8"));
+  logger.info(`Loaded mock script: ${path}`);
+  return script;
+}
+
+/**
+ * Offline stand-in for GeminiLiveSession
+ * Customer audio is "transcribed" into the script's utterances (one per
+ * chunksPerUtterance audio chunks) and answered by the first matching rule,
+ * with a synthetic tone as the AI's audio. Fully deterministic.
+ */
+export class MockLiveSession extends EventEmitter {
+  /**
+   * @param {Object} [options] - Same options as GeminiLiveSession, plus:
+   * @param {Object} [options.script] - Conversation script (see loadMockScript)
+   * @param {number} [options.responseDelay=20] - Simulated model latency in ms
+   */
+  constructor(options = {}) {
+    super();
+    this.script = options.script || loadMockScript();
+    this.responseDelay = options.responseDelay ?? 20;
+    this.toolRegistry = options.toolRegistry || null;
+    this.toolContext = options.toolContext || {};
+    this.persona = { ...DEFAULT_PERSONA, ...(options.persona || {}) };
+    this.resumed = Boolean(options.resumed);
+
+    this.isActive = false;
+    this.isPaused = false;
+    this.audioChunkCount = 0;
+    this.utteranceIndex = 0;
+    this.timers = new Set();
+    this.resumeContextProvider = null;
+    this.guidance = []; // Supervisor whispers received
+  }
+
+  async initialize() {
+    this.isActive = true;
+    logger.info(`Mock live session started (persona: ${this.persona.id})`);
+
+    // A resumed call already had its greeting before the restart
+    if (this.persona.greeting && !this.resumed) {
+      this.later(() => this.speak(this.persona.greeting));
+    }
+  }
+
+  setResumeContextProvider(provider) {
+    this.resumeContextProvider = provider;
+  }
+
+  /**
+   * Count audio chunks; every chunksPerUtterance chunks the customer "says"
+   * the next scripted utterance
+   */
+  async sendAudio(base64Audio) {
+    if (!this.isActive || this.isPaused || !base64Audio) return;
+
+    this.audioChunkCount++;
+    if (this.audioChunkCount < (this.script.chunksPerUtterance || 25)) return;
+    this.audioChunkCount = 0;
+
+    const text = (this.script.utterances || [])[this.utteranceIndex];
+    if (!text) return;
+    this.utteranceIndex++;
+
+    this.emit("input_transcription", { text, language: detectLanguage(text) });
+    await this.respond(text);
+  }
+
+  async sendText(text) {
+    if (!this.isActive || this.isPaused) return;
+    await this.respond(text);
+  }
+
+  async injectContext(contextMessage) {
+    await this.sendText(
+      `[SYSTEM UPDATE - SUPERVISOR HANDOFF] ${contextMessage}`,
+    );
+  }
+
+  async whisper(note) {
+    if (!this.isActive || this.isPaused) return;
+    // Guidance only: nothing is said until the customer speaks again
+    this.guidance.push(note);
+  }
+
+  async pause() {
+    this.isPaused = true;
+  }
+
+  async resume() {
+    this.isPaused = false;
+  }
+
+  async close() {
+    this.isActive = false;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.emit("closed");
+  }
+
+  /**
+   * Answer with the first rule whose pattern matches, running its tool if any
+   */
+  async respond(text) {
+    const rule = (this.script.rules || []).find((r) =>
+      new RegExp(r.match, "i").test(text),
+    );
+    let reply = rule?.reply || this.script.fallbackReply || "Okay.";
+
+    if (rule?.tool && this.toolRegistry?.has(rule.tool.name)) {
+      const match = text.match(new RegExp(rule.match, "i"));
+      const args = Object.fromEntries(
+        Object.entries(rule.tool.args || {}).map(([key, value]) => [
+          key,
+          String(value).replace(/\$(\d)/g, (_, i) => match[i] || ""),
+        ]),
+      );
+      const id = `mock-call-${Date.now()}`;
+
+      this.emit("tool_call", { id, name: rule.tool.name, args });
+      const startedAt = Date.now();
+      const result = await this.toolRegistry.execute(
+        { id, name: rule.tool.name, args },
+        this.toolContext,
+      );
+      this.emit("tool_result", {
+        id,
+        name: rule.tool.name,
+        response: result.response,
+        durationMs: Date.now() - startedAt,
+      });
+
+      reply = reply.replace(/\{(\w+)\}/g, (_, key) =>
+        result.response?.[key] !== undefined ? String(result.response[key]) : key,
+      );
+    }
+
+    this.later(() => this.speak(reply));
+  }
+
+  /**
+   * Emit synthetic audio, then the reply sentence by sentence, then turn_complete
+   */
+  speak(reply) {
+    if (!this.isActive || this.isPaused) return;
+
+    this.emit("audio", synthesizeTone(reply));
+    this.emit("usage", {
+      feature: "live_audio",
+      model: "mock",
+      promptTokens: 0,
+      outputTokens: reply.split(/\s+/).length,
+      totalTokens: reply.split(/\s+/).length,
+    });
+    const sentences = reply.match(/[^.!?]+[.!?]*/g) || [reply];
+    sentences
+      .map((sentence) => sentence.trim())
+      .filter(Boolean)
+      .forEach((sentence) => {
+        logger.info(`AI Response: "${sentence}"`);
+        this.emit("response", { type: "text", content: sentence });
+      });
+    this.emit("turn_complete");
+  }
+
+  later(fn) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, this.responseDelay);
+    this.timers.add(timer);
+  }
+}
+
+/**
+ * Base64 24kHz 16-bit PCM tone, ~80ms per word (max 3s), standing in for speech
+ */
+function synthesizeTone(text) {
+  const words = text.split(/\s+/).length;
+  const seconds = Math.min(3, words * 0.08);
+  const samples = Math.round(OUTPUT_SAMPLE_RATE * seconds);
+  const pcm = Buffer.alloc(samples * 2);
+
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin((2 * Math.PI * 220 * i) / OUTPUT_SAMPLE_RATE) * 0.2;
+    pcm.writeInt16LE(Math.round(value * 32767), i * 2);
+  }
+
+  return pcm.toString("base64");
+}
@@ -0,0 +1,172 @@
+import { EventEmitter } from "events";
+import { Logger } from "@gemini-copilot/shared";
+import {
+  detectIntentFromKeywords,
+  estimateSentimentFromKeywords,
+} from "../gemini-text.js";
+import { SentimentAnalyzer } from "../sentiment-analyzer.js";
+import { baseLanguage } from "../language-detector.js";
+
+const logger = new Logger("MockText");
+
+/**
+ * Offline stand-in for GeminiTextAPI
+ * Derives sentiment from the local keyword analyzer and intent from keywords,
+ * so analytics, coaching and summaries are deterministic for a given transcript.
+ * Makes no model requests, so it never emits "usage".
+ */
+export class MockTextAPI extends EventEmitter {
+  constructor() {
+    super();
+    this.sentimentAnalyzer = new SentimentAnalyzer();
+    logger.info("Mock text API initialized (no network calls)");
+  }
+
+  detectIntentFromKeywords(text) {
+    return detectIntentFromKeywords(text);
+  }
+
+  async analyzeConversation(transcript) {
+    const customerText = customerLines(transcript).join(" ");
+    const { frustrationLevel, score } = this.scoreText(customerText);
+
+    return {
+      sentiment:
+        frustrationLevel >= 70
+          ? "frustrated"
+          : frustrationLevel > 0
+            ? "negative"
+            : score > 0
+              ? "positive"
+              : "neutral",
+      sentimentScore: 100 - frustrationLevel,
+      intent: customerText ? detectIntentFromKeywords(customerText) : "unknown",
+      keyIssues: [],
+      escalationRisk:
+        frustrationLevel >= 70 ? "high" : frustrationLevel >= 40 ? "medium" : "low",
+      summary: customerText
+        ? `Customer said ${customerLines(transcript).length} thing(s).`
+        : "No customer messages yet.",
+    };
+  }
+
+  async analyzeSentiment(text) {
+    const result = estimateSentimentFromKeywords(text);
+
+    return {
+      ...result,
+      reason:
+        result.frustrationLevel > 0
+          ? "Negative wording detected (mock provider)"
+          : "No negative wording (mock provider)",
+    };
+  }
+
+  async getSupervisorCoaching(transcript, customerMessage) {
+    const { frustrationLevel } = this.scoreText(customerMessage || "");
+    const upset = frustrationLevel >= 40;
+
+    return {
+      coachingTip: upset
+        ? "Acknowledge the frustration before offering a fix"
+        : "Confirm the customer's goal and offer the next step",
+      suggestedResponses: upset
+        ? [
+            "I'm sorry about this, I understand how frustrating it is.",
+            "Let me take care of this for you right now.",
+            "Thank you for your patience while I sort this out.",
+          ]
+        : [
+            "Happy to help with that.",
+            "Could you share your order number?",
+            "Is there anything else I can do for you?",
+          ],
+      tone: upset ? "empathetic" : "solution-focused",
+      priority: upset ? "high" : "low",
+    };
+  }
+
+  async analyzeTurn(transcript, customerMessage, { includeCoaching = true } = {}) {
+    const [sentiment, analytics, coaching] = await Promise.all([
+      this.analyzeSentiment(customerMessage),
+      this.analyzeConversation(transcript),
+      includeCoaching ? this.getSupervisorCoaching(transcript, customerMessage) : null,
+    ]);
+    return { sentiment, analytics, coaching };
+  }
+
+  async generateSummary(transcript, { language = "en" } = {}) {
+    const analysis = await this.analyzeConversation(transcript);
+    const lastCustomerLine = customerLines(transcript).at(-1) || "";
+
+    return {
+      sentiment: analysis.sentiment,
+      intent: analysis.intent,
+      resolutionStatus: /thank/i.test(lastCustomerLine)
+        ? "resolved"
+        : "unresolved",
+      keyTopics: analysis.intent !== "unknown" ? [analysis.intent] : [],
+      actionItems: [],
+      frustrationTrend: analysis.sentiment === "frustrated" ? "increasing" : "stable",
+      fullText: `Mock summary: ${transcript?.length || 0} messages, intent ${analysis.intent}.`,
+      insights: "",
+      language: baseLanguage(language),
+    };
+  }
+
+  async translate(text, targetLanguage = "en") {
+    if (!text) return null;
+    return `[${targetLanguage}] ${text}`;
+  }
+
+  async generateHandoffBrief(transcript, { note } = {}) {
+    const analysis = await this.analyzeConversation(transcript);
+    const lastCustomerLine = customerLines(transcript).at(-1) || "";
+
+    return [
+      `Mock brief: ${transcript?.length || 0} messages, intent ${analysis.intent}.`,
+      lastCustomerLine && `Customer last said: ${lastCustomerLine}`,
+      note && `Note: ${note}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  /**
+   * No upstream, so never degraded
+   */
+  getDegradedStatus() {
+    return { degraded: false, state: "closed", since: null, retryAt: null };
+  }
+
+  /**
+   * Mock output is built locally, so there is nothing to validate or count
+   */
+  getStructuredOutputMetrics() {
+    return {};
+  }
+
+  /**
+   * Mock output doesn't use prompt templates, so there are no experiments
+   */
+  getExperiments() {
+    return [];
+  }
+
+  /**
+   * Keyword sentiment score plus the 0-100 frustration scale used by the dashboard
+   */
+  scoreText(text) {
+    const { score } = this.sentimentAnalyzer.analyze(text);
+    return {
+      score,
+      frustrationLevel: this.sentimentAnalyzer.calculateFrustration(score),
+    };
+  }
+}
+
+function customerLines(transcript = []) {
+  return transcript
+    .filter((m) => m.role === "customer" && m.content)
+    .map((m) => m.content);
+}
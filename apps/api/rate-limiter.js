@@ -0,0 +1,86 @@
+/**
+ * Rate Limiter
+ * Token buckets keyed by IP, user or session: each key holds up to `capacity`
+ * tokens and regains `refillPerSecond` of them; every request or message takes
+ * one, and is refused while the bucket is empty. Buckets live in memory, so
+ * each API node counts on its own; full buckets are dropped periodically so
+ * idle keys don't pile up
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.capacity - Burst size; 0 or less disables the limit
+   * @param {number} options.refillPerSecond - Sustained rate
+   * @param {Function} [options.now=Date.now] - Clock (for tests)
+   */
+  constructor({ capacity, refillPerSecond, now = Date.now }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.buckets = new Map();
+    this.lastSweep = now();
+  }
+
+  /**
+   * Limit of `count` per minute, with a burst of the whole minute's allowance
+   */
+  static perMinute(count, options = {}) {
+    return new RateLimiter({ capacity: count, refillPerSecond: count / 60, ...options });
+  }
+
+  /**
+   * Limit of `count` per second, with bursts of up to two seconds' worth
+   */
+  static perSecond(count, options = {}) {
+    return new RateLimiter({ capacity: count * 2, refillPerSecond: count, ...options });
+  }
+
+  get enabled() {
+    return this.capacity > 0;
+  }
+
+  /**
+   * Take one token from the key's bucket
+   * @returns {Object} { allowed, remaining, retryAfterMs } - retryAfterMs is how
+   *   long until a token is back (0 when allowed)
+   */
+  take(key) {
+    if (!this.enabled) return { allowed: true, remaining: Infinity, retryAfterMs: 0 };
+
+    const now = this.now();
+    this.sweep(now);
+
+    const bucket = this.refill(this.buckets.get(key), now);
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+    return {
+      allowed: false,
+      remaining: 0,
+      retryAfterMs: Math.ceil(((1 - bucket.tokens) / this.refillPerSecond) * 1000),
+    };
+  }
+
+  refill(bucket, now) {
+    if (!bucket) return { tokens: this.capacity, updatedAt: now };
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    return {
+      tokens: Math.min(this.capacity, bucket.tokens + elapsedSeconds * this.refillPerSecond),
+      updatedAt: now,
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely (at most once a minute)
+   */
+  sweep(now) {
+    if (now - this.lastSweep < 60000) return;
+    this.lastSweep = now;
+    for (const [key, bucket] of this.buckets) {
+      if (this.refill(bucket, now).tokens >= this.capacity) this.buckets.delete(key);
+    }
+  }
+}
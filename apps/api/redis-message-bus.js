@@ -0,0 +1,107 @@
+import { createClient } from "redis";
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("RedisBus");
+
+// Compare-and-set scripts, so a node only touches a lease it still holds
+const RENEW_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * Redis Message Bus
+ * Message bus shared by every API instance pointed at the same Redis server
+ * (see message-bus.js for the interface). Pub/sub runs on its own connection,
+ * as Redis requires; leases are keys set with NX and a PX expiry.
+ */
+export class RedisMessageBus {
+  /**
+   * @param {string} url - e.g. redis://localhost:6379
+   */
+  constructor(url) {
+    this.client = createClient({ url });
+    this.subscriber = this.client.duplicate();
+    this.handlers = new Map(); // channel -> Set of handlers
+
+    for (const connection of [this.client, this.subscriber]) {
+      connection.on("error", (error) => logger.error("Redis error:", error.message));
+    }
+  }
+
+  async connect() {
+    await Promise.all([this.client.connect(), this.subscriber.connect()]);
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    let handlers = this.handlers.get(channel);
+    if (!handlers) {
+      handlers = new Set();
+      this.handlers.set(channel, handlers);
+      await this.subscriber.subscribe(channel, (payload) =>
+        this.deliver(channel, payload),
+      );
+    }
+    handlers.add(handler);
+
+    return async () => {
+      handlers.delete(handler);
+      if (handlers.size === 0 && this.handlers.get(channel) === handlers) {
+        this.handlers.delete(channel);
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+
+  deliver(channel, payload) {
+    for (const handler of this.handlers.get(channel) || []) {
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        logger.error(`Handler for ${channel} failed:`, error.message);
+      }
+    }
+  }
+
+  async claim(key, value, ttlMs) {
+    const set = await this.client.set(key, value, {
+      condition: "NX",
+      expiration: { type: "PX", value: ttlMs },
+    });
+    if (set) return value;
+
+    // Expired between SET and GET: try again
+    return (await this.client.get(key)) ?? this.claim(key, value, ttlMs);
+  }
+
+  async renew(key, value, ttlMs) {
+    const renewed = await this.client.eval(RENEW_SCRIPT, {
+      keys: [key],
+      arguments: [value, String(ttlMs)],
+    });
+    return renewed === 1;
+  }
+
+  async release(key, value) {
+    await this.client.eval(RELEASE_SCRIPT, { keys: [key], arguments: [value] });
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async close() {
+    this.handlers.clear();
+    await Promise.all([this.subscriber.close(), this.client.close()]);
+  }
+}
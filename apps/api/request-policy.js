@@ -0,0 +1,132 @@
+import { EventEmitter } from "events";
+
+/**
+ * Request Policy
+ * Timeouts, jittered retries and a circuit breaker for upstream model requests
+ */
+
+export class TimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Request timed out after ${timeoutMs}ms`);
+    this.name = "TimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super("Circuit breaker is open; skipping upstream request");
+    this.name = "CircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Rate limits (429) and server errors (5xx) are worth retrying;
+ * other 4xx errors will fail the same way again
+ */
+export function isRetryableError(error) {
+  const status = error?.status ?? Number(error?.message?.match(/\[(\d{3})[ \]]/)?.[1]);
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Exponential backoff with full jitter: random in [0, min(max, base * 2^attempt)]
+ */
+export function retryDelay(attempt, { baseDelayMs = 250, maxDelayMs = 4000 } = {}) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Run fn(signal) with a deadline. The signal aborts on timeout or when
+ * parentSignal aborts, so the underlying fetch is cancelled too.
+ * @throws {TimeoutError}
+ */
+export async function withTimeout(fn, timeoutMs, parentSignal) {
+  const controller = new AbortController();
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+  parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new TimeoutError(timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    parentSignal?.removeEventListener("abort", onParentAbort);
+  }
+}
+
+/**
+ * Circuit breaker shared by all requests of a client
+ * closed -> (failureThreshold consecutive failures) -> open
+ * open -> (resetTimeoutMs) -> half_open: requests are let through as trials
+ * half_open -> success -> closed, failure -> open
+ *
+ * Emits "state_change" { state, previous, since, retryAt }
+ */
+export class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5]
+   * @param {number} [options.resetTimeoutMs=30000]
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    this.state = "closed";
+    this.failures = 0;
+    this.since = Date.now();
+    this.retryAt = null;
+  }
+
+  /**
+   * Whether a request may go upstream now
+   */
+  canRequest() {
+    if (this.state === "open" && Date.now() >= this.retryAt) {
+      this.transition("half_open");
+    }
+    return this.state !== "open";
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== "closed") this.transition("closed");
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (
+      this.state === "half_open" ||
+      (this.state === "closed" && this.failures >= this.failureThreshold)
+    ) {
+      this.transition("open");
+    }
+  }
+
+  transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.since = Date.now();
+    this.retryAt = state === "open" ? this.since + this.resetTimeoutMs : null;
+    this.emit("state_change", { ...this.toJSON(), previous });
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      since: this.since,
+      retryAt: this.retryAt,
+    };
+  }
+}
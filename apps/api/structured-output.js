@@ -0,0 +1,318 @@
+/**
+ * Structured Output
+ * Response schemas for the Gemini text analyses, plus validation/coercion of
+ * model output against them and counters for how often the model gets it wrong
+ */
+
+import { SchemaType } from "@google/generative-ai";
+
+const string = (description, extra = {}) => ({
+  type: SchemaType.STRING,
+  description,
+  ...extra,
+});
+const enumOf = (values, fallback) => ({
+  type: SchemaType.STRING,
+  format: "enum",
+  enum: values,
+  default: fallback,
+});
+const score = (description, fallback) => ({
+  type: SchemaType.INTEGER,
+  description,
+  minimum: 0,
+  maximum: 100,
+  default: fallback,
+});
+const stringList = (description, maxItems) => ({
+  type: SchemaType.ARRAY,
+  description,
+  items: { type: SchemaType.STRING },
+  maxItems,
+  default: [],
+});
+
+const SENTIMENTS = ["positive", "neutral", "negative", "frustrated"];
+export const RESOLUTION_STATUSES = [
+  "resolved",
+  "partially_resolved",
+  "unresolved",
+  "escalated",
+];
+const INTENTS = [
+  "complaint",
+  "inquiry",
+  "support",
+  "purchase",
+  "cancellation",
+  "feedback",
+  "other",
+];
+
+/**
+ * Schemas for each analysis. `minimum`, `maximum` and `default` are only used
+ * locally for coercion and are stripped before the schema is sent to Gemini.
+ */
+export const RESPONSE_SCHEMAS = {
+  analysis: {
+    type: SchemaType.OBJECT,
+    properties: {
+      sentiment: enumOf(SENTIMENTS, "neutral"),
+      sentimentScore: score("0=very negative, 100=very positive", 50),
+      intent: enumOf(INTENTS, "other"),
+      keyIssues: stringList("Main issues raised by the customer", 5),
+      escalationRisk: enumOf(["low", "medium", "high"], "low"),
+      summary: string("One sentence summary of the issue", { default: "" }),
+    },
+    required: ["sentiment", "sentimentScore", "intent", "keyIssues", "escalationRisk"],
+  },
+
+  sentiment: {
+    type: SchemaType.OBJECT,
+    properties: {
+      frustrationLevel: score("0=calm, 50=slightly annoyed, 75=frustrated, 100=very angry", 0),
+      sentiment: enumOf(["positive", "neutral", "frustrated", "angry"], "neutral"),
+      shouldEscalate: { type: SchemaType.BOOLEAN, default: false },
+      reason: string("Brief explanation of detected emotion", { default: "" }),
+    },
+    required: ["frustrationLevel", "sentiment", "shouldEscalate"],
+  },
+
+  coaching: {
+    type: SchemaType.OBJECT,
+    properties: {
+      coachingTip: string("Brief tip for handling this situation", {
+        default: "Listen actively and show empathy",
+      }),
+      suggestedResponses: stringList("Three response options for the supervisor", 3),
+      tone: enumOf(
+        ["empathetic", "professional", "apologetic", "solution-focused"],
+        "empathetic",
+      ),
+      priority: enumOf(["low", "medium", "high"], "medium"),
+    },
+    required: ["coachingTip", "suggestedResponses", "tone", "priority"],
+  },
+
+  summary: {
+    type: SchemaType.OBJECT,
+    properties: {
+      sentiment: enumOf(SENTIMENTS, "neutral"),
+      intent: enumOf(INTENTS, "other"),
+      resolutionStatus: enumOf(RESOLUTION_STATUSES, "unresolved"),
+      keyTopics: stringList("Main topics of the call", 5),
+      actionItems: stringList("Follow-up actions", 5),
+      frustrationTrend: enumOf(["increasing", "stable", "decreasing"], "stable"),
+      fullText: string("2-3 sentence summary of the entire call", {
+        default: "Call completed",
+      }),
+      insights: string("Key observation or recommendation", { default: "" }),
+    },
+    required: [
+      "sentiment",
+      "intent",
+      "resolutionStatus",
+      "keyTopics",
+      "actionItems",
+      "frustrationTrend",
+      "fullText",
+    ],
+  },
+};
+
+/**
+ * Sentiment, analytics and coaching for the latest customer turn in one request
+ */
+RESPONSE_SCHEMAS.turn = {
+  type: SchemaType.OBJECT,
+  properties: {
+    sentiment: RESPONSE_SCHEMAS.sentiment,
+    analytics: RESPONSE_SCHEMAS.analysis,
+    coaching: RESPONSE_SCHEMAS.coaching,
+  },
+  required: ["sentiment", "analytics"],
+};
+
+const LOCAL_KEYS = ["minimum", "maximum", "default"];
+
+/**
+ * Schema in the form Gemini accepts for generationConfig.responseSchema
+ */
+export function toResponseSchema(schema) {
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (LOCAL_KEYS.includes(key)) continue;
+    if (key === "properties") {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, prop]) => [name, toResponseSchema(prop)]),
+      );
+    } else if (key === "items") {
+      result.items = toResponseSchema(value);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Parse model text as JSON, tolerating markdown fences and surrounding prose
+ * @returns {Object|null}
+ */
+export function parseJsonResponse(text) {
+  if (!text) return null;
+
+  const cleaned = text
+    .replace(/```json\s*/g, "")
+    .replace(/```\s*/g, "")
+    .trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    const match = cleaned.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Validate a parsed response against a schema, coercing what can be safely fixed
+ * (enum case/whitespace, numeric strings, out-of-range scores, "true"/"false").
+ * Anything else is replaced with the schema default and reported as an error.
+ * @returns {{ value: Object, errors: string[] }}
+ */
+export function validateResponse(data, schema) {
+  const errors = [];
+  const value = coerce(data, schema, "", errors);
+  return { value, errors };
+}
+
+function coerce(data, schema, path, errors) {
+  const label = path || "response";
+
+  switch (schema.type) {
+    case SchemaType.OBJECT: {
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        errors.push(`${label} must be an object`);
+        data = {};
+      }
+      const result = {};
+      for (const [key, prop] of Object.entries(schema.properties)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (data[key] === undefined || data[key] === null) {
+          if (schema.required?.includes(key)) {
+            errors.push(`${childPath} is required`);
+          }
+          result[key] = defaultFor(prop);
+        } else {
+          result[key] = coerce(data[key], prop, childPath, errors);
+        }
+      }
+      return result;
+    }
+
+    case SchemaType.ARRAY: {
+      if (!Array.isArray(data)) {
+        errors.push(`${label} must be an array`);
+        return defaultFor(schema);
+      }
+      const items = data
+        .map((item, i) => {
+          const itemErrors = [];
+          const coerced = coerce(item, schema.items, `${label}[${i}]`, itemErrors);
+          return itemErrors.length === 0 ? coerced : undefined;
+        })
+        .filter((item) => item !== undefined);
+      return schema.maxItems ? items.slice(0, schema.maxItems) : items;
+    }
+
+    case SchemaType.STRING: {
+      if (schema.enum) {
+        const normalized = String(data).trim().toLowerCase().replace(/\s+/g, "_");
+        const match = schema.enum.find(
+          (option) => option.toLowerCase().replace(/[\s-]+/g, "_") === normalized,
+        );
+        if (match) return match;
+        errors.push(`${label} "${data}" is not one of: ${schema.enum.join(", ")}`);
+        return defaultFor(schema);
+      }
+      if (typeof data === "string") return data;
+      if (typeof data === "number" || typeof data === "boolean") return String(data);
+      errors.push(`${label} must be a string`);
+      return defaultFor(schema);
+    }
+
+    case SchemaType.NUMBER:
+    case SchemaType.INTEGER: {
+      let number = typeof data === "string" ? Number(data.replace("%", "")) : data;
+      if (typeof number !== "number" || Number.isNaN(number)) {
+        errors.push(`${label} must be a number`);
+        return defaultFor(schema);
+      }
+      if (schema.type === SchemaType.INTEGER) number = Math.round(number);
+      if (schema.minimum !== undefined) number = Math.max(schema.minimum, number);
+      if (schema.maximum !== undefined) number = Math.min(schema.maximum, number);
+      return number;
+    }
+
+    case SchemaType.BOOLEAN: {
+      if (typeof data === "boolean") return data;
+      if (data === "true" || data === "false") return data === "true";
+      errors.push(`${label} must be a boolean`);
+      return defaultFor(schema);
+    }
+
+    default:
+      return data;
+  }
+}
+
+function defaultFor(schema) {
+  if (schema.default !== undefined) {
+    return Array.isArray(schema.default) ? [...schema.default] : schema.default;
+  }
+  if (schema.type === SchemaType.ARRAY) return [];
+  if (schema.type === SchemaType.OBJECT) return coerce({}, schema, "", []);
+  return null;
+}
+
+/**
+ * Per-schema counters for structured output quality
+ */
+export class StructuredOutputMetrics {
+  constructor() {
+    this.counters = {};
+  }
+
+  /**
+   * @param {string} schemaName - Key of RESPONSE_SCHEMAS
+   * @param {string} outcome - "valid", "repaired", "fallback" or "error"
+   * @param {string[]} [errors] - Validation errors seen on the way
+   */
+  record(schemaName, outcome, errors = []) {
+    const counter = (this.counters[schemaName] ??= {
+      requests: 0,
+      valid: 0,
+      repaired: 0,
+      fallback: 0,
+      error: 0,
+      validationErrors: 0,
+      lastErrors: [],
+    });
+
+    counter.requests++;
+    counter[outcome]++;
+    if (errors.length > 0) {
+      counter.validationErrors += errors.length;
+      counter.lastErrors = [...errors, ...counter.lastErrors].slice(0, 10);
+    }
+  }
+
+  toJSON() {
+    return this.counters;
+  }
+}
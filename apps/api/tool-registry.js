@@ -0,0 +1,164 @@
+/**
+ * Tool Registry
+ * Declares the tools (function calls) the live voice agent can use,
+ * validates their arguments and runs their handlers
+ */
+
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Tools");
+
+export class ToolRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=10000] - Max time a handler may run
+   */
+  constructor({ timeoutMs = 10000 } = {}) {
+    this.tools = new Map();
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool
+   * @param {string} tool.name - Function name exposed to the model
+   * @param {string} tool.description - What the tool does (the model reads this)
+   * @param {Object} tool.parameters - JSON schema for the arguments (type: "object")
+   * @param {Function} tool.handler - async (args, context) => result object
+   */
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== "function") {
+      throw new Error("Tool must have a name and a handler function");
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool already registered: ${tool.name}`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || "",
+      parameters: tool.parameters || { type: "object", properties: {} },
+      handler: tool.handler,
+    });
+    logger.info(`Registered tool: ${tool.name}`);
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Get tool declarations in the Live API setup format
+   * @returns {Array} [{ function_declarations: [...] }] or [] if no tools
+   */
+  getDeclarations() {
+    if (this.tools.size === 0) return [];
+
+    return [
+      {
+        function_declarations: Array.from(this.tools.values()).map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters,
+        })),
+      },
+    ];
+  }
+
+  /**
+   * Execute a function call from the model
+   * Never throws - failures are returned as { error } so the model can recover
+   * @param {Object} functionCall - { id, name, args }
+   * @param {Object} [context] - Extra data passed to the handler (e.g. sessionId)
+   * @returns {Object} { id, name, response }
+   */
+  async execute(functionCall, context = {}) {
+    const { id, name, args = {} } = functionCall;
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      logger.warn(`Model called unknown tool: ${name}`);
+      return { id, name, response: { error: `Unknown tool: ${name}` } };
+    }
+
+    const validationError = validateArgs(args, tool.parameters);
+    if (validationError) {
+      logger.warn(`Invalid arguments for ${name}: ${validationError}`);
+      return { id, name, response: { error: validationError } };
+    }
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        tool.handler(args, context),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Tool timed out after ${this.timeoutMs}ms`)),
+            this.timeoutMs,
+          );
+        }),
+      ]);
+      return { id, name, response: result ?? {} };
+    } catch (error) {
+      logger.error(`Tool ${name} failed:`, error.message);
+      return { id, name, response: { error: error.message } };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Minimal JSON-schema check for tool arguments (required, type, enum)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateArgs(args, schema) {
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    return "Arguments must be an object";
+  }
+
+  for (const key of schema.required || []) {
+    if (args[key] === undefined || args[key] === null || args[key] === "") {
+      return `Missing required argument: ${key}`;
+    }
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const propSchema = schema.properties?.[key];
+    if (!propSchema) continue;
+
+    const expected = (propSchema.type || "").toLowerCase();
+    if (expected && !matchesType(value, expected)) {
+      return `Argument ${key} must be of type ${expected}`;
+    }
+    if (propSchema.enum && !propSchema.enum.includes(value)) {
+      return `Argument ${key} must be one of: ${propSchema.enum.join(", ")}`;
+    }
+  }
+
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,91 @@
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { promises as fs } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { Logger } from "@gemini-copilot/shared";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const logger = new Logger("OrderLookup");
+
+const FIXTURE_PATH = join(__dirname, "..", "database", "orders-fixture.sql");
+
+/**
+ * Create the lookup_order tool
+ * Backed by SQLite: an in-memory copy of the fixture by default,
+ * or an existing orders database via options.dbPath / ORDERS_DB_PATH
+ * @param {Object} [options]
+ * @param {string} [options.dbPath] - Path to a SQLite file with an `orders` table
+ * @returns {Object} Tool definition for ToolRegistry.register()
+ */
+export function createOrderLookupTool({
+  dbPath = process.env.ORDERS_DB_PATH,
+} = {}) {
+  let dbPromise = null;
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        const db = await open({
+          filename: dbPath || ":memory:",
+          driver: sqlite3.Database,
+        });
+        if (!dbPath) {
+          await db.exec(await fs.readFile(FIXTURE_PATH, "utf-8"));
+          logger.info("Loaded orders fixture into in-memory database");
+        }
+        return db;
+      })().catch((error) => {
+        // Try opening again on the next lookup rather than failing every one
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: "lookup_order",
+    description:
+      "Look up a customer's order by order number. Returns status, items, total, carrier, tracking number and delivery dates.",
+    parameters: {
+      type: "object",
+      properties: {
+        order_id: {
+          type: "string",
+          description: "The order number the customer gives, e.g. A1001",
+        },
+      },
+      required: ["order_id"],
+    },
+    handler: async ({ order_id }) => {
+      // Speech transcription often adds spaces/dashes ("A 1001", "a-1001")
+      const normalizedId = order_id.replace(/[\s-]/g, "").toUpperCase();
+
+      const db = await getDb();
+      const order = await db.get("SELECT * FROM orders WHERE order_id = ?", [
+        normalizedId,
+      ]);
+
+      if (!order) {
+        return { found: false, order_id: normalizedId };
+      }
+
+      return {
+        found: true,
+        order_id: order.order_id,
+        customer_name: order.customer_name,
+        status: order.status,
+        items: JSON.parse(order.items || "[]"),
+        total: order.total,
+        currency: order.currency,
+        carrier: order.carrier,
+        tracking_number: order.tracking_number,
+        ordered_at: order.ordered_at,
+        estimated_delivery: order.estimated_delivery,
+        delivered_at: order.delivered_at,
+      };
+    },
+  };
+}
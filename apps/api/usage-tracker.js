@@ -0,0 +1,86 @@
+import { Logger } from "@gemini-copilot/shared";
+
+const logger = new Logger("Usage");
+
+/**
+ * USD per 1M tokens. Override or extend with MODEL_PRICING, e.g.
+ * MODEL_PRICING='{"gemini-3-flash-preview":{"input":0.5,"output":3}}'
+ */
+export const MODEL_PRICING = {
+  "gemini-3-flash-preview": { input: 0.5, output: 3.0 },
+  "gemini-2.5-flash-native-audio-latest": { input: 3.0, output: 12.0 },
+  mock: { input: 0, output: 0 },
+};
+
+/**
+ * Cost in USD of one request (0 for models without a price)
+ */
+export function estimateCost(model, promptTokens, outputTokens, pricing = MODEL_PRICING) {
+  const price = pricing[model];
+  if (!price) return 0;
+  return (promptTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Token Usage Tracker
+ * Prices the "usage" events emitted by the text client and live sessions and
+ * stores one row per request, attributed to a session and feature
+ * (sentiment, analytics, coaching, turn_analysis, summary, translation, handoff, live_audio)
+ */
+export class UsageTracker {
+  /**
+   * @param {Object} database - DatabaseManager (saveTokenUsage)
+   * @param {Object} [options]
+   * @param {Object} [options.pricing] - Per-model prices, merged over MODEL_PRICING
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.pricing = { ...MODEL_PRICING, ...loadPricingOverrides(), ...options.pricing };
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * @param {Object} usage - { sessionId, feature, model, promptTokens, outputTokens, totalTokens }
+   * @returns {Object} The stored entry, including costUsd
+   */
+  async record(usage) {
+    if (!this.pricing[usage.model] && !this.unpricedModels.has(usage.model)) {
+      this.unpricedModels.add(usage.model);
+      logger.warn(`No pricing for model ${usage.model}; its usage is recorded at $0`);
+    }
+
+    const entry = {
+      sessionId: usage.sessionId || null,
+      feature: usage.feature,
+      model: usage.model,
+      promptTokens: usage.promptTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      totalTokens:
+        usage.totalTokens || (usage.promptTokens || 0) + (usage.outputTokens || 0),
+      costUsd: estimateCost(
+        usage.model,
+        usage.promptTokens || 0,
+        usage.outputTokens || 0,
+        this.pricing,
+      ),
+      createdAt: Date.now(),
+    };
+
+    try {
+      await this.database.saveTokenUsage(entry);
+    } catch (error) {
+      logger.error("Failed to save token usage:", error.message);
+    }
+    return entry;
+  }
+}
+
+function loadPricingOverrides() {
+  if (!process.env.MODEL_PRICING) return {};
+  try {
+    return JSON.parse(process.env.MODEL_PRICING);
+  } catch (error) {
+    logger.error("Invalid MODEL_PRICING JSON:", error.message);
+    return {};
+  }
+}
@@ -9,21 +9,56 @@ class SupervisorDashboard {
     this.ws = null;
     this.sessions = new Map();
     this.selectedSessionId = null;
+    // Coaching suggestion the supervisor's next message was started from
+    this.usedSuggestion = null;
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
 
+    // Escalations are routed to the signed-in user by ID, skills and capacity
+    this.supervisorId = null;
+    // Each API node queues its own calls: nodeId -> queue, merged for display
+    this.escalationQueues = new Map();
+    this.escalationQueue = [];
+    // Sessions this dashboard listens to silently (monitor mode)
+    this.monitoring = new Set();
+
     // Audio state
     this.audioManager = new AudioManager();
 
     this.init();
   }
 
-  init() {
+  async init() {
+    const user = await Auth.require();
+    if (!Auth.can("calls:view")) {
+      window.location.href = "/summaries.html";
+      return;
+    }
+    this.supervisorId = user.id;
+
     this.bindElements();
     this.bindEvents();
+    this.showUser(user);
     this.connectWebSocket();
     this.startDurationTimer();
+    this.loadPersonas();
+  }
+
+  /**
+   * Signed-in user in the header; links and overrides their role can't use are hidden
+   */
+  showUser(user) {
+    if (this.currentUser) {
+      this.currentUser.textContent = `${user.name} · ${user.role}`;
+    }
+    if (this.summariesLink && !Auth.can("reports:view")) {
+      this.summariesLink.style.display = "none";
+    }
+    this.canSupervise = Auth.can("calls:supervise");
+    if (this.btnEnd && !this.canSupervise) {
+      this.btnEnd.style.display = "none";
+    }
   }
 
   bindElements() {
@@ -32,10 +67,21 @@ class SupervisorDashboard {
     this.statWaiting = document.getElementById("stat-waiting");
     this.statHuman = document.getElementById("stat-human");
     this.connectionStatus = document.getElementById("connection-status");
+    this.degradedBanner = document.getElementById("degraded-banner");
     this.btnRefresh = document.getElementById("btn-refresh");
+    this.personaPicker = document.getElementById("persona-picker");
+    this.btnCustomerLine = document.getElementById("btn-customer-line");
+    this.supervisorSkills = document.getElementById("supervisor-skills");
+    this.supervisorCapacity = document.getElementById("supervisor-capacity");
+    this.summariesLink = document.getElementById("summaries-link");
+    this.currentUser = document.getElementById("current-user");
+    this.btnLogout = document.getElementById("btn-logout");
 
     // Sidebar elements
     this.sessionsList = document.getElementById("sessions-list");
+    this.escalationPanel = document.getElementById("escalation-queue");
+    this.escalationList = document.getElementById("escalation-list");
+    this.escalationCount = document.getElementById("escalation-count");
     this.noSessions = document.getElementById("no-sessions");
 
     // Main content elements
@@ -47,6 +93,12 @@ class SupervisorDashboard {
     this.transcript = document.getElementById("transcript");
     this.btnTakeover = document.getElementById("btn-takeover");
     this.btnHandback = document.getElementById("btn-handback");
+    this.btnTransfer = document.getElementById("btn-transfer");
+    this.btnRequestTransfer = document.getElementById("btn-request-transfer");
+    this.btnForceTakeover = document.getElementById("btn-force-takeover");
+    this.btnMonitor = document.getElementById("btn-monitor");
+    this.btnMonitorText = document.getElementById("btn-monitor-text");
+    this.btnBarge = document.getElementById("btn-barge");
     this.btnMic = document.getElementById("btn-mic");
     this.audioControls = document.getElementById("audio-controls");
     this.audioVisualizer = document.getElementById("audio-visualizer");
@@ -60,12 +112,16 @@ class SupervisorDashboard {
     this.detailStarted = document.getElementById("detail-started");
     this.detailDuration = document.getElementById("detail-duration");
     this.detailMode = document.getElementById("detail-mode");
+    this.detailPersona = document.getElementById("detail-persona");
+    this.detailLanguage = document.getElementById("detail-language");
+    this.detailInterruptions = document.getElementById("detail-interruptions");
     this.detailMessages = document.getElementById("detail-messages");
     this.detailCustomerStatus = document.getElementById(
       "detail-customer-status",
     );
     this.contextText = document.getElementById("context-text");
     this.btnInject = document.getElementById("btn-inject");
+    this.btnWhisper = document.getElementById("btn-whisper");
 
     this.frustrationBar = document.getElementById("frustration-bar");
     this.frustrationValue = document.getElementById("frustration-value");
@@ -89,12 +145,32 @@ class SupervisorDashboard {
 
   bindEvents() {
     this.btnRefresh?.addEventListener("click", () => this.refreshSessions());
+    this.personaPicker?.addEventListener("change", () =>
+      this.selectPersona(this.personaPicker.value),
+    );
+    this.supervisorSkills?.addEventListener("change", () =>
+      this.saveRoutingProfile(),
+    );
+    this.supervisorCapacity?.addEventListener("change", () =>
+      this.saveRoutingProfile(),
+    );
     this.btnTakeover?.addEventListener("click", () => this.takeOver());
     this.btnHandback?.addEventListener("click", () => this.handBack());
+    this.btnTransfer?.addEventListener("click", () => this.transferCall());
+    this.btnRequestTransfer?.addEventListener("click", () =>
+      this.requestTransfer(),
+    );
+    this.btnForceTakeover?.addEventListener("click", () =>
+      this.forceTakeover(),
+    );
     this.btnMic?.addEventListener("click", () => this.toggleMicrophone());
     this.btnInject?.addEventListener("click", () => this.injectContext());
+    this.btnWhisper?.addEventListener("click", () => this.injectContext(true));
+    this.btnMonitor?.addEventListener("click", () => this.toggleMonitor());
+    this.btnBarge?.addEventListener("click", () => this.bargeIn());
     this.btnSend?.addEventListener("click", () => this.sendMessage());
     this.btnEnd?.addEventListener("click", () => this.endCall());
+    this.btnLogout?.addEventListener("click", () => Auth.logout());
     this.btnGetCoaching?.addEventListener("click", () => this.getCoaching());
     this.btnAnalyze?.addEventListener("click", () =>
       this.analyzeConversation(),
@@ -108,7 +184,15 @@ class SupervisorDashboard {
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
     // Use dynamic host (including port) for backend connection
     const host = window.location.host;
-    const wsUrl = `${protocol}//${host}?role=supervisor`;
+    const params = new URLSearchParams({
+      role: "supervisor",
+      token: Auth.token,
+      skills: localStorage.getItem("supervisorSkills") || "",
+      capacity: localStorage.getItem("supervisorCapacity") || "",
+    });
+    // Reconnecting: stay subscribed to the call we were watching
+    if (this.selectedSessionId) params.set("session", this.selectedSessionId);
+    const wsUrl = `${protocol}//${host}?${params}`;
 
     this.ws = new WebSocket(wsUrl);
 
@@ -116,6 +200,11 @@ class SupervisorDashboard {
       console.log("[WS] Connected to server");
       this.isConnected = true;
       this.reconnectAttempts = 0;
+      // Every node sends its calls and queue again
+      this.sessions.clear();
+      this.escalationQueues.clear();
+      // Keep following the selected call (it may run on another node now)
+      this.sendSubscription("subscribe", this.selectedSessionId);
       this.updateConnectionStatus(true);
       this.showToast(
         "Connected",
@@ -163,10 +252,12 @@ class SupervisorDashboard {
     this.reconnectAttempts++;
     const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
 
-    setTimeout(() => {
+    setTimeout(async () => {
       console.log(
         `[WS] Attempting reconnect (${this.reconnectAttempts}/${this.maxReconnectAttempts})`,
       );
+      // The server refuses expired sessions: sign in again first
+      await Auth.require();
       this.connectWebSocket();
     }, delay);
   }
@@ -189,19 +280,38 @@ class SupervisorDashboard {
   handleMessage(message) {
     switch (message.type) {
       case "sessions_list":
-        this.updateSessionsList(message.sessions);
+        this.updateSessionsList(message.sessions, message.nodeId);
+        break;
+
+      case "subscribed":
+        if (message.sessionId === this.selectedSessionId) {
+          this.renderTranscript(message.transcript || []);
+        }
         break;
 
       case "session_update":
         this.updateSession(message.sessionId, message.data);
         break;
 
+      case "session_evicted":
+        // Finished call dropped from server memory; its transcript is in the
+        // saved summary, which fetchTranscript() falls back to
+        if (message.sessionId === this.selectedSessionId) {
+          this.fetchTranscript(message.sessionId);
+        } else {
+          this.sessions.delete(message.sessionId);
+        }
+        this.renderSessionsList();
+        this.updateStats();
+        break;
+
       case "ai_response":
         if (message.data.type === "text") {
           this.addMessageToTranscript(
             message.sessionId,
             "ai",
             message.data.content,
+            message,
           );
         }
         break;
@@ -211,6 +321,32 @@ class SupervisorDashboard {
           message.sessionId,
           "customer",
           message.content,
+          message,
+        );
+        break;
+
+      case "ai_interrupted":
+        // Customer talked over the AI; show where it was cut off
+        if (message.content) {
+          this.addMessageToTranscript(message.sessionId, "ai", message.content, {
+            ...message,
+            interrupted: true,
+          });
+        } else if (message.timestamp) {
+          this.markInterrupted(message);
+        }
+        break;
+
+      case "transcript_translation":
+        // English translation of a non-English customer/AI line
+        this.addTranslation(message);
+        break;
+
+      case "language_rejected":
+        this.showToast(
+          "🌐 Unsupported Language",
+          `Customer spoke ${message.language}, which this persona does not support`,
+          "warning",
         );
         break;
 
@@ -223,11 +359,31 @@ class SupervisorDashboard {
         );
         break;
 
+      case "tool_call":
+      case "tool_result":
+        // AI function calls (e.g. order lookup) and their results
+        this.addMessageToTranscript(message.sessionId, "tool", message.content);
+        break;
+
       case "customer_audio":
         // Handle incoming customer audio PCM
         this.handleCustomerAudio(message.sessionId, message.data);
         break;
 
+      case "ai_audio":
+        // AI voice of a monitored/barged call, mixed with the customer's
+        this.handleCustomerAudio(message.sessionId, message.data, "ai");
+        break;
+
+      case "supervisor_whisper":
+        this.addMessageToTranscript(
+          message.sessionId,
+          "whisper",
+          message.content,
+          message,
+        );
+        break;
+
       case "context_injected":
         this.showToast(
           "Context Injected",
@@ -236,13 +392,111 @@ class SupervisorDashboard {
         );
         break;
 
-      case "escalation_alert":
+      case "supervisor_profile":
+        // Show the skills/capacity the server routes by (defaults filled in)
+        if (this.supervisorSkills) {
+          this.supervisorSkills.value = message.profile.skills.join(", ");
+        }
+        if (this.supervisorCapacity) {
+          this.supervisorCapacity.value = message.profile.capacity;
+        }
+        break;
+
+      case "escalation_queue":
+        this.escalationQueues.set(message.nodeId, message.queue);
+        this.escalationQueue = Array.from(this.escalationQueues.values())
+          .flat()
+          .sort((a, b) => b.frustrationLevel - a.frustrationLevel || a.queuedAt - b.queuedAt);
+        this.renderEscalationQueue();
+        break;
+
+      case "escalation_offer":
+        this.showToast(
+          "⚠️ Escalation Offered",
+          `Session ${message.sessionId.substring(0, 8)}: ${this.escapeHtml(message.reason)}`,
+          "warning",
+        );
+        break;
+
+      case "takeover_denied":
         this.showToast(
-          "⚠️ High Frustration Alert",
-          `Session ${message.sessionId}: ${message.reason}`,
+          "Call Already Taken",
+          `${this.escapeHtml(message.ownerId)} is handling this call. Request a transfer or override.`,
           "warning",
         );
-        // Play alert sound if possible
+        break;
+
+      case "transfer_received":
+        this.receiveTransfer(message);
+        break;
+
+      case "transfer_complete":
+        this.showToast(
+          "Call Transferred",
+          `Session ${message.sessionId.substring(0, 8)} handed to ${this.escapeHtml(message.to)}`,
+          "success",
+        );
+        break;
+
+      case "transfer_requested":
+        this.answerTransfer(message.sessionId, message.requestedBy);
+        break;
+
+      case "transfer_response":
+        this.showToast(
+          message.accepted ? "Transfer Accepted" : "Transfer Declined",
+          message.accepted
+            ? `You now own session ${message.sessionId.substring(0, 8)}`
+            : `${this.escapeHtml(message.ownerId)} kept session ${message.sessionId.substring(0, 8)}`,
+          message.accepted ? "success" : "info",
+        );
+        break;
+
+      case "takeover_overridden":
+        this.showToast(
+          "Call Taken Over",
+          `${this.escapeHtml(message.by)} took session ${message.sessionId.substring(0, 8)} from you${message.reason ? `: ${this.escapeHtml(message.reason)}` : ""}`,
+          "warning",
+        );
+        break;
+
+      case "escalation_offer_expired":
+        this.showToast(
+          "Escalation Passed On",
+          `Session ${message.sessionId.substring(0, 8)} was offered to another supervisor`,
+          "info",
+        );
+        break;
+
+      case "ai_reconnecting":
+        // Only toast on the first attempt to avoid spamming during backoff
+        if (message.attempt === 1) {
+          this.showToast(
+            "AI Reconnecting",
+            `Session ${message.sessionId.substring(0, 8)}: AI connection dropped, reconnecting...`,
+            "warning",
+          );
+        }
+        break;
+
+      case "ai_reconnected":
+        this.showToast(
+          "AI Reconnected",
+          `Session ${message.sessionId.substring(0, 8)}: AI resumed the conversation`,
+          "success",
+        );
+        break;
+
+      case "degraded_mode":
+        // Gemini text API circuit breaker opened/closed
+        if (this.degradedBanner) this.degradedBanner.hidden = !message.degraded;
+        if (!message.degraded) {
+          this.showToast(
+            "AI Analysis Restored",
+            "Gemini sentiment, analytics and coaching are back",
+            "success",
+          );
+        }
         break;
 
       case "frustration_update":
@@ -318,8 +572,13 @@ class SupervisorDashboard {
     }
   }
 
-  updateSessionsList(sessions) {
-    this.sessions.clear();
+  /**
+   * Calls listed by one API node (each node lists the calls it runs)
+   */
+  updateSessionsList(sessions, nodeId) {
+    this.sessions.forEach((session, id) => {
+      if (session.nodeId === nodeId) this.sessions.delete(id);
+    });
     sessions.forEach((session) => {
       this.sessions.set(session.id, session);
     });
@@ -360,8 +619,8 @@ class SupervisorDashboard {
 
     // Sort sessions: human mode first, then by creation time
     const sortedSessions = activeSessions.sort((a, b) => {
-      if (a.mode === "human" && b.mode !== "human") return -1;
-      if (a.mode !== "human" && b.mode === "human") return 1;
+      if (a.mode !== "ai" && b.mode === "ai") return -1;
+      if (a.mode === "ai" && b.mode !== "ai") return 1;
       return b.createdAt - a.createdAt;
     });
 
@@ -373,21 +632,27 @@ class SupervisorDashboard {
 
   createSessionCard(session) {
     const card = document.createElement("div");
-    card.className = `session-card ${session.id === this.selectedSessionId ? "selected" : ""} ${session.mode === "human" ? "human-takeover" : ""}`;
+    card.className = `session-card ${session.id === this.selectedSessionId ? "selected" : ""} ${session.mode !== "ai" ? "human-takeover" : ""}`;
     card.dataset.sessionId = session.id;
 
+    const isReconnecting =
+      session.mode !== "human" && session.aiStatus === "reconnecting";
     const statusClass =
-      session.mode === "human"
+      session.mode !== "ai"
         ? "human"
-        : session.status === "active"
-          ? "ai"
-          : "waiting";
+        : isReconnecting
+          ? "waiting"
+          : session.status === "active"
+            ? "ai"
+            : "waiting";
     const statusText =
-      session.mode === "human"
-        ? "Human"
-        : session.status === "active"
-          ? "AI Active"
-          : "Waiting";
+      session.mode !== "ai"
+        ? `${session.mode === "barge" ? "Barge" : "Human"} · ${this.escapeHtml(this.ownerLabel(session))}`
+        : isReconnecting
+          ? "Reconnecting"
+          : session.status === "active"
+            ? "AI Active"
+            : "Waiting";
 
     const preview =
       session.lastMessage?.content?.substring(0, 50) || "No messages yet";
@@ -403,7 +668,11 @@ class SupervisorDashboard {
       </div>
       <div class="session-preview">${this.escapeHtml(preview)}</div>
       <div class="session-meta">
-        <span>${session.transcriptLength || 0} messages</span>
+        <span>${session.transcriptLength || 0} messages${
+          session.monitoredBy?.length
+            ? ` · 🎧 ${session.monitoredBy.length}`
+            : ""
+        }</span>
         <span>${time}</span>
       </div>
     `;
@@ -413,11 +682,20 @@ class SupervisorDashboard {
   }
 
   selectSession(sessionId) {
+    const previousSessionId = this.selectedSessionId;
     this.selectedSessionId = sessionId;
+    this.usedSuggestion = null;
     const session = this.sessions.get(sessionId);
 
     if (!session) return;
 
+    // Live transcript, coaching and analytics only stream for the selected
+    // call; subscribing also returns its transcript so far
+    if (sessionId !== previousSessionId) {
+      this.sendSubscription("unsubscribe", previousSessionId);
+    }
+    const subscribed = this.sendSubscription("subscribe", sessionId);
+
     // Update UI
     this.renderSessionsList();
     this.renderSessionDetails(session);
@@ -427,8 +705,17 @@ class SupervisorDashboard {
     this.conversationView.style.display = "flex";
     this.conversationView.style.flexDirection = "column";
 
-    // Fetch full transcript
-    this.fetchTranscript(sessionId);
+    // Not connected: fetch the full transcript instead
+    if (!subscribed) this.fetchTranscript(sessionId);
+  }
+
+  /**
+   * @returns {boolean} Whether the message was sent
+   */
+  sendSubscription(type, sessionId) {
+    if (!sessionId || this.ws?.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify({ type: type, sessionId: sessionId }));
+    return true;
   }
 
   renderSessionDetails(session) {
@@ -442,22 +729,67 @@ class SupervisorDashboard {
     this.sessionTitle.textContent = `Session ${session.id.substring(0, 8)}`;
 
     // Update mode indicator
-    const isHuman = session.mode === "human";
+    const isHuman = session.mode !== "ai"; // Taken over or barged in
+    const isMine = isHuman && session.takenOverBy === this.supervisorId;
     this.modeIndicator.className = `mode-indicator ${isHuman ? "human" : "ai"}`;
-    this.modeText.textContent = isHuman ? "Human Mode" : "AI Mode";
-
-    // Update buttons
-    this.btnTakeover.style.display = isHuman ? "none" : "inline-flex";
-    this.btnHandback.style.display = isHuman ? "inline-flex" : "none";
-    this.audioControls.style.display = isHuman ? "flex" : "none";
-    this.supervisorInput.style.display = isHuman ? "block" : "none";
+    this.modeText.textContent = !isHuman
+      ? "AI Mode"
+      : session.mode === "barge"
+        ? `AI + Human · ${this.ownerLabel(session)}`
+        : `Human Mode · ${this.ownerLabel(session)}`;
+
+    // Update buttons: only the supervisor who owns the call can talk or hand
+    // back, and can switch between takeover and barge-in
+    this.btnTakeover.style.display =
+      !isHuman || (isMine && session.mode === "barge") ? "inline-flex" : "none";
+    if (this.btnBarge) {
+      this.btnBarge.style.display =
+        this.canSupervise && (!isHuman || (isMine && session.mode === "human"))
+          ? "inline-flex"
+          : "none";
+    }
+    if (this.btnMonitorText) {
+      this.btnMonitorText.textContent = this.monitoring.has(session.id)
+        ? "Stop Monitoring"
+        : "Monitor";
+    }
+    if (this.btnWhisper) {
+      this.btnWhisper.disabled = session.mode === "human" || (isHuman && !isMine);
+    }
+    this.btnHandback.style.display = isMine ? "inline-flex" : "none";
+    if (this.btnTransfer) {
+      this.btnTransfer.style.display = isMine ? "inline-flex" : "none";
+    }
+    if (this.btnRequestTransfer) {
+      this.btnRequestTransfer.style.display =
+        isHuman && !isMine ? "inline-flex" : "none";
+    }
+    if (this.btnForceTakeover) {
+      this.btnForceTakeover.style.display =
+        this.canSupervise && isHuman && !isMine ? "inline-flex" : "none";
+    }
+    this.audioControls.style.display = isMine ? "flex" : "none";
+    this.supervisorInput.style.display = isMine ? "block" : "none";
 
     // Update detail panel
     this.detailSessionId.textContent = session.id.substring(0, 12) + "...";
     this.detailStarted.textContent = new Date(
       session.createdAt,
     ).toLocaleTimeString();
-    this.detailMode.textContent = isHuman ? "Human Supervisor" : "AI Assistant";
+    this.detailMode.textContent = !isHuman
+      ? "AI Assistant"
+      : session.mode === "barge"
+        ? `AI + Human Supervisor (${this.ownerLabel(session)})`
+        : `Human Supervisor (${this.ownerLabel(session)})`;
+    if (this.detailPersona) {
+      this.detailPersona.textContent = session.personaName || "-";
+    }
+    if (this.detailLanguage) {
+      this.detailLanguage.textContent = session.language || "-";
+    }
+    if (this.detailInterruptions) {
+      this.detailInterruptions.textContent = session.interruptionCount || 0;
+    }
     this.detailMessages.textContent = session.transcriptLength || 0;
     this.detailCustomerStatus.textContent = session.customerConnected
       ? "Yes"
@@ -469,7 +801,15 @@ class SupervisorDashboard {
   async fetchTranscript(sessionId) {
     try {
       // Use relative path for API calls
-      const response = await fetch(`/api/sessions/${sessionId}`);
+      const response = await Auth.fetch(`/api/sessions/${sessionId}`);
+      if (response.status === 404) {
+        // Finished and evicted from memory: read the saved call summary
+        const summary = await Auth.fetch(`/api/summary/${sessionId}`);
+        if (!summary.ok) throw new Error("Failed to fetch summary");
+        const { transcript } = await summary.json();
+        this.renderTranscript(JSON.parse(transcript || "[]"));
+        return;
+      }
       if (!response.ok) throw new Error("Failed to fetch session");
 
       const session = await response.json();
@@ -485,16 +825,19 @@ class SupervisorDashboard {
     this.transcript.innerHTML = "";
 
     messages.forEach((msg) => {
-      this.addMessageElement(msg.role, msg.content, msg.timestamp);
+      this.addMessageElement(msg.role, msg.content, msg.timestamp, msg);
     });
 
     this.transcript.scrollTop = this.transcript.scrollHeight;
   }
 
-  addMessageToTranscript(sessionId, role, content) {
+  /**
+   * @param {Object} [details] - { language, timestamp, translation, interrupted } from the server
+   */
+  addMessageToTranscript(sessionId, role, content, details = {}) {
     if (sessionId !== this.selectedSessionId) return;
 
-    this.addMessageElement(role, content, Date.now());
+    this.addMessageElement(role, content, details.timestamp || Date.now(), details);
     this.transcript.scrollTop = this.transcript.scrollHeight;
 
     // Update message count
@@ -505,28 +848,80 @@ class SupervisorDashboard {
     }
   }
 
-  addMessageElement(role, content, timestamp) {
+  addMessageElement(role, content, timestamp, details = {}) {
     const div = document.createElement("div");
-    div.className = `message ${role}`;
+    div.className = `message ${role}${details.interrupted ? " interrupted" : ""}`;
+    div.dataset.role = role;
+    div.dataset.timestamp = timestamp;
 
     const avatarIcon =
       role === "customer"
         ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>'
         : role === "ai"
           ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="3"/><path d="M12 1v6m0 6v10M4.22 4.22l4.24 4.24m7.08 7.08l4.24 4.24M1 12h6m6 0h10M4.22 19.78l4.24-4.24m7.08-7.08l4.24-4.24"/></svg>'
-          : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><path d="M20 8v6M23 11h-6"/></svg>';
+          : role === "tool"
+            ? '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"/></svg>'
+            : '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M16 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="8.5" cy="7" r="4"/><path d="M20 8v6M23 11h-6"/></svg>';
 
     div.innerHTML = `
       <div class="message-avatar">${avatarIcon}</div>
       <div class="message-content">
-        <div class="message-text">${this.escapeHtml(content)}</div>
-        <div class="message-time">${this.formatTime(timestamp)}</div>
+        <div class="message-body">
+          <div class="message-text">${this.escapeHtml(content)}</div>
+        </div>
+        <div class="message-time">${this.formatTime(timestamp)}${
+          details.language && !["en", "und"].includes(details.language)
+            ? ` <span class="message-language">${this.escapeHtml(details.language)}</span>`
+            : ""
+        }<span class="message-interrupted">· interrupted</span></div>
       </div>
     `;
 
+    if (details.translation) {
+      this.renderTranslation(div, details.translation);
+    }
+
     this.transcript.appendChild(div);
   }
 
+  /**
+   * Attach an English translation to the matching transcript message
+   */
+  addTranslation(message) {
+    if (message.sessionId !== this.selectedSessionId) return;
+
+    const div = this.transcript.querySelector(
+      `.message[data-role="${message.role}"][data-timestamp="${message.timestamp}"]`,
+    );
+    if (div) {
+      this.renderTranslation(div, message.translation);
+    }
+  }
+
+  /**
+   * Flag an AI message that the customer talked over
+   */
+  markInterrupted(message) {
+    if (message.sessionId !== this.selectedSessionId) return;
+
+    const div = this.transcript.querySelector(
+      `.message[data-role="ai"][data-timestamp="${message.timestamp}"]`,
+    );
+    if (div) div.classList.add("interrupted");
+  }
+
+  renderTranslation(div, translation) {
+    const body = div.querySelector(".message-body");
+    if (!body || body.querySelector(".message-translation")) return;
+
+    body.classList.add("bilingual");
+    const translationEl = document.createElement("div");
+    translationEl.className = "message-translation";
+    translationEl.title = "English translation";
+    translationEl.textContent = translation;
+    body.appendChild(translationEl);
+  }
+
   takeOver() {
     if (!this.selectedSessionId || !this.ws) return;
 
@@ -534,7 +929,8 @@ class SupervisorDashboard {
       JSON.stringify({
         type: "takeover",
         sessionId: this.selectedSessionId,
-        supervisorId: "supervisor-" + Date.now(),
+        // Call summaries are written in the supervisor's language
+        language: navigator.language,
       }),
     );
 
@@ -545,6 +941,229 @@ class SupervisorDashboard {
     );
   }
 
+  /**
+   * Who handles a taken-over call, as shown on the dashboard
+   */
+  ownerLabel(session) {
+    return session.takenOverBy === this.supervisorId
+      ? "You"
+      : session.takenOverBy || "Unknown";
+  }
+
+  async toggleMonitor() {
+    if (!this.selectedSessionId || !this.ws) return;
+
+    const sessionId = this.selectedSessionId;
+    const enabled = !this.monitoring.has(sessionId);
+    if (enabled) {
+      // Playback needs the AudioContext, which starts on a user gesture
+      await this.audioManager.initialize();
+      this.monitoring.add(sessionId);
+    } else {
+      this.monitoring.delete(sessionId);
+    }
+
+    this.ws.send(
+      JSON.stringify({
+        type: "monitor",
+        sessionId: sessionId,
+        enabled: enabled,
+      }),
+    );
+    this.renderSessionDetails(this.sessions.get(sessionId));
+  }
+
+  async bargeIn() {
+    if (!this.selectedSessionId || !this.ws) return;
+
+    await this.audioManager.initialize();
+    this.ws.send(
+      JSON.stringify({
+        type: "barge",
+        sessionId: this.selectedSessionId,
+        language: navigator.language,
+      }),
+    );
+
+    this.showToast(
+      "Barging In",
+      "You and the AI are both on the call",
+      "info",
+    );
+  }
+
+  /**
+   * Warm transfer: hand a call we own to a colleague, with a note for them
+   */
+  transferCall() {
+    if (!this.selectedSessionId || !this.ws) return;
+
+    const toSupervisorId = prompt("Transfer this call to which supervisor ID?");
+    if (!toSupervisorId?.trim()) return;
+    const note = prompt("Handoff note for them (optional):");
+    if (note === null) return;
+
+    this.ws.send(
+      JSON.stringify({
+        type: "transfer",
+        sessionId: this.selectedSessionId,
+        toSupervisorId: toSupervisorId.trim(),
+        note: note,
+      }),
+    );
+
+    this.showToast(
+      "Transferring Call",
+      "Preparing a brief of the call for your colleague",
+      "info",
+    );
+  }
+
+  async receiveTransfer({ sessionId, from, note, brief }) {
+    const open = await this.showConfirmModal({
+      title: `Call Transferred by ${from}`,
+      message: [note && `Note: ${note}`, brief].filter(Boolean).join("\n\n"),
+      confirmLabel: "Open Call",
+    });
+    if (open) this.selectSession(sessionId);
+  }
+
+  requestTransfer() {
+    if (!this.selectedSessionId || !this.ws) return;
+
+    this.ws.send(
+      JSON.stringify({
+        type: "transfer_request",
+        sessionId: this.selectedSessionId,
+        language: navigator.language,
+      }),
+    );
+
+    this.showToast(
+      "Transfer Requested",
+      "Waiting for the supervisor handling this call to respond",
+      "info",
+    );
+  }
+
+  async answerTransfer(sessionId, requestedBy) {
+    const accepted = await this.showConfirmModal({
+      title: "Transfer Requested",
+      message: `${requestedBy} asks to take over session ${sessionId.substring(0, 8)}. Hand the call to them?`,
+      confirmLabel: "Hand Over",
+    });
+
+    this.ws?.send(
+      JSON.stringify({
+        type: "transfer_response",
+        sessionId: sessionId,
+        accepted: accepted,
+      }),
+    );
+  }
+
+  forceTakeover() {
+    if (!this.selectedSessionId || !this.ws) return;
+
+    // Overrides are audited, so a reason is required
+    const reason = prompt(
+      "Take this call without the current supervisor's agreement? Reason (recorded):",
+    );
+    if (!reason?.trim()) return;
+
+    this.ws.send(
+      JSON.stringify({
+        type: "force_takeover",
+        sessionId: this.selectedSessionId,
+        reason: reason.trim(),
+        language: navigator.language,
+      }),
+    );
+  }
+
+  /**
+   * Queued escalations; the ones offered to this supervisor can be accepted
+   */
+  renderEscalationQueue() {
+    if (!this.escalationPanel) return;
+
+    this.escalationPanel.hidden = this.escalationQueue.length === 0;
+    this.escalationCount.textContent = this.escalationQueue.length;
+    this.escalationList.innerHTML = "";
+
+    this.escalationQueue.forEach((escalation) => {
+      const offered = escalation.offeredTo === this.supervisorId;
+      const item = document.createElement("div");
+      item.className = `escalation-item ${offered ? "offered" : ""}`;
+      item.innerHTML = `
+        <div class="session-header">
+          <span class="session-id">${escalation.sessionId.substring(0, 8)}...</span>
+          <span class="escalation-level">${escalation.frustrationLevel}%</span>
+        </div>
+        <div class="session-preview">${this.escapeHtml(escalation.reason)}</div>
+        <div class="session-meta">
+          <span>${escalation.offeredTo ? (offered ? "Offered to you" : "Offered") : "Waiting for a supervisor"}</span>
+          <span>${this.formatTime(escalation.queuedAt)}</span>
+        </div>
+      `;
+
+      if (offered) {
+        const actions = document.createElement("div");
+        actions.className = "escalation-actions";
+        const accept = document.createElement("button");
+        accept.className = "btn btn-primary";
+        accept.textContent = "Accept";
+        accept.addEventListener("click", () =>
+          this.answerEscalation(escalation.sessionId, true),
+        );
+        const decline = document.createElement("button");
+        decline.className = "btn btn-ghost";
+        decline.textContent = "Decline";
+        decline.addEventListener("click", () =>
+          this.answerEscalation(escalation.sessionId, false),
+        );
+        actions.append(accept, decline);
+        item.appendChild(actions);
+      }
+
+      this.escalationList.appendChild(item);
+    });
+  }
+
+  answerEscalation(sessionId, accepted) {
+    if (!this.ws) return;
+
+    this.ws.send(
+      JSON.stringify({
+        type: accepted ? "escalation_accept" : "escalation_decline",
+        sessionId: sessionId,
+        language: navigator.language,
+      }),
+    );
+
+    if (accepted) {
+      this.selectSession(sessionId);
+      this.showToast(
+        "Taking Over",
+        "You are now controlling this conversation",
+        "info",
+      );
+    }
+  }
+
+  /**
+   * Skills/capacity are sent when connecting, so reconnect to apply them
+   */
+  saveRoutingProfile() {
+    localStorage.setItem("supervisorSkills", this.supervisorSkills?.value || "");
+    localStorage.setItem(
+      "supervisorCapacity",
+      this.supervisorCapacity?.value || "",
+    );
+    this.reconnectAttempts = 0;
+    this.ws?.close();
+  }
+
   handBack() {
     if (!this.selectedSessionId || !this.ws) return;
 
@@ -579,8 +1198,11 @@ class SupervisorDashboard {
         type: "supervisor_message",
         sessionId: this.selectedSessionId,
         content: content,
+        // Counted as coaching suggestion usage (prompt experiment report)
+        fromSuggestion: Boolean(this.usedSuggestion),
       }),
     );
+    this.usedSuggestion = null;
 
     // Add to local transcript
     this.addMessageToTranscript(this.selectedSessionId, "supervisor", content);
@@ -688,7 +1310,11 @@ class SupervisorDashboard {
       .forEach((bar) => bar.classList.remove("active"));
   }
 
-  injectContext() {
+  /**
+   * @param {boolean} [whisper=false] - Private guidance during the call
+   *   instead of context for the handback
+   */
+  injectContext(whisper = false) {
     if (!this.selectedSessionId || !this.ws || !this.contextText) return;
 
     const context = this.contextText.value.trim();
@@ -706,6 +1332,7 @@ class SupervisorDashboard {
         type: "inject_context",
         sessionId: this.selectedSessionId,
         context: context,
+        whisper: whisper,
       }),
     );
 
@@ -732,7 +1359,11 @@ class SupervisorDashboard {
     });
   }
 
-  showConfirmModal() {
+  showConfirmModal({
+    title = "End Session?",
+    message = "Are you sure you want to end this session? The customer will be disconnected.",
+    confirmLabel = "End Session",
+  } = {}) {
     return new Promise((resolve) => {
       const modal = document.getElementById("confirm-modal");
       const cancelBtn = document.getElementById("modal-cancel");
@@ -740,10 +1371,13 @@ class SupervisorDashboard {
 
       if (!modal) {
         // Fallback to native confirm if modal doesn't exist
-        resolve(confirm("Are you sure you want to end this session?"));
+        resolve(confirm(message));
         return;
       }
 
+      modal.querySelector(".modal-title").textContent = title;
+      modal.querySelector(".modal-message").textContent = message;
+      confirmBtn.textContent = confirmLabel;
       modal.style.display = "flex";
 
       const cleanup = () => {
@@ -790,7 +1424,7 @@ class SupervisorDashboard {
     this.btnGetCoaching.disabled = true;
 
     try {
-      const response = await fetch("/api/coaching", {
+      const response = await Auth.fetch("/api/coaching", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -848,6 +1482,7 @@ class SupervisorDashboard {
     if (this.messageInput) {
       this.messageInput.value = text;
       this.messageInput.focus();
+      this.usedSuggestion = text;
     }
   }
 
@@ -870,7 +1505,7 @@ class SupervisorDashboard {
     this.btnAnalyze.disabled = true;
 
     try {
-      const response = await fetch("http://localhost:3000/api/analyze", {
+      const response = await Auth.fetch("/api/analyze", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({ sessionId: this.selectedSessionId }),
@@ -998,30 +1633,74 @@ class SupervisorDashboard {
     }
   }
 
-  handleCustomerAudio(sessionId, audioData) {
-    if (sessionId === this.selectedSessionId) {
+  /**
+   * Play call audio: customer input is 16kHz, AI output 24kHz; each plays on
+   * its own stream so both are heard together
+   */
+  handleCustomerAudio(sessionId, audioData, source = "customer") {
+    if (
+      sessionId === this.selectedSessionId ||
+      this.monitoring.has(sessionId)
+    ) {
       try {
         const pcmData = this.base64ToInt16(audioData);
-        this.audioManager.playAudio(pcmData);
+        this.audioManager.playAudio(pcmData, {
+          sampleRate: source === "ai" ? 24000 : 16000,
+          stream: `${sessionId}:${source}`,
+        });
       } catch (e) {
-        console.error("Error playing customer audio:", e);
+        console.error(`Error playing ${source} audio:`, e);
       }
     }
   }
 
   refreshSessions() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ type: "get_sessions" }));
-    }
-
-    // Also fetch via REST from backend (Port 3000)
-    const host = window.location.hostname;
-    fetch(`http://${host}:3000/api/sessions`)
+    Auth.fetch("/api/sessions")
       .then((res) => res.json())
       .then((sessions) => this.updateSessionsList(sessions))
       .catch((err) => console.error("Error fetching sessions:", err));
   }
 
+  /**
+   * Load personas into the header picker
+   */
+  async loadPersonas() {
+    if (!this.personaPicker) return;
+
+    try {
+      const response = await Auth.fetch("/api/personas");
+      if (!response.ok) throw new Error("Failed to fetch personas");
+      const { personas, defaultPersonaId } = await response.json();
+
+      this.personaPicker.innerHTML = personas
+        .map(
+          (p) =>
+            `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name)}${p.id === defaultPersonaId ? " (default)" : ""} · ${this.escapeHtml(p.voice)}</option>`,
+        )
+        .join("");
+
+      const saved = localStorage.getItem("selectedPersona");
+      const selected = personas.some((p) => p.id === saved)
+        ? saved
+        : defaultPersonaId;
+      this.personaPicker.value = selected;
+      this.selectPersona(selected);
+    } catch (error) {
+      console.error("Error loading personas:", error);
+    }
+  }
+
+  selectPersona(personaId) {
+    if (personaId) {
+      localStorage.setItem("selectedPersona", personaId);
+    }
+    if (this.btnCustomerLine) {
+      this.btnCustomerLine.href = personaId
+        ? `/customer.html?persona=${encodeURIComponent(personaId)}`
+        : "/customer.html";
+    }
+  }
+
   updateStats() {
     let active = 0,
       waiting = 0,
@@ -1031,7 +1710,7 @@ class SupervisorDashboard {
       // Skip completed sessions from stats
       if (session.status === "completed") return;
 
-      if (session.mode === "human") human++;
+      if (session.mode !== "ai") human++;
       else if (session.status === "active") active++;
       else waiting++;
     });
@@ -11,9 +11,12 @@ export class AudioManager {
     this.isRecording = false;
     this.streamCallback = null;
 
-    // Playback state
-    this.nextStartTime = 0;
+    // Playback state: each stream (e.g. customer and AI audio of a monitored
+    // call) is scheduled on its own timeline, so streams overlap and mix
+    this.nextStartTimes = new Map(); // stream -> time
     this.isPlaying = false;
+    // Buffers scheduled but not yet finished, so barge-in can cut them off
+    this.scheduledSources = new Set();
   }
 
   async initialize() {
@@ -103,9 +106,12 @@ export class AudioManager {
 
   /**
    * Play PCM Audio Data
-   * @param {ArrayBuffer|Int16Array} pcmData 24kHz Int16 PCM
+   * @param {ArrayBuffer|Int16Array} pcmData Int16 PCM
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate=24000] - Gemini output is 24kHz, customer input 16kHz
+   * @param {string} [options.stream="default"] - Chunks of one stream play back to back
    */
-  playAudio(pcmData) {
+  playAudio(pcmData, { sampleRate = 24000, stream = "default" } = {}) {
     if (!this.audioContext) return;
 
     // Convert Int16 to Float32
@@ -118,27 +124,41 @@ export class AudioManager {
     }
 
     // Create AudioBuffer
-    // Gemini output is 24kHz
-    const sourceSampleRate = 24000;
     const buffer = this.audioContext.createBuffer(
       1,
       float32Array.length,
-      sourceSampleRate,
+      sampleRate,
     );
     buffer.copyToChannel(float32Array, 0);
 
     const source = this.audioContext.createBufferSource();
     source.buffer = buffer;
     source.connect(this.audioContext.destination);
+    source.onended = () => this.scheduledSources.delete(source);
+    this.scheduledSources.add(source);
 
     // Schedule seamlessly
-    const currentTime = this.audioContext.currentTime;
-    if (this.nextStartTime < currentTime) {
-      this.nextStartTime = currentTime;
-    }
+    const startTime = Math.max(
+      this.nextStartTimes.get(stream) || 0,
+      this.audioContext.currentTime,
+    );
+    source.start(startTime);
+    this.nextStartTimes.set(stream, startTime + buffer.duration);
+  }
 
-    source.start(this.nextStartTime);
-    this.nextStartTime += buffer.duration;
+  /**
+   * Stop everything queued for playback (customer interrupted the AI)
+   */
+  stopPlayback() {
+    this.scheduledSources.forEach((source) => {
+      try {
+        source.stop();
+      } catch (e) {
+        // Already stopped
+      }
+    });
+    this.scheduledSources.clear();
+    this.nextStartTimes.clear();
   }
 
   /**
@@ -0,0 +1,75 @@
+/**
+ * Dashboard sign-in shared by the supervisor dashboard and call summaries.
+ * Keeps the session token from /api/auth/login in localStorage, adds it to API
+ * requests and WebSocket URLs, and sends the user to /login.html when it is
+ * missing or no longer accepted.
+ */
+const Auth = {
+  get token() {
+    return localStorage.getItem("authToken");
+  },
+
+  get user() {
+    try {
+      return JSON.parse(localStorage.getItem("authUser"));
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Resolve with the signed-in user, or go to the login page
+   */
+  async require() {
+    if (this.token) {
+      try {
+        const response = await this.fetch("/api/auth/me");
+        if (response.ok) {
+          const { user } = await response.json();
+          localStorage.setItem("authUser", JSON.stringify(user));
+          return user;
+        }
+      } catch (error) {
+        // Server unreachable: keep the last known user and let callers retry
+        console.error("[Auth] Could not check the session:", error);
+        if (this.user) return this.user;
+      }
+    }
+    this.redirectToLogin();
+    return new Promise(() => {});
+  },
+
+  /**
+   * Whether the signed-in user's role allows a permission (e.g. "summaries:edit")
+   */
+  can(permission) {
+    return Boolean(this.user?.permissions?.includes(permission));
+  },
+
+  /**
+   * fetch() with the session token; a 401 means it expired, so sign in again
+   */
+  async fetch(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${this.token}` },
+    });
+    if (response.status === 401 && !url.startsWith("/api/auth/me")) {
+      this.redirectToLogin();
+    }
+    return response;
+  },
+
+  logout() {
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("authUser");
+    this.redirectToLogin();
+  },
+
+  redirectToLogin() {
+    const next = window.location.pathname + window.location.search;
+    window.location.href = `/login.html?next=${encodeURIComponent(next)}`;
+  },
+};
+
+window.Auth = Auth;
@@ -13,9 +13,19 @@ class SummariesPage {
     this.init();
   }
 
-  init() {
+  async init() {
+    await Auth.require();
+    if (!Auth.can("reports:view")) {
+      window.location.href = "/";
+      return;
+    }
+
     this.bindElements();
     this.bindEvents();
+    // Analysts only read reports: no live feed
+    if (this.liveFeedLink && !Auth.can("calls:view")) {
+      this.liveFeedLink.style.display = "none";
+    }
     this.loadSummaries();
     this.loadStatistics();
   }
@@ -25,6 +35,7 @@ class SummariesPage {
     this.btnLoadMore = document.getElementById("btn-load-more");
     this.filterChips = document.getElementById("filter-chips");
     this.searchInput = document.getElementById("search-input");
+    this.liveFeedLink = document.getElementById("live-feed-link");
 
     // Stats elements
     this.statTotal = document.getElementById("stat-total");
@@ -35,6 +46,9 @@ class SummariesPage {
 
   bindEvents() {
     this.btnLoadMore?.addEventListener("click", () => this.loadMore());
+    document
+      .getElementById("btn-logout")
+      ?.addEventListener("click", () => Auth.logout());
 
     // Smart Filter Chips
     this.filterChips?.addEventListener("click", (e) => {
@@ -100,7 +114,7 @@ class SummariesPage {
 
       const params = new URLSearchParams(paramObj);
 
-      const response = await fetch(
+      const response = await Auth.fetch(
         `${this.apiBaseUrl}/api/summaries?${params}`,
       );
       const data = await response.json();
@@ -127,7 +141,7 @@ class SummariesPage {
 
   async loadStatistics() {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/api/summaries?limit=0`);
+      const response = await Auth.fetch(`${this.apiBaseUrl}/api/summaries?limit=0`);
       const data = await response.json();
 
       this.statTotal.textContent = data.stats.total_calls || 0;
@@ -252,9 +266,15 @@ class SummariesPage {
     return `${minutes}m ${seconds}s`;
   }
 
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   async viewDetail(sessionId) {
     try {
-      const response = await fetch(
+      const response = await Auth.fetch(
         `${this.apiBaseUrl}/api/summary/${sessionId}`,
       );
       const summary = await response.json();
@@ -275,13 +295,35 @@ class SummariesPage {
     modal.style.cssText =
       "position: fixed; inset: 0; display: flex; align-items: center; justify-content: center; z-index: 1000;";
 
+    // Warm transfers between supervisors, with their handoff notes
+    let ownershipChanges = [];
+    try {
+      ownershipChanges = JSON.parse(summary.ownership_changes || "[]");
+    } catch {
+      ownershipChanges = [];
+    }
+    const handoffsHtml = ownershipChanges
+      .filter((change) => change.handoff)
+      .map(
+        (change) => `
+          <div style="margin-top: 0.5rem; font-style: normal;">
+            <div style="color: #e2e8f0;">Transferred ${this.escapeHtml(change.from)} → ${this.escapeHtml(change.to)} at ${new Date(change.at).toLocaleTimeString()}</div>
+            ${change.handoff.note ? `<div>"${this.escapeHtml(change.handoff.note)}"</div>` : ""}
+          </div>`,
+      )
+      .join("");
+
     // AI Analysis Content
     const analysisHtml = `
       <div class="analysis-view" style="padding: 2rem; max-width: 800px; margin: 0 auto;">
         <h3 style="color: #fff; margin-bottom: 1.5rem;">AI Conversation Analysis</h3>
         <div style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; margin-bottom: 2rem; border: 1px solid rgba(255,255,255,0.1);">
-           <h4 style="color: var(--accent-primary); margin-bottom: 0.75rem; font-size: 0.8rem; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Executive Summary</h4>
-           <div style="color: #e2e8f0; line-height: 1.7; font-size: 1.05rem;">${summary.full_summary || "No summary analysis available for this session."}</div>
+           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
+             <h4 style="color: var(--accent-primary); font-size: 0.8rem; text-transform: uppercase; letter-spacing: 1px; font-weight: 600;">Executive Summary</h4>
+             ${Auth.can("summaries:edit") ? `<button class="btn btn-ghost" style="font-size: 0.75rem; padding: 0.25rem 0.75rem;" onclick="summariesPage.editSummary('${summary.session_id}')">Edit</button>` : ""}
+           </div>
+           <div id="summary-full-text" style="color: #e2e8f0; line-height: 1.7; font-size: 1.05rem;">${summary.full_summary || "No summary analysis available for this session."}</div>
+           <div style="color: #64748b; font-size: 0.75rem; margin-top: 0.75rem;">Prompt: ${summary.prompt_version || "keyword fallback"}${summary.prompt_variant ? ` • Variant: ${summary.prompt_variant}` : ""}${summary.summary_edit_count > 0 ? " • Edited by supervisor" : ""}</div>
         </div>
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem;">
            <div style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; border: 1px solid rgba(255,255,255,0.1);">
@@ -300,7 +342,7 @@ class SummariesPage {
     const metricsHtml = `
       <div class="metrics-view" style="padding: 2rem; max-width: 800px; margin: 0 auto;">
            <h3 style="color: #fff; margin-bottom: 1.5rem;">Session Metrics</h3>
-           <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; margin-bottom: 2rem;">
+           <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 1rem; margin-bottom: 2rem;">
               <div class="metric-card" style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; text-align: center; border: 1px solid rgba(255,255,255,0.1);">
                  <div style="font-size: 2.5rem; color: #3B82F6; font-weight: 700;">${Math.round(summary.frustration_avg || 0)}%</div>
                  <div style="font-size: 0.85rem; color: #94a3b8; margin-top: 0.5rem; text-transform: uppercase;">Avg Frustration</div>
@@ -313,8 +355,14 @@ class SummariesPage {
                  <div style="font-size: 2.5rem; color: #8B5CF6; font-weight: 700;">${transcript.length}</div>
                  <div style="font-size: 0.85rem; color: #94a3b8; margin-top: 0.5rem; text-transform: uppercase;">Total Messages</div>
               </div>
+              <div class="metric-card" style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; text-align: center; border: 1px solid rgba(255,255,255,0.1);">
+                 <div style="font-size: 2.5rem; color: #F59E0B; font-weight: 700;">${summary.interruption_count || 0}</div>
+                 <div style="font-size: 0.85rem; color: #94a3b8; margin-top: 0.5rem; text-transform: uppercase;">Interruptions</div>
+              </div>
            </div>
            
+           ${this.renderUsageTable(summary.usage || [])}
+
            <div style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; border: 1px solid rgba(255,255,255,0.1);">
              <h4 style="color: #94a3b8; margin-bottom: 1rem; font-size: 0.8rem; text-transform: uppercase;">Sentiment Progression</h4>
              <!-- Simple CSS Bar Chart -->
@@ -352,6 +400,7 @@ class SummariesPage {
             <label class="metric-label">Supervisor Notes</label>
             <div style="font-size: 0.9rem; color: #94a3b8; font-style: italic;">
               ${summary.supervisor_interventions > 0 ? "Supervisor intervention recorded." : "No manual intervention required."}
+              ${handoffsHtml}
             </div>
           </div>
 
@@ -367,6 +416,7 @@ class SummariesPage {
               <button class="tab-btn active" data-tab="transcript">TRANSCRIPT LOG</button>
               <button class="tab-btn" data-tab="analysis">AI ANALYSIS</button>
               <button class="tab-btn" data-tab="metrics">METRICS</button>
+              ${Auth.can("audit:view") ? '<button class="tab-btn" data-tab="audit">AUDIT LOG</button>' : ""}
             </div>
             <button class="btn btn-ghost" onclick="document.querySelector('.case-file-modal-container').remove()">✕ CLOSE</button>
           </div>
@@ -379,7 +429,7 @@ class SummariesPage {
                   .map(
                     (m) => `
                     <div class="message" style="margin-bottom: 1.5rem; display: flex; flex-direction: column; align-items: ${m.role === "customer" ? "flex-start" : "flex-end"}">
-                    <div style="font-size: 0.75rem; color: #64748b; margin-bottom: 0.25rem;">${m.role.toUpperCase()} • ${new Date(m.timestamp).toLocaleTimeString()}</div>
+                    <div style="font-size: 0.75rem; color: #64748b; margin-bottom: 0.25rem;">${m.role.toUpperCase()} • ${new Date(m.timestamp).toLocaleTimeString()}${m.interrupted ? " • INTERRUPTED" : ""}</div>
                     <div style="
                         padding: 1rem 1.5rem; 
                         background: ${m.role === "customer" ? "rgba(255,255,255,0.05)" : "rgba(59, 130, 246, 0.1)"}; 
@@ -408,6 +458,9 @@ class SummariesPage {
             <div id="tab-metrics" class="tab-content" style="display: none;">
                 ${metricsHtml}
             </div>
+
+            <!-- 4. Audit Tab (loaded when first opened) -->
+            <div id="tab-audit" class="tab-content" style="display: none;"></div>
           </div>
         </div>
       </div>
@@ -435,6 +488,10 @@ class SummariesPage {
         if (targetContent) {
           targetContent.style.display = "block";
         }
+        if (tab.dataset.tab === "audit" && !targetContent.dataset.loaded) {
+          targetContent.dataset.loaded = "true";
+          this.loadAuditTrail(summary.session_id, targetContent);
+        }
       });
     });
 
@@ -444,6 +501,124 @@ class SummariesPage {
     });
   }
 
+  /**
+   * Supervisor actions on the call (takeovers, messages, handbacks, edits...)
+   */
+  async loadAuditTrail(sessionId, container) {
+    container.innerHTML = `<div style="padding: 2rem; color: #64748b; text-align: center;">Loading audit log...</div>`;
+    try {
+      const params = new URLSearchParams({ sessionId, limit: 500 });
+      const response = await Auth.fetch(`${this.apiBaseUrl}/api/audit?${params}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { events } = await response.json();
+      container.innerHTML = this.renderAuditTable(events);
+    } catch (error) {
+      console.error("Failed to load audit log:", error);
+      container.innerHTML = `<div style="padding: 2rem; color: #ef4444; text-align: center;">Failed to load audit log</div>`;
+    }
+  }
+
+  renderAuditTable(events) {
+    const cell = "padding: 0.5rem 0.75rem; text-align: left;";
+    const outcomeColors = { ok: "#10B981", denied: "#F59E0B", failed: "#ef4444" };
+
+    // Oldest first, like the transcript
+    const rows = events.length
+      ? [...events]
+          .reverse()
+          .map(
+            (event) => `
+            <tr style="border-top: 1px solid rgba(255,255,255,0.05);">
+              <td style="${cell}">${new Date(event.created_at).toLocaleTimeString()}</td>
+              <td style="${cell} color: #e2e8f0;">${event.actor_id}${event.actor_role ? ` <span style="color: #64748b;">(${event.actor_role})</span>` : ""}</td>
+              <td style="${cell} color: #fff;">${event.action.replace(/_/g, " ")}</td>
+              <td style="${cell} color: ${outcomeColors[event.outcome] || "#94a3b8"}; text-transform: uppercase; font-size: 0.75rem;">${event.outcome}</td>
+              <td style="${cell} font-family: monospace; font-size: 0.75rem;" title="${event.payload_hash || ""}">${event.payload_hash ? event.payload_hash.substring(0, 12) : "-"}</td>
+            </tr>`,
+          )
+          .join("")
+      : `<tr><td colspan="5" style="padding: 0.75rem; color: #64748b; text-align: center;">No supervisor actions recorded for this call</td></tr>`;
+
+    return `
+      <div style="padding: 2rem; max-width: 800px; margin: 0 auto;">
+        <h3 style="color: #fff; margin-bottom: 1.5rem;">Audit Log</h3>
+        <div style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; border: 1px solid rgba(255,255,255,0.1);">
+          <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem; color: #94a3b8;">
+            <thead>
+              <tr style="font-size: 0.75rem; text-transform: uppercase;">
+                <th style="${cell}">Time</th>
+                <th style="${cell}">Who</th>
+                <th style="${cell}">Action</th>
+                <th style="${cell}">Outcome</th>
+                <th style="${cell}">Payload Hash</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Token usage and cost of the call, one row per feature
+   */
+  renderUsageTable(usage) {
+    const cell = "padding: 0.5rem 0.75rem; text-align: right;";
+    const totals = usage.reduce(
+      (sum, row) => ({
+        requests: sum.requests + row.requests,
+        tokens: sum.tokens + row.total_tokens,
+        cost: sum.cost + row.cost_usd,
+      }),
+      { requests: 0, tokens: 0, cost: 0 },
+    );
+
+    const rows = usage.length
+      ? usage
+          .map(
+            (row) => `
+            <tr style="border-top: 1px solid rgba(255,255,255,0.05);">
+              <td style="padding: 0.5rem 0.75rem; color: #e2e8f0; text-transform: capitalize;">${row.feature.replace(/_/g, " ")}</td>
+              <td style="${cell}">${row.requests}</td>
+              <td style="${cell}">${row.total_tokens.toLocaleString()}</td>
+              <td style="${cell} color: #fff;">${this.formatCost(row.cost_usd)}</td>
+            </tr>`,
+          )
+          .join("")
+      : `<tr><td colspan="4" style="padding: 0.75rem; color: #64748b; text-align: center;">No token usage recorded for this call</td></tr>`;
+
+    return `
+      <div style="background: rgba(255,255,255,0.05); padding: 1.5rem; border-radius: 1rem; border: 1px solid rgba(255,255,255,0.1); margin-bottom: 2rem;">
+        <h4 style="color: #94a3b8; margin-bottom: 1rem; font-size: 0.8rem; text-transform: uppercase;">Token Usage & Cost</h4>
+        <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem; color: #94a3b8;">
+          <thead>
+            <tr style="font-size: 0.75rem; text-transform: uppercase;">
+              <th style="padding: 0.5rem 0.75rem; text-align: left;">Feature</th>
+              <th style="${cell}">Requests</th>
+              <th style="${cell}">Tokens</th>
+              <th style="${cell}">Cost</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr style="border-top: 1px solid rgba(255,255,255,0.15); color: #fff; font-weight: 600;">
+              <td style="padding: 0.5rem 0.75rem;">Total</td>
+              <td style="${cell}">${totals.requests}</td>
+              <td style="${cell}">${totals.tokens.toLocaleString()}</td>
+              <td style="${cell}">${this.formatCost(totals.cost)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    `;
+  }
+
+  formatCost(usd) {
+    if (!usd) return "$0.00";
+    return usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+  }
+
   loadMore() {
     this.offset += this.limit;
     this.loadSummaries();
@@ -456,9 +631,60 @@ class SummariesPage {
     this.loadStatistics();
   }
 
+  /**
+   * Let a supervisor correct the executive summary
+   * (edits are counted per prompt variant in /api/experiments/report)
+   */
+  editSummary(sessionId) {
+    const view = document.getElementById("summary-full-text");
+    if (!view || view.querySelector("textarea")) return;
+
+    const original = view.textContent;
+    view.innerHTML = `
+      <textarea rows="5" style="width: 100%; background: rgba(0,0,0,0.2); color: #e2e8f0; border: 1px solid rgba(255,255,255,0.2); border-radius: 0.5rem; padding: 0.75rem; font: inherit;"></textarea>
+      <div style="display: flex; gap: 0.5rem; justify-content: flex-end; margin-top: 0.5rem;">
+        <button class="btn btn-ghost" data-action="cancel">Cancel</button>
+        <button class="btn btn-primary" data-action="save">Save</button>
+      </div>
+    `;
+    const textarea = view.querySelector("textarea");
+    textarea.value = original;
+    textarea.focus();
+
+    view.querySelector('[data-action="cancel"]').addEventListener("click", () => {
+      view.textContent = original;
+    });
+    view.querySelector('[data-action="save"]').addEventListener("click", async () => {
+      const fullText = textarea.value.trim();
+      if (!fullText || fullText === original) {
+        view.textContent = original;
+        return;
+      }
+
+      try {
+        const response = await Auth.fetch(
+          `${this.apiBaseUrl}/api/summary/${sessionId}`,
+          {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ fullText }),
+          },
+        );
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        view.textContent = fullText;
+        this.showSuccess("Summary updated");
+        this.refresh();
+      } catch (error) {
+        console.error("Failed to update summary:", error);
+        this.showError("Failed to update summary");
+      }
+    });
+  }
+
   async exportSummary(sessionId) {
     try {
-      const response = await fetch(
+      const response = await Auth.fetch(
         `${this.apiBaseUrl}/api/summary/${sessionId}`,
       );
       const summary = await response.json();
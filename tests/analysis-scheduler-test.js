@@ -0,0 +1,213 @@
+/**
+ * Analysis Scheduler Test Suite
+ * Checks debouncing, coalescing and sequence ordering of per-session analysis
+ * passes using a fake text client (no API key needed)
+ */
+
+import { AnalysisScheduler } from "../apps/api/analysis-scheduler.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fake text client; each analyzeTurn call takes the next delay in `delays`
+ */
+function fakeTextApi(delays = []) {
+  const api = {
+    calls: [],
+    async analyzeTurn(transcript, message, { includeCoaching, signal }) {
+      const call = { message, includeCoaching, signal };
+      api.calls.push(call);
+      await sleep(delays.shift() ?? 0);
+      return {
+        sentiment: { frustrationLevel: 10, sentiment: "neutral" },
+        analytics: { intent: "inquiry", messages: transcript.length },
+        coaching: includeCoaching ? { tone: "empathetic" } : null,
+      };
+    },
+    async analyzeSentiment(message) {
+      api.calls.push({ method: "analyzeSentiment", message });
+      return { frustrationLevel: 0 };
+    },
+    async analyzeConversation() {
+      api.calls.push({ method: "analyzeConversation" });
+      return { intent: "other" };
+    },
+    async getSupervisorCoaching() {
+      api.calls.push({ method: "getSupervisorCoaching" });
+      return { tone: "professional" };
+    },
+  };
+  return api;
+}
+
+/**
+ * Test: a burst of utterances becomes one combined pass
+ */
+async function testCoalescing() {
+  log(colors.blue, "\n=== Testing Debounce and Coalescing ===");
+
+  const api = fakeTextApi();
+  const scheduler = new AnalysisScheduler(api, { debounceMs: 30 });
+  const results = [];
+  scheduler.on("result", (result) => results.push(result));
+
+  try {
+    const transcript = [];
+    scheduler.schedule("s1", transcript, "Hi there.", { coaching: false });
+    scheduler.schedule("s1", transcript, "My order is late.", { coaching: true });
+    scheduler.schedule("s1", transcript, "   ");
+    scheduler.schedule("s2", transcript, "Hello?", { coaching: false });
+    await sleep(80);
+
+    const s1Calls = api.calls.filter((c) => c.message !== "Hello?");
+    assert(s1Calls.length === 1, `Expected 1 pass for s1, got ${s1Calls.length}`);
+    assert(
+      s1Calls[0].message === "Hi there. My order is late.",
+      `Utterances not coalesced: "${s1Calls[0].message}"`,
+    );
+    assert(s1Calls[0].includeCoaching, "Coaching request lost when coalescing");
+    assert(results.length === 2, `Expected 2 results, got ${results.length}`);
+    log(colors.green, "  ✓ Burst coalesced into one combined request per session");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Coalescing test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: a newer pass aborts the one in flight and stale results are dropped
+ */
+async function testSupersede() {
+  log(colors.blue, "\n=== Testing Superseded Passes ===");
+
+  // First pass is slow and finishes after the second one
+  const api = fakeTextApi([150, 10]);
+  const scheduler = new AnalysisScheduler(api, { debounceMs: 10 });
+  const results = [];
+  scheduler.on("result", (result) => results.push(result));
+
+  try {
+    const transcript = [{ role: "customer", content: "Where is my order?" }];
+    scheduler.schedule("s1", transcript, "Where is my order?");
+    await sleep(40);
+
+    transcript.push({ role: "customer", content: "Hello??" });
+    scheduler.schedule("s1", transcript, "Hello??");
+    await sleep(250);
+
+    assert(api.calls.length === 2, `Expected 2 passes, got ${api.calls.length}`);
+    assert(api.calls[0].signal.aborted, "Superseded request was not aborted");
+    assert(
+      api.calls[1].message === "Where is my order? Hello??",
+      "Superseded utterance not carried over",
+    );
+    log(colors.green, "  ✓ In-flight pass aborted, its utterance carried over");
+
+    assert(results.length === 1, `Expected 1 result, got ${results.length}`);
+    assert(
+      results[0].seq === 2 && results[0].analytics.messages === 2,
+      "Stale result emitted",
+    );
+    log(colors.green, "  ✓ Only the newest result emitted (seq 2)");
+
+    scheduler.schedule("s1", transcript, "Bye.");
+    scheduler.cancel("s1");
+    await sleep(40);
+    assert(api.calls.length === 2, "Cancelled session still analyzed");
+    log(colors.green, "  ✓ Pending work dropped on cancel");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Supersede test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: separate mode runs the three analyses as one pass
+ */
+async function testSeparateMode() {
+  log(colors.blue, "\n=== Testing Separate Mode ===");
+
+  const api = fakeTextApi();
+  const scheduler = new AnalysisScheduler(api, { debounceMs: 10, combined: false });
+  const results = [];
+  scheduler.on("result", (result) => results.push(result));
+
+  try {
+    scheduler.schedule("s1", [], "Cancel my plan.", { coaching: false });
+    await sleep(40);
+
+    const methods = api.calls.map((c) => c.method).sort();
+    assert(
+      methods.join() === "analyzeConversation,analyzeSentiment",
+      `Unexpected calls: ${methods.join()}`,
+    );
+    assert(results[0].coaching === null, "Coaching should be skipped");
+    log(colors.green, "  ✓ Sentiment and analytics requested, coaching skipped");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Separate mode test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all scheduler tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Analysis Scheduler Tests - Starting ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    coalescing: await testCoalescing(),
+    supersede: await testSupersede(),
+    separateMode: await testSeparateMode(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
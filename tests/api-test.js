@@ -14,6 +14,8 @@ const __dirname = dirname(__filename);
 config({ path: join(__dirname, "../apps/api/.env") });
 
 const API_BASE_URL = "http://localhost:3000";
+// Session token from POST /api/auth/login (every route but /api/health needs one)
+const AUTH_HEADERS = { Authorization: `Bearer ${process.env.AUTH_TOKEN || ""}` };
 
 // Colors for console output
 const colors = {
@@ -58,7 +60,7 @@ async function testHealthEndpoint() {
 async function testSessionsEndpoint() {
   log(colors.blue, "\n=== Testing Sessions Endpoint ===");
   try {
-    const response = await fetch(`${API_BASE_URL}/api/sessions`);
+    const response = await fetch(`${API_BASE_URL}/api/sessions`, { headers: AUTH_HEADERS });
     const data = await response.json();
 
     if (response.ok && Array.isArray(data)) {
@@ -86,7 +88,7 @@ async function testCoachingEndpoint() {
   
   // First, create a mock session by getting active sessions
   try {
-    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`);
+    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`, { headers: AUTH_HEADERS });
     const sessions = await sessionsResponse.json();
 
     if (sessions.length === 0) {
@@ -97,7 +99,7 @@ async function testCoachingEndpoint() {
     const sessionId = sessions[0].id;
     const response = await fetch(`${API_BASE_URL}/api/coaching`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...AUTH_HEADERS },
       body: JSON.stringify({
         sessionId,
         customerMessage: "I'm having trouble with my order",
@@ -128,7 +130,7 @@ async function testAnalysisEndpoint() {
   log(colors.blue, "\n=== Testing Analysis Endpoint ===");
   
   try {
-    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`);
+    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`, { headers: AUTH_HEADERS });
     const sessions = await sessionsResponse.json();
 
     if (sessions.length === 0) {
@@ -139,7 +141,7 @@ async function testAnalysisEndpoint() {
     const sessionId = sessions[0].id;
     const response = await fetch(`${API_BASE_URL}/api/analyze`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...AUTH_HEADERS },
       body: JSON.stringify({ sessionId }),
     });
 
@@ -167,7 +169,7 @@ async function testSummaryEndpoint() {
   log(colors.blue, "\n=== Testing Summary Endpoint ===");
   
   try {
-    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`);
+    const sessionsResponse = await fetch(`${API_BASE_URL}/api/sessions`, { headers: AUTH_HEADERS });
     const sessions = await sessionsResponse.json();
 
     if (sessions.length === 0) {
@@ -178,7 +180,7 @@ async function testSummaryEndpoint() {
     const sessionId = sessions[0].id;
     const response = await fetch(`${API_BASE_URL}/api/summary`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...AUTH_HEADERS },
       body: JSON.stringify({ sessionId }),
     });
 
@@ -205,7 +207,7 @@ async function testSummaryEndpoint() {
 async function testSummariesListEndpoint() {
   log(colors.blue, "\n=== Testing Summaries List Endpoint ===");
   try {
-    const response = await fetch(`${API_BASE_URL}/api/summaries?limit=10`);
+    const response = await fetch(`${API_BASE_URL}/api/summaries?limit=10`, { headers: AUTH_HEADERS });
     const data = await response.json();
 
     if (response.ok && data.summaries && Array.isArray(data.summaries)) {
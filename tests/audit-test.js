@@ -0,0 +1,162 @@
+/**
+ * Audit Log Test Suite
+ * Checks payload hashing and that audit events are stored and filtered
+ * (no API key needed; uses a temporary database)
+ */
+
+import { rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { AuditLog, hashPayload } from "../apps/api/audit-log.js";
+import databaseManager from "../apps/api/database-manager.js";
+
+const DATABASE_PATH = join(tmpdir(), `copilot-audit-${process.pid}.db`);
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Test 1: Payload hashes
+ */
+async function testPayloadHash() {
+  log(colors.yellow, "\n🧪 Test 1: Payload hashes");
+
+  try {
+    const message = { type: "supervisor_message", sessionId: "call-1", content: "Refund approved" };
+    const reordered = { content: "Refund approved", sessionId: "call-1", type: "supervisor_message" };
+    assert(/^[0-9a-f]{64}$/.test(hashPayload(message)), "Not a SHA-256 hex digest");
+    assert(hashPayload(message) === hashPayload(reordered), "Key order changed the hash");
+    assert(
+      hashPayload(message) !== hashPayload({ ...message, content: "Refund denied" }),
+      "Different content gave the same hash",
+    );
+    assert(hashPayload(undefined) === null, "Missing payload hashed");
+    log(colors.green, "  ✓ Same content gives the same hash whatever the key order");
+
+    const user = (password) => ({ id: "maya", role: "agent", password });
+    assert(hashPayload(user("first-secret")) === hashPayload(user("other-secret")), "Password went into the hash");
+    assert(hashPayload(user("first-secret")) !== hashPayload({ id: "maya", role: "agent" }), "Password change hidden");
+    log(colors.green, "  ✓ Passwords and tokens are redacted before hashing");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Payload hash test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Recording and filtering events
+ */
+async function testRecordAndQuery() {
+  log(colors.yellow, "\n🧪 Test 2: Recording and filtering");
+
+  try {
+    const audit = new AuditLog(databaseManager);
+    const lee = { id: "lee", role: "supervisor" };
+    const maya = { id: "maya", role: "agent" };
+
+    const takeover = await audit.record({
+      actor: lee,
+      action: "takeover",
+      sessionId: "call-1",
+      payload: { type: "takeover", sessionId: "call-1" },
+    });
+    await audit.record({ actor: maya, action: "end_call", sessionId: "call-1", outcome: "denied" });
+    await audit.record({ actor: lee, action: "end_call", sessionId: "call-2" });
+    await audit.record({ actor: { id: "admin", role: "admin" }, action: "user_update", target: "maya" });
+
+    const call = await audit.query({ sessionId: "call-1" });
+    assert(call.length === 2 && call[0].action === "end_call", "Call events missing or not newest first");
+    assert(
+      call[1].actor_id === "lee" && call[1].actor_role === "supervisor" && call[1].payload_hash === takeover.payloadHash,
+      "Event fields not stored",
+    );
+    const denied = await audit.query({ outcome: "denied" });
+    assert(denied.length === 1 && denied[0].actor_id === "maya", "Outcome filter wrong");
+    const byLee = await audit.query({ actorId: "lee", action: "end_call" });
+    assert(byLee.length === 1 && byLee[0].session_id === "call-2", "Actor and action filters wrong");
+    const userChange = await audit.query({ action: "user_update" });
+    assert(userChange[0]?.target === "maya" && userChange[0].session_id === null, "Target not stored");
+    log(colors.green, "  ✓ Events are filtered by call, actor, action and outcome");
+
+    const later = await audit.query({ since: Date.now() + 1000 });
+    const page = await audit.query({ limit: 2, offset: 2 });
+    assert(later.length === 0 && page.length === 2, "Time range or pagination wrong");
+    log(colors.green, "  ✓ Time range and pagination");
+
+    // A database error is logged, not thrown into the supervisor's command
+    const broken = new AuditLog({
+      saveAuditEvent: async () => {
+        throw new Error("disk full");
+      },
+    });
+    const entry = await broken.record({ actor: lee, action: "handback", sessionId: "call-1" });
+    assert(entry.action === "handback", "Entry not returned");
+    log(colors.green, "  ✓ Failing writes don't break the action being audited");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Record and query test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all audit log tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Audit Log Tests - Starting          ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  process.env.DATABASE_PATH = DATABASE_PATH;
+  await databaseManager.initialize();
+
+  const results = {
+    payloadHash: await testPayloadHash(),
+    recordAndQuery: await testRecordAndQuery(),
+  };
+
+  await databaseManager.db.close();
+  rmSync(DATABASE_PATH, { force: true });
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,263 @@
+/**
+ * Auth Test Suite
+ * Checks users, password and API token login, session tokens, role
+ * permissions and customer join tokens (no API key needed; uses a temporary database)
+ */
+
+import { rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { AuthManager, SUPERVISOR_MESSAGE_PERMISSIONS } from "../apps/api/auth-manager.js";
+import databaseManager from "../apps/api/database-manager.js";
+
+const DATABASE_PATH = join(tmpdir(), `copilot-auth-${process.pid}.db`);
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function rejects(promise) {
+  try {
+    await promise;
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Test 1: Users and login
+ */
+async function testLogin() {
+  log(colors.yellow, "\n🧪 Test 1: Users and login");
+
+  try {
+    const auth = new AuthManager(databaseManager, { secret: "test-secret" });
+    await auth.load({ adminPassword: "admin-password" });
+    assert(auth.get("admin")?.role === "admin", "Admin not seeded");
+    assert(await auth.login("admin", "admin-password"), "Seeded admin can't log in");
+
+    await auth.create({ id: "maya", name: "Maya", role: "agent", password: "correct-horse" });
+    const session = await auth.login("maya", "correct-horse");
+    assert(session?.user.id === "maya" && session.user.role === "agent", "Login failed");
+    assert(!(await auth.login("maya", "wrong-horse")), "Wrong password accepted");
+    assert(!(await auth.login("nobody", "correct-horse")), "Unknown user accepted");
+    log(colors.green, "  ✓ Passwords are checked; an admin is seeded into an empty database");
+
+    assert(await rejects(auth.create({ id: "Bad Name", role: "agent" })), "Invalid ID accepted");
+    assert(await rejects(auth.create({ id: "sam", role: "owner" })), "Unknown role accepted");
+    assert(await rejects(auth.create({ id: "sam", role: "agent", password: "short" })), "Short password accepted");
+    assert(await rejects(auth.delete("admin")), "Last admin deleted");
+    assert(await rejects(auth.update("admin", { role: "analyst" })), "Last admin demoted");
+    log(colors.green, "  ✓ Invalid users are refused and the last admin is kept");
+
+    const apiToken = await auth.issueApiToken("maya");
+    assert(auth.loginWithApiToken(apiToken)?.user.id === "maya", "API token login failed");
+    assert(!auth.loginWithApiToken(`${apiToken}x`), "Wrong API token accepted");
+    const replacement = await auth.issueApiToken("maya");
+    assert(!auth.loginWithApiToken(apiToken), "Replaced API token still accepted");
+
+    // Stored hashes, not secrets, and everything survives a restart
+    const reloaded = new AuthManager(databaseManager, { secret: "test-secret" });
+    await reloaded.load();
+    const [row] = (await databaseManager.getUsers()).filter((user) => user.id === "maya");
+    assert(!row.password_hash.includes("correct-horse") && row.api_token_hash !== replacement, "Secrets stored in clear");
+    assert(await reloaded.login("maya", "correct-horse"), "Password lost on reload");
+    assert(reloaded.loginWithApiToken(replacement), "API token lost on reload");
+    log(colors.green, "  ✓ API tokens log in until replaced; only hashes are stored");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Login test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Session tokens
+ */
+async function testSessionTokens() {
+  log(colors.yellow, "\n🧪 Test 2: Session tokens");
+
+  try {
+    const auth = new AuthManager(databaseManager, { secret: "test-secret", tokenTtlMs: 1000 });
+    await auth.load();
+    await auth.create({ id: "lee", role: "supervisor", password: "lee-password" });
+    const { token } = await auth.login("lee", "lee-password");
+
+    assert(auth.authenticate(token)?.id === "lee", "Valid token refused");
+    const [payload, signature] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ typ: "session", sub: "admin", exp: Date.now() + 60000 }),
+    ).toString("base64url");
+    assert(!auth.authenticate(`${forged}.${signature}`), "Forged payload accepted");
+    assert(!auth.authenticate(`${payload}.${signature.slice(1)}`), "Bad signature accepted");
+    assert(!auth.authenticate(undefined) && !auth.authenticate("garbage"), "Malformed token accepted");
+
+    const otherNode = new AuthManager(databaseManager, { secret: "other-secret" });
+    await otherNode.load();
+    assert(!otherNode.authenticate(token), "Token accepted with another secret");
+    log(colors.green, "  ✓ Tampered, malformed and foreign tokens are refused");
+
+    await auth.update("lee", { role: "analyst" });
+    assert(auth.authenticate(token)?.role === "analyst", "Role change not applied to the token");
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert(!auth.authenticate(token), "Expired token accepted");
+
+    // Another API node: same secret and database, its own user cache
+    const peer = new AuthManager(databaseManager, { secret: "test-secret" });
+    await peer.load();
+    const before = await auth.login("lee", "lee-password");
+    await auth.update("lee", { name: "Lee" });
+    assert(auth.authenticate(before.token), "Name change invalidated the token");
+    assert(!(await peer.reload("lee")) && peer.get("lee").name === "Lee", "Name change not reloaded");
+
+    await auth.update("lee", { password: "lee-new-password" });
+    assert(!auth.authenticate(before.token), "Token issued before a password change accepted");
+    assert(await peer.reload("lee"), "Password change not reported by reload");
+    assert(!peer.authenticate(before.token), "Other node accepts a token issued before a password change");
+    const fresh = await peer.login("lee", "lee-new-password");
+    assert(auth.authenticate(fresh.token)?.id === "lee", "Token issued after a password change refused");
+
+    await auth.delete("lee");
+    assert(!auth.authenticate(fresh.token), "Deleted user's token accepted");
+    assert(await peer.reload("lee") && !peer.authenticate(fresh.token), "Other node accepts a deleted user's token");
+    log(colors.green, "  ✓ Tokens follow role changes and stop working on expiry, password change or deletion");
+    log(colors.green, "  ✓ Other nodes pick up changed and deleted users on reload");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Session token test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: Role permissions
+ */
+async function testPermissions() {
+  log(colors.yellow, "\n🧪 Test 3: Role permissions");
+
+  try {
+    const auth = new AuthManager(databaseManager, { secret: "test-secret" });
+    const allowed = (role, messageType) => auth.can(role, SUPERVISOR_MESSAGE_PERMISSIONS[messageType]);
+
+    assert(allowed("agent", "takeover") && allowed("agent", "supervisor_message"), "Agent can't handle calls");
+    assert(!allowed("agent", "end_call") && !allowed("agent", "force_takeover"), "Agent can override");
+    assert(allowed("supervisor", "barge") && allowed("admin", "end_call"), "Supervisor can't override");
+    assert(!allowed("analyst", "subscribe") && !allowed("analyst", "takeover"), "Analyst can act on calls");
+    assert(!auth.can("admin", undefined) && !auth.can("admin", "get_sessions"), "Unknown message type allowed");
+    log(colors.green, "  ✓ Supervisor messages: agents handle calls, supervisors override, analysts can't act");
+
+    assert(auth.can("analyst", "reports:view") && !auth.can("agent", "reports:view"), "Report access wrong");
+    assert(!auth.can("analyst", "summaries:edit") && auth.can("supervisor", "summaries:edit"), "Summary edits wrong");
+    assert(auth.can("supervisor", "audit:view") && !auth.can("analyst", "audit:view"), "Audit log access wrong");
+    assert(auth.permissionsFor("admin").includes("admin") && !auth.can("supervisor", "admin"), "Admin access wrong");
+    log(colors.green, "  ✓ Reports for analysts and supervisors; users, personas and prompts for admins");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Permission test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 4: Customer join tokens
+ */
+async function testCustomerTokens() {
+  log(colors.yellow, "\n🧪 Test 4: Customer join tokens");
+
+  try {
+    const auth = new AuthManager(databaseManager, { secret: "test-secret", customerTokenTtlMs: 300 });
+    await auth.load();
+
+    const join = auth.issueCustomerToken({ personaId: "kora" });
+    const other = auth.issueCustomerToken();
+    assert(join.sessionId && join.sessionId !== other.sessionId, "Calls share a session ID");
+    const claims = auth.verifyCustomerToken(join.token);
+    assert(claims?.sessionId === join.sessionId && claims.personaId === "kora", "Join token not verified");
+    assert(auth.verifyCustomerToken(join.token)?.sessionId === join.sessionId, "Reconnect with the token refused");
+    log(colors.green, "  ✓ Each token binds a new session ID and persona, and can be presented again");
+
+    const [payload, signature] = join.token.split(".");
+    const hijack = Buffer.from(
+      JSON.stringify({ typ: "customer", sid: other.sessionId, persona: "kora", exp: Date.now() + 60000 }),
+    ).toString("base64url");
+    assert(!auth.verifyCustomerToken(`${hijack}.${signature}`), "Token rewritten to another call accepted");
+    assert(!auth.verifyCustomerToken(`${payload}.x${signature}`), "Bad signature accepted");
+
+    const { token: sessionToken } = await auth.login("admin", "admin-password");
+    assert(!auth.verifyCustomerToken(sessionToken), "Session token accepted as a join token");
+    assert(!auth.authenticate(join.token), "Join token accepted as a session token");
+
+    await new Promise((resolve) => setTimeout(resolve, 350));
+    assert(!auth.verifyCustomerToken(join.token), "Expired join token accepted");
+    log(colors.green, "  ✓ Rewritten, expired and dashboard tokens can't join a call");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Customer token test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all auth tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Auth Tests - Starting               ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  process.env.DATABASE_PATH = DATABASE_PATH;
+  await databaseManager.initialize();
+
+  const results = {
+    login: await testLogin(),
+    sessionTokens: await testSessionTokens(),
+    permissions: await testPermissions(),
+    customerTokens: await testCustomerTokens(),
+  };
+
+  await databaseManager.db.close();
+  rmSync(DATABASE_PATH, { force: true });
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
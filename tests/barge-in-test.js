@@ -0,0 +1,166 @@
+/**
+ * Barge-in Test Suite
+ * Runs GeminiLiveSession against a local fake Live API server and checks that
+ * an `interrupted` frame surfaces the truncated AI sentence (no API key needed)
+ */
+
+import { WebSocketServer } from "ws";
+import { GeminiLiveSession } from "../apps/api/gemini-live.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function waitFor(emitter, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error(`Timed out waiting for "${event}"`)),
+      timeoutMs,
+    );
+    emitter.once(event, (payload) => {
+      clearTimeout(timeout);
+      resolve(payload);
+    });
+  });
+}
+
+/**
+ * Test: interrupted mid-sentence emits the partial text and counts the interruption
+ */
+async function testInterruption() {
+  log(colors.blue, "\n=== Testing Interruption ===");
+
+  const wss = new WebSocketServer({ port: 0 });
+  await new Promise((resolve) => wss.on("listening", resolve));
+
+  // Script: one full sentence, half a sentence, then the customer barges in
+  wss.on("connection", (ws) => {
+    ws.on("message", (data) => {
+      const frame = JSON.parse(data.toString());
+      if (!frame.setup) return;
+
+      ws.send(JSON.stringify({ setupComplete: {} }));
+      ws.send(
+        JSON.stringify({
+          serverContent: {
+            outputTranscription: { text: "I found your order. It was shipped on " },
+          },
+        }),
+      );
+      ws.send(JSON.stringify({ serverContent: { interrupted: true } }));
+    });
+  });
+
+  const session = new GeminiLiveSession("test-key");
+  session.uri = `ws://localhost:${wss.address().port}`;
+
+  const responses = [];
+  session.on("response", (data) => responses.push(data.content));
+
+  try {
+    const interrupted = waitFor(session, "interrupted");
+    await session.initialize();
+    const event = await interrupted;
+
+    assert(
+      responses.join(" ") === "I found your order.",
+      `Unexpected complete sentences: ${JSON.stringify(responses)}`,
+    );
+    log(colors.green, "  ✓ Completed sentence emitted before the interruption");
+
+    assert(
+      event.partialText === "It was shipped on",
+      `Unexpected partial text: ${event.partialText}`,
+    );
+    log(colors.green, `  ✓ Truncated utterance reported: "${event.partialText}"`);
+
+    assert(event.count === 1, "Interruption not counted");
+    assert(session.transcriptionBuffer === "", "Transcription buffer not cleared");
+    log(colors.green, "  ✓ Interruption counted and buffer cleared");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Interruption test error:", error.message);
+    return false;
+  } finally {
+    await session.close();
+    wss.close();
+  }
+}
+
+/**
+ * Test: interruption between sentences has no partial text
+ */
+async function testInterruptionBetweenSentences() {
+  log(colors.blue, "\n=== Testing Interruption Between Sentences ===");
+
+  const session = new GeminiLiveSession("test-key");
+
+  try {
+    const interrupted = waitFor(session, "interrupted");
+    session.handleMessage(
+      JSON.stringify({ serverContent: { interrupted: true } }),
+    );
+    const event = await interrupted;
+
+    assert(event.partialText === null, "Expected no partial text");
+    log(colors.green, "  ✓ partialText is null when nothing was cut off");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Between-sentences test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all barge-in tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Barge-in Test Suite - Starting...  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    interruption: await testInterruption(),
+    betweenSentences: await testInterruptionBetweenSentences(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
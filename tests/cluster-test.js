@@ -0,0 +1,342 @@
+/**
+ * Cluster Test Suite
+ * Checks the message bus (in-process, and Redis when REDIS_URL is set), call
+ * leases and cross-node forwarding between API nodes sharing a bus
+ * (no API key needed)
+ */
+
+import { EventEmitter } from "events";
+import { InProcessMessageBus } from "../apps/api/message-bus.js";
+import { RedisMessageBus } from "../apps/api/redis-message-bus.js";
+import { ClusterHub, RemoteSocket } from "../apps/api/cluster-hub.js";
+import { ConversationManager } from "../apps/api/conversation-manager.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for a browser's WebSocket on the server
+ */
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = (payload) => ws.sent.push(payload);
+  ws.close = (code) => {
+    ws.readyState = 3;
+    ws.closeCode = code;
+    ws.emit("close", code);
+  };
+  return ws;
+}
+
+/**
+ * Pub/sub and lease behaviour every bus must have
+ * @param {number} [deliveryMs=0] - Wait this long for published messages (Redis is asynchronous)
+ */
+async function checkBus(bus, deliveryMs = 0) {
+  const channel = `test:${process.pid}`;
+  const received = [];
+  const unsubscribe = await bus.subscribe(channel, (message) => received.push(message));
+
+  const message = { type: "ping", nested: { n: 1 } };
+  await bus.publish(channel, message);
+  await sleep(deliveryMs);
+  assert(received.length === 1 && received[0].nested.n === 1, "Message not delivered");
+  assert(received[0] !== message, "Handler got the publisher's object");
+
+  await unsubscribe();
+  await bus.publish(channel, message);
+  await sleep(deliveryMs);
+  assert(received.length === 1, "Delivered after unsubscribe");
+
+  const key = `test:lease:${process.pid}`;
+  assert((await bus.claim(key, "node-a", 100)) === "node-a", "First claim lost");
+  assert((await bus.claim(key, "node-b", 100)) === "node-a", "Second claim won");
+  assert(!(await bus.renew(key, "node-b", 100)), "Non-holder renewed");
+  await bus.release(key, "node-b");
+  assert((await bus.get(key)) === "node-a", "Non-holder released");
+
+  await sleep(150);
+  assert((await bus.get(key)) === null, "Lease didn't expire");
+  assert((await bus.claim(key, "node-b", 100)) === "node-b", "Expired lease not claimable");
+  await bus.release(key, "node-b");
+  assert((await bus.get(key)) === null, "Holder couldn't release");
+}
+
+/**
+ * Test 1: Message bus implementations
+ */
+async function testMessageBus() {
+  log(colors.yellow, "\n🧪 Test 1: Message bus");
+
+  try {
+    await checkBus(new InProcessMessageBus());
+    log(colors.green, "  ✓ In-process bus: copies per handler, leases expire and can't be taken");
+
+    if (!process.env.REDIS_URL) {
+      log(colors.yellow, "  ⚠ REDIS_URL not set, skipping the Redis bus");
+      return true;
+    }
+
+    const redis = new RedisMessageBus(process.env.REDIS_URL);
+    await redis.connect();
+    try {
+      await checkBus(redis, 100);
+    } finally {
+      await redis.close();
+    }
+    log(colors.green, "  ✓ Redis bus behaves the same");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Message bus test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Each call is pinned to one node
+ */
+async function testSessionLeases() {
+  log(colors.yellow, "\n🧪 Test 2: Call leases");
+
+  const bus = new InProcessMessageBus();
+  const nodeA = new ClusterHub(bus, { nodeId: "node-a", leaseMs: 60 });
+  const nodeB = new ClusterHub(bus, { nodeId: "node-b", leaseMs: 60 });
+
+  try {
+    await nodeA.start();
+    await nodeB.start();
+
+    assert((await nodeA.claimSession("call-1")) === "node-a", "Free call not claimed");
+    assert((await nodeB.claimSession("call-1")) === "node-a", "Call claimed twice");
+    assert((await nodeB.getSessionNode("call-1")) === "node-a", "Call's node not found");
+    log(colors.green, "  ✓ First node to claim a call runs it; the others find it");
+
+    await sleep(100);
+    assert((await nodeB.getSessionNode("call-1")) === "node-a", "Heartbeat didn't keep the lease");
+    await nodeA.releaseSession("call-1");
+    assert((await nodeB.claimSession("call-1")) === "node-b", "Released call not claimable");
+    log(colors.green, "  ✓ Leases are renewed while the node runs and freed on release");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Call lease test error:", error.message);
+    return false;
+  } finally {
+    await nodeA.stop();
+    await nodeB.stop();
+  }
+}
+
+/**
+ * Test 3: Customers and supervisors on one node reach calls on another
+ */
+async function testForwarding() {
+  log(colors.yellow, "\n🧪 Test 3: Cross-node forwarding");
+
+  const bus = new InProcessMessageBus();
+  const nodeA = new ClusterHub(bus, { nodeId: "node-a" });
+  const nodeB = new ClusterHub(bus, { nodeId: "node-b" });
+  const linked = { "node-a": [], "node-b": [] };
+  for (const node of [nodeA, nodeB]) {
+    node.on("connection", (socket, link) => {
+      socket.received = [];
+      socket.on("message", (data) => socket.received.push(data));
+      linked[node.nodeId].push({ socket, ...link });
+    });
+  }
+
+  try {
+    await nodeA.start();
+    await nodeB.start();
+    const broadcasts = [];
+    nodeA.on("broadcast", (payload) => broadcasts.push(`a:${payload}`));
+    nodeB.on("broadcast", (payload) => broadcasts.push(`b:${payload}`));
+
+    // Customer reconnects to node B for a call node A runs
+    const customer = fakeSocket();
+    nodeB.relayCustomer(customer, "node-a", {
+      sessionId: "call-1",
+      params: { personaId: "kora" },
+    });
+    const [link] = linked["node-a"];
+    assert(link?.role === "customer" && link.sessionId === "call-1", "Customer not linked to node A");
+    assert(link.socket instanceof RemoteSocket && link.params.personaId === "kora", "Link details lost");
+
+    customer.emit("message", Buffer.from('{"type":"audio","data":"AAAA"}'));
+    assert(link.socket.received[0] === '{"type":"audio","data":"AAAA"}', "Customer audio not forwarded");
+    link.socket.send('{"type":"ai_response"}');
+    assert(customer.sent[0] === '{"type":"ai_response"}', "Reply not relayed to the customer");
+    log(colors.green, "  ✓ Customer audio reaches the call's node, replies come back");
+
+    let remoteClosed = false;
+    link.socket.on("close", () => (remoteClosed = true));
+    customer.close();
+    assert(remoteClosed && link.socket.readyState === 3, "Hang-up not forwarded");
+    log(colors.green, "  ✓ Hang-up on one node ends the link on the other");
+
+    // Supervisor on node B is known on node A and can command its calls
+    const supervisor = fakeSocket();
+    nodeB.announceSupervisor(supervisor, { id: "sup-b" });
+    const stand = linked["node-a"].find((entry) => entry.role === "supervisor");
+    assert(stand?.params.id === "sup-b", "Supervisor not announced to node A");
+    assert(linked["node-b"].length === 0, "Node linked its own supervisor to itself");
+
+    nodeB.forward(supervisor, "node-a", '{"type":"takeover","sessionId":"call-2"}');
+    assert(stand.socket.received[0].includes("takeover"), "Supervisor command not forwarded");
+    stand.socket.send('{"type":"escalation_offer"}');
+    assert(supervisor.sent[0] === '{"type":"escalation_offer"}', "Offer not delivered to node B's dashboard");
+    log(colors.green, "  ✓ Supervisors are known on every node; commands go to the call's node");
+
+    // A node joining later learns about connected supervisors
+    const nodeC = new ClusterHub(bus, { nodeId: "node-c" });
+    const lateLinks = [];
+    nodeC.on("connection", (socket, link) => lateLinks.push(link));
+    await nodeC.start();
+    assert(lateLinks[0]?.params.id === "sup-b", "Late node not told about the supervisor");
+
+    nodeA.broadcast('{"type":"session_update"}');
+    assert(
+      broadcasts.sort().join(",") === 'a:{"type":"session_update"},b:{"type":"session_update"}',
+      `Got ${broadcasts.join(",")}`,
+    );
+    log(colors.green, "  ✓ Late nodes catch up; broadcasts reach every node once");
+
+    const userChanges = [];
+    for (const node of [nodeA, nodeB, nodeC]) {
+      node.on("user_changed", ({ userId }) => userChanges.push(`${node.nodeId}:${userId}`));
+    }
+    nodeA.announceUserChange("sup-b");
+    assert(userChanges.sort().join(",") === "node-b:sup-b,node-c:sup-b", `Got ${userChanges.join(",")}`);
+    log(colors.green, "  ✓ User changes are announced to every other node");
+
+    await nodeB.stop();
+    assert(stand.socket.readyState === 3, "Stopped node's supervisor still linked");
+    log(colors.green, "  ✓ A node leaving drops its links elsewhere");
+    await nodeC.stop();
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Forwarding test error:", error.message);
+    return false;
+  } finally {
+    await nodeA.stop();
+  }
+}
+
+/**
+ * Test 4: A node that lost a call's lease stops running it
+ */
+async function testLeaseLost() {
+  log(colors.yellow, "\n🧪 Test 4: Lost leases");
+
+  const bus = new InProcessMessageBus();
+  const nodeA = new ClusterHub(bus, { nodeId: "node-a", leaseMs: 60 });
+  const nodeB = new ClusterHub(bus, { nodeId: "node-b", leaseMs: 60 });
+
+  try {
+    await nodeA.start();
+    await nodeB.start();
+
+    // Wired like index.js
+    const manager = new ConversationManager();
+    nodeA.on("lease_lost", ({ sessionId }) => manager.handOff(sessionId));
+    const ended = [];
+    manager.on("status:ended", ({ sessionId }) => ended.push(sessionId));
+
+    const session = manager.createSession("call-1");
+    manager.transition("call-1", "active");
+    const customer = fakeSocket();
+    const dashboard = fakeSocket();
+    let liveClosed = false;
+    session.customerWs = customer;
+    session.geminiSession = { close: () => (liveClosed = true) };
+    manager.subscribe("call-1", dashboard);
+    await nodeA.claimSession("call-1");
+
+    // node-a stalls past its lease, but no other node took the call
+    clearInterval(nodeA.heartbeatTimer);
+    await sleep(100);
+    await nodeA.heartbeat();
+    assert((await nodeB.getSessionNode("call-1")) === "node-a", "Expired lease not re-claimed");
+    assert(manager.getSession("call-1") && customer.readyState === 1, "Call dropped though nobody took it");
+    log(colors.green, "  ✓ A lease that expired while nobody else claimed it is kept");
+
+    // ...and stalls again while node-b takes the call over
+    await sleep(100);
+    assert((await nodeB.claimSession("call-1")) === "node-b", "Expired call not claimable");
+    await nodeA.heartbeat();
+    assert(!manager.getSession("call-1"), "Call still running on the node that lost it");
+    assert(liveClosed, "Live session left open");
+    assert(customer.closeCode === 1012 && dashboard.closeCode === 1012, "Sockets not closed to reconnect");
+    assert(ended.length === 0, "Handing off ended the call");
+    log(colors.green, "  ✓ Losing the lease stops the call here and closes its sockets without ending it");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Lost lease test error:", error.message);
+    return false;
+  } finally {
+    await nodeA.stop();
+    await nodeB.stop();
+  }
+}
+
+/**
+ * Run all cluster tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Cluster Tests - Starting            ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    messageBus: await testMessageBus(),
+    sessionLeases: await testSessionLeases(),
+    forwarding: await testForwarding(),
+    leaseLost: await testLeaseLost(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
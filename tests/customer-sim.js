@@ -1,6 +1,10 @@
 import WebSocket from "ws";
 
-const ws = new WebSocket("ws://localhost:3000?role=customer");
+// Customers connect with a join token for a new call
+const { token } = await fetch("http://localhost:3000/api/customer/token", {
+  method: "POST",
+}).then((response) => response.json());
+const ws = new WebSocket(`ws://localhost:3000?role=customer&token=${token}`);
 
 ws.on("open", () => {
   console.log("Customer Connected");
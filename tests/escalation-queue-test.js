@@ -0,0 +1,243 @@
+/**
+ * Escalation Queue Test Suite
+ * Checks that escalations wait in priority order and are offered to one
+ * available supervisor by skill and capacity (no API key needed)
+ */
+
+import { ConversationManager } from "../apps/api/conversation-manager.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in for a dashboard's WebSocket
+ */
+function connect(manager, profile) {
+  const ws = { readyState: 1, send() {} };
+  manager.addSupervisor(ws, profile);
+  return ws;
+}
+
+function callWith(manager, sessionId, { personaId = null, language = null } = {}) {
+  manager.createSession(sessionId);
+  manager.updateSession(sessionId, { personaId, language });
+  manager.transition(sessionId, "active");
+}
+
+/**
+ * Test 1: Most frustrated call first, to a skilled supervisor with room
+ */
+function testRouting() {
+  log(colors.yellow, "\n🧪 Test 1: Priority and skill-based routing");
+
+  try {
+    const manager = new ConversationManager({ supervisorCapacity: 1 });
+    const escalations = manager.escalations;
+    const offers = [];
+    escalations.on("offered", ({ escalation, supervisorId }) =>
+      offers.push(`${escalation.sessionId}>${supervisorId}`),
+    );
+
+    callWith(manager, "calm", { personaId: "kora", language: "es" });
+    callWith(manager, "angry", { personaId: "kora", language: "es" });
+    escalations.escalate("calm", { reason: "Asked for a human", frustrationLevel: 60 });
+    escalations.escalate("angry", { reason: "High frustration", frustrationLevel: 90 });
+
+    const order = escalations.list().map((e) => e.sessionId);
+    assert(order.join(",") === "angry,calm", `Queue order ${order.join(",")}`);
+    assert(offers.length === 0, "Offered with no supervisor connected");
+    assert(
+      escalations.list()[0].requiredSkills.join(",") === "kora,es",
+      "Persona and language not required",
+    );
+    log(colors.green, "  ✓ Calls wait in frustration order until someone connects");
+
+    // Profiles are normalized (trimmed, lowercased) when the dashboard connects
+    connect(manager, { id: "generalist", skills: [] });
+    connect(manager, { id: "specialist", skills: ["Kora", " ES"] });
+    assert(
+      offers.join(",") === "angry>generalist,calm>specialist",
+      `Got ${offers.join(",")}`,
+    );
+    log(colors.green, "  ✓ Queued calls offered as supervisors connect, one offer each");
+
+    const skilled = new ConversationManager({ supervisorCapacity: 1 });
+    const skilledOffers = [];
+    skilled.escalations.on("offered", ({ escalation, supervisorId }) =>
+      skilledOffers.push(`${escalation.sessionId}>${supervisorId}`),
+    );
+    connect(skilled, { id: "generalist", skills: [] });
+    connect(skilled, { id: "specialist", skills: ["kora", "es"] });
+    for (const id of ["first", "second", "third"]) {
+      callWith(skilled, id, { personaId: "kora", language: "es" });
+      skilled.escalations.escalate(id, { frustrationLevel: 50 });
+    }
+    assert(
+      skilledOffers.join(",") === "first>specialist,second>generalist",
+      `Got ${skilledOffers.join(",")}`,
+    );
+    assert(
+      skilled.escalations.entries.get("third").offeredTo === null,
+      "Offered beyond every supervisor's capacity",
+    );
+    log(colors.green, "  ✓ Skilled supervisor preferred, then anyone with capacity");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Routing test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Declined and unanswered offers move on to the next supervisor
+ */
+async function testReRouting() {
+  log(colors.yellow, "\n🧪 Test 2: Decline and timeout");
+
+  try {
+    const manager = new ConversationManager({
+      escalationOfferTimeoutMs: 30,
+      escalationDeclineCooldownMs: 150,
+    });
+    const escalations = manager.escalations;
+    const offers = [];
+    const timeouts = [];
+    escalations.on("offered", ({ supervisorId }) => offers.push(supervisorId));
+    escalations.on("timeout", ({ supervisorId }) => timeouts.push(supervisorId));
+
+    connect(manager, { id: "sup-a" });
+    connect(manager, { id: "sup-b" });
+    callWith(manager, "call-1");
+    escalations.escalate("call-1", { reason: "Asked for a human", frustrationLevel: 70 });
+    assert(escalations.entries.get("call-1").offeredTo === "sup-a", "Not offered to sup-a");
+
+    assert(escalations.decline("call-1", "sup-b") === null, "Declined by someone not offered it");
+    assert(escalations.accept("call-1", "sup-b") === null, "Accepted by someone not offered it");
+    escalations.decline("call-1", "sup-a");
+    assert(escalations.entries.get("call-1").offeredTo === "sup-b", "Decline not re-routed");
+    log(colors.green, "  ✓ Only the offered supervisor can answer; a decline moves on");
+
+    // sup-b steps away: the offer lapses, and with sup-a having declined it
+    // comes back to sup-b rather than sitting in the queue
+    await sleep(45);
+    let [escalation] = escalations.list();
+    assert(timeouts[0] === "sup-b", `Timeouts ${timeouts.join(",")}`);
+    assert(escalation.offeredTo === "sup-b", `Lapsed offer went to ${escalation.offeredTo}`);
+    assert(escalation.declinedCount === 1 && escalation.missedCount === 1, "Declines and timeouts not kept apart");
+    log(colors.green, "  ✓ Unanswered offers expire and come back when nobody else is free");
+
+    // Everyone declined: the call waits until the first decline wears off
+    escalations.decline("call-1", "sup-b");
+    [escalation] = escalations.list();
+    assert(escalation.offeredTo === null, "Re-offered to a supervisor who declined");
+    const offeredBefore = offers.length;
+    await sleep(150);
+    assert(offers.slice(offeredBefore).includes("sup-a"), "Not re-offered after the decline cooldown");
+    log(colors.green, "  ✓ Declines wear off, so the call is offered again");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Re-routing test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: Takeover, call end and disconnects keep the queue current
+ */
+function testQueueUpkeep() {
+  log(colors.yellow, "\n🧪 Test 3: Leaving the queue");
+
+  try {
+    const manager = new ConversationManager({ supervisorCapacity: 1 });
+    const escalations = manager.escalations;
+
+    const away = connect(manager, { id: "sup-a" });
+    callWith(manager, "call-1");
+    callWith(manager, "call-2");
+    escalations.escalate("call-1", { frustrationLevel: 80 });
+    escalations.escalate("call-2", { frustrationLevel: 40 });
+
+    // sup-a leaves before answering: the offer waits for the next supervisor
+    manager.removeSupervisor(away);
+    assert(escalations.entries.get("call-1").offeredTo === null, "Offer kept by a gone supervisor");
+    connect(manager, { id: "sup-b" });
+    assert(escalations.entries.get("call-1").offeredTo === "sup-b", "Not re-offered on connect");
+    log(colors.green, "  ✓ A disconnect hands open offers to whoever is available");
+
+    assert(escalations.accept("call-1", "sup-b"), "Offered supervisor could not accept");
+    manager.setMode("call-1", "human", { takenOverBy: "sup-b" });
+    assert(!escalations.entries.has("call-1"), "Accepted call still queued");
+    assert(escalations.entries.get("call-2").offeredTo === null, "Offered past capacity");
+    assert(escalations.escalate("call-1", { frustrationLevel: 99 }) === null, "Human call re-queued");
+    log(colors.green, "  ✓ Accepted calls leave the queue and count toward capacity");
+
+    manager.setMode("call-1", "ai", { takenOverBy: null });
+    assert(escalations.entries.get("call-2").offeredTo === "sup-b", "Handback didn't free sup-b");
+    manager.transition("call-2", "ended");
+    assert(escalations.list().length === 0, "Ended call still queued");
+    log(colors.green, "  ✓ Handback frees the supervisor; ended calls leave the queue");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Queue upkeep test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all escalation queue tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Escalation Queue Tests - Starting   ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    routing: testRouting(),
+    reRouting: await testReRouting(),
+    queueUpkeep: testQueueUpkeep(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,152 @@
+/**
+ * Multilingual Test Suite
+ * Tests script-based language detection and the per-persona allowed-language
+ * filter on customer transcriptions. Runs fully offline.
+ */
+
+import { detectLanguage } from "../apps/api/language-detector.js";
+import { GeminiLiveSession } from "../apps/api/gemini-live.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Test language detection across scripts
+ */
+async function testDetection() {
+  log(colors.blue, "\n=== Testing Language Detection ===");
+
+  const cases = [
+    { text: "Where is my order?", expected: "en" },
+    { text: "मेरा ऑर्डर कहाँ है?", expected: "hi" },
+    { text: "મારો ઓર્ડર ક્યાં છે?", expected: "gu" },
+    { text: "என் ஆர்டர் எங்கே?", expected: "ta" },
+    { text: "mera order कहाँ है अभी तक नहीं आया", expected: "hi" },
+    { text: "1001", expected: "und" },
+    { text: "", expected: "und" },
+  ];
+
+  try {
+    for (const { text, expected } of cases) {
+      const actual = detectLanguage(text);
+      assert(
+        actual === expected,
+        `"${text}" detected as ${actual}, expected ${expected}`,
+      );
+      log(colors.green, `  ✓ "${text}" → ${actual}`);
+    }
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Detection test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test allowed-language filtering and language change events
+ */
+async function testAllowedLanguages() {
+  log(colors.blue, "\n=== Testing Allowed Languages ===");
+
+  try {
+    const session = new GeminiLiveSession("test-key", {
+      persona: { allowed_languages: ["en", "hi"] },
+    });
+
+    const transcriptions = [];
+    const detected = [];
+    const rejected = [];
+    session.on("input_transcription", (e) => transcriptions.push(e));
+    session.on("language_detected", (e) => detected.push(e.language));
+    session.on("language_rejected", (e) => rejected.push(e.language));
+
+    session.emitInputTranscription("I need help with my order");
+    session.emitInputTranscription("मेरा ऑर्डर कहाँ है");
+    session.emitInputTranscription("મારો ઓર્ડર ક્યાં છે");
+
+    assert(transcriptions.length === 2, "Expected 2 allowed transcriptions");
+    assert(
+      transcriptions[1].language === "hi",
+      "Transcription not tagged with its language",
+    );
+    log(colors.green, "  ✓ English and Hindi passed with language tags");
+
+    assert(rejected[0] === "gu", "Gujarati should be rejected for this persona");
+    log(colors.green, "  ✓ Gujarati rejected (not in allowed_languages)");
+
+    assert(
+      detected.join(",") === "en,hi",
+      `Unexpected language changes: ${detected.join(",")}`,
+    );
+    log(colors.green, "  ✓ language_detected emitted on each change");
+
+    const instruction = session.buildSystemInstruction();
+    assert(
+      instruction.includes("English, Hindi"),
+      "System instruction does not list allowed languages",
+    );
+    log(colors.green, "  ✓ Allowed languages added to system instruction");
+
+    const open = new GeminiLiveSession("test-key");
+    assert(open.isLanguageAllowed("ta"), "Default persona should allow any language");
+    log(colors.green, "  ✓ Default persona accepts any language");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Allowed languages test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all language tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Language Test Suite - Starting...  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    detection: await testDetection(),
+    allowedLanguages: await testAllowedLanguages(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,467 @@
+/**
+ * End-to-End Flow Test (mock provider)
+ * Starts the API server with LLM_PROVIDER=mock and drives a full call:
+ * customer audio -> scripted transcription -> tool call -> AI reply -> supervisor
+ * dashboard events -> call summary. No API key or network needed.
+ */
+
+import { spawn } from "child_process";
+import { WebSocket } from "ws";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { rmSync } from "fs";
+import { fileURLToPath } from "url";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const API_DIR = join(__dirname, "..", "apps", "api");
+const PORT = 3900 + Math.floor(Math.random() * 90);
+const DATABASE_PATH = join(tmpdir(), `copilot-mock-flow-${process.pid}.db`);
+const ADMIN_PASSWORD = "mock-flow-admin";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Start the API server with the mock provider and wait until it listens
+ */
+function startServer(env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["index.js"], {
+      cwd: API_DIR,
+      env: {
+        ...process.env,
+        LLM_PROVIDER: "mock",
+        PORT: String(PORT),
+        DATABASE_PATH,
+        ADMIN_PASSWORD,
+        GEMINI_API_KEY: "",
+        MAX_CONCURRENT_SESSIONS: "1",
+        // Join tokens stay valid across the restarts below
+        AUTH_SECRET: "mock-flow-secret",
+        // Three join tokens and one refused socket below; sockets with a valid
+        // join token (including reconnects) don't count
+        RATE_LIMIT_CUSTOMER_CONNECTIONS_PER_MINUTE: "4",
+        ...env,
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const timeout = setTimeout(
+      () => reject(new Error("Server did not start within 15s")),
+      15000,
+    );
+    child.stdout.on("data", (data) => {
+      if (data.toString().includes("Server running")) {
+        clearTimeout(timeout);
+        resolve(child);
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timeout);
+      reject(new Error(`Server exited early with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Stop the server and wait until its port is free
+ */
+function stopServer(child) {
+  return new Promise((resolve) => {
+    child.once("exit", resolve);
+    child.kill();
+  });
+}
+
+/**
+ * REST request as a signed-in user
+ */
+async function api(path, token, options = {}) {
+  const response = await fetch(`http://localhost:${PORT}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Sign in and return the session token
+ */
+async function login(username, password) {
+  const { status, body } = await api("/api/auth/login", null, {
+    method: "POST",
+    body: JSON.stringify({ username, password }),
+  });
+  assert(status === 200, `Login as ${username} failed: ${body.error}`);
+  return body.token;
+}
+
+/**
+ * Open a WebSocket and record every JSON message it receives
+ */
+function connect(query) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}?${query}`);
+    ws.messages = [];
+    ws.on("message", (data) => ws.messages.push(JSON.parse(data.toString())));
+    ws.on("open", () => resolve(ws));
+    ws.on("error", reject);
+  });
+}
+
+/**
+ * Wait until a recorded message matches the predicate
+ */
+function waitForMessage(ws, predicate, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      const found = ws.messages.find(predicate);
+      if (found) return resolve(found);
+      if (Date.now() - startedAt > timeoutMs) {
+        return reject(new Error("Timed out waiting for message"));
+      }
+      setTimeout(check, 25);
+    };
+    check();
+  });
+}
+
+/**
+ * Poll the session list until the call matches the predicate
+ */
+async function waitForSession(token, sessionId, predicate, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const { body } = await api("/api/sessions", token);
+    const session = body.find((s) => s.id === sessionId);
+    if (session && predicate(session)) return session;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("Timed out waiting for session state");
+}
+
+/**
+ * Send enough silent audio chunks for the mock to "hear" one utterance
+ */
+function speak(customer) {
+  const chunk = Buffer.alloc(640).toString("base64");
+  for (let i = 0; i < 25; i++) {
+    customer.send(JSON.stringify({ type: "audio", data: chunk }));
+  }
+}
+
+/**
+ * Test the full customer -> AI -> supervisor flow
+ */
+async function testFullFlow() {
+  log(colors.blue, "\n=== Testing Full Call Flow (mock provider) ===");
+
+  let server;
+  try {
+    server = await startServer();
+    log(colors.green, `  ✓ Server started on port ${PORT} with mock provider`);
+
+    // Dashboards and the REST API need a signed-in user
+    const adminToken = await login("admin", ADMIN_PASSWORD);
+    const anonymous = await api("/api/sessions");
+    assert(anonymous.status === 401, `Unauthenticated request got ${anonymous.status}`);
+    const rejected = await connect("role=supervisor").catch((error) => error);
+    assert(rejected instanceof Error, "Supervisor socket accepted without a token");
+
+    await api("/api/users", adminToken, {
+      method: "POST",
+      body: JSON.stringify({ id: "agent-1", role: "agent", password: "agent-password" }),
+    });
+    await api("/api/users", adminToken, {
+      method: "POST",
+      body: JSON.stringify({ id: "analyst-1", role: "analyst", password: "analyst-password" }),
+    });
+    const agentToken = await login("agent-1", "agent-password");
+    const analystToken = await login("analyst-1", "analyst-password");
+    const forbidden = await connect(`role=supervisor&token=${analystToken}`).catch((error) => error);
+    assert(forbidden instanceof Error, "Analyst allowed on the live dashboard");
+    const analystSessions = await api("/api/sessions", analystToken);
+    const analystSummaries = await api("/api/summaries", analystToken);
+    assert(
+      analystSessions.status === 403 && analystSummaries.status === 200,
+      "Analyst role not enforced on REST routes",
+    );
+    log(colors.green, "  ✓ Dashboards and API routes refuse missing tokens and roles without access");
+
+    const noCall = await api("/api/analyze", adminToken, { method: "POST", body: "{}" });
+    assert(noCall.status === 400, `Analysis without a sessionId got ${noCall.status}`);
+
+    const supervisor = await connect(`role=supervisor&token=${adminToken}`);
+    const bystander = await connect(`role=supervisor&token=${agentToken}`);
+    // Customers join with a signed token that picks their call
+    const unsigned = await connect("role=customer&session=guessed-id").catch((error) => error);
+    assert(unsigned instanceof Error, "Customer socket accepted without a join token");
+    const join = await api("/api/customer/token", null, {
+      method: "POST",
+      body: JSON.stringify({ personaId: "kora" }),
+    });
+    assert(join.status === 201 && join.body.personaId === "kora", "Join token not issued");
+    const { body: lateJoin } = await api("/api/customer/token", null, { method: "POST", body: "{}" });
+    let customer = await connect(`role=customer&token=${join.body.token}`);
+    const init = await waitForMessage(customer, (m) => m.type === "session_init");
+    const { sessionId } = init;
+    assert(sessionId === join.body.sessionId, "Call not bound to the join token's session");
+    log(colors.green, `  ✓ Customer session ${sessionId.substring(0, 8)} created from a join token`);
+
+    // MAX_CONCURRENT_SESSIONS=1: no new calls while this one runs
+    const busy = await api("/api/customer/token", null, { method: "POST", body: "{}" });
+    assert(busy.status === 503 && busy.body.code === "all_agents_busy", `Over-capacity join got ${busy.status}`);
+    const turnedAway = await connect(`role=customer&token=${lateJoin.token}`);
+    await waitForMessage(turnedAway, (m) => m.type === "all_agents_busy");
+    log(colors.green, "  ✓ Customers over the concurrent call cap are told all agents are busy");
+
+    // Transcript and analytics only stream to dashboards subscribed to the call
+    supervisor.send(JSON.stringify({ type: "subscribe", sessionId }));
+    await waitForMessage(supervisor, (m) => m.type === "subscribed");
+
+    // Agents handle calls but can't end them
+    bystander.send(JSON.stringify({ type: "end_call", sessionId }));
+    await waitForMessage(
+      bystander,
+      (m) => m.type === "error" && m.message.includes("not allowed"),
+    );
+    log(colors.green, "  ✓ Supervisor commands are checked against the user's role");
+
+    // Utterance 1: order question -> lookup_order tool -> reply with status
+    speak(customer);
+    await waitForMessage(
+      supervisor,
+      (m) => m.type === "customer_message" && m.content.includes("A1004"),
+    );
+    log(colors.green, "  ✓ Scripted transcription reached supervisors");
+
+    await waitForMessage(
+      supervisor,
+      (m) => m.type === "tool_result" && m.sessionId === sessionId,
+    );
+    const reply = await waitForMessage(
+      supervisor,
+      (m) => m.type === "ai_response" && m.data.content.includes("delayed"),
+    );
+    log(colors.green, `  ✓ Tool result used in AI reply: "${reply.data.content}"`);
+
+    await waitForMessage(customer, (m) => m.type === "audio");
+    await waitForMessage(customer, (m) => m.type === "ai_response");
+    log(colors.green, "  ✓ Customer received synthetic audio and reply text");
+
+    // Dropped connection (no close frame): the call waits for the customer
+    customer.terminate();
+    await waitForSession(adminToken, sessionId, (s) => !s.customerConnected);
+    customer = await connect(`role=customer&token=${join.body.token}`);
+    const resumed = await waitForMessage(customer, (m) => ["session_init", "session_ended"].includes(m.type));
+    assert(resumed.type === "session_init" && resumed.sessionId === sessionId, `Reconnect got ${resumed.type}`);
+
+    // The old socket closing late must not hang up the call it was replaced in
+    const replaced = customer;
+    customer = await connect(`role=customer&token=${join.body.token}`);
+    await waitForMessage(customer, (m) => m.type === "session_init");
+    replaced.close();
+    await new Promise((resolve) => replaced.once("close", resolve));
+    const [call] = (await api("/api/sessions", adminToken)).body.filter((s) => s.id === sessionId);
+    assert(call.status === "active" && call.customerConnected, `Call ${call.status} after the old socket closed`);
+    log(colors.green, "  ✓ Dropped customers resume the call with the same join token");
+
+    // Utterance 2: frustration -> sentiment update for supervisors
+    speak(customer);
+    const frustration = await waitForMessage(
+      supervisor,
+      (m) => m.type === "frustration_update" && m.frustrationLevel > 0,
+    );
+    log(
+      colors.green,
+      `  ✓ Frustration update broadcast (${frustration.frustrationLevel}%)`,
+    );
+
+    // Hang up -> summary generated and broadcast
+    customer.close();
+    const ended = await waitForMessage(
+      supervisor,
+      (m) => m.type === "call_ended" && m.sessionId === sessionId,
+    );
+    assert(ended.summary?.intent, "Call summary missing intent");
+    log(colors.green, `  ✓ Call summary saved (intent: ${ended.summary.intent})`);
+
+    // A dashboard that never subscribed only gets the session list
+    await waitForMessage(bystander, (m) => m.type === "call_ended");
+    const streamed = bystander.messages.filter((m) =>
+      ["customer_message", "ai_response", "frustration_update", "analytics_update"].includes(m.type),
+    );
+    assert(streamed.length === 0, `Unsubscribed dashboard got ${streamed[0]?.type}`);
+    assert(
+      bystander.messages.some((m) => m.type === "session_update" && m.sessionId === sessionId),
+      "Unsubscribed dashboard missing session list updates",
+    );
+    log(colors.green, "  ✓ Unsubscribed dashboards only get session list updates");
+
+    // Token usage attributed to the call and rolled up per day
+    const { body: detail } = await api(`/api/summary/${sessionId}`, adminToken);
+    const liveUsage = detail.usage?.find((u) => u.feature === "live_audio");
+    assert(liveUsage?.requests > 0, "No live_audio usage recorded for the call");
+    const { body: usage } = await api("/api/usage", adminToken);
+    assert(
+      usage.days[0]?.features.live_audio?.sessions === 1,
+      "Daily usage rollup missing live_audio",
+    );
+    log(
+      colors.green,
+      `  ✓ Token usage recorded (${liveUsage.requests} live_audio requests)`,
+    );
+
+    // Supervisor commands and REST changes leave an audit trail
+    await api(`/api/summary/${sessionId}`, adminToken, {
+      method: "PUT",
+      body: JSON.stringify({ fullText: "Corrected by the supervisor" }),
+    });
+    const { body: audit } = await api(`/api/audit?sessionId=${sessionId}`, adminToken);
+    const actions = audit.events.map((e) => `${e.actor_id}:${e.action}:${e.outcome}`);
+    assert(
+      ["admin:subscribe:ok", "agent-1:end_call:denied", "admin:summary_edit:ok"].every((a) =>
+        actions.includes(a),
+      ),
+      `Audit trail incomplete: ${actions.join(", ")}`,
+    );
+    assert(audit.events.every((e) => /^[0-9a-f]{64}$/.test(e.payload_hash)), "Payload hash missing");
+    const { body: userAudit } = await api("/api/audit?action=user_create", adminToken);
+    assert(
+      userAudit.events.map((e) => e.target).sort().join(",") === "agent-1,analyst-1",
+      "User creation not audited",
+    );
+    const analystAudit = await api("/api/audit", analystToken);
+    assert(analystAudit.status === 403, "Analyst allowed to read the audit log");
+    log(colors.green, `  ✓ Audit log recorded ${audit.events.length} actions on the call`);
+
+    // A role change applies to dashboards already open: they are closed, and
+    // can't reconnect once the role can't view calls
+    const demoted = new Promise((resolve) => bystander.once("close", resolve));
+    await api("/api/users/agent-1", adminToken, {
+      method: "PUT",
+      body: JSON.stringify({ role: "analyst" }),
+    });
+    assert((await demoted) === 1008, "Demoted user's dashboard left open");
+    const demotedAgain = await connect(`role=supervisor&token=${agentToken}`).catch((error) => error);
+    assert(demotedAgain instanceof Error, "Demoted user reconnected to the dashboard");
+    log(colors.green, "  ✓ Demoting a user closes their open dashboards");
+    supervisor.close();
+
+    // A join token outlives its call, but can't start a new call under the
+    // finished call's ID: not after a restart (finished calls aren't restored)...
+    await stopServer(server);
+    server = await startServer();
+    const afterRestart = await connect(`role=customer&token=${join.body.token}`);
+    await waitForMessage(afterRestart, (m) => m.type === "session_ended");
+
+    // ...nor once the finished call was evicted from memory
+    await stopServer(server);
+    server = await startServer({ SESSION_RETENTION_MINUTES: "0.01" });
+    const watcher = await connect(`role=supervisor&token=${await login("admin", ADMIN_PASSWORD)}`);
+    const { body: shortJoin } = await api("/api/customer/token", null, { method: "POST", body: "{}" });
+    customer = await connect(`role=customer&token=${shortJoin.token}`);
+    await waitForMessage(customer, (m) => m.type === "session_init");
+    speak(customer);
+    await waitForMessage(customer, (m) => m.type === "ai_response");
+    customer.close();
+    await waitForMessage(watcher, (m) => m.type === "call_ended" && m.sessionId === shortJoin.sessionId);
+    await waitForMessage(watcher, (m) => m.type === "session_evicted" && m.sessionId === shortJoin.sessionId);
+    const afterEviction = await connect(`role=customer&token=${shortJoin.token}`);
+    await waitForMessage(afterEviction, (m) => m.type === "session_ended");
+    log(colors.green, "  ✓ Join tokens of finished calls are refused after a restart or eviction");
+
+    // A call whose summary can't be saved stays ended, isn't evicted, and is
+    // finalized again after a restart instead of losing its transcript
+    const database = await open({ filename: DATABASE_PATH, driver: sqlite3.Database });
+    await database.exec(`CREATE TRIGGER fail_summaries BEFORE INSERT ON call_summaries
+      BEGIN SELECT RAISE(ABORT, 'disk full'); END`);
+    const { body: failJoin } = await api("/api/customer/token", null, { method: "POST", body: "{}" });
+    customer = await connect(`role=customer&token=${failJoin.token}`);
+    await waitForMessage(customer, (m) => m.type === "session_init");
+    speak(customer);
+    await waitForMessage(customer, (m) => m.type === "ai_response");
+    customer.close();
+    const watcherToken = await login("admin", ADMIN_PASSWORD);
+    await waitForSession(watcherToken, failJoin.sessionId, (s) => s.status === "ended");
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    const unsaved = await waitForSession(watcherToken, failJoin.sessionId, () => true);
+    assert(unsaved.status === "ended", `Call with an unsaved summary went ${unsaved.status}`);
+
+    await database.exec("DROP TRIGGER fail_summaries");
+    await database.close();
+    await stopServer(server);
+    server = await startServer();
+    await waitForSession(watcherToken, failJoin.sessionId, (s) => s.status === "completed");
+    const { status: savedStatus } = await api(`/api/summary/${failJoin.sessionId}`, watcherToken);
+    assert(savedStatus === 200, "Summary not saved after the restart");
+    log(colors.green, "  ✓ Calls whose summary failed to save are finalized again after a restart");
+
+    watcher.close();
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Full flow test error:", error.message);
+    return false;
+  } finally {
+    server?.kill();
+    rmSync(DATABASE_PATH, { force: true });
+  }
+}
+
+/**
+ * Run all flow tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Mock Flow Test Suite - Starting... ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    fullFlow: await testFullFlow(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
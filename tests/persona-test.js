@@ -0,0 +1,398 @@
+/**
+ * Persona Test Suite
+ * Checks persona create/update/delete and validation, fallback to the default
+ * persona, keeping the built-in persona on the active kora prompt, and the
+ * /api/personas routes (no API key needed; uses temporary databases and the mock provider)
+ */
+
+import { spawn } from "child_process";
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { PersonaManager, PersonaValidationError } from "../apps/api/persona-manager.js";
+import { DEFAULT_PERSONA } from "../apps/api/gemini-live.js";
+import promptRegistry from "../apps/api/prompt-registry.js";
+import databaseManager from "../apps/api/database-manager.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const API_DIR = join(__dirname, "..", "apps", "api");
+const PORT = 4000 + Math.floor(Math.random() * 90);
+const DATABASE_PATH = join(tmpdir(), `copilot-personas-${process.pid}.db`);
+const SERVER_DATABASE_PATH = join(tmpdir(), `copilot-personas-server-${process.pid}.db`);
+const ADMIN_PASSWORD = "persona-admin";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * @returns {string|null} The validation error message, null if it didn't throw
+ */
+async function validationError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    if (!(error instanceof PersonaValidationError)) throw error;
+    return error.message;
+  }
+}
+
+const agentPersona = (overrides = {}) => ({
+  id: "maya",
+  name: "Maya",
+  voice: "Aoede",
+  instructions: "You are Maya, a billing support agent.",
+  ...overrides,
+});
+
+/**
+ * Test 1: Create, update and delete
+ */
+async function testCrud() {
+  log(colors.yellow, "\n🧪 Test 1: Create, update and delete");
+
+  try {
+    const personas = new PersonaManager(databaseManager);
+    await personas.load();
+    assert(personas.get("kora")?.name === "Kora", "Built-in persona not seeded");
+
+    const created = await personas.create(agentPersona({ greeting: "Hi, Maya here." }));
+    assert(created.voice === "Aoede" && created.greeting === "Hi, Maya here.", "Fields not saved");
+    assert(created.model === DEFAULT_PERSONA.model && created.language === "en-US", "Defaults not applied");
+    assert(Array.isArray(created.allowed_languages) && created.allowed_languages.length === 0, "allowed_languages not defaulted");
+    assert(personas.list().map((p) => p.id).sort().join(",") === "kora,maya", "Persona not listed");
+    log(colors.green, "  ✓ Created personas get the default voice, model and language");
+
+    const updated = await personas.update("maya", { voice: "Leda", allowed_languages: ["en", "hi"], id: "other" });
+    assert(updated.id === "maya" && updated.voice === "Leda", "Update not applied");
+    assert(updated.allowed_languages.join(",") === "en,hi", "allowed_languages not saved");
+    assert(updated.instructions === created.instructions, "Unchanged fields lost");
+    assert((await personas.update("nobody", { name: "Nobody" })) === null, "Unknown persona updated");
+
+    // Everything survives a restart
+    const reloaded = new PersonaManager(databaseManager);
+    await reloaded.load();
+    assert(reloaded.get("maya")?.voice === "Leda", "Update lost on reload");
+    assert(reloaded.get("maya").allowed_languages.join(",") === "en,hi", "allowed_languages lost on reload");
+    log(colors.green, "  ✓ Updates keep the ID and other fields, and are stored");
+
+    assert(await personas.delete("maya"), "Delete failed");
+    assert(!personas.get("maya") && !(await databaseManager.getPersona("maya")), "Deleted persona kept");
+    assert(!(await personas.delete("maya")), "Deleting twice reported success");
+    assert(await validationError(personas.delete("kora")), "Default persona deleted");
+    log(colors.green, "  ✓ Personas are deleted, except the default");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ CRUD test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Invalid personas are refused
+ */
+async function testValidation() {
+  log(colors.yellow, "\n🧪 Test 2: Validation");
+
+  try {
+    const personas = new PersonaManager(databaseManager);
+    await personas.load();
+
+    const invalid = {
+      "id": agentPersona({ id: "Maya Smith" }),
+      "missing name": agentPersona({ name: " " }),
+      "voice": agentPersona({ voice: "Alloy" }),
+      "empty model": agentPersona({ model: "" }),
+      "language": agentPersona({ language: "english" }),
+      "allowed_languages type": agentPersona({ allowed_languages: "en" }),
+      "allowed_languages code": agentPersona({ allowed_languages: ["en-US"] }),
+      "unsupported language": agentPersona({ language: "fr-FR" }),
+      "unsupported allowed_languages": agentPersona({ allowed_languages: ["en", "xx"] }),
+      "undetermined allowed_languages": agentPersona({ allowed_languages: ["und"] }),
+      "missing instructions": agentPersona({ instructions: undefined }),
+      "greeting": agentPersona({ greeting: 42 }),
+    };
+    for (const [field, data] of Object.entries(invalid)) {
+      assert(await validationError(personas.create(data)), `Invalid ${field} accepted`);
+    }
+    assert(
+      (await validationError(personas.create(agentPersona({ voice: "Alloy" })))).includes("Kore"),
+      "Voice error doesn't list the voices",
+    );
+    const languageError = await validationError(personas.create(agentPersona({ allowed_languages: ["fr"] })));
+    assert(languageError.includes("en, hi") && !languageError.includes("und"), "Language error doesn't list the supported codes");
+    assert((await personas.create(agentPersona({ id: "meera", language: "hi-IN", allowed_languages: ["hi", "en"] }))).language === "hi-IN", "Supported languages refused");
+    await personas.delete("meera");
+    assert(!personas.get("maya"), "Invalid persona cached");
+    log(colors.green, `  ✓ ${Object.keys(invalid).length} kinds of invalid persona refused`);
+
+    await personas.create(agentPersona());
+    assert(await validationError(personas.create(agentPersona())), "Duplicate ID accepted");
+    assert(await validationError(personas.update("maya", { name: "" })), "Invalid update accepted");
+    assert(personas.get("maya").name === "Maya", "Refused update applied");
+    await personas.delete("maya");
+    log(colors.green, "  ✓ Duplicate IDs and invalid updates refused; nothing changes");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Validation test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: Resolving the persona of a new call
+ */
+async function testResolve() {
+  log(colors.yellow, "\n🧪 Test 3: Resolve");
+
+  try {
+    const personas = new PersonaManager(databaseManager);
+    await personas.load();
+    await personas.create(agentPersona());
+
+    assert(personas.resolve("maya").id === "maya", "Known persona not resolved");
+    assert(personas.resolve("nobody").id === "kora", "Unknown persona didn't fall back");
+    assert(personas.resolve(undefined).id === "kora", "No persona didn't fall back");
+    log(colors.green, "  ✓ Unknown and missing personas fall back to the default");
+
+    const configured = new PersonaManager(databaseManager, { defaultPersonaId: "maya" });
+    await configured.load();
+    assert(configured.resolve("nobody").id === "maya", "Configured default not used");
+    assert(await validationError(configured.delete("maya")), "Configured default deleted");
+
+    const missing = new PersonaManager(databaseManager, { defaultPersonaId: "ghost" });
+    await missing.load();
+    assert(missing.defaultPersonaId === "kora" && missing.resolve().id === "kora", "Missing default not replaced by kora");
+    log(colors.green, "  ✓ DEFAULT_PERSONA is used when it exists, else the built-in persona");
+
+    await personas.delete("maya");
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Resolve test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 4: The built-in persona follows the active kora prompt
+ */
+async function testSyncDefaultInstructions() {
+  log(colors.yellow, "\n🧪 Test 4: Default persona instructions");
+
+  const directory = mkdtempSync(join(tmpdir(), "prompts-"));
+  const originalDirectory = promptRegistry.directory;
+  try {
+    const personas = new PersonaManager(databaseManager);
+    await personas.load();
+    const v1 = readFileSync(join(originalDirectory, "kora.v1.txt"), "utf-8");
+    assert(personas.get("kora").instructions === v1.replace(/\r?\n$/, ""), "Seeded with another prompt");
+
+    // A new kora version is released and the prompts reloaded
+    writeFileSync(join(directory, "kora.v1.txt"), v1);
+    writeFileSync(join(directory, "kora.v2.txt"), "You are Kora, version two.");
+    promptRegistry.directory = directory;
+    promptRegistry.reload();
+    await personas.syncDefaultInstructions();
+    assert(personas.get("kora").instructions === "You are Kora, version two.", "Not moved to kora@v2");
+    assert((await databaseManager.getPersona("kora")).instructions === "You are Kora, version two.", "Sync not stored");
+    log(colors.green, "  ✓ Instructions still matching a kora version move to the active one");
+
+    // Edited through the API: kept across prompt releases
+    await personas.update("kora", { instructions: "Custom Kora instructions." });
+    writeFileSync(join(directory, "kora.v3.txt"), "You are Kora, version three.");
+    promptRegistry.reload();
+    await personas.syncDefaultInstructions();
+    assert(personas.get("kora").instructions === "Custom Kora instructions.", "Edited instructions replaced");
+    log(colors.green, "  ✓ Edited instructions are kept");
+
+    await personas.update("kora", { instructions: DEFAULT_PERSONA.instructions });
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Default instructions test error:", error.message);
+    return false;
+  } finally {
+    promptRegistry.directory = originalDirectory;
+    promptRegistry.reload();
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Start the API server with the mock provider and wait until it listens
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["index.js"], {
+      cwd: API_DIR,
+      env: {
+        ...process.env,
+        LLM_PROVIDER: "mock",
+        PORT: String(PORT),
+        DATABASE_PATH: SERVER_DATABASE_PATH,
+        ADMIN_PASSWORD,
+        GEMINI_API_KEY: "",
+      },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    const timeout = setTimeout(
+      () => reject(new Error("Server did not start within 15s")),
+      15000,
+    );
+    child.stdout.on("data", (data) => {
+      if (data.toString().includes("Server running")) {
+        clearTimeout(timeout);
+        resolve(child);
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timeout);
+      reject(new Error(`Server exited early with code ${code}`));
+    });
+  });
+}
+
+/**
+ * REST request, signed in if a token is given
+ */
+async function api(path, token, options = {}) {
+  const response = await fetch(`http://localhost:${PORT}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function login(username, password) {
+  const { status, body } = await api("/api/auth/login", null, {
+    method: "POST",
+    body: JSON.stringify({ username, password }),
+  });
+  assert(status === 200, `Login as ${username} failed: ${body.error}`);
+  return body.token;
+}
+
+/**
+ * Test 5: /api/personas
+ */
+async function testRoutes() {
+  log(colors.yellow, "\n🧪 Test 5: /api/personas");
+
+  let server;
+  try {
+    server = await startServer();
+    const adminToken = await login("admin", ADMIN_PASSWORD);
+    await api("/api/users", adminToken, {
+      method: "POST",
+      body: JSON.stringify({ id: "agent-1", role: "agent", password: "agent-password" }),
+    });
+    const agentToken = await login("agent-1", "agent-password");
+
+    const { status: listStatus, body: list } = await api("/api/personas", agentToken);
+    assert(listStatus === 200 && list.defaultPersonaId === "kora", "Persona list not returned");
+    assert(list.personas.some((p) => p.id === "kora"), "Built-in persona not listed");
+    assert((await api("/api/personas", null)).status === 401, "Persona list readable signed out");
+    log(colors.green, "  ✓ Dashboard users list personas and the default");
+
+    const post = (token, data) =>
+      api("/api/personas", token, { method: "POST", body: JSON.stringify(data) });
+    assert((await post(agentToken, agentPersona())).status === 403, "Agent created a persona");
+    const created = await post(adminToken, agentPersona());
+    assert(created.status === 201 && created.body.id === "maya", "Admin couldn't create a persona");
+    const invalid = await post(adminToken, agentPersona({ id: "other", voice: "Alloy" }));
+    assert(invalid.status === 400 && invalid.body.error.startsWith("voice"), "Invalid persona not refused with 400");
+    assert((await post(adminToken, agentPersona())).status === 400, "Duplicate persona not refused");
+    assert((await api("/api/personas/maya", agentToken)).body.name === "Maya", "Persona not readable");
+    assert((await api("/api/personas/nobody", agentToken)).status === 404, "Unknown persona not 404");
+    log(colors.green, "  ✓ Admins create personas; invalid ones get 400, other roles 403");
+
+    const put = (id, data) =>
+      api(`/api/personas/${id}`, adminToken, { method: "PUT", body: JSON.stringify(data) });
+    const updated = await put("maya", { voice: "Leda" });
+    assert(updated.status === 200 && updated.body.voice === "Leda", "Update failed");
+    assert((await put("maya", { language: "english" })).status === 400, "Invalid update not refused");
+    assert((await put("nobody", { name: "Nobody" })).status === 404, "Unknown persona update not 404");
+
+    const remove = (id) => api(`/api/personas/${id}`, adminToken, { method: "DELETE" });
+    assert((await remove("kora")).status === 400, "Default persona deleted");
+    assert((await remove("maya")).body.success === true, "Delete failed");
+    assert((await remove("maya")).status === 404, "Deleted persona not 404");
+    log(colors.green, "  ✓ Updates and deletes: 404 for unknown personas, 400 for the default");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Route test error:", error.message);
+    return false;
+  } finally {
+    server?.kill();
+    rmSync(SERVER_DATABASE_PATH, { force: true });
+  }
+}
+
+/**
+ * Run all persona tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Persona Tests - Starting            ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  process.env.DATABASE_PATH = DATABASE_PATH;
+  await databaseManager.initialize();
+
+  const results = {
+    crud: await testCrud(),
+    validation: await testValidation(),
+    resolve: await testResolve(),
+    defaultInstructions: await testSyncDefaultInstructions(),
+    routes: await testRoutes(),
+  };
+
+  await databaseManager.db.close();
+  rmSync(DATABASE_PATH, { force: true });
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
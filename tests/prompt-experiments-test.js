@@ -0,0 +1,261 @@
+/**
+ * Prompt Experiments Test Suite
+ * Checks hash-based variant assignment, variant tagging of summaries/coaching
+ * and the per-variant outcome stats behind /api/experiments/report
+ * (no API key needed; uses a temporary database)
+ */
+
+import { rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { PromptExperiments } from "../apps/api/prompt-experiments.js";
+import { GeminiTextAPI } from "../apps/api/gemini-text.js";
+import databaseManager from "../apps/api/database-manager.js";
+
+const DATABASE_PATH = join(tmpdir(), `copilot-experiments-${process.pid}.db`);
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const VALID_SUMMARY = JSON.stringify({
+  sentiment: "positive",
+  intent: "support",
+  resolutionStatus: "resolved",
+  keyTopics: ["refund"],
+  actionItems: [],
+  frustrationTrend: "stable",
+  fullText: "Customer got a refund.",
+  insights: "",
+});
+
+/**
+ * Test 1: Sessions split evenly and always land in the same variant
+ */
+function testAssignment() {
+  log(colors.yellow, "\n🧪 Test 1: Variant assignment");
+
+  try {
+    const experiments = new PromptExperiments({
+      summary: { control: 1, concise: 2 },
+      coaching: { a: { coaching: 1, turn: 1 }, b: { coaching: 2, turn: 2 } },
+      sentiment: { a: 1, b: 2 },
+    });
+
+    assert(
+      experiments.list().map((e) => e.name).join(",") === "summary,coaching",
+      "Unsupported experiment not ignored",
+    );
+
+    const counts = { control: 0, concise: 0 };
+    for (let i = 0; i < 1000; i++) {
+      counts[experiments.assign("summary", `session-${i}`).variant]++;
+    }
+    assert(
+      counts.control > 400 && counts.concise > 400,
+      `Uneven split: ${JSON.stringify(counts)}`,
+    );
+    log(colors.green, `  ✓ Even split over 1000 sessions: ${JSON.stringify(counts)}`);
+
+    const first = experiments.assign("summary", "session-42").variant;
+    const again = new PromptExperiments({ summary: { concise: 2, control: 1 } });
+    assert(
+      again.assign("summary", "session-42").variant === first,
+      "Assignment depends on config order or instance",
+    );
+    log(colors.green, "  ✓ Same session, same variant");
+
+    const coaching = experiments.resolve("turn", "session-42");
+    const assigned = experiments.assign("coaching", "session-42");
+    assert(
+      coaching.variant === assigned.variant &&
+        coaching.version === assigned.prompts.turn,
+      "Turn prompt not covered by the coaching experiment",
+    );
+    assert(
+      experiments.resolve("analysis", "session-42").variant === null,
+      "Prompt outside experiments got a variant",
+    );
+    log(colors.green, "  ✓ Variants map to prompt versions");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Assignment test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Summaries and coaching carry the session's variant
+ */
+async function testVariantTagging() {
+  log(colors.yellow, "\n🧪 Test 2: Variant on results");
+
+  try {
+    const api = new GeminiTextAPI("test-key", {
+      retry: { retries: 0 },
+      experiments: new PromptExperiments({
+        summary: { a: 1, b: 1 },
+        coaching: { stale: 9, other: 9 },
+      }),
+    });
+    api.model = {
+      generateContent: async () => ({
+        response: { text: () => VALID_SUMMARY },
+      }),
+    };
+
+    const transcript = [{ role: "customer", content: "I want a refund" }];
+    const sessionId = "session-7";
+    const expected = api.experiments.assign("summary", sessionId).variant;
+
+    const summary = await api.generateSummary(transcript, { sessionId });
+    assert(summary.promptVariant === expected, `Got ${summary.promptVariant}`);
+    assert(summary.promptVersion === "summary@v1", `Got ${summary.promptVersion}`);
+    log(colors.green, `  ✓ Summary tagged with variant "${expected}"`);
+
+    const untracked = await api.generateSummary(transcript);
+    assert(untracked.promptVariant === null, "Summary without session got a variant");
+    log(colors.green, "  ✓ No variant without a session");
+
+    // Variants pointing at a missing version fall back to the active prompt
+    const rendered = api.renderPrompt(
+      "coaching",
+      { conversation: "", message: "hi" },
+      sessionId,
+    );
+    assert(rendered.version === "coaching@v1", `Got ${rendered.version}`);
+    assert(rendered.variant === null, "Fallback prompt reported as a variant");
+    log(colors.green, "  ✓ Missing variant version falls back to the active prompt");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Variant tagging test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: Resolution, edit and coaching usage rates per variant
+ */
+async function testExperimentStats() {
+  log(colors.yellow, "\n🧪 Test 3: Per-variant stats");
+
+  try {
+    process.env.DATABASE_PATH = DATABASE_PATH;
+    await databaseManager.initialize();
+
+    const save = (sessionId, variant, resolutionStatus, suggestionsUsed) =>
+      databaseManager.saveCallSummary(
+        sessionId,
+        { transcript: [], coachingSuggestionsUsed: suggestionsUsed },
+        {
+          resolutionStatus,
+          fullText: "Summary",
+          promptVersion: "summary@v1",
+          promptVariant: variant,
+        },
+      );
+    await save("s1", "a", "resolved", 2);
+    await save("s2", "a", "unresolved", 0);
+    await save("s3", "b", "resolved", 0);
+    await save("s4", null, "resolved", 0);
+    await databaseManager.cacheCoaching("s1", {
+      tone: "empathetic",
+      priority: "low",
+      coachingTip: "Listen",
+      suggestedResponses: [],
+      promptVersion: "coaching@v2",
+      promptVariant: "b",
+    });
+
+    const edited = await databaseManager.updateSummary("s2", {
+      fullText: "Corrected",
+    });
+    assert(edited.summary_edit_count === 1, "Edit not counted");
+    assert(edited.full_summary === "Corrected", "Edit not saved");
+    assert(
+      (await databaseManager.updateSummary("missing", { fullText: "x" })) === null,
+      "Missing summary not reported",
+    );
+    log(colors.green, "  ✓ Summary edits saved and counted");
+
+    const summaryStats = await databaseManager.getExperimentStats("summary");
+    const a = summaryStats.find((row) => row.variant === "a");
+    assert(summaryStats.length === 2, `Expected 2 variants, got ${summaryStats.length}`);
+    assert(a.calls === 2 && a.resolved_count === 1, "Wrong resolution counts");
+    assert(a.edited_count === 1, "Wrong edit count");
+    assert(a.coaching_used_count === 1 && a.suggestions_used === 2, "Wrong usage");
+    log(colors.green, "  ✓ Summary variants: resolution, edits and coaching usage");
+
+    const coachingStats = await databaseManager.getExperimentStats("coaching");
+    assert(
+      coachingStats.length === 1 &&
+        coachingStats[0].variant === "b" &&
+        coachingStats[0].prompt_versions === "coaching@v2",
+      "Wrong coaching variant stats",
+    );
+    log(colors.green, "  ✓ Coaching variants grouped from coaching_cache");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Stats test error:", error.message);
+    return false;
+  } finally {
+    await databaseManager.db?.close();
+    rmSync(DATABASE_PATH, { force: true });
+  }
+}
+
+/**
+ * Run all prompt experiment tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Prompt Experiment Tests - Starting  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    assignment: testAssignment(),
+    variantTagging: await testVariantTagging(),
+    experimentStats: await testExperimentStats(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,213 @@
+/**
+ * Prompt Registry Test Suite
+ * Checks template rendering, version selection and hot reload of prompt files,
+ * and that GeminiTextAPI results carry the prompt version (no API key needed)
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { PromptRegistry, renderTemplate } from "../apps/api/prompt-registry.js";
+import { GeminiTextAPI } from "../apps/api/gemini-text.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function createPromptDir(files) {
+  const directory = mkdtempSync(join(tmpdir(), "prompts-"));
+  Object.entries(files).forEach(([file, text]) =>
+    writeFileSync(join(directory, file), text),
+  );
+  return directory;
+}
+
+/**
+ * Test 1: Variables and conditional blocks
+ */
+function testRendering() {
+  log(colors.yellow, "\n🧪 Test 1: Template rendering");
+
+  try {
+    const text = renderTemplate("A {{x}}{{#if y}} and {{y}}{{/if}}.", { x: 1 });
+    assert(text === "A 1.", `Unexpected render: ${text}`);
+    assert(
+      renderTemplate("{{#if y}}[{{y}}]{{/if}}", { y: "b" }) === "[b]",
+      "Conditional block not kept",
+    );
+    log(colors.green, "  ✓ {{var}} and {{#if var}} blocks rendered");
+
+    // Values are inserted as-is, not rendered again
+    assert(
+      renderTemplate("{{x}}", { x: "{{y}}" }) === "{{y}}",
+      "Variable value was re-rendered",
+    );
+
+    let error = null;
+    try {
+      renderTemplate("Hello {{name}}", {});
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.name === "PromptTemplateError", "Missing variable not rejected");
+    log(colors.green, "  ✓ Missing variables throw PromptTemplateError");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Rendering test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Latest version is active unless pinned; reload picks up new files
+ */
+function testVersions() {
+  log(colors.yellow, "\n🧪 Test 2: Versions and reload");
+
+  const directory = createPromptDir({
+    "greet.v1.txt": "Hi {{name}}\n",
+    "greet.v2.txt": "Hello {{name}}\n",
+    "README.md": "not a prompt",
+  });
+
+  try {
+    const registry = new PromptRegistry({ directory, pinned: {} });
+    const rendered = registry.render("greet", { name: "Ann" });
+    assert(rendered.text === "Hello Ann", `Unexpected text: ${rendered.text}`);
+    assert(rendered.version === "greet@v2", `Unexpected version: ${rendered.version}`);
+    assert(
+      registry.render("greet", { name: "Ann" }, { version: 1 }).text === "Hi Ann",
+      "Explicit version not rendered",
+    );
+    log(colors.green, "  ✓ Highest version active, final newline trimmed");
+
+    const pinned = new PromptRegistry({ directory, pinned: { greet: 1 } });
+    assert(pinned.render("greet", { name: "Ann" }).version === "greet@v1", "Pin ignored");
+    assert(pinned.list()[0].pinned === true, "list() does not report the pin");
+    log(colors.green, "  ✓ PROMPT_VERSIONS pin respected");
+
+    let reloaded = null;
+    registry.on("reload", (prompts) => (reloaded = prompts));
+    writeFileSync(join(directory, "greet.v3.txt"), "Hey {{name}}");
+    registry.reload();
+    assert(registry.render("greet", { name: "Ann" }).version === "greet@v3", "Reload missed v3");
+    assert(reloaded?.[0].versions.join(",") === "1,2,3", "No reload event");
+    log(colors.green, "  ✓ reload() picks up new versions and emits reload");
+
+    let error = null;
+    try {
+      registry.get("missing");
+    } catch (e) {
+      error = e;
+    }
+    assert(error?.name === "PromptTemplateError", "Unknown prompt not rejected");
+    log(colors.green, "  ✓ Unknown prompts rejected");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Versions test error:", error.message);
+    return false;
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test 3: Results carry the version of the prompt that produced them
+ */
+async function testResultVersions() {
+  log(colors.yellow, "\n🧪 Test 3: Prompt version on results");
+
+  try {
+    const api = new GeminiTextAPI("test-key", { retry: { retries: 0 } });
+    const prompts = [];
+    const responses = [
+      JSON.stringify({
+        sentiment: "neutral",
+        sentimentScore: 50,
+        intent: "inquiry",
+        keyIssues: [],
+        escalationRisk: "low",
+        summary: "Question",
+      }),
+      "not json",
+      "still not json",
+    ];
+    api.model = {
+      generateContent: async (request) => {
+        prompts.push(request.contents[0].parts[0].text);
+        return { response: { text: () => responses.shift() } };
+      },
+    };
+
+    const transcript = [{ role: "customer", content: "Where is my order?" }];
+    const analytics = await api.analyzeConversation(transcript);
+    assert(analytics.promptVersion === "analysis@v1", `Got ${analytics.promptVersion}`);
+    assert(prompts[0].includes("customer: Where is my order?"), "Transcript not in prompt");
+    assert(!prompts[0].includes("{{"), "Unrendered placeholder in prompt");
+    log(colors.green, "  ✓ Analytics tagged analysis@v1");
+
+    const summary = await api.generateSummary(transcript);
+    assert(summary.promptVersion === undefined, "Fallback summary has a prompt version");
+    log(colors.green, "  ✓ Fallback results have no prompt version");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Result version test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all prompt registry tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Prompt Registry Tests - Starting... ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    rendering: testRendering(),
+    versions: testVersions(),
+    resultVersions: await testResultVersions(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,143 @@
+/**
+ * Rate Limit Test Suite
+ * Checks the token buckets behind the REST, WebSocket and customer connection
+ * limits (no API key needed)
+ */
+
+import { RateLimiter } from "../apps/api/rate-limiter.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Clock the tests move by hand
+ */
+function fakeClock() {
+  const clock = { time: 0, now: () => clock.time };
+  return clock;
+}
+
+/**
+ * Test 1: Bursts and refill
+ */
+async function testBuckets() {
+  log(colors.yellow, "\n🧪 Test 1: Bursts and refill");
+
+  try {
+    const clock = fakeClock();
+    const limiter = new RateLimiter({ capacity: 3, refillPerSecond: 1, now: clock.now });
+
+    const burst = [1, 2, 3].map(() => limiter.take("ip:10.0.0.1").allowed);
+    assert(burst.every(Boolean), "Burst within capacity refused");
+    const refused = limiter.take("ip:10.0.0.1");
+    assert(!refused.allowed && refused.retryAfterMs === 1000, `Expected retry in 1000ms, got ${refused.retryAfterMs}`);
+    assert(limiter.take("ip:10.0.0.2").allowed, "Other keys share the bucket");
+    log(colors.green, "  ✓ Each key gets its own burst, then is refused with a retry time");
+
+    clock.time = 500;
+    assert(!limiter.take("ip:10.0.0.1").allowed, "Token back before it refilled");
+    clock.time = 1000;
+    assert(limiter.take("ip:10.0.0.1").allowed, "Refilled token refused");
+    assert(!limiter.take("ip:10.0.0.1").allowed, "Refill went past one token");
+
+    clock.time = 60000;
+    const afterIdle = [1, 2, 3, 4].map(() => limiter.take("ip:10.0.0.1").allowed);
+    assert(afterIdle.join() === "true,true,true,false", `Idle refill not capped: ${afterIdle}`);
+    log(colors.green, "  ✓ Tokens come back at the refill rate, never past the capacity");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Bucket test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Configuration helpers and cleanup
+ */
+async function testConfiguration() {
+  log(colors.yellow, "\n🧪 Test 2: Configuration and cleanup");
+
+  try {
+    const clock = fakeClock();
+    const perMinute = RateLimiter.perMinute(10, { now: clock.now });
+    for (let i = 0; i < 10; i++) perMinute.take("user:maya");
+    assert(perMinute.take("user:maya").retryAfterMs === 6000, "perMinute refill rate wrong");
+
+    const perSecond = RateLimiter.perSecond(50, { now: clock.now });
+    const sent = Array.from({ length: 120 }, () => perSecond.take("session:call-1").allowed);
+    assert(sent.filter(Boolean).length === 100, "perSecond burst should be two seconds' worth");
+    log(colors.green, "  ✓ Per-minute and per-second limits");
+
+    const disabled = RateLimiter.perMinute(0);
+    assert(
+      Array.from({ length: 1000 }, () => disabled.take("ip:10.0.0.1").allowed).every(Boolean),
+      "Limit of 0 should disable the limiter",
+    );
+    log(colors.green, "  ✓ A limit of 0 turns the limiter off");
+
+    clock.time = 61000;
+    perMinute.take("user:lee");
+    assert(!perMinute.buckets.has("user:maya"), "Refilled bucket kept after a sweep");
+    assert(perMinute.buckets.has("user:lee"), "Bucket in use swept");
+    log(colors.green, "  ✓ Idle buckets are dropped");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Configuration test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all rate limit tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Rate Limit Tests - Starting         ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    buckets: await testBuckets(),
+    configuration: await testConfiguration(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
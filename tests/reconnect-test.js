@@ -0,0 +1,231 @@
+/**
+ * Gemini Live Reconnection Test Suite
+ * Runs GeminiLiveSession against a local fake Live API server (no API key needed)
+ */
+
+import { WebSocketServer } from "ws";
+import { GeminiLiveSession } from "../apps/api/gemini-live.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+/**
+ * Start a fake Live API server that records every frame it receives
+ */
+function startFakeLiveServer() {
+  return new Promise((resolve) => {
+    const wss = new WebSocketServer({ port: 0 });
+    const server = { wss, connections: [], frames: [] };
+
+    wss.on("connection", (ws) => {
+      server.connections.push(ws);
+      ws.on("message", (data) => {
+        const frame = JSON.parse(data.toString());
+        server.frames.push({ connection: server.connections.length, frame });
+
+        // Acknowledge the handshake like the real API does
+        if (frame.setup) {
+          ws.send(JSON.stringify({ setupComplete: {} }));
+        }
+      });
+    });
+
+    wss.on("listening", () => {
+      server.url = `ws://localhost:${wss.address().port}`;
+      resolve(server);
+    });
+  });
+}
+
+function waitFor(emitter, event, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error(`Timed out waiting for "${event}"`)),
+      timeoutMs,
+    );
+    emitter.once(event, (payload) => {
+      clearTimeout(timeout);
+      resolve(payload);
+    });
+  });
+}
+
+/**
+ * Test: dropped socket reconnects, replays setup + transcript, flushes buffered audio
+ */
+async function testReconnectAndResume() {
+  log(colors.blue, "\n=== Testing Reconnect & Resume ===");
+
+  const server = await startFakeLiveServer();
+  const session = new GeminiLiveSession("test-key", {
+    reconnectBaseDelay: 50,
+  });
+  session.uri = server.url;
+  session.setResumeContextProvider(() => [
+    { role: "customer", content: "My order hasn't arrived." },
+    { role: "ai", content: "I'm sorry, let me check that for you." },
+  ]);
+
+  try {
+    await session.initialize();
+
+    // Drop the upstream socket from the server side
+    const reconnecting = waitFor(session, "reconnecting");
+    server.connections[0].terminate();
+    const { attempt } = await reconnecting;
+    log(colors.green, `  ✓ Emitted reconnecting (attempt ${attempt})`);
+
+    // Audio sent during the gap must be buffered, not dropped
+    await session.sendAudio("AAAA");
+    await session.sendAudio("BBBB");
+
+    const { bufferedChunks } = await waitFor(session, "reconnected");
+    log(colors.green, `  ✓ Emitted reconnected (${bufferedChunks} buffered chunks)`);
+
+    // Let the replayed frames reach the fake server
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const secondConnection = server.frames.filter((f) => f.connection === 2);
+    const hasSetup = secondConnection.some((f) => f.frame.setup);
+    const resume = secondConnection.find((f) => f.frame.client_content);
+    const audio = secondConnection.filter((f) => f.frame.realtime_input);
+
+    if (!hasSetup) throw new Error("Setup message was not replayed");
+    log(colors.green, "  ✓ Setup message replayed");
+
+    if (!resume || resume.frame.client_content.turns.length !== 3) {
+      throw new Error("Condensed transcript was not replayed");
+    }
+    if (resume.frame.client_content.turn_complete !== false) {
+      throw new Error("Resume context should not complete the turn");
+    }
+    log(colors.green, "  ✓ Condensed transcript replayed");
+
+    if (audio.length !== 2) {
+      throw new Error(`Expected 2 flushed audio chunks, got ${audio.length}`);
+    }
+    log(colors.green, "  ✓ Buffered audio flushed after resume");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Reconnect test error:", error.message);
+    return false;
+  } finally {
+    await session.close();
+    server.wss.close();
+  }
+}
+
+/**
+ * Test: intentional close() must not trigger a reconnect
+ */
+async function testCloseDoesNotReconnect() {
+  log(colors.blue, "\n=== Testing Intentional Close ===");
+
+  const server = await startFakeLiveServer();
+  const session = new GeminiLiveSession("test-key", {
+    reconnectBaseDelay: 50,
+  });
+  session.uri = server.url;
+
+  let reconnected = false;
+  session.on("reconnecting", () => (reconnected = true));
+
+  try {
+    await session.initialize();
+    await session.close();
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    if (reconnected) throw new Error("close() triggered a reconnect");
+    log(colors.green, "  ✓ No reconnect after close()");
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Close test error:", error.message);
+    return false;
+  } finally {
+    server.wss.close();
+  }
+}
+
+/**
+ * Test: gives up after maxReconnectAttempts and emits reconnect_failed
+ */
+async function testGivesUp() {
+  log(colors.blue, "\n=== Testing Reconnect Give-Up ===");
+
+  const server = await startFakeLiveServer();
+  const session = new GeminiLiveSession("test-key", {
+    reconnectBaseDelay: 20,
+    maxReconnectAttempts: 2,
+  });
+  session.uri = server.url;
+  session.on("error", () => {});
+
+  try {
+    await session.initialize();
+
+    // Stop the server so every reconnect attempt fails
+    const failed = waitFor(session, "reconnect_failed", 5000);
+    server.connections[0].terminate();
+    server.wss.close();
+    await failed;
+
+    log(colors.green, "  ✓ Emitted reconnect_failed after max attempts");
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Give-up test error:", error.message);
+    return false;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Run all reconnection tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Reconnect Test Suite - Starting... ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    reconnectAndResume: await testReconnectAndResume(),
+    closeNoReconnect: await testCloseDoesNotReconnect(),
+    givesUp: await testGivesUp(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
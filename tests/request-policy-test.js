@@ -0,0 +1,203 @@
+/**
+ * Request Policy Test Suite
+ * Checks timeouts, jittered retries and the circuit breaker of GeminiTextAPI
+ * against a stubbed model (no API key needed)
+ */
+
+import { GeminiTextAPI } from "../apps/api/gemini-text.js";
+import { isRetryableError, retryDelay } from "../apps/api/request-policy.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const VALID_SENTIMENT = JSON.stringify({
+  frustrationLevel: 20,
+  sentiment: "neutral",
+  shouldEscalate: false,
+});
+
+function httpError(status) {
+  const error = new Error(`[GoogleGenerativeAI Error]: [${status} Error] upstream`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Model stub: each call runs the next step (an Error to throw, "hang", or response text)
+ */
+function stubModel(api, steps) {
+  const calls = [];
+  api.model = {
+    generateContent: async (request, { signal } = {}) => {
+      calls.push(signal);
+      const step = steps.shift() ?? VALID_SENTIMENT;
+      if (step instanceof Error) throw step;
+      if (step === "hang") return new Promise(() => {});
+      return { response: { text: () => step } };
+    },
+  };
+  return calls;
+}
+
+function createApi(options = {}) {
+  return new GeminiTextAPI("test-key", {
+    retry: { retries: 2, baseDelayMs: 5, maxDelayMs: 20 },
+    ...options,
+  });
+}
+
+/**
+ * Test: 429/5xx are retried with jitter, other errors are not
+ */
+async function testRetries() {
+  log(colors.blue, "\n=== Testing Retries ===");
+
+  try {
+    assert(isRetryableError(httpError(429)) && isRetryableError(httpError(503)), "429/5xx not retryable");
+    assert(!isRetryableError(httpError(400)), "400 should not be retried");
+    const delays = Array.from({ length: 50 }, () => retryDelay(3, { baseDelayMs: 100, maxDelayMs: 500 }));
+    assert(delays.every((d) => d >= 0 && d <= 500), "Retry delay outside jitter window");
+    log(colors.green, "  ✓ 429/5xx classified as retryable, delays capped");
+
+    const api = createApi();
+    const calls = stubModel(api, [httpError(429), httpError(503), VALID_SENTIMENT]);
+    const result = await api.analyzeSentiment("Where is my order?");
+    assert(calls.length === 3, `Expected 3 attempts, got ${calls.length}`);
+    assert(result.frustrationLevel === 20, "Result after retries not returned");
+    log(colors.green, "  ✓ Succeeded on the third attempt");
+
+    const noRetryApi = createApi();
+    const noRetryCalls = stubModel(noRetryApi, [httpError(400)]);
+    await noRetryApi.analyzeSentiment("Where is my order?");
+    assert(noRetryCalls.length === 1, "400 was retried");
+    log(colors.green, "  ✓ 400 not retried");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Retry test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: a hanging request times out and the keyword fallback is used
+ */
+async function testTimeout() {
+  log(colors.blue, "\n=== Testing Timeouts ===");
+
+  const api = createApi({ timeouts: { sentiment: 50 }, retry: { retries: 0 } });
+  const calls = stubModel(api, ["hang"]);
+
+  try {
+    const startedAt = Date.now();
+    const result = await api.analyzeSentiment("This is terrible and ridiculous!");
+    const elapsed = Date.now() - startedAt;
+
+    assert(elapsed < 1000, `Timeout not applied (${elapsed}ms)`);
+    assert(calls[0].aborted, "Timed out request was not aborted");
+    assert(result.frustrationLevel > 0, "Keyword fallback not used after timeout");
+    log(colors.green, `  ✓ Timed out after ${elapsed}ms, keyword fallback frustration ${result.frustrationLevel}%`);
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Timeout test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: breaker opens after repeated failures, skips Gemini, then recovers
+ */
+async function testCircuitBreaker() {
+  log(colors.blue, "\n=== Testing Circuit Breaker ===");
+
+  const api = createApi({
+    retry: { retries: 0 },
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 100 },
+  });
+  const events = [];
+  api.on("degraded", (status) => events.push(status));
+
+  try {
+    const calls = stubModel(api, [httpError(503), httpError(503)]);
+    await api.analyzeSentiment("Hello?");
+    await api.analyzeSentiment("Hello??");
+    assert(api.getDegradedStatus().degraded, "Breaker did not open");
+    assert(events.length === 1 && events[0].state === "open", "No degraded event on open");
+    log(colors.green, "  ✓ Opened after 2 failures, degraded event emitted");
+
+    const fallback = await api.analyzeSentiment("This is ridiculous, I'm angry!");
+    assert(calls.length === 2, "Gemini called while breaker open");
+    assert(fallback.frustrationLevel > 0, "Keyword fallback not used while open");
+    const turn = await api.analyzeTurn([{ role: "customer", content: "cancel my plan" }], "cancel my plan");
+    assert(turn.analytics.intent === "cancellation" && turn.coaching, "Turn fallback incomplete");
+    log(colors.green, "  ✓ Open breaker skips Gemini and uses keyword fallbacks");
+
+    await sleep(120);
+    await api.analyzeSentiment("Thanks");
+    assert(!api.getDegradedStatus().degraded, "Breaker did not close after trial success");
+    assert(events.at(-1).degraded === false, "No recovery event");
+    log(colors.green, "  ✓ Half-open trial succeeded, breaker closed");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Circuit breaker test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all request policy tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Request Policy Tests - Starting... ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    retries: await testRetries(),
+    timeout: await testTimeout(),
+    circuitBreaker: await testCircuitBreaker(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
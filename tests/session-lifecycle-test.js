@@ -0,0 +1,189 @@
+/**
+ * Session Lifecycle Test Suite
+ * Checks the ConversationManager state machine: allowed status and mode
+ * changes, rejected ones, and one typed event per change (no API key needed)
+ */
+
+import {
+  ConversationManager,
+  InvalidTransitionError,
+} from "../apps/api/conversation-manager.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function expectInvalid(fn, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof InvalidTransitionError, `${message}: ${error.message}`);
+    return;
+  }
+  throw new Error(message);
+}
+
+/**
+ * Test 1: A call goes waiting -> active -> ended -> completed, one event each
+ */
+function testLifecycle() {
+  log(colors.yellow, "\n🧪 Test 1: Call lifecycle");
+
+  try {
+    const manager = new ConversationManager();
+    const transitions = [];
+    let endedEvents = 0;
+    manager.on("transition", (event) => transitions.push(`${event.from}>${event.to}`));
+    manager.on("status:ended", (event) => {
+      endedEvents++;
+      assert(event.session.endedBy === "customer", "Updates not applied before the event");
+    });
+
+    manager.createSession("call-1");
+    manager.transition("call-1", "active");
+    manager.transition("call-1", "ended", { endedBy: "customer" });
+    manager.transition("call-1", "completed");
+
+    assert(
+      transitions.join(",") === "waiting>active,active>ended,ended>completed",
+      `Got ${transitions.join(",")}`,
+    );
+    assert(endedEvents === 1, `status:ended emitted ${endedEvents} times`);
+    log(colors.green, "  ✓ One transition and one typed event per change");
+
+    assert(manager.transition("missing", "active") === null, "Missing session not reported");
+    log(colors.green, "  ✓ Unknown sessions return null");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Lifecycle test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Illegal status changes are rejected and leave the session untouched
+ */
+function testRejectedTransitions() {
+  log(colors.yellow, "\n🧪 Test 2: Rejected transitions");
+
+  try {
+    const manager = new ConversationManager();
+    let endedEvents = 0;
+    manager.on("status:ended", () => endedEvents++);
+
+    manager.createSession("call-2");
+    manager.transition("call-2", "active");
+
+    // Supervisor end_call, then the customer's socket closes
+    manager.transition("call-2", "ended", { endedBy: "supervisor" });
+    assert(!manager.canTransition("call-2", "ended"), "Second end allowed");
+    expectInvalid(() => manager.transition("call-2", "ended"), "Double end not rejected");
+    assert(endedEvents === 1, "Ending twice would finalize twice");
+    log(colors.green, "  ✓ A call ends (and is summarized) only once");
+
+    expectInvalid(() => manager.transition("call-2", "active"), "Ended call reactivated");
+    assert(manager.getSession("call-2").status === "ended", "Rejected change applied");
+
+    let error = null;
+    try {
+      manager.updateSession("call-2", { status: "completed" });
+    } catch (e) {
+      error = e;
+    }
+    assert(error && manager.getSession("call-2").status === "ended", "updateSession set status");
+    log(colors.green, "  ✓ Illegal moves and updateSession status changes rejected");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Rejected transitions test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: Takeover/handback only toggle the mode during a call
+ */
+function testModes() {
+  log(colors.yellow, "\n🧪 Test 3: AI/human mode");
+
+  try {
+    const manager = new ConversationManager();
+    const events = [];
+    manager.on("mode:human", (event) => events.push(event.session.takenOverBy));
+
+    manager.createSession("call-3");
+    manager.transition("call-3", "active");
+    manager.setMode("call-3", "human", { takenOverBy: "sup-1" });
+    assert(events.join(",") === "sup-1", "mode:human not emitted with the takeover");
+    expectInvalid(
+      () => manager.setMode("call-3", "human", { takenOverBy: "sup-2" }),
+      "Second takeover not rejected",
+    );
+    assert(manager.getSession("call-3").takenOverBy === "sup-1", "Rejected takeover applied");
+    log(colors.green, "  ✓ Takeover of a taken-over call rejected");
+
+    manager.setMode("call-3", "ai", { takenOverBy: null });
+    manager.transition("call-3", "ended");
+    expectInvalid(() => manager.setMode("call-3", "human"), "Takeover after the call ended");
+    log(colors.green, "  ✓ No mode changes once the call ended");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Mode test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all session lifecycle tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Session Lifecycle Tests - Starting  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    lifecycle: testLifecycle(),
+    rejectedTransitions: testRejectedTransitions(),
+    modes: testModes(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,209 @@
+/**
+ * Session Persistence Test Suite
+ * Checks that ConversationManager writes sessions through to SQLite and
+ * restores them after a restart (no API key needed; uses a temporary database)
+ */
+
+import { rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { ConversationManager } from "../apps/api/conversation-manager.js";
+import { MockLiveSession } from "../apps/api/providers/mock-live-session.js";
+import databaseManager from "../apps/api/database-manager.js";
+
+const DATABASE_PATH = join(tmpdir(), `copilot-sessions-${process.pid}.db`);
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Test 1: Changes are written through (debounced) without runtime objects
+ */
+async function testWriteThrough() {
+  log(colors.yellow, "\n🧪 Test 1: Write-through");
+
+  try {
+    const manager = new ConversationManager({
+      database: databaseManager,
+      persistDelayMs: 10,
+    });
+
+    const session = manager.createSession("live-1");
+    session.customerWs = { readyState: 1 };
+    manager.updateSession("live-1", { personaId: "kora" });
+    manager.transition("live-1", "active");
+    manager.setMode("live-1", "human", { takenOverBy: "sup-1" });
+    manager.addToTranscript("live-1", { role: "customer", content: "Hello" });
+    const entry = manager.addToTranscript("live-1", { role: "ai", content: "Hi" });
+    assert(entry === session.transcript.at(-1), "addToTranscript didn't return the stored entry");
+
+    await sleep(50);
+    let [record] = await databaseManager.getLiveSessions();
+    assert(record?.sessionId === "live-1", "Session not persisted");
+    assert(record.status === "active", `Got status ${record.status}`);
+    assert(record.transcript.length === 2, `Got ${record.transcript.length} transcript entries`);
+    assert(!("customerWs" in record.state), "Socket persisted with the state");
+    assert(!("transcript" in record.state), "Transcript duplicated in the state");
+    log(colors.green, "  ✓ State and transcript written, sockets left out");
+
+    // In-place changes are saved once flagged; flush() doesn't wait for the debounce
+    entry.interrupted = true;
+    manager.markChanged("live-1");
+    await manager.flush();
+    [record] = await databaseManager.getLiveSessions();
+    assert(record.transcript[1].interrupted === true, "markChanged() change not saved");
+    log(colors.green, "  ✓ markChanged() and flush() persist in-place edits");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Write-through test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: A new manager (after a restart) rehydrates unfinished calls
+ */
+async function testRestore() {
+  log(colors.yellow, "\n🧪 Test 2: Restore after restart");
+
+  try {
+    const before = new ConversationManager({
+      database: databaseManager,
+      persistDelayMs: 10,
+    });
+    before.createSession("done-1");
+    before.transition("done-1", "ended");
+    before.transition("done-1", "completed");
+    before.createSession("ended-1");
+    before.transition("ended-1", "ended");
+    await before.flush();
+
+    const after = new ConversationManager({ database: databaseManager });
+    const restored = await after.restore();
+    const ids = restored.map((s) => s.id).sort();
+    assert(ids.join(",") === "ended-1,live-1", `Restored ${ids.join(",")}`);
+
+    const session = after.getSession("live-1");
+    assert(session.status === "waiting", `Got status ${session.status}`);
+    assert(!session.customerConnected && !session.customerWs, "Customer still attached");
+    assert(session.mode === "ai" && session.takenOverBy === null, "Takeover survived restart");
+    assert(session.personaId === "kora", "Persona lost");
+    assert(session.transcript[0].content === "Hello", "Transcript lost");
+    assert(session.recoveredAt > 0, "recoveredAt not set");
+    assert(after.getSession("ended-1").status === "ended", "Ended call not kept for finalizing");
+    log(colors.green, "  ✓ Unfinished calls back, waiting for the customer in AI mode");
+
+    const remaining = (await databaseManager.getLiveSessions()).map((r) => r.sessionId);
+    assert(!remaining.includes("done-1"), "Completed call not dropped");
+    log(colors.green, "  ✓ Completed calls dropped");
+
+    after.deleteSession("ended-1");
+    await sleep(20);
+    const afterDelete = (await databaseManager.getLiveSessions()).map((r) => r.sessionId);
+    assert(!afterDelete.includes("ended-1"), "Deleted session still persisted");
+    log(colors.green, "  ✓ deleteSession() removes the row");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Restore test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: A resumed live session doesn't greet the customer again
+ */
+async function testResumedGreeting() {
+  log(colors.yellow, "\n🧪 Test 3: No second greeting");
+
+  const script = { rules: [], utterances: [] };
+  const persona = { id: "kora", greeting: "Hi, I'm Kora" };
+  const fresh = new MockLiveSession({ script, persona, responseDelay: 1 });
+  const resumed = new MockLiveSession({ script, persona, responseDelay: 1, resumed: true });
+
+  try {
+    const spoken = { fresh: 0, resumed: 0 };
+    fresh.on("response", () => spoken.fresh++);
+    resumed.on("response", () => spoken.resumed++);
+
+    await fresh.initialize();
+    await resumed.initialize();
+    await sleep(30);
+
+    assert(spoken.fresh > 0, "New session didn't greet");
+    assert(spoken.resumed === 0, "Resumed session greeted again");
+    log(colors.green, "  ✓ Greeting skipped for a resumed call");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Resumed greeting test error:", error.message);
+    return false;
+  } finally {
+    await fresh.close();
+    await resumed.close();
+  }
+}
+
+/**
+ * Run all session persistence tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Session Persistence Tests - Start   ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  process.env.DATABASE_PATH = DATABASE_PATH;
+  await databaseManager.initialize();
+
+  const results = {};
+  try {
+    results.writeThrough = await testWriteThrough();
+    results.restore = await testRestore();
+    results.resumedGreeting = await testResumedGreeting();
+  } finally {
+    await databaseManager.db?.close();
+    rmSync(DATABASE_PATH, { force: true });
+  }
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
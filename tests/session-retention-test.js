@@ -0,0 +1,144 @@
+/**
+ * Session Retention Test Suite
+ * Checks that ConversationManager evicts finished calls after the retention
+ * period, and only once their summary is saved (no API key needed)
+ */
+
+import { ConversationManager } from "../apps/api/conversation-manager.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Finished call with a transcript; summarySaved as finalizeSession sets it
+ */
+function finishCall(manager, sessionId, { completedAt, summarySaved }) {
+  manager.createSession(sessionId);
+  manager.addToTranscript(sessionId, { role: "customer", content: "Hello" });
+  manager.transition(sessionId, "active");
+  manager.transition(sessionId, "ended", { endedAt: completedAt });
+  if (summarySaved) manager.updateSession(sessionId, { summarySaved: true });
+  manager.transition(sessionId, "completed", { completedAt });
+}
+
+/**
+ * Test 1: Only finished, summarized calls past the retention period go
+ */
+function testEviction() {
+  log(colors.yellow, "\n🧪 Test 1: Eviction");
+
+  try {
+    const now = Date.now();
+    const manager = new ConversationManager({ retentionMs: 30 * MINUTE });
+    const evictedEvents = [];
+    manager.on("evicted", ({ sessionId }) => evictedEvents.push(sessionId));
+
+    finishCall(manager, "old", { completedAt: now - 31 * MINUTE, summarySaved: true });
+    finishCall(manager, "recent", { completedAt: now - 5 * MINUTE, summarySaved: true });
+    finishCall(manager, "unsaved", { completedAt: now - 31 * MINUTE, summarySaved: false });
+    manager.createSession("live");
+    manager.transition("live", "active");
+    manager.createSession("silent");
+    manager.transition("silent", "ended", { endedAt: now - 40 * MINUTE });
+
+    const evicted = manager.evictExpired(now);
+    assert(evicted.sort().join(",") === "old,silent", `Evicted ${evicted.join(",")}`);
+    assert(evictedEvents.sort().join(",") === "old,silent", "evicted events missing");
+    assert(!manager.getSession("old"), "Evicted session still in memory");
+    log(colors.green, "  ✓ Expired calls with a saved summary (or no transcript) evicted");
+
+    assert(manager.getSession("recent"), "Call inside the retention period evicted");
+    assert(manager.getSession("unsaved"), "Call without a saved summary evicted");
+    assert(manager.getSession("live"), "Live call evicted");
+    log(colors.green, "  ✓ Recent, unsummarized and live calls kept");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Eviction test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: retentionMs 0 keeps finished calls; the sweep timer is opt-in
+ */
+function testDisabled() {
+  log(colors.yellow, "\n🧪 Test 2: Retention disabled");
+
+  try {
+    const manager = new ConversationManager();
+    finishCall(manager, "old", { completedAt: Date.now() - 24 * 60 * MINUTE, summarySaved: true });
+
+    assert(manager.evictExpired().length === 0, "Evicted with retention disabled");
+    manager.startRetention();
+    assert(manager.sweepTimer === null, "Sweep started with retention disabled");
+    log(colors.green, "  ✓ Nothing evicted without a retention period");
+
+    const retaining = new ConversationManager({ retentionMs: MINUTE, sweepIntervalMs: 10 });
+    retaining.startRetention();
+    assert(retaining.sweepTimer !== null, "Sweep not started");
+    retaining.stopRetention();
+    assert(retaining.sweepTimer === null, "Sweep not stopped");
+    log(colors.green, "  ✓ startRetention()/stopRetention() manage the sweep");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Disabled retention test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all session retention tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Session Retention Tests - Starting  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    eviction: testEviction(),
+    disabled: testDisabled(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,222 @@
+/**
+ * Structured Output Test Suite
+ * Checks schema validation/coercion of Gemini text responses, the one-shot
+ * repair retry and the combined turn retry in GeminiTextAPI, using a stubbed model (no API key needed)
+ */
+
+import {
+  RESPONSE_SCHEMAS,
+  parseJsonResponse,
+  validateResponse,
+} from "../apps/api/structured-output.js";
+import { GeminiTextAPI } from "../apps/api/gemini-text.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Model stub that returns the given response texts in order
+ */
+function stubModel(api, responses) {
+  const requests = [];
+  api.model = {
+    generateContent: async (request) => {
+      requests.push(request);
+      const text = responses.shift();
+      return { response: { text: () => text } };
+    },
+  };
+  return requests;
+}
+
+/**
+ * Test: recoverable values are coerced, invalid ones replaced and reported
+ */
+async function testValidation() {
+  log(colors.blue, "\n=== Testing Validation and Coercion ===");
+
+  try {
+    const parsed = parseJsonResponse(
+      '```json\n{"frustrationLevel": "140%", "sentiment": " Frustrated ", "shouldEscalate": "true"}\n```',
+    );
+    const { value, errors } = validateResponse(parsed, RESPONSE_SCHEMAS.sentiment);
+
+    assert(errors.length === 0, `Unexpected errors: ${errors.join("; ")}`);
+    assert(value.sentiment === "frustrated", `Got sentiment ${value.sentiment}`);
+    assert(value.frustrationLevel === 100, "Score not clamped to 100");
+    assert(value.shouldEscalate === true, "Boolean string not coerced");
+    log(colors.green, "  ✓ Fenced JSON parsed, enum/score/boolean coerced");
+
+    const summary = validateResponse(
+      {
+        sentiment: "mad",
+        intent: "Inquiry",
+        resolutionStatus: "partially resolved",
+        keyTopics: ["billing", 42, { bad: true }],
+        actionItems: [],
+        frustrationTrend: "stable",
+      },
+      RESPONSE_SCHEMAS.summary,
+    );
+
+    assert(summary.value.sentiment === "neutral", "Invalid enum not defaulted");
+    assert(summary.value.intent === "inquiry", "Enum case not normalized");
+    assert(
+      summary.value.resolutionStatus === "partially_resolved",
+      "Enum spacing not normalized",
+    );
+    assert(
+      summary.value.keyTopics.length === 2,
+      "Non-string array item not dropped",
+    );
+    assert(
+      summary.errors.some((e) => e.includes('"mad"')) &&
+        summary.errors.some((e) => e.includes("fullText")),
+      `Expected enum and required errors, got: ${summary.errors.join("; ")}`,
+    );
+    log(colors.green, `  ✓ Invalid values reported: ${summary.errors.join("; ")}`);
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Validation test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: an invalid response gets one repair retry, then falls back
+ */
+async function testRepairRetry() {
+  log(colors.blue, "\n=== Testing Repair Retry ===");
+
+  const api = new GeminiTextAPI("test-key");
+  const valid = {
+    frustrationLevel: 20,
+    sentiment: "neutral",
+    shouldEscalate: false,
+  };
+
+  try {
+    const requests = stubModel(api, [
+      JSON.stringify({ ...valid, sentiment: "mad" }),
+      JSON.stringify(valid),
+    ]);
+    const repaired = await api.analyzeSentiment("Where is my parcel?");
+
+    assert(requests.length === 2, `Expected 2 requests, got ${requests.length}`);
+    assert(
+      requests[0].generationConfig.responseMimeType === "application/json" &&
+        requests[0].generationConfig.responseSchema.properties.sentiment.enum,
+      "Response schema not requested",
+    );
+    assert(
+      requests[0].generationConfig.responseSchema.properties.frustrationLevel
+        .maximum === undefined,
+      "Local-only schema keys sent to Gemini",
+    );
+    assert(
+      requests[1].contents[0].parts[0].text.includes('"mad"'),
+      "Repair prompt missing the validation error",
+    );
+    assert(repaired.sentiment === "neutral", "Repaired value not returned");
+    log(colors.green, "  ✓ Invalid enum repaired on retry");
+
+    stubModel(api, ["not json", JSON.stringify({ sentiment: "furious" })]);
+    const fallback = await api.analyzeSentiment("Where is my parcel?");
+    assert(
+      fallback.sentiment === "neutral" && fallback.frustrationLevel === 0,
+      "Fallback not used after failed repair",
+    );
+    log(colors.green, "  ✓ Falls back after a failed repair");
+
+    const metrics = api.getStructuredOutputMetrics().sentiment;
+    assert(
+      metrics.requests === 2 && metrics.repaired === 1 && metrics.fallback === 1,
+      `Unexpected metrics: ${JSON.stringify(metrics)}`,
+    );
+    log(colors.green, "  ✓ Metrics count repaired and fallback outcomes");
+
+    // A combined turn without coaching suggestions is asked for once more,
+    // still as one combined request
+    const turn = (suggestedResponses) =>
+      JSON.stringify({
+        sentiment: valid,
+        analytics: { sentiment: "neutral", sentimentScore: 50, intent: "inquiry", keyIssues: [], escalationRisk: "low" },
+        coaching: { coachingTip: "Confirm the order number", suggestedResponses, tone: "professional", priority: "low" },
+      });
+    const turnRequests = stubModel(api, [turn([]), turn(["Let me check that order for you."])]);
+    const analyzed = await api.analyzeTurn([], "Where is my parcel?");
+    assert(turnRequests.length === 2, `Expected 2 turn requests, got ${turnRequests.length}`);
+    assert(
+      turnRequests.every((r) => r.generationConfig.responseSchema.properties.analytics),
+      "Fell back to separate requests",
+    );
+    assert(analyzed.coaching.suggestedResponses.length === 1, "Retried turn not used");
+    log(colors.green, "  ✓ Combined turn without suggestions retried once as a combined request");
+
+    // Still invalid after the repair retry: keyword fallback, no further requests
+    const invalidRequests = stubModel(api, ["not json", "still not json", turn(["Unused"])]);
+    const fallbackTurn = await api.analyzeTurn([], "This is ridiculous, I'm angry!");
+    assert(invalidRequests.length === 2, `Expected 2 turn requests, got ${invalidRequests.length}`);
+    assert(fallbackTurn.sentiment.frustrationLevel > 0, "Keyword fallback not used");
+    log(colors.green, "  ✓ Invalid combined turn falls back after the one repair retry");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Repair retry test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all structured output tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Structured Output Tests - Starting ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    validation: await testValidation(),
+    repairRetry: await testRepairRetry(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,190 @@
+/**
+ * Supervisor Modes Test Suite
+ * Checks silent monitoring, whisper (private guidance to the AI) and barge-in
+ * (supervisor and AI on the call together) (no API key needed)
+ */
+
+import {
+  ConversationManager,
+  SessionOwnedError,
+} from "../apps/api/conversation-manager.js";
+import { MockLiveSession } from "../apps/api/providers/mock-live-session.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function activeCall(manager, sessionId) {
+  manager.createSession(sessionId);
+  manager.transition(sessionId, "active");
+}
+
+/**
+ * Test 1: Barge-in locks the call like a takeover, without pausing the AI
+ */
+function testBarge() {
+  log(colors.yellow, "\n🧪 Test 1: Barge-in");
+
+  try {
+    const manager = new ConversationManager();
+    activeCall(manager, "call-1");
+    manager.escalations.escalate("call-1", { frustrationLevel: 80 });
+
+    manager.takeOver("call-1", "sup-a", "barge");
+    const session = manager.getSession("call-1");
+    assert(session.mode === "barge", `Got mode ${session.mode}`);
+    assert(manager.getOwner("call-1") === "sup-a", "Barging supervisor doesn't own the call");
+    assert(manager.escalations.list().length === 0, "Barged call still queued");
+    log(colors.green, "  ✓ Barging supervisor owns the call; it leaves the escalation queue");
+
+    let denied = null;
+    try {
+      manager.takeOver("call-1", "sup-b");
+    } catch (error) {
+      denied = error;
+    }
+    assert(denied instanceof SessionOwnedError, "Second supervisor took over a barged call");
+    log(colors.green, "  ✓ Other supervisors are denied");
+
+    const takenOverAt = session.takenOverAt;
+    manager.takeOver("call-1", "sup-a", "human");
+    assert(session.mode === "human" && session.takenOverAt === takenOverAt, "Owner switch reset the takeover");
+    manager.takeOver("call-1", "sup-a", "barge");
+    manager.setMode("call-1", "ai", { takenOverBy: null });
+    assert(manager.getOwner("call-1") === null, "Handback from barge-in kept an owner");
+    log(colors.green, "  ✓ Owner switches between takeover and barge-in, then hands back");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Barge-in test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Monitoring supervisors are listed on the session until they leave
+ */
+function testMonitor() {
+  log(colors.yellow, "\n🧪 Test 2: Silent monitoring");
+
+  try {
+    const manager = new ConversationManager();
+    const ws = { readyState: 1, send() {} };
+    const otherTab = { readyState: 1, send() {} };
+    manager.addSupervisor(ws, { id: "sup-a" });
+    manager.addSupervisor(otherTab, { id: "sup-a" });
+    activeCall(manager, "call-2");
+
+    manager.addMonitor("call-2", ws);
+    manager.addMonitor("call-2", otherTab);
+    const session = manager.getSession("call-2");
+    assert(session.mode === "ai", "Monitoring changed the mode");
+    assert(
+      manager.serializeSession(session).monitoredBy.join(",") === "sup-a",
+      "Monitoring supervisor not listed once",
+    );
+    log(colors.green, "  ✓ Monitoring leaves the AI in charge and shows who listens");
+
+    manager.removeMonitor("call-2", otherTab);
+    manager.removeSupervisor(ws);
+    assert(session.monitors.size === 0, "Disconnected supervisor still monitoring");
+    log(colors.green, "  ✓ Stopping or disconnecting ends monitoring");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Monitor test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: A whisper reaches the AI without making it speak
+ */
+async function testWhisper() {
+  log(colors.yellow, "\n🧪 Test 3: Whisper");
+
+  const session = new MockLiveSession({
+    script: { rules: [], utterances: [] },
+    responseDelay: 1,
+    resumed: true,
+  });
+
+  try {
+    let responses = 0;
+    session.on("response", () => responses++);
+    await session.initialize();
+
+    await session.whisper("Offer the premium plan discount");
+    await sleep(20);
+    assert(responses === 0, "AI spoke in response to a whisper");
+    assert(session.guidance[0] === "Offer the premium plan discount", "Whisper not received");
+    log(colors.green, "  ✓ Guidance received, nothing said to the customer");
+
+    await session.pause();
+    await session.whisper("Ignored while taken over");
+    assert(session.guidance.length === 1, "Whisper accepted while paused");
+    log(colors.green, "  ✓ No whispers while a supervisor has taken over");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Whisper test error:", error.message);
+    return false;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Run all supervisor mode tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Supervisor Modes Tests - Starting   ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    barge: testBarge(),
+    monitor: testMonitor(),
+    whisper: await testWhisper(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,195 @@
+/**
+ * Supervisor Ownership Test Suite
+ * Checks that a taken-over call belongs to one supervisor, moves only by an
+ * agreed transfer, a warm transfer with a handoff brief or a recorded override,
+ * and is refused to everyone else (no API key needed)
+ */
+
+import {
+  ConversationManager,
+  SessionOwnedError,
+} from "../apps/api/conversation-manager.js";
+import { MockTextAPI } from "../apps/api/providers/mock-text-api.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function expectOwned(fn, ownerId, message) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error instanceof SessionOwnedError, `${message}: ${error.message}`);
+    assert(error.ownerId === ownerId, `Reported owner ${error.ownerId}`);
+    return;
+  }
+  throw new Error(message);
+}
+
+function activeCall(manager, sessionId) {
+  manager.createSession(sessionId);
+  manager.transition(sessionId, "active");
+}
+
+/**
+ * Test 1: The first takeover wins; the others are told who has the call
+ */
+function testTakeoverLock() {
+  log(colors.yellow, "\n🧪 Test 1: Takeover lock");
+
+  try {
+    const manager = new ConversationManager();
+    activeCall(manager, "call-1");
+    assert(manager.getOwner("call-1") === null, "AI call has an owner");
+
+    manager.takeOver("call-1", "sup-a");
+    expectOwned(() => manager.takeOver("call-1", "sup-b"), "sup-a", "Second takeover allowed");
+    const session = manager.getSession("call-1");
+    assert(session.takenOverBy === "sup-a" && session.supervisorId === "sup-a", "Owner overwritten");
+    log(colors.green, "  ✓ Second supervisor denied, first keeps the call");
+
+    assert(manager.takeOver("call-1", "sup-a") === session, "Owner's second dashboard refused");
+    log(colors.green, "  ✓ Owner can take the call over again from another dashboard");
+
+    expectOwned(() => manager.assertOwner("call-1", "sup-b"), "sup-a", "Non-owner may act");
+    manager.assertOwner("call-1", "sup-a");
+    manager.setMode("call-1", "ai", { takenOverBy: null });
+    manager.assertOwner("call-1", "sup-b");
+    log(colors.green, "  ✓ Only the owner may act while the call is taken over");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Takeover lock test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 2: Transfers and overrides move the call and are recorded
+ */
+function testTransfers() {
+  log(colors.yellow, "\n🧪 Test 2: Transfers and overrides");
+
+  try {
+    const manager = new ConversationManager();
+    const events = [];
+    manager.on("ownership", (event) => events.push(`${event.type}:${event.from}>${event.to}`));
+
+    activeCall(manager, "call-2");
+    assert(manager.transferOwnership("call-2", "sup-b") === null, "Transferred an AI call");
+
+    manager.takeOver("call-2", "sup-a");
+    manager.transferOwnership("call-2", "sup-b");
+    assert(manager.getOwner("call-2") === "sup-b", "Transfer didn't move the call");
+    manager.transferOwnership("call-2", "sup-c", { forced: true, reason: "Customer asked for sup-c" });
+    assert(manager.getOwner("call-2") === "sup-c", "Override didn't move the call");
+
+    assert(
+      events.join(",") === "transfer:sup-a>sup-b,override:sup-b>sup-c",
+      `Got ${events.join(",")}`,
+    );
+    const history = manager.getSession("call-2").ownershipHistory;
+    assert(history.length === 2, `History has ${history.length} entries`);
+    assert(history[1].reason === "Customer asked for sup-c", "Override reason not recorded");
+    log(colors.green, "  ✓ Each change emits \"ownership\" and is kept in ownershipHistory");
+
+    assert(manager.getSupervisorLoad("sup-a") === 0, "Previous owner still loaded");
+    assert(manager.getSupervisorLoad("sup-c") === 1, "New owner not loaded");
+    log(colors.green, "  ✓ Supervisor load follows the owner");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Transfers test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test 3: A warm transfer keeps the call as it is and records the handoff
+ */
+async function testWarmTransfer() {
+  log(colors.yellow, "\n🧪 Test 3: Warm transfer");
+
+  try {
+    const manager = new ConversationManager();
+    activeCall(manager, "call-3");
+    manager.takeOver("call-3", "sup-a", "barge");
+    const session = manager.getSession("call-3");
+    session.transcript = [
+      { role: "customer", content: "My order never arrived" },
+      { role: "supervisor", content: "Let me check that for you" },
+    ];
+
+    const note = "Refund approved, needs the shipping team";
+    const brief = await new MockTextAPI().generateHandoffBrief(session.transcript, { note });
+    assert(brief.includes("My order never arrived"), "Brief missing the customer's request");
+    assert(brief.includes(note), "Brief missing the handoff note");
+    log(colors.green, "  ✓ Brief covers the call so far and the note");
+
+    manager.transferOwnership("call-3", "sup-b", { handoff: { note, brief } });
+    assert(manager.getOwner("call-3") === "sup-b", "Warm transfer didn't move the call");
+    assert(session.mode === "barge" && session.status === "active", "Warm transfer changed the call");
+    const [change] = session.ownershipHistory;
+    assert(change.type === "transfer" && change.from === "sup-a", `Recorded ${change.type}`);
+    assert(change.handoff.note === note && change.handoff.brief === brief, "Handoff not recorded");
+    log(colors.green, "  ✓ Same mode, new owner, handoff kept in ownershipHistory");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Warm transfer test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all supervisor ownership tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Supervisor Ownership Tests - Start  ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    takeoverLock: testTakeoverLock(),
+    transfers: testTransfers(),
+    warmTransfer: await testWarmTransfer(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
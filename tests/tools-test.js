@@ -0,0 +1,245 @@
+/**
+ * Tool Calling Test Suite
+ * Tests the tool registry, the order lookup tool (SQLite fixture) and the
+ * Live API toolCall -> toolResponse round trip. Runs fully offline.
+ */
+
+import { mkdirSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { WebSocketServer } from "ws";
+import { ToolRegistry } from "../apps/api/tool-registry.js";
+import { createOrderLookupTool } from "../apps/api/tools/order-lookup.js";
+import { GeminiLiveSession } from "../apps/api/gemini-live.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Test Tool Registry declarations and argument validation
+ */
+async function testRegistry() {
+  log(colors.blue, "\n=== Testing Tool Registry ===");
+
+  try {
+    const registry = new ToolRegistry({ timeoutMs: 100 });
+    registry.register({
+      name: "echo",
+      description: "Echo a value",
+      parameters: {
+        type: "object",
+        properties: {
+          value: { type: "string" },
+          mode: { type: "string", enum: ["upper", "lower"] },
+        },
+        required: ["value"],
+      },
+      handler: async ({ value }) => ({ value }),
+    });
+    registry.register({
+      name: "slow",
+      description: "Never finishes in time",
+      handler: () => new Promise((resolve) => setTimeout(resolve, 500)),
+    });
+
+    const declarations = registry.getDeclarations();
+    assert(
+      declarations[0].function_declarations.length === 2,
+      "Expected 2 function declarations",
+    );
+    log(colors.green, "  ✓ Declarations in Live API format");
+
+    const ok = await registry.execute({ id: "1", name: "echo", args: { value: "hi" } });
+    assert(ok.response.value === "hi", "Handler result not returned");
+    log(colors.green, "  ✓ Valid call executed");
+
+    const missing = await registry.execute({ id: "2", name: "echo", args: {} });
+    assert(missing.response.error?.includes("value"), "Missing arg not rejected");
+    const badEnum = await registry.execute({
+      id: "3",
+      name: "echo",
+      args: { value: "hi", mode: "sideways" },
+    });
+    assert(badEnum.response.error, "Bad enum not rejected");
+    log(colors.green, "  ✓ Invalid arguments rejected");
+
+    const unknown = await registry.execute({ id: "4", name: "nope", args: {} });
+    assert(unknown.response.error, "Unknown tool not rejected");
+    log(colors.green, "  ✓ Unknown tool reported as error");
+
+    const slow = await registry.execute({ id: "5", name: "slow", args: {} });
+    assert(slow.response.error?.includes("timed out"), "Timeout not enforced");
+    log(colors.green, "  ✓ Handler timeout enforced");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Registry test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test order lookup against the SQLite fixture
+ */
+async function testOrderLookup() {
+  log(colors.blue, "\n=== Testing Order Lookup Tool ===");
+
+  try {
+    const tool = createOrderLookupTool();
+
+    const found = await tool.handler({ order_id: "a 1001" });
+    assert(found.found === true, "Fixture order A1001 not found");
+    assert(found.status === "shipped", `Unexpected status: ${found.status}`);
+    assert(Array.isArray(found.items), "Items should be parsed to an array");
+    log(colors.green, `  ✓ A1001 found (${found.status}, ${found.carrier})`);
+
+    const notFound = await tool.handler({ order_id: "Z9999" });
+    assert(notFound.found === false, "Unknown order should not be found");
+    log(colors.green, "  ✓ Unknown order returns found=false");
+
+    // A database that can't be opened yet is opened again on the next lookup
+    const ordersDir = join(tmpdir(), `copilot-orders-${process.pid}`);
+    const unopened = createOrderLookupTool({ dbPath: join(ordersDir, "orders.db") });
+    const firstError = await unopened.handler({ order_id: "A1001" }).catch((error) => error);
+    assert(firstError instanceof Error, "Missing database directory didn't fail");
+    mkdirSync(ordersDir, { recursive: true });
+    const secondError = await unopened.handler({ order_id: "A1001" }).catch((error) => error);
+    rmSync(ordersDir, { recursive: true, force: true });
+    assert(/no such table/.test(secondError?.message), `Open failure cached: ${secondError?.message}`);
+    log(colors.green, "  ✓ A failed database open is retried");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Order lookup test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test toolCall -> toolResponse round trip with a fake Live API server
+ */
+async function testLiveToolCall() {
+  log(colors.blue, "\n=== Testing Live toolCall Round Trip ===");
+
+  const wss = new WebSocketServer({ port: 0 });
+  await new Promise((resolve) => wss.on("listening", resolve));
+
+  const registry = new ToolRegistry();
+  registry.register(createOrderLookupTool());
+
+  const session = new GeminiLiveSession("test-key", { toolRegistry: registry });
+  session.uri = `ws://localhost:${wss.address().port}`;
+
+  try {
+    const toolResponse = new Promise((resolve, reject) => {
+      const timeout = setTimeout(
+        () => reject(new Error("No tool_response received")),
+        3000,
+      );
+      wss.on("connection", (ws) => {
+        ws.on("message", (data) => {
+          const frame = JSON.parse(data.toString());
+          if (frame.setup) {
+            assert(
+              frame.setup.tools?.[0]?.function_declarations?.[0]?.name ===
+                "lookup_order",
+              "Setup message does not advertise lookup_order",
+            );
+            ws.send(JSON.stringify({ setupComplete: {} }));
+            ws.send(
+              JSON.stringify({
+                toolCall: {
+                  functionCalls: [
+                    { id: "call-1", name: "lookup_order", args: { order_id: "A1004" } },
+                  ],
+                },
+              }),
+            );
+          }
+          if (frame.tool_response) {
+            clearTimeout(timeout);
+            resolve(frame.tool_response);
+          }
+        });
+      });
+    });
+
+    const events = [];
+    session.on("tool_call", (e) => events.push(["call", e]));
+    session.on("tool_result", (e) => events.push(["result", e]));
+
+    await session.initialize();
+    const response = await toolResponse;
+    log(colors.green, "  ✓ Setup advertised lookup_order");
+
+    const [result] = response.function_responses;
+    assert(result.id === "call-1", "Response id does not match call id");
+    assert(result.response.status === "delayed", "Wrong order returned");
+    log(colors.green, "  ✓ tool_response sent with order data");
+
+    assert(events.length === 2, "Expected tool_call and tool_result events");
+    log(colors.green, "  ✓ tool_call / tool_result events emitted");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Live tool call test error:", error.message);
+    return false;
+  } finally {
+    await session.close();
+    wss.close();
+  }
+}
+
+/**
+ * Run all tool tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Tools Test Suite - Starting...     ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    registry: await testRegistry(),
+    orderLookup: await testOrderLookup(),
+    liveToolCall: await testLiveToolCall(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -0,0 +1,182 @@
+/**
+ * Token Usage Test Suite
+ * Checks that text and live clients report usageMetadata per feature and that
+ * the tracker prices and stores it (no API key needed)
+ */
+
+import { GeminiTextAPI } from "../apps/api/gemini-text.js";
+import { GeminiLiveSession } from "../apps/api/gemini-live.js";
+import { UsageTracker, estimateCost } from "../apps/api/usage-tracker.js";
+
+// Colors for console output
+const colors = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  reset: "\x1b[0m",
+};
+
+function log(color, ...args) {
+  console.log(color, ...args, colors.reset);
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+/**
+ * Test: text requests emit usage attributed to session and feature
+ */
+async function testTextUsage() {
+  log(colors.blue, "\n=== Testing Text API Usage ===");
+
+  const api = new GeminiTextAPI("test-key");
+  const events = [];
+  api.on("usage", (usage) => events.push(usage));
+
+  try {
+    api.model = {
+      generateContent: async () => ({
+        response: {
+          text: () =>
+            JSON.stringify({ frustrationLevel: 10, sentiment: "neutral", shouldEscalate: false }),
+          usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30, totalTokenCount: 150 },
+        },
+      }),
+    };
+
+    await api.analyzeSentiment("Where is my order?", [], { sessionId: "s1" });
+    await api.translate("Hola", "en", { sessionId: "s1" });
+
+    assert(events.length === 2, `Expected 2 usage events, got ${events.length}`);
+    assert(
+      events[0].sessionId === "s1" &&
+        events[0].feature === "sentiment" &&
+        events[0].promptTokens === 120 &&
+        events[0].outputTokens === 30,
+      `Unexpected sentiment usage: ${JSON.stringify(events[0])}`,
+    );
+    assert(events[1].feature === "translation", "Translation usage not reported");
+    log(colors.green, "  ✓ Sentiment and translation usage reported for session s1");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Text usage test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: Live frames with usageMetadata emit live_audio usage
+ */
+async function testLiveUsage() {
+  log(colors.blue, "\n=== Testing Live Session Usage ===");
+
+  const session = new GeminiLiveSession("test-key");
+  const events = [];
+  session.on("usage", (usage) => events.push(usage));
+
+  try {
+    session.handleMessage(
+      JSON.stringify({
+        usageMetadata: { promptTokenCount: 900, responseTokenCount: 250, totalTokenCount: 1150 },
+      }),
+    );
+
+    assert(events.length === 1, "No usage event for usageMetadata frame");
+    assert(
+      events[0].feature === "live_audio" &&
+        events[0].model === session.model &&
+        events[0].outputTokens === 250,
+      `Unexpected live usage: ${JSON.stringify(events[0])}`,
+    );
+    log(colors.green, `  ✓ live_audio usage reported for ${session.model}`);
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Live usage test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Test: tracker prices usage and stores one row per request
+ */
+async function testTracker() {
+  log(colors.blue, "\n=== Testing Usage Tracker ===");
+
+  const saved = [];
+  const tracker = new UsageTracker(
+    { saveTokenUsage: async (entry) => saved.push(entry) },
+    { pricing: { "test-model": { input: 1, output: 4 } } },
+  );
+
+  try {
+    assert(
+      estimateCost("test-model", 1_000_000, 500_000, tracker.pricing) === 3,
+      "Cost not priced per 1M tokens",
+    );
+
+    const entry = await tracker.record({
+      sessionId: "s1",
+      feature: "summary",
+      model: "test-model",
+      promptTokens: 2000,
+      outputTokens: 500,
+    });
+    assert(saved.length === 1, "Usage not saved");
+    assert(entry.totalTokens === 2500, "Total tokens not derived");
+    assert(Math.abs(entry.costUsd - 0.004) < 1e-9, `Unexpected cost ${entry.costUsd}`);
+    log(colors.green, `  ✓ 2000 in / 500 out priced at $${entry.costUsd}`);
+
+    const unpriced = await tracker.record({ feature: "sentiment", model: "unknown", promptTokens: 10 });
+    assert(unpriced.costUsd === 0 && unpriced.sessionId === null, "Unpriced model not stored at $0");
+    log(colors.green, "  ✓ Unknown models recorded at $0");
+
+    return true;
+  } catch (error) {
+    log(colors.red, "✗ Tracker test error:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Run all usage tests
+ */
+async function runAllTests() {
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Token Usage Tests - Starting...    ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  const results = {
+    textUsage: await testTextUsage(),
+    liveUsage: await testLiveUsage(),
+    tracker: await testTracker(),
+  };
+
+  // Summary
+  log(colors.blue, "\n╔══════════════════════════════════════╗");
+  log(colors.blue, "║  Test Results Summary                ║");
+  log(colors.blue, "╚══════════════════════════════════════╝");
+
+  let passed = 0;
+  let failed = 0;
+
+  Object.entries(results).forEach(([test, result]) => {
+    if (result) {
+      log(colors.green, `✓ ${test.padEnd(20)} PASSED`);
+      passed++;
+    } else {
+      log(colors.red, `✗ ${test.padEnd(20)} FAILED`);
+      failed++;
+    }
+  });
+
+  log(colors.blue, `\nTotal: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+// Run tests
+runAllTests();
@@ -7,6 +7,20 @@ import WebSocket from "ws";
 import crypto from "crypto";
 
 const WS_URL = "ws://localhost:3000";
+// Supervisors need a session token from POST /api/auth/login
+const AUTH_TOKEN = process.env.AUTH_TOKEN || "";
+
+/**
+ * Join token for a new customer call (customers connect with it, not a session ID)
+ */
+async function joinCall() {
+  const response = await fetch(`${WS_URL.replace("ws:", "http:")}/api/customer/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: "{}",
+  });
+  return response.json();
+}
 
 // Colors for console output
 const colors = {
@@ -26,11 +40,12 @@ function log(color, ...args) {
  * Test Customer WebSocket Connection
  */
 async function testCustomerConnection() {
+  const { sessionId, token: joinToken } = await joinCall();
+
   return new Promise((resolve) => {
     log(colors.blue, "\n=== Testing Customer WebSocket Connection ===");
     
-    const sessionId = crypto.randomUUID();
-    const ws = new WebSocket(`${WS_URL}?role=customer&session=${sessionId}`);
+    const ws = new WebSocket(`${WS_URL}?role=customer&token=${joinToken}`);
     
     let connected = false;
     let receivedMessage = false;
@@ -107,7 +122,7 @@ async function testSupervisorConnection() {
     log(colors.blue, "\n=== Testing Supervisor WebSocket Connection ===");
     
     const sessionId = crypto.randomUUID();
-    const ws = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}`);
+    const ws = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}&token=${AUTH_TOKEN}`);
     
     let connected = false;
 
@@ -164,17 +179,18 @@ async function testSupervisorConnection() {
  * Test Customer-Supervisor Communication
  */
 async function testCustomerSupervisorFlow() {
+  const { sessionId, token: joinToken } = await joinCall();
+
   return new Promise((resolve) => {
     log(colors.blue, "\n=== Testing Customer-Supervisor Communication ===");
     
-    const sessionId = crypto.randomUUID();
     let customerWs, supervisorWs;
     let customerConnected = false;
     let supervisorConnected = false;
     let supervisorReceivedCustomerMessage = false;
 
     // Create customer connection
-    customerWs = new WebSocket(`${WS_URL}?role=customer&session=${sessionId}`);
+    customerWs = new WebSocket(`${WS_URL}?role=customer&token=${joinToken}`);
     
     customerWs.on("open", () => {
       customerConnected = true;
@@ -182,7 +198,7 @@ async function testCustomerSupervisorFlow() {
       
       // Connect supervisor after customer
       setTimeout(() => {
-        supervisorWs = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}`);
+        supervisorWs = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}&token=${AUTH_TOKEN}`);
         
         supervisorWs.on("open", () => {
           supervisorConnected = true;
@@ -240,24 +256,25 @@ async function testCustomerSupervisorFlow() {
  * Test Takeover Functionality
  */
 async function testTakeoverFunctionality() {
+  const { sessionId, token: joinToken } = await joinCall();
+
   return new Promise((resolve) => {
     log(colors.blue, "\n=== Testing Takeover Functionality ===");
     
-    const sessionId = crypto.randomUUID();
     let supervisorWs;
     let customerWs;
     let customerNotified = false;
     let sessionUpdated = false;
 
     // Create customer connection first
-    customerWs = new WebSocket(`${WS_URL}?role=customer&session=${sessionId}`);
+    customerWs = new WebSocket(`${WS_URL}?role=customer&token=${joinToken}`);
     
     customerWs.on("open", () => {
       log(colors.green, "✓ Customer connected");
       
       // Connect supervisor after customer
       setTimeout(() => {
-        supervisorWs = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}`);
+        supervisorWs = new WebSocket(`${WS_URL}?role=supervisor&session=${sessionId}&token=${AUTH_TOKEN}`);
         
         supervisorWs.on("open", () => {
           log(colors.green, "✓ Supervisor connected");